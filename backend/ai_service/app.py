@@ -1,25 +1,40 @@
 import os
 import re
+import csv
+import io
+import json
+import math
 import logging
 import traceback
+import uuid
+import bisect
+import shutil
+from concurrent.futures import ThreadPoolExecutor
+from datetime import timedelta
+from functools import wraps
+from difflib import SequenceMatcher
 from typing import Self
 from venv import logger
 import requests
 import torch
 import werkzeug
-from flask import Flask, request, jsonify, abort, session
+from flask import Flask, request, jsonify, abort, session, send_file, g
 from pdfminer.high_level import extract_text
+from docx import Document
+from openpyxl import load_workbook
 from flask_cors import CORS
 from transformers import pipeline
 from datetime import datetime
 from flask_sqlalchemy import SQLAlchemy
 from dateutil import parser as dparser
 from enum import Enum
-from sqlalchemy import or_, func, case
+from sqlalchemy import or_, func, case, event, inspect
+from sqlalchemy.orm import Session as SessionBase
 from dotenv import load_dotenv
 from requests.auth import HTTPBasicAuth
 from flask_limiter import Limiter
 from flask_limiter.util import get_remote_address
+from werkzeug.security import generate_password_hash, check_password_hash
 
 # Load environment variables
 load_dotenv()
@@ -35,12 +50,13 @@ CORS(app, resources={
     }
 })
 
-app.config['SQLALCHEMY_DATABASE_URI'] = 'sqlite:///requirements.db'
+app.config['SQLALCHEMY_DATABASE_URI'] = os.getenv('DATABASE_URL', 'sqlite:///requirements.db')
 app.config['SQLALCHEMY_TRACK_MODIFICATIONS'] = False
 app.config['SECRET_KEY'] = os.getenv('SECRET_KEY')  # Required for session security
 app.config['SESSION_TYPE'] = 'filesystem'
 app.config['SESSION_COOKIE_SECURE'] = True
 app.config['SESSION_COOKIE_HTTPONLY'] = True
+app.config['PERMANENT_SESSION_LIFETIME'] = timedelta(days=7)  # how long a login lasts
 
 # Initialize database
 db = SQLAlchemy(app)
@@ -81,20 +97,67 @@ class Project(db.Model):
     description = db.Column(db.Text, nullable=True)
     hourly_rate = db.Column(db.Float, default=30.0)  # Add this line
     created_at = db.Column(db.DateTime, default=datetime.now)
+    deleted_at = db.Column(db.DateTime, nullable=True)  # set while the project is in the trash
+    workflow = db.Column(db.Text, nullable=True)  # JSON states/transitions; the default workflow when empty
+    approval_policy = db.Column(db.Text, nullable=True)  # JSON approvals required overall/per category; one when empty
+    custom_fields = db.Column(db.Text, nullable=True)  # JSON list of extra requirement fields; none when empty
+    categories = db.Column(db.Text, nullable=True)  # JSON list of {name, description}; the default set when empty
+    quality_rules = db.Column(db.Text, nullable=True)  # JSON quality rule switches by rule ID; all on when empty
     requirements = db.relationship('Requirement', backref='project', lazy=True)
 
+# Local account; site admins have the admin role in every project
+class User(db.Model):
+    id = db.Column(db.Integer, primary_key=True)
+    username = db.Column(db.String(50), nullable=False, unique=True)
+    display_name = db.Column(db.String(100), nullable=False)  # recorded as author/actor of changes
+    password_hash = db.Column(db.String(255), nullable=False)
+    is_admin = db.Column(db.Boolean, default=False, nullable=False)
+    created_at = db.Column(db.DateTime, default=datetime.now)
+
+# Per-project roles, each including the ones before it
+PROJECT_ROLES = ('viewer', 'contributor', 'reviewer', 'admin')
+
+class ProjectMember(db.Model):
+    __tablename__ = 'project_member'
+    __table_args__ = (db.UniqueConstraint('project_id', 'user_id'),)
+    id = db.Column(db.Integer, primary_key=True)
+    project_id = db.Column(db.Integer, db.ForeignKey('project.id'), nullable=False, index=True)
+    user_id = db.Column(db.Integer, db.ForeignKey('user.id'), nullable=False, index=True)
+    role = db.Column(db.String(20), nullable=False)  # one of PROJECT_ROLES
+    created_at = db.Column(db.DateTime, default=datetime.now)
+    user = db.relationship('User')
+
 # Requirement model
 class Requirement(db.Model):
     id = db.Column(db.String(20), primary_key=True)  # Only one ID column
     requirement = db.Column(db.Text, nullable=False)
     categories = db.Column(db.Text, nullable=False)
-    status = db.Column(db.Enum(StatusEnum), default=StatusEnum.REVIEW)
+    status = db.Column(db.String(50), default=StatusEnum.REVIEW.value)  # a state of the project's workflow
     priority = db.Column(db.Enum(PriorityEnum), default=PriorityEnum.MEDIUM)
     author = db.Column(db.String(100), default='System')
     ddate = db.Column(db.DateTime, default=datetime.now)
     complexity = db.Column(db.Enum(ComplexityEnum), default=ComplexityEnum.MODERATE)
     estimated_time = db.Column(db.Integer)
     project_id = db.Column(db.Integer, db.ForeignKey('project.id'), nullable=True)
+    external_id = db.Column(db.String(100), nullable=True)  # ID from an imported spreadsheet/JSON
+    deleted_at = db.Column(db.DateTime, nullable=True)  # set while the requirement is in the trash
+    duplicate_of = db.Column(db.String(20), nullable=True)  # likely duplicate of this requirement, until resolved
+    duplicate_score = db.Column(db.Float, nullable=True)
+    # Where the requirement was extracted from: page (PDFs only) and [start, end) offsets in the document text
+    source_document_id = db.Column(db.Integer, db.ForeignKey('source_document.id'), nullable=True)
+    source_page = db.Column(db.Integer, nullable=True)
+    source_start = db.Column(db.Integer, nullable=True)
+    source_end = db.Column(db.Integer, nullable=True)
+    source_document = db.relationship('SourceDocument')
+    # Who last moved the requirement into an approved or rejected state
+    reviewed_by = db.Column(db.String(100), nullable=True)
+    reviewed_at = db.Column(db.DateTime, nullable=True)
+    approval_votes = db.relationship('ApprovalVote', lazy='selectin', order_by='ApprovalVote.id',
+                                     cascade='all, delete-orphan')
+    custom_values = db.Column(db.Text, nullable=True)  # JSON values of the project's custom fields, by key
+    quality_score = db.Column(db.Integer, nullable=True, index=True)  # 0-100, kept current on every flush
+    acceptance_criteria = db.Column(db.Text, nullable=True)  # one criterion per line
+    scenarios = db.Column(db.Text, nullable=True)  # Gherkin scenarios, see parse_scenarios
 
 
     __table_args__ = (
@@ -151,9 +214,463 @@ class RequirementCounter(db.Model):
     project_id = db.Column(db.Integer, nullable=False, unique=True)
     count = db.Column(db.Integer, default=0, nullable=False)
 
+# Snapshot of a requirement after each change, so edits can be audited and reverted
+class RequirementRevision(db.Model):
+    __tablename__ = 'requirement_revision'
+    id = db.Column(db.Integer, primary_key=True)
+    requirement_id = db.Column(db.String(20), db.ForeignKey('requirement.id'), nullable=False, index=True)
+    change = db.Column(db.String(20), nullable=False)  # original | created | edited | status | reverted
+    actor = db.Column(db.String(100), nullable=False)
+    note = db.Column(db.String(255), nullable=True)
+    snapshot = db.Column(db.Text, nullable=False)      # JSON of REVISION_FIELDS
+    created_at = db.Column(db.DateTime, default=datetime.now)
+
+class LinkTypeEnum(str, Enum):
+    DEPENDS_ON = 'depends_on'
+    CONFLICTS_WITH = 'conflicts_with'
+    REFINES = 'refines'
+    DUPLICATES = 'duplicates'
+
+# Typed, directed relationship between two requirements ("source depends on target")
+class RequirementLink(db.Model):
+    __tablename__ = 'requirement_link'
+    id = db.Column(db.Integer, primary_key=True)
+    source_id = db.Column(db.String(20), db.ForeignKey('requirement.id'), nullable=False, index=True)
+    target_id = db.Column(db.String(20), db.ForeignKey('requirement.id'), nullable=False, index=True)
+    link_type = db.Column(db.Enum(LinkTypeEnum), nullable=False)
+    resolved = db.Column(db.Boolean, default=False, nullable=False)  # only meaningful for conflicts
+    note = db.Column(db.Text, nullable=True)
+    created_by = db.Column(db.String(100), nullable=True)
+    created_at = db.Column(db.DateTime, default=datetime.now)
+
+    __table_args__ = (
+        db.UniqueConstraint('source_id', 'target_id', 'link_type', name='uq_requirement_link'),
+    )
+
+# Review discussion on a requirement. Top-level comments open a discussion that
+# can be resolved; replies (parent_id set) belong to that discussion.
+class RequirementComment(db.Model):
+    __tablename__ = 'requirement_comment'
+    id = db.Column(db.Integer, primary_key=True)
+    requirement_id = db.Column(db.String(20), db.ForeignKey('requirement.id'), nullable=False, index=True)
+    parent_id = db.Column(db.Integer, db.ForeignKey('requirement_comment.id'), nullable=True)
+    body = db.Column(db.Text, nullable=False)  # markdown
+    author = db.Column(db.String(100), nullable=False)
+    author_id = db.Column(db.Integer, db.ForeignKey('user.id'), nullable=True)
+    mentions = db.Column(db.Text, default='[]')  # JSON list of mentioned member names
+    resolved = db.Column(db.Boolean, default=False, nullable=False)
+    resolved_by = db.Column(db.String(100), nullable=True)
+    resolved_at = db.Column(db.DateTime, nullable=True)
+    created_at = db.Column(db.DateTime, default=datetime.now)
+    edited_at = db.Column(db.DateTime, nullable=True)
+
+# One reviewer's sign-off. Votes collect until the project's approval policy is met;
+# they are kept once the requirement is approved and dropped when it moves elsewhere.
+class ApprovalVote(db.Model):
+    __tablename__ = 'approval_vote'
+    __table_args__ = (db.UniqueConstraint('requirement_id', 'user_id'),)
+    id = db.Column(db.Integer, primary_key=True)
+    requirement_id = db.Column(db.String(20), db.ForeignKey('requirement.id'), nullable=False, index=True)
+    user_id = db.Column(db.Integer, db.ForeignKey('user.id'), nullable=False)
+    reviewer = db.Column(db.String(100), nullable=False)  # display name when the vote was cast
+    created_at = db.Column(db.DateTime, default=datetime.now)
+
+# Unresolved discussions per requirement, loaded with the requirement and usable in filters
+Requirement.open_comments = db.column_property(
+    db.select(func.count(RequirementComment.id))
+    .where(
+        RequirementComment.requirement_id == Requirement.id,
+        RequirementComment.parent_id.is_(None),
+        RequirementComment.resolved.is_(False)
+    )
+    .correlate_except(RequirementComment)
+    .scalar_subquery()
+)
+
+# Original uploaded document, kept per project so requirements can be traced back to it
+class SourceDocument(db.Model):
+    __tablename__ = 'source_document'
+    id = db.Column(db.Integer, primary_key=True)
+    project_id = db.Column(db.Integer, db.ForeignKey('project.id'), nullable=False)
+    file_name = db.Column(db.String(255), nullable=False)
+    stored_path = db.Column(db.String(512), nullable=False)
+    size = db.Column(db.Integer, default=0)
+    text = db.Column(db.Text, nullable=False)     # extracted text the offsets refer to
+    page_starts = db.Column(db.Text)              # JSON list of page start offsets, PDFs only
+    created_at = db.Column(db.DateTime, default=datetime.now)
+
+    __table_args__ = (
+        db.Index('idx_document_project', 'project_id'),
+    )
+
+class JobStatusEnum(str, Enum):
+    QUEUED = 'queued'
+    RUNNING = 'running'
+    COMPLETED = 'completed'
+    FAILED = 'failed'
+    CANCELLED = 'cancelled'
+
+# Background analysis job (document analysis, reviewed batch, structured import)
+class AnalysisJob(db.Model):
+    __tablename__ = 'analysis_job'
+    id = db.Column(db.String(32), primary_key=True)
+    project_id = db.Column(db.Integer, db.ForeignKey('project.id'), nullable=False)
+    kind = db.Column(db.String(20), nullable=False)  # analyze | batch | import
+    file_name = db.Column(db.String(255))
+    status = db.Column(db.Enum(JobStatusEnum), default=JobStatusEnum.QUEUED, nullable=False)
+    total = db.Column(db.Integer, default=0)        # sentences/rows to process
+    processed = db.Column(db.Integer, default=0)
+    created = db.Column(db.Integer, default=0)      # requirements saved so far
+    errors = db.Column(db.Text, default='[]')       # JSON list of {"item": n, "error": "..."}
+    requirement_ids = db.Column(db.Text, default='[]')
+    cancel_requested = db.Column(db.Boolean, default=False)
+    message = db.Column(db.Text)                    # fatal error, if any
+    created_at = db.Column(db.DateTime, default=datetime.now)
+    started_at = db.Column(db.DateTime)
+    finished_at = db.Column(db.DateTime)
+
+    __table_args__ = (
+        db.Index('idx_job_project', 'project_id'),
+    )
+
+# A named Dashboard state of a project, private to its owner unless shared
+class SavedView(db.Model):
+    __tablename__ = 'saved_view'
+    id = db.Column(db.Integer, primary_key=True)
+    project_id = db.Column(db.Integer, db.ForeignKey('project.id'), nullable=False, index=True)
+    owner_id = db.Column(db.Integer, db.ForeignKey('user.id'), nullable=False)
+    name = db.Column(db.String(100), nullable=False)
+    state = db.Column(db.Text, nullable=False, default='')  # the Dashboard's URL query string, without the project
+    shared = db.Column(db.Boolean, default=False, nullable=False)
+    updated_at = db.Column(db.DateTime, default=datetime.now)
+    owner = db.relationship('User')
+
+# Rule-based quality checks of requirement text. Every finding points at the
+# offending phrase; the score starts at 100 and loses the rule's penalty per finding.
+QUALITY_RULES = {
+    'ambiguity': {
+        "label": "Ambiguous terms",
+        "description": "Vague words such as \"fast\", \"user-friendly\" or \"etc.\" that can't be tested",
+        "penalty": 15
+    },
+    'passive_voice': {
+        "label": "Passive voice",
+        "description": "Phrases like \"is stored\" that hide who performs the action",
+        "penalty": 10
+    },
+    'unbounded_quantifier': {
+        "label": "Unbounded quantifiers",
+        "description": "Words like \"all\", \"any\" or \"always\" without a stated limit",
+        "penalty": 10
+    },
+    'missing_actor': {
+        "label": "Missing actor",
+        "description": "No subject that shall/must do something, e.g. \"The system shall …\"",
+        "penalty": 20
+    },
+    'compound': {
+        "label": "Compound statements",
+        "description": "\"and/or\" or several shall/must clauses in one requirement",
+        "penalty": 15
+    },
+}
+# Score bands used by the Dashboard filter, as inclusive ranges
+QUALITY_BANDS = {'good': (80, 100), 'fair': (50, 79), 'poor': (0, 49)}
+
+AMBIGUOUS_TERMS = (
+    "fast", "quick", "quickly", "slow", "easy", "easily", "simple", "user-friendly", "user friendly",
+    "intuitive", "flexible", "efficient", "efficiently", "robust", "seamless", "seamlessly", "reasonable",
+    "appropriate", "adequate", "sufficient", "as soon as possible", "asap", "approximately", "normally",
+    "typically", "usually", "if possible", "as needed", "as appropriate", "where possible", "etc.", "etc",
+    "and so on", "state-of-the-art", "modern", "optimal", "minimal", "high performance", "timely",
+)
+UNBOUNDED_QUANTIFIERS = (
+    "all", "every", "any", "always", "never", "some", "several", "many", "much", "few", "most",
+    "various", "numerous", "unlimited", "everything", "anything", "everyone", "anyone",
+)
+IRREGULAR_PARTICIPLES = (
+    "built", "chosen", "done", "driven", "found", "given", "held", "kept", "known", "made", "paid",
+    "read", "seen", "sent", "set", "shown", "sold", "taken", "told", "written",
+)
+MODAL_VERBS = r"shall|must|should|will|can|may|needs? to|is able to|are able to"
+NON_ACTORS = {'it', 'there', 'this', 'that', 'these', 'those', 'they'}
+
+def _term_re(terms):
+    alternatives = '|'.join(re.escape(term) for term in sorted(terms, key=len, reverse=True))
+    return re.compile(rf"(?<![\w-])(?:{alternatives})(?![\w-])", re.IGNORECASE)
+
+AMBIGUOUS_RE = _term_re(AMBIGUOUS_TERMS)
+QUANTIFIER_RE = _term_re(UNBOUNDED_QUANTIFIERS)
+PASSIVE_RE = re.compile(
+    rf"\b(?:is|are|was|were|be|been|being)\s+(?:\w+ly\s+)?(?:\w+ed|{'|'.join(IRREGULAR_PARTICIPLES)})\b",
+    re.IGNORECASE
+)
+MODAL_RE = re.compile(rf"\b(?:{MODAL_VERBS})\b", re.IGNORECASE)
+# "[When/If …,] <subject> shall …", or a user story ("As a <role>, I want …")
+ACTOR_RE = re.compile(
+    rf"^\s*(?:(?:if|when|while|once|after|before|unless|upon)\b[^,]*,\s*)?"
+    rf"(?P<subject>[A-Za-z][\w'\- ]{{0,60}}?)\s+(?:{MODAL_VERBS})\b",
+    re.IGNORECASE
+)
+USER_STORY_RE = re.compile(r"^\s*as an?\s+\w", re.IGNORECASE)
+COMPOUND_RE = re.compile(r"\band/or\b", re.IGNORECASE)
+CONJUNCTION_RE = re.compile(r"\b(?:and|or)\b|;", re.IGNORECASE)
+
+def lint_requirement_text(text, rules=None):
+    """
+    Quality findings of a requirement text for the enabled `rules` (all by default),
+    each as {rule, start, end, text, message} with offsets into `text`.
+    """
+    enabled = [rule for rule in QUALITY_RULES if rules is None or rules.get(rule, True)]
+    findings = []
+
+    def add(rule, start, end, message):
+        findings.append({"rule": rule, "start": start, "end": end, "text": text[start:end], "message": message})
+
+    if 'ambiguity' in enabled:
+        for match in AMBIGUOUS_RE.finditer(text):
+            add('ambiguity', match.start(), match.end(),
+                f"\"{match.group()}\" can't be verified; state a measurable value instead")
+    if 'passive_voice' in enabled:
+        for match in PASSIVE_RE.finditer(text):
+            add('passive_voice', match.start(), match.end(),
+                "Passive voice hides who does this; name the actor")
+    if 'unbounded_quantifier' in enabled:
+        for match in QUANTIFIER_RE.finditer(text):
+            add('unbounded_quantifier', match.start(), match.end(),
+                f"\"{match.group()}\" has no limit; say which ones or how many")
+    if 'missing_actor' in enabled and not USER_STORY_RE.match(text):
+        match = ACTOR_RE.match(text)
+        if not match:
+            first_word = re.match(r"\s*\S+", text)
+            add('missing_actor', 0, first_word.end() if first_word else 0,
+                "No actor found; start with who does it, e.g. \"The system shall …\"")
+        elif match.group('subject').strip().lower() in NON_ACTORS:
+            add('missing_actor', match.start('subject'), match.end('subject'),
+                f"\"{match.group('subject').strip()}\" doesn't say who acts; name the actor")
+    if 'compound' in enabled:
+        for match in COMPOUND_RE.finditer(text):
+            add('compound', match.start(), match.end(), "\"and/or\" leaves it open which is required; split it")
+        # A second shall/must clause joined by a conjunction is a second requirement
+        modals = list(MODAL_RE.finditer(text))
+        for previous, modal in zip(modals, modals[1:]):
+            joins = list(CONJUNCTION_RE.finditer(text, previous.end(), modal.start()))
+            if joins:
+                add('compound', joins[-1].start(), joins[-1].end(),
+                    "Several requirements in one; split them so each can be tested")
+
+    findings.sort(key=lambda finding: (finding['start'], finding['end']))
+    return findings
+
+def quality_score(findings):
+    return max(0, 100 - sum(QUALITY_RULES[finding['rule']]['penalty'] for finding in findings))
+
+def project_quality_rules(project):
+    """Which rules are on for a project, by rule ID; new rules default to on."""
+    stored = json.loads(project.quality_rules) if project is not None and project.quality_rules else {}
+    return {rule: stored.get(rule, True) for rule in QUALITY_RULES}
+
+def quality_report(requirement):
+    findings = lint_requirement_text(requirement.requirement or '', project_quality_rules(requirement.project))
+    return {"score": quality_score(findings), "issues": findings}
+
+def score_requirement(requirement, project):
+    findings = lint_requirement_text(requirement.requirement or '', project_quality_rules(project))
+    requirement.quality_score = quality_score(findings)
+
+@event.listens_for(SessionBase, 'before_flush')
+def score_changed_requirements(session, flush_context, instances):
+    """Keep stored quality scores (used by filters) current when a text is written or a requirement moves."""
+    for obj in list(session.new) + list(session.dirty):
+        if not isinstance(obj, Requirement):
+            continue
+        state = inspect(obj)
+        if obj in session.new or state.attrs.requirement.history.has_changes() or \
+                state.attrs.project_id.history.has_changes():
+            with session.no_autoflush:
+                project = session.get(Project, obj.project_id) if obj.project_id else None
+            score_requirement(obj, project)
+
+# Acceptance criteria are free text, one criterion per line. Scenarios are
+# Gherkin ("Scenario: …" followed by Given/When/Then steps) and make up the
+# project's .feature file.
+MAX_CRITERIA_CHARS = 5000
+MAX_SCENARIO_CHARS = 20000
+SCENARIO_RE = re.compile(r"^(?:Scenario|Scenario Outline|Example):\s*(?P<name>.*)$", re.IGNORECASE)
+STEP_RE = re.compile(r"^(?:Given|When|Then|And|But|\*)\s+\S", re.IGNORECASE)
+EXAMPLES_RE = re.compile(r"^Examples:", re.IGNORECASE)
+
+def clean_criteria(text):
+    if text is None:
+        return None
+    if not isinstance(text, str):
+        raise ValueError("acceptance_criteria must be text")
+    lines = [line.rstrip() for line in text.strip().splitlines()]
+    cleaned = '\n'.join(lines)
+    if len(cleaned) > MAX_CRITERIA_CHARS:
+        raise ValueError(f"Acceptance criteria can be at most {MAX_CRITERIA_CHARS} characters")
+    return cleaned or None
+
+def parse_scenarios(text):
+    """
+    Scenarios of a Gherkin text as [{name, lines}], where `lines` are the steps,
+    examples and table rows below each "Scenario:" line. Tags and comments above
+    a scenario belong to it. Raises ValueError naming the first line that isn't Gherkin.
+    """
+    scenarios, pending = [], []
+    for number, raw in enumerate(text.splitlines(), start=1):
+        line = raw.strip()
+        if not line:
+            continue
+        heading = SCENARIO_RE.match(line)
+        if heading:
+            if not heading.group('name').strip():
+                raise ValueError(f"Scenario on line {number} needs a name")
+            scenarios.append({"name": heading.group('name').strip(), "tags": pending, "lines": []})
+            pending = []
+        elif line.startswith(('@', '#')):
+            pending.append(line)
+        elif not scenarios:
+            raise ValueError(f"Line {number} comes before the first \"Scenario:\"")
+        elif STEP_RE.match(line) or EXAMPLES_RE.match(line) or line.startswith('|'):
+            scenarios[-1]['lines'].append(line)
+        else:
+            raise ValueError(f"Line {number} is not a Given/When/Then step: {line[:60]}")
+    for scenario in scenarios:
+        if not any(STEP_RE.match(line) for line in scenario['lines']):
+            raise ValueError(f"Scenario \"{scenario['name']}\" has no steps")
+    return scenarios
+
+def format_scenarios(scenarios, indent=''):
+    blocks = []
+    for scenario in scenarios:
+        keyword = 'Scenario Outline' if any(EXAMPLES_RE.match(line) for line in scenario['lines']) else 'Scenario'
+        block = [f"{indent}{tag}" for tag in scenario['tags']] + [f"{indent}{keyword}: {scenario['name']}"]
+        for line in scenario['lines']:
+            # Tables sit below the step or Examples: line they belong to
+            depth = 2 if line.startswith('|') else 1
+            block.append(f"{indent}{'  ' * depth}{line}")
+        blocks.append('\n'.join(block))
+    return '\n\n'.join(blocks)
+
+def clean_scenarios(text):
+    """Validated scenarios in a uniform layout, or None when empty."""
+    if text is None:
+        return None
+    if not isinstance(text, str):
+        raise ValueError("scenarios must be text")
+    if len(text) > MAX_SCENARIO_CHARS:
+        raise ValueError(f"Scenarios can be at most {MAX_SCENARIO_CHARS} characters")
+    return format_scenarios(parse_scenarios(text)) or None
+
+def set_acceptance(requirement, data):
+    if 'acceptance_criteria' in data:
+        requirement.acceptance_criteria = clean_criteria(data['acceptance_criteria'])
+    if 'scenarios' in data:
+        requirement.scenarios = clean_scenarios(data['scenarios'])
+
+def draft_scenarios(text, criteria=None):
+    """Gherkin scenarios drafted by Gemini for a requirement, for the user to edit before saving."""
+    criteria_part = f"ACCEPTANCE CRITERIA:\n{criteria}" if criteria else ""
+    prompt = f"""
+    Write Gherkin acceptance scenarios for this software requirement.
+
+    REQUIREMENT: {text}
+    {criteria_part}
+
+    Write two to four scenarios covering the main case, edge cases and failures.
+    Each starts with "Scenario: <name>" followed by Given/When/Then/And steps on
+    their own lines. Use concrete values. Answer with the scenarios only: no
+    "Feature:" line, no explanations and no code fences.
+    """
+    response = requests.post(
+        GEMINI_API_URL,
+        json={"contents": [{"parts": [{"text": prompt}]}]},
+        headers={"Content-Type": "application/json"},
+        timeout=60
+    )
+    if response.status_code != 200:
+        raise RuntimeError(f"Gemini API error: {response.text}")
+    reply = response.json().get("candidates", [{}])[0].get("content", {}).get("parts", [{}])[0].get("text", "")
+    # Models like to wrap the answer in ``` fences or lead with "Feature:" anyway
+    lines = [line for line in reply.splitlines()
+             if not line.strip().startswith('```') and not line.strip().lower().startswith('feature:')]
+    return format_scenarios(parse_scenarios('\n'.join(lines)))
+
+def feature_file(project, requirements):
+    """The project's scenarios as one .feature file; each requirement's are tagged with its ID."""
+    lines = [f"Feature: {project.name}"]
+    if project.description:
+        lines += [f"  {line.strip()}" for line in project.description.splitlines() if line.strip()]
+    for requirement in requirements:
+        scenarios = parse_scenarios(requirement.scenarios)
+        for scenario in scenarios:
+            scenario['tags'] = scenario['tags'] + [f"@{requirement.id}"]
+        lines += ['', f"  # {requirement.id}: {requirement.requirement}", format_scenarios(scenarios, indent='  ')]
+    return '\n'.join(lines) + '\n'
+
+# Columns added to a table after it was first created, as (table, column, SQL type).
+# db.create_all() only creates missing tables, so databases from before a column
+# existed get it with ALTER TABLE at startup, before anything queries the table.
+SCHEMA_UPGRADES = [
+    ('requirement', 'external_id', 'VARCHAR(100)'),
+    ('project', 'deleted_at', 'DATETIME'),
+    ('requirement', 'deleted_at', 'DATETIME'),
+    ('requirement', 'duplicate_of', 'VARCHAR(20)'),
+    ('requirement', 'duplicate_score', 'FLOAT'),
+    ('requirement', 'source_document_id', 'INTEGER REFERENCES source_document (id)'),
+    ('requirement', 'source_page', 'INTEGER'),
+    ('requirement', 'source_start', 'INTEGER'),
+    ('requirement', 'source_end', 'INTEGER'),
+    ('project', 'workflow', 'TEXT'),
+    ('requirement', 'reviewed_by', 'VARCHAR(100)'),
+    ('requirement', 'reviewed_at', 'DATETIME'),
+    ('requirement_comment', 'author_id', 'INTEGER REFERENCES user (id)'),
+    ('project', 'approval_policy', 'TEXT'),
+    ('project', 'custom_fields', 'TEXT'),
+    ('requirement', 'custom_values', 'TEXT'),
+    ('project', 'categories', 'TEXT'),
+    ('project', 'quality_rules', 'TEXT'),
+    ('requirement', 'quality_score', 'INTEGER'),
+    ('requirement', 'acceptance_criteria', 'TEXT'),
+    ('requirement', 'scenarios', 'TEXT'),
+]
+
+def upgrade_schema():
+    inspector = inspect(db.engine)
+    tables = set(inspector.get_table_names())
+    existing = {table: {column['name'] for column in inspector.get_columns(table)} for table in tables}
+    for table, column, sql_type in SCHEMA_UPGRADES:
+        if table in tables and column not in existing[table]:
+            db.session.execute(db.text(f"ALTER TABLE {table} ADD COLUMN {column} {sql_type}"))
+            logging.info(f"Added column {table}.{column}")
+    db.session.commit()
+    # Indexes of added columns, e.g. the quality score the Dashboard filters by
+    for table in db.metadata.sorted_tables:
+        for index in table.indexes:
+            index.create(db.engine, checkfirst=True)
+
 # Create database tables
 with app.app_context():
     db.create_all()
+    upgrade_schema()
+    # Requirements stored before quality checks existed get their score once; this
+    # has to run after upgrade_schema() has added the quality_score column
+    for requirement in Requirement.query.filter(Requirement.quality_score.is_(None)):
+        score_requirement(requirement, requirement.project)
+    # Statuses used to be stored as enum names ("APPROVED"); they are workflow state names now
+    for legacy_status in StatusEnum:
+        Requirement.query.filter(Requirement.status == legacy_status.name).update(
+            {"status": legacy_status.value}, synchronize_session=False)
+    # Jobs can't survive a restart; don't leave them looking like they're still running
+    AnalysisJob.query.filter(
+        AnalysisJob.status.in_([JobStatusEnum.QUEUED, JobStatusEnum.RUNNING])
+    ).update({
+        "status": JobStatusEnum.FAILED,
+        "message": "Interrupted by a server restart",
+        "finished_at": datetime.now()
+    }, synchronize_session=False)
+    db.session.commit()
 
 # Configure logging
 logging.basicConfig(level=logging.INFO, format="%(asctime)s - %(levelname)s - %(message)s")
@@ -164,19 +681,8 @@ def generate_requirement_id(project_id):
     where X is a sequential number.
     """
     try:
-        # Get the highest existing sequence number for the project
-        last_requirement = (
-            Requirement.query.filter_by(project_id=project_id)
-            .order_by(Requirement.id.desc())
-            .first()
-        )
-        
-        if last_requirement:
-            # Extract the sequence number from the last requirement ID
-            last_sequence = int(last_requirement.id.split('_r')[-1])  # Extract the number after '_r'
-            return f"p{project_id}_r{last_sequence + 1}"  # Corrected format
-        else:
-            return f"p{project_id}_r1"  # Start from 1 if no requirements exist for the project
+        # Ordering the IDs as text would put p1_r9 after p1_r10 and hand out p1_r10 again
+        return f"p{project_id}_r{last_requirement_sequence(project_id) + 1}"
     except Exception as e:
         logging.error(f"ID generation failed: {str(e)}")
         raise RuntimeError("Failed to generate requirement ID")
@@ -296,20 +802,26 @@ GEMINI_API_URL = f"https://generativelanguage.googleapis.com/v1beta/models/gemin
 # Uploads Directory
 UPLOAD_DIR = "uploads/"
 os.makedirs(UPLOAD_DIR, exist_ok=True)
+# Original documents, one folder per project
+DOCUMENTS_DIR = "documents/"
+os.makedirs(DOCUMENTS_DIR, exist_ok=True)
+SOURCE_CONTEXT_CHARS = 600
 
-# Classification Labels
-candidate_labels = ["Functional", "Non-Functional", "UI", "Security", "Performance"]
+# Classification Labels; categories are per project, see project_categories
 complexity_labels = ["High", "Moderate", "Low"]
 priority_labels = ["High priority", "Medium priority", "Low priority"]
 
 # Allowed file extensions
-ALLOWED_EXTENSIONS = {'pdf', 'txt', 'md'}
+ALLOWED_EXTENSIONS = {'pdf', 'txt', 'md', 'docx'}
+# Structured files are imported row by row through a column mapping
+STRUCTURED_EXTENSIONS = {'csv', 'xlsx', 'json'}
+MAX_IMPORT_ROWS = 5000
 
-def allowed_file(filename):
-    return '.' in filename and filename.rsplit('.', 1)[1].lower() in ALLOWED_EXTENSIONS
+def allowed_file(filename, extensions=ALLOWED_EXTENSIONS):
+    return '.' in filename and filename.rsplit('.', 1)[1].lower() in extensions
 
 def extract_metadata(text):
-    metadata = {'author': 'System', 'date': datetime.now()}
+    metadata = {'author': None, 'date': datetime.now()}  # no author unless the document names one
     try:
         date_match = dparser.parse(text, fuzzy=True)
         metadata['date'] = date_match
@@ -333,21 +845,1302 @@ def extract_metadata(text):
 def clean_text(text):
     return re.sub(r"\s+", " ", re.sub(r"[•\t\n]+", " ", text)).strip()
 
+# Tokens that end with a period without ending the sentence
+ABBREVIATIONS = {
+    'e.g', 'i.e', 'etc', 'vs', 'cf', 'al', 'approx', 'incl', 'excl', 'min', 'max',
+    'no', 'nos', 'fig', 'figs', 'sec', 'ch', 'vol', 'ref', 'dept', 'mr', 'mrs', 'ms',
+    'dr', 'prof', 'sr', 'jr', 'st', 'inc', 'ltd', 'co', 'corp', 'jan', 'feb', 'mar',
+    'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec'
+}
+
+# Sentence terminators followed by whitespace, blank lines, and line breaks before list items.
+# Decimals ("2.5") and versions ("v1.2.3") never match because no whitespace follows the dot.
+SENTENCE_BOUNDARY_RE = re.compile(
+    r"[.!?]+[\"')\]]*(?=\s|$)"
+    r"|\n[ \t]*\n"
+    r"|\n(?=[ \t]*(?:[•\-*]|\d+[.)])\s)"
+)
+
+LIST_MARKER_RE = re.compile(r"\s*(?:[•\-*]|\d+[.)]|[a-z][.)])\s+")
+
+def split_sentences(text, min_words=3):
+    """
+    Split raw document text into candidate requirement sentences.
+
+    Returns a list of dicts with the cleaned sentence and the [start, end)
+    character offsets of the sentence in the original text.
+    """
+    sentences = []
+    start = 0
+
+    def add(segment_start, segment_end):
+        segment = text[segment_start:segment_end]
+        # Drop list markers ("- ", "* ", "3. ", "a) ") in front of the sentence
+        marker = LIST_MARKER_RE.match(segment)
+        if marker:
+            segment_start += marker.end()
+            segment = segment[marker.end():]
+        cleaned = clean_text(segment)
+        if len(cleaned.split()) < min_words:
+            return
+        leading = len(segment) - len(segment.lstrip())
+        trailing = len(segment) - len(segment.rstrip())
+        sentences.append({
+            "text": cleaned,
+            "start": segment_start + leading,
+            "end": segment_end - trailing
+        })
+
+    for match in SENTENCE_BOUNDARY_RE.finditer(text):
+        if match.group().startswith('.'):
+            preceding = text[start:match.start()].split()
+            token = preceding[-1].lstrip('("[').lower() if preceding else ''
+            # Skip abbreviations and initials ("J. Smith")
+            if token in ABBREVIATIONS or (len(token) == 1 and token.isalpha()):
+                continue
+
+        add(start, match.end())
+        start = match.end()
+
+    if start < len(text):
+        add(start, len(text))
+
+    return sentences
+
+def save_uploaded_file(file):
+    """Save an uploaded file under a unique name and return (filename, file_path)."""
+    filename = werkzeug.utils.secure_filename(file.filename)
+    # Prefix with a random token so files uploaded in parallel never overwrite each other
+    file_path = os.path.join(UPLOAD_DIR, f"{uuid.uuid4().hex}_{filename}")
+    file.save(file_path)
+    return filename, file_path
+
+def extract_docx_text(file_path):
+    """Paragraphs and table cells of a Word document, separated by blank lines."""
+    document = Document(file_path)
+    blocks = [p.text for p in document.paragraphs if p.text.strip()]
+    for table in document.tables:
+        for row in table.rows:
+            for cell in row.cells:
+                if cell.text.strip():
+                    blocks.append(cell.text)
+    return '\n\n'.join(blocks)
+
+def extract_file_text(file_path, filename):
+    """Extract plain text from a saved upload based on its extension."""
+    lowered = filename.lower()
+    if lowered.endswith(".pdf"):
+        return extract_text(file_path)
+    if lowered.endswith(".docx"):
+        return extract_docx_text(file_path)
+    with open(file_path, 'r', encoding='utf-8') as f:
+        return f.read()
+
+def page_starts_for(text, filename):
+    """Offsets at which each page starts; pdfminer separates PDF pages with form feeds."""
+    if not filename.lower().endswith('.pdf'):
+        return None
+    return [0] + [match.end() for match in re.finditer('\f', text)]
+
+def store_source_document(project_id, filename, file_path, text):
+    """Move a processed upload into the project's document folder and record it."""
+    folder = os.path.join(DOCUMENTS_DIR, f"project_{project_id}")
+    os.makedirs(folder, exist_ok=True)
+    stored_path = os.path.join(folder, os.path.basename(file_path))
+    shutil.move(file_path, stored_path)
+    starts = page_starts_for(text, filename)
+    document = SourceDocument(
+        project_id=project_id,
+        file_name=filename,
+        stored_path=stored_path,
+        size=os.path.getsize(stored_path),
+        text=text,
+        page_starts=json.dumps(starts) if starts else None
+    )
+    db.session.add(document)
+    db.session.commit()
+    return document
+
+def remove_document_file(document):
+    if os.path.exists(document.stored_path):
+        os.remove(document.stored_path)
+
+SOURCE_FIELDS_CLEARED = {"source_document_id": None, "source_page": None, "source_start": None, "source_end": None}
+
+def forget_sources(document_ids):
+    """Drop the source of every requirement extracted from these documents, in any project."""
+    Requirement.query.filter(Requirement.source_document_id.in_(document_ids)).update(
+        SOURCE_FIELDS_CLEARED, synchronize_session=False)
+
+def source_anchor(document):
+    """Plain copy of what set_requirement_source needs, safe to hand to a job thread."""
+    return {
+        "id": document.id,
+        "length": len(document.text),
+        "page_starts": json.loads(document.page_starts) if document.page_starts else None
+    }
+
+def set_requirement_source(requirement, anchor, start, end):
+    """Point a requirement at a passage of its source document; invalid offsets are ignored."""
+    if not anchor or not isinstance(start, int) or not isinstance(end, int):
+        return
+    if not 0 <= start < end <= anchor['length']:
+        return
+    requirement.source_document_id = anchor['id']
+    requirement.source_start = start
+    requirement.source_end = end
+    starts = anchor['page_starts']
+    requirement.source_page = bisect.bisect_right(starts, start) if starts else None
+
+def _cell_to_string(value):
+    if value is None:
+        return ''
+    if isinstance(value, datetime):
+        return value.isoformat()
+    if isinstance(value, list):
+        return ', '.join(_cell_to_string(v) for v in value)
+    if isinstance(value, dict):
+        return json.dumps(value)
+    if isinstance(value, float) and value.is_integer():
+        return str(int(value))
+    return str(value).strip()
+
+def parse_structured_file(file_path, filename):
+    """
+    Read a CSV, XLSX or JSON export into (columns, rows), where every row is a
+    dict of column name -> string value.
+    """
+    extension = filename.rsplit('.', 1)[1].lower()
+
+    if extension == 'csv':
+        with open(file_path, 'r', encoding='utf-8-sig', newline='') as f:
+            sample = f.read(4096)
+            f.seek(0)
+            try:
+                dialect = csv.Sniffer().sniff(sample, delimiters=',;\t|')
+            except csv.Error:
+                dialect = csv.excel
+            reader = csv.DictReader(f, dialect=dialect)
+            columns = [c for c in (reader.fieldnames or []) if c]
+            records = list(reader)
+
+    elif extension == 'xlsx':
+        workbook = load_workbook(file_path, read_only=True, data_only=True)
+        try:
+            sheet_rows = workbook.active.iter_rows(values_only=True)
+            header = next(sheet_rows, None) or []
+            columns = [_cell_to_string(c) or f"Column {i + 1}" for i, c in enumerate(header)]
+            records = [dict(zip(columns, values)) for values in sheet_rows if any(v is not None for v in values)]
+        finally:
+            workbook.close()
+
+    elif extension == 'json':
+        with open(file_path, 'r', encoding='utf-8') as f:
+            data = json.load(f)
+        if isinstance(data, dict):
+            # Accept {"requirements": [...]} or any single top-level list
+            data = data.get('requirements') or next((v for v in data.values() if isinstance(v, list)), [])
+        if not isinstance(data, list) or not all(isinstance(r, dict) for r in data):
+            raise ValueError("JSON must be a list of objects")
+        columns = []
+        for record in data:
+            columns.extend(k for k in record if k not in columns)
+        records = data
+
+    else:
+        raise ValueError(f"Unsupported structured file type: {extension}")
+
+    if len(records) > MAX_IMPORT_ROWS:
+        raise ValueError(f"Too many rows ({len(records)}); the limit is {MAX_IMPORT_ROWS}")
+
+    rows = [{col: _cell_to_string(record.get(col)) for col in columns} for record in records]
+    return columns, rows
+
+# Requirement fields a structured import can fill, with header names we recognise
+IMPORT_FIELD_ALIASES = {
+    'requirement': ['requirement', 'text', 'description', 'statement', 'requirement text', 'summary', 'title'],
+    'external_id': ['id', 'requirement id', 'req id', 'key', 'reference', 'ref'],
+    'author': ['author', 'owner', 'created by', 'submitted by', 'reporter'],
+    'priority': ['priority', 'prio', 'importance'],
+    'complexity': ['complexity', 'difficulty', 'effort level'],
+    'status': ['status', 'state'],
+    'estimated_time': ['estimated_time', 'estimate', 'estimated hours', 'hours', 'effort', 'effort (h)'],
+    'categories': ['categories', 'category', 'type', 'tags', 'labels'],
+    'date': ['date', 'created', 'created at', 'created date', 'ddate']
+}
+# Fields the AI can fill in when no column is mapped
+AI_FIELDS = ('categories', 'priority', 'complexity', 'estimated_time')
+AI_MAPPING = '@ai'
+
+def guess_column_mapping(columns):
+    """Suggest a column for each Requirement field; AI-capable fields default to the AI."""
+    normalized = {col.strip().lower(): col for col in columns}
+    mapping = {}
+    for field, aliases in IMPORT_FIELD_ALIASES.items():
+        match = next((normalized[a] for a in aliases if a in normalized), None)
+        mapping[field] = match or (AI_MAPPING if field in AI_FIELDS else None)
+    return mapping
+
+PRIORITY_ALIASES = {'p1': 'High', 'p2': 'Medium', 'p3': 'Low', 'critical': 'High', 'highest': 'High',
+                    'major': 'High', 'normal': 'Medium', 'minor': 'Low', 'lowest': 'Low'}
+COMPLEXITY_ALIASES = {'medium': 'Moderate', 'moderate': 'Moderate', 'hard': 'High', 'easy': 'Low'}
+
+def coerce_enum(enum_cls, value, aliases=None):
+    """Case-insensitive enum lookup that also accepts common synonyms."""
+    lowered = value.strip().lower()
+    for member in enum_cls:
+        if member.value.lower() == lowered:
+            return member
+    if aliases and lowered in aliases:
+        return enum_cls(aliases[lowered])
+    raise ValueError(f"Invalid {enum_cls.__name__.replace('Enum', '').lower()}: {value}")
+
+def classify_categories(text, categories, top=3):
+    """Names of the `top` categories that fit a text best; a description, when set, is what the model compares."""
+    labels = {
+        f"{category['name']}: {category['description']}" if category['description'] else category['name']:
+            category['name']
+        for category in categories
+    }
+    classification = zero_shot_pipeline(text, list(labels))
+    return [labels[label] for label in classification['labels'][:top]]
+
+def classify_requirement_text(text, fields=AI_FIELDS, known=None, categories=None):
+    """
+    Run the zero-shot passes for a single requirement.
+
+    Only the passes named in `fields` run; `known` holds values that are already
+    set (e.g. an imported priority) and feed into the time estimate. `categories`
+    is the project's category set (the default one if omitted).
+    Returns the categories string, priority, complexity and estimated hours.
+    """
+    result = dict(known or {})
+
+    if 'categories' in fields:
+        result['categories'] = ', '.join(classify_categories(text, categories or DEFAULT_CATEGORIES))
+
+    if 'priority' in fields:
+        priority_result = zero_shot_pipeline(
+            text,
+            candidate_labels=priority_labels,
+            hypothesis_template="This requirement has {} priority."
+        )
+        result['priority'] = PriorityEnum(priority_result['labels'][0].split()[0])
+
+    if 'complexity' in fields:
+        complexity_result = zero_shot_pipeline(
+            text,
+            candidate_labels=complexity_labels,
+            hypothesis_template="This requirement has {} complexity."
+        )
+        result['complexity'] = ComplexityEnum(complexity_result['labels'][0])
+
+    if 'estimated_time' in fields:
+        complexity = result.get('complexity')
+        priority = result.get('priority')
+        result['estimated_time'] = predict_estimated_time(
+            text,
+            complexity.value if complexity else None,
+            priority.value if priority else None
+        ) or 4
+
+    return result
+
+def last_requirement_sequence(project_id):
+    """Highest X used in p<project_id>_r<X> IDs (compared numerically, not as strings)."""
+    last_sequence = 0
+    for (req_id,) in db.session.query(Requirement.id).filter_by(project_id=project_id):
+        try:
+            last_sequence = max(last_sequence, int(req_id.split('_r')[-1]))
+        except ValueError:
+            continue
+    return last_sequence
+
+def requirement_to_dict(req):
+    return {
+        "id": req.id,
+        "requirement": req.requirement,
+        "categories": req.categories,
+        "status": req.status,
+        "priority": req.priority.value,
+        "complexity": req.complexity.value,
+        "estimated_time": req.estimated_time,
+        "author": req.author,
+        "date": req.ddate.isoformat(),
+        "project_id": req.project_id,
+        "external_id": req.external_id,
+        "duplicate_of": req.duplicate_of,
+        "duplicate_score": req.duplicate_score,
+        "source": source_to_dict(req),
+        "open_comments": req.open_comments or 0,
+        "reviewed_by": req.reviewed_by,
+        "reviewed_at": req.reviewed_at.isoformat() if req.reviewed_at else None,
+        "approvals": approval_progress(req),
+        "custom_fields": json.loads(req.custom_values) if req.custom_values else {},
+        "quality": quality_report(req),
+        "acceptance_criteria": req.acceptance_criteria or "",
+        "scenarios": req.scenarios or ""
+    }
+
+def source_to_dict(req):
+    if not req.source_document_id:
+        return None
+    return {
+        "document_id": req.source_document_id,
+        "file_name": req.source_document.file_name,
+        "page": req.source_page,
+        "start": req.source_start,
+        "end": req.source_end
+    }
+
+def document_to_dict(document):
+    return {
+        "id": document.id,
+        "project_id": document.project_id,
+        "file_name": document.file_name,
+        "size": document.size,
+        "pages": len(json.loads(document.page_starts)) if document.page_starts else None,
+        "created_at": document.created_at.isoformat(),
+        "requirement_count": active_requirements().filter_by(source_document_id=document.id).count()
+    }
+
+# Deleting only moves projects and requirements to the trash; every read goes
+# through these helpers so trashed rows stay hidden until they are restored.
+def active_projects():
+    return Project.query.filter(Project.deleted_at.is_(None))
+
+def get_active_project(project_id):
+    project = Project.query.get(project_id)
+    return project if project and project.deleted_at is None else None
+
+def active_requirements():
+    trashed_projects = db.session.query(Project.id).filter(Project.deleted_at.isnot(None))
+    return Requirement.query.filter(
+        Requirement.deleted_at.is_(None),
+        db.or_(Requirement.project_id.is_(None), Requirement.project_id.notin_(trashed_projects))
+    )
+
+def get_active_requirement(req_id):
+    return active_requirements().filter(Requirement.id == req_id).first()
+
+def current_user():
+    """The logged-in user of this request, or None."""
+    if 'current_user' not in g:
+        user_id = session.get('user_id')
+        g.current_user = db.session.get(User, user_id) if user_id else None
+    return g.current_user
+
+def user_to_dict(user):
+    return {
+        "id": user.id,
+        "username": user.username,
+        "display_name": user.display_name,
+        "is_admin": user.is_admin
+    }
+
+def project_role(user, project_id):
+    """
+    The user's role in a project, or None without access. Requirements outside
+    any project (project_id None) are only reachable for site admins.
+    """
+    if user is None:
+        return None
+    if user.is_admin:
+        return 'admin'
+    if project_id is None:
+        return None
+    member = ProjectMember.query.filter_by(project_id=project_id, user_id=user.id).first()
+    return member.role if member else None
+
+def has_role(role, required):
+    return role in PROJECT_ROLES and PROJECT_ROLES.index(role) >= PROJECT_ROLES.index(required)
+
+def accessible_project_ids(user):
+    """Subquery of the projects a (non-admin) user is a member of."""
+    return db.session.query(ProjectMember.project_id).filter(ProjectMember.user_id == user.id)
+
+def require_project_role(project_id, required):
+    """Raise PermissionError unless the current user holds `required` in the project."""
+    if not has_role(project_role(current_user(), project_id), required):
+        raise PermissionError(f"You need the {required} role in this project")
+
+# Returned by a project resolver when the request doesn't name a project it can
+# find; the route then answers 400/404 itself, or checks access on its own
+UNRESOLVED = object()
+
+def requires_role(role=None, project_of=None):
+    """
+    Route guard. The caller must be logged in and, when `project_of` resolves the
+    project the request is about, hold at least `role` there (a dict maps HTTP
+    methods to roles). Answers 401 without a login and 403 without the role.
+    """
+    def decorator(view):
+        @wraps(view)
+        def guarded(*args, **kwargs):
+            user = current_user()
+            if user is None:
+                return jsonify({"error": "Please log in"}), 401
+            required = role.get(request.method) if isinstance(role, dict) else role
+            if required and project_of is not None:
+                project_id = project_of(**kwargs)
+                if project_id is not UNRESOLVED and not has_role(project_role(user, project_id), required):
+                    return jsonify({"error": f"You need the {required} role in this project"}), 403
+            return view(*args, **kwargs)
+        return guarded
+    return decorator
+
+# Project resolvers for requires_role, one per way routes name their project
+def project_in_url(project_id, **_):
+    return project_id
+
+def project_of_requirement(req_id=None, **_):
+    requirement = db.session.get(Requirement, req_id) if req_id else None
+    return requirement.project_id if requirement else UNRESOLVED
+
+def project_of_link(link_id, **_):
+    link = db.session.get(RequirementLink, link_id)
+    return project_of_requirement(link.source_id) if link else UNRESOLVED
+
+def project_of_comment(comment_id, **_):
+    comment = db.session.get(RequirementComment, comment_id)
+    return project_of_requirement(comment.requirement_id) if comment else UNRESOLVED
+
+def project_of_view(view_id, **_):
+    view = db.session.get(SavedView, view_id)
+    return view.project_id if view else UNRESOLVED
+
+def project_of_document(document_id, **_):
+    document = db.session.get(SourceDocument, document_id)
+    return document.project_id if document else UNRESOLVED
+
+def project_of_job(job_id, **_):
+    job = db.session.get(AnalysisJob, job_id)
+    return job.project_id if job else UNRESOLVED
+
+def project_in_form(**_):
+    return request.form.get('project_id', type=int) or UNRESOLVED
+
+def project_in_body(**_):
+    """
+    `project_id` of a JSON body, or of the `project` query parameter on GETs. GETs
+    without one are left to the route, which limits them to the user's projects.
+    """
+    if request.method == 'GET':
+        return request.args.get('project', type=int) or UNRESOLVED
+    return (request.get_json(silent=True) or {}).get('project_id')
+
+def requirement_in_body(**_):
+    data = request.get_json(silent=True) or {}
+    return project_of_requirement(data.get('requirementId'))
+
+# Workflow states are grouped by kind, so stats, bulk approve/reject and the Jira
+# push keep working whatever a project calls its states
+WORKFLOW_KINDS = ('draft', 'review', 'approved', 'rejected')
+MAX_WORKFLOW_STATES = 30
+HEX_COLOR_RE = re.compile(r"^#[0-9a-fA-F]{6}$")
+_DEFAULT_STATES = [
+    {"name": StatusEnum.DRAFT.value, "color": "#607d8b", "kind": "draft"},
+    {"name": StatusEnum.REVIEW.value, "color": "#ff9800", "kind": "review"},
+    {"name": StatusEnum.APPROVED.value, "color": "#4CAF50", "kind": "approved"},
+    {"name": StatusEnum.DISAPPROVED.value, "color": "#f44336", "kind": "rejected"},
+]
+DEFAULT_WORKFLOW = {
+    "initial": StatusEnum.REVIEW.value,
+    "states": _DEFAULT_STATES,
+    # Any state can follow any other, as before workflows were configurable
+    "transitions": [
+        {"from": a["name"], "to": b["name"]}
+        for a in _DEFAULT_STATES for b in _DEFAULT_STATES if a is not b
+    ]
+}
+
+class TransitionNotAllowed(ValueError):
+    pass
+
+def project_workflow(project):
+    """The project's workflow; projects without one (and unassigned requirements) use the default."""
+    if project is not None and project.workflow:
+        return json.loads(project.workflow)
+    return DEFAULT_WORKFLOW
+
+def workflow_state(workflow, name):
+    return next((state for state in workflow['states'] if state['name'] == name), None)
+
+def states_of_kind(workflow, kind):
+    return [state['name'] for state in workflow['states'] if state['kind'] == kind]
+
+def match_workflow_state(workflow, value):
+    """State named like `value`, ignoring case (for imported files), or None."""
+    wanted = str(value or '').strip().lower()
+    return next((state['name'] for state in workflow['states'] if state['name'].lower() == wanted), None)
+
+def check_transition(workflow, current, target):
+    """Raise ValueError for unknown states and TransitionNotAllowed for moves the workflow forbids."""
+    if workflow_state(workflow, target) is None:
+        raise ValueError(f"Invalid status: {target}")
+    # Requirements left in a state that was removed from the workflow may move anywhere
+    if current == target or workflow_state(workflow, current) is None:
+        return
+    if not any(t['from'] == current and t['to'] == target for t in workflow['transitions']):
+        raise TransitionNotAllowed(f"The workflow does not allow moving from '{current}' to '{target}'")
+
+# Moving a requirement into one of these kinds is a review decision
+REVIEW_KINDS = ('approved', 'rejected')
+
+def transition_role(workflow, target):
+    """Role needed to move a requirement into `target`."""
+    state = workflow_state(workflow, target)
+    return 'reviewer' if state and state['kind'] in REVIEW_KINDS else 'contributor'
+
+def set_status(requirement, workflow, target):
+    """Change the status, recording the current user as reviewer of review decisions."""
+    requirement.status = target
+    state = workflow_state(workflow, target)
+    if state and state['kind'] in REVIEW_KINDS:
+        requirement.reviewed_by = current_actor()
+        requirement.reviewed_at = datetime.now()
+    else:
+        requirement.reviewed_by = None
+        requirement.reviewed_at = None
+    # Rejecting or sending a requirement back starts a new approval round
+    if not state or state['kind'] != 'approved':
+        requirement.approval_votes = []
+
+# Approvals a requirement needs: the project's count, raised by any of its
+# categories that asks for more (e.g. two reviewers for Security items)
+MAX_REQUIRED_APPROVALS = 10
+DEFAULT_APPROVAL_POLICY = {"required": 1, "categories": {}}
+
+def project_approval_policy(project):
+    if project is not None and project.approval_policy:
+        return json.loads(project.approval_policy)
+    return DEFAULT_APPROVAL_POLICY
+
+def required_approvals(requirement):
+    policy = project_approval_policy(requirement.project)
+    per_category = {name.lower(): count for name, count in policy['categories'].items()}
+    categories = [c.strip().lower() for c in (requirement.categories or '').split(',') if c.strip()]
+    return max([policy['required']] + [per_category[c] for c in categories if c in per_category])
+
+def validate_approval_policy(data):
+    """Normalize a policy sent by the editor, raising ValueError on anything invalid."""
+    def count(value, what):
+        if isinstance(value, bool) or not isinstance(value, int) or not 1 <= value <= MAX_REQUIRED_APPROVALS:
+            raise ValueError(f"{what} must be a whole number between 1 and {MAX_REQUIRED_APPROVALS}")
+        return value
+
+    if not isinstance(data, dict):
+        raise ValueError("An approval policy is required")
+    categories = {}
+    for name, value in (data.get('categories') or {}).items():
+        name = str(name).strip()
+        if not name or len(name) > 50:
+            raise ValueError("Category names need between 1 and 50 characters")
+        categories[name] = count(value, f"Approvals for {name}")
+    return {"required": count(data.get('required', 1), "Required approvals"), "categories": categories}
+
+def approval_progress(requirement):
+    return {
+        "required": required_approvals(requirement),
+        "votes": [
+            {"user_id": vote.user_id, "reviewer": vote.reviewer, "created_at": vote.created_at.isoformat()}
+            for vote in requirement.approval_votes
+        ]
+    }
+
+def record_approval(requirement, workflow, target):
+    """Add the current user's vote; the requirement moves to `target` once enough reviewers approved."""
+    user = current_user()
+    if not any(vote.user_id == user.id for vote in requirement.approval_votes):
+        requirement.approval_votes.append(ApprovalVote(user_id=user.id, reviewer=user.display_name))
+    if len(requirement.approval_votes) >= required_approvals(requirement):
+        set_status(requirement, workflow, target)
+
+def set_requirement_text(requirement, text):
+    """Replace the text. Pending votes were cast on the old one, so they only stay once approved."""
+    if text != requirement.requirement and requirement.status not in states_of_kind(
+            project_workflow(requirement.project), 'approved'):
+        requirement.approval_votes = []
+    requirement.requirement = text
+
+def apply_transition(requirement, workflow, target):
+    """Move to `target` if the user's role allows; approvals only count as a vote until the policy is met."""
+    require_project_role(requirement.project_id, transition_role(workflow, target))
+    if workflow_state(workflow, target)['kind'] == 'approved':
+        record_approval(requirement, workflow, target)
+    else:
+        set_status(requirement, workflow, target)
+
+def transition_requirement(requirement, target):
+    """Apply a status change as far as the workflow and the user's role allow."""
+    workflow = project_workflow(requirement.project)
+    check_transition(workflow, requirement.status, target)
+    if requirement.status == target:
+        return
+    apply_transition(requirement, workflow, target)
+
+def transition_to_kind(requirement, kind):
+    """Move to the first state of a kind the workflow allows (bulk approve/reject)."""
+    workflow = project_workflow(requirement.project)
+    for name in states_of_kind(workflow, kind):
+        try:
+            check_transition(workflow, requirement.status, name)
+        except ValueError:
+            continue
+        apply_transition(requirement, workflow, name)
+        return
+    raise TransitionNotAllowed(f"No {kind} state can be reached from '{requirement.status}'")
+
+def status_names_of_kind(kind, projects=None):
+    """State names of a kind across the given projects (all by default), for stats queries."""
+    names = set(states_of_kind(DEFAULT_WORKFLOW, kind))
+    for project in projects if projects is not None else active_projects().all():
+        names.update(states_of_kind(project_workflow(project), kind))
+    return names
+
+def validate_workflow(data):
+    """Normalize a workflow sent by the editor, raising ValueError on anything invalid."""
+    if not isinstance(data, dict) or not isinstance(data.get('states'), list):
+        raise ValueError("A workflow needs a list of states")
+    if not 0 < len(data['states']) <= MAX_WORKFLOW_STATES:
+        raise ValueError(f"A workflow has between 1 and {MAX_WORKFLOW_STATES} states")
+
+    states = []
+    for state in data['states']:
+        name = str(state.get('name') or '').strip() if isinstance(state, dict) else ''
+        if not name or len(name) > 50:
+            raise ValueError("Every state needs a name of at most 50 characters")
+        if any(s['name'].lower() == name.lower() for s in states):
+            raise ValueError(f"Duplicate state: {name}")
+        color = state.get('color') or '#90a4ae'
+        if not HEX_COLOR_RE.match(color):
+            raise ValueError(f"Invalid color for {name}: {color}")
+        if state.get('kind') not in WORKFLOW_KINDS:
+            raise ValueError(f"The kind of {name} must be one of: {', '.join(WORKFLOW_KINDS)}")
+        states.append({"name": name, "color": color, "kind": state['kind']})
+
+    names = {state['name'] for state in states}
+    transitions = []
+    for transition in data.get('transitions') or []:
+        source, target = transition.get('from'), transition.get('to')
+        if source not in names or target not in names:
+            raise ValueError(f"Transition {source} → {target} refers to an unknown state")
+        if source != target and {"from": source, "to": target} not in transitions:
+            transitions.append({"from": source, "to": target})
+
+    initial = data.get('initial') or states[0]['name']
+    if initial not in names:
+        raise ValueError(f"Unknown initial state: {initial}")
+    return {"initial": initial, "states": states, "transitions": transitions}
+
+# Categories requirements are classified into. Each project can replace the
+# default set with its own; requirements store the names comma-separated.
+MAX_CATEGORIES = 30
+DEFAULT_CATEGORIES = [
+    {"name": name, "description": ""}
+    for name in ("Functional", "Non-Functional", "UI", "Security", "Performance")
+]
+
+def project_categories(project):
+    if project is not None and project.categories:
+        return json.loads(project.categories)
+    return DEFAULT_CATEGORIES
+
+def split_categories(value):
+    return [c.strip() for c in (value or '').split(',') if c.strip()]
+
+def check_new_categories(project, before, after):
+    """Categories added to a requirement must be in its project's set; ones it already had may stay."""
+    known = {category['name'].lower() for category in project_categories(project)}
+    old = {name.lower() for name in split_categories(before)}
+    for name in split_categories(after):
+        if name.lower() not in known and name.lower() not in old:
+            raise ValueError(f"Unknown category: {name}")
+
+def validate_categories(data):
+    """Normalize the categories sent by the editor, raising ValueError on anything invalid."""
+    if not isinstance(data, list) or not 0 < len(data) <= MAX_CATEGORIES:
+        raise ValueError(f"A project has between 1 and {MAX_CATEGORIES} categories")
+    categories = []
+    for category in data:
+        name = str(category.get('name') or '').strip() if isinstance(category, dict) else ''
+        if not name or len(name) > 50 or ',' in name:
+            raise ValueError("Every category needs a name of at most 50 characters, without commas")
+        if any(c['name'].lower() == name.lower() for c in categories):
+            raise ValueError(f"Duplicate category: {name}")
+        description = str(category.get('description') or '').strip()
+        if len(description) > 200:
+            raise ValueError(f"The description of {name} has at most 200 characters")
+        categories.append({"name": name, "description": description})
+    return categories
+
+# Extra fields a project defines for its requirements. Keys never change once
+# created, so relabelling a field keeps its stored values and filters working.
+CUSTOM_FIELD_TYPES = ('text', 'number', 'select', 'multi_select', 'date', 'user')
+MAX_CUSTOM_FIELDS = 30
+MAX_CUSTOM_OPTIONS = 50
+MAX_CUSTOM_TEXT = 500
+CUSTOM_FIELD_KEY_RE = re.compile(r"^[a-z][a-z0-9_]{0,39}$")
+
+def project_custom_fields(project):
+    if project is not None and project.custom_fields:
+        return json.loads(project.custom_fields)
+    return []
+
+def custom_field_key(label, taken):
+    """A key for a new field derived from its label, e.g. "Target release" -> target_release."""
+    base = re.sub(r"[^a-z0-9]+", "_", label.lower()).strip('_')[:32]
+    if not base or not base[0].isalpha():
+        base = f"field_{base}".rstrip('_')
+    key, n = base, 2
+    while key in taken:
+        key, n = f"{base}_{n}", n + 1
+    taken.add(key)
+    return key
+
+def validate_custom_fields(data):
+    """Normalize the fields sent by the editor, raising ValueError on anything invalid."""
+    if not isinstance(data, list):
+        raise ValueError("Custom fields must be a list")
+    if len(data) > MAX_CUSTOM_FIELDS:
+        raise ValueError(f"A project has at most {MAX_CUSTOM_FIELDS} custom fields")
+
+    taken = {field['key'] for field in data if isinstance(field, dict) and field.get('key')}
+    fields = []
+    for field in data:
+        label = str(field.get('label') or '').strip() if isinstance(field, dict) else ''
+        if not label or len(label) > 50:
+            raise ValueError("Every custom field needs a label of at most 50 characters")
+        if any(f['label'].lower() == label.lower() for f in fields):
+            raise ValueError(f"Duplicate custom field: {label}")
+        if field.get('type') not in CUSTOM_FIELD_TYPES:
+            raise ValueError(f"The type of {label} must be one of: {', '.join(CUSTOM_FIELD_TYPES)}")
+        key = field.get('key') or custom_field_key(label, taken)
+        if not CUSTOM_FIELD_KEY_RE.match(str(key)) or any(f['key'] == key for f in fields):
+            raise ValueError(f"Invalid key for {label}: {key}")
+
+        entry = {"key": key, "label": label, "type": field['type']}
+        if field['type'] in ('select', 'multi_select'):
+            options = []
+            for option in field.get('options') or []:
+                option = str(option).strip()
+                if len(option) > 100:
+                    raise ValueError(f"Options of {label} have at most 100 characters")
+                if option and option not in options:
+                    options.append(option)
+            if not 0 < len(options) <= MAX_CUSTOM_OPTIONS:
+                raise ValueError(f"{label} needs between 1 and {MAX_CUSTOM_OPTIONS} options")
+            entry['options'] = options
+        fields.append(entry)
+    return fields
+
+def custom_field_value(field, project_id, value):
+    """The stored form of a value of `field`, None when empty; raises ValueError if invalid."""
+    if value is None or value == '' or value == []:
+        return None
+    label, kind = field['label'], field['type']
+    if kind == 'text':
+        value = str(value).strip()
+        if len(value) > MAX_CUSTOM_TEXT:
+            raise ValueError(f"{label} has at most {MAX_CUSTOM_TEXT} characters")
+        return value or None
+    if kind == 'number':
+        try:
+            number = float(value) if not isinstance(value, bool) else math.nan
+        except (TypeError, ValueError):
+            number = math.nan
+        if not math.isfinite(number):
+            raise ValueError(f"{label} must be a number")
+        return int(number) if number.is_integer() else number
+    if kind == 'select':
+        if value not in field['options']:
+            raise ValueError(f"{value} is not an option of {label}")
+        return value
+    if kind == 'multi_select':
+        if not isinstance(value, list) or any(v not in field['options'] for v in value):
+            raise ValueError(f"{label} only takes its options")
+        return [option for option in field['options'] if option in value]
+    if kind == 'date':
+        try:
+            return datetime.strptime(str(value), '%Y-%m-%d').date().isoformat()
+        except ValueError:
+            raise ValueError(f"{label} must be a date (YYYY-MM-DD)")
+    # 'user' holds the ID of a project member
+    if not isinstance(value, int) or isinstance(value, bool) or not ProjectMember.query.filter_by(
+            project_id=project_id, user_id=value).first():
+        raise ValueError(f"{label} must be a member of the project")
+    return value
+
+def custom_values(requirement):
+    return json.loads(requirement.custom_values) if requirement.custom_values else {}
+
+def set_custom_values(requirement, project, values):
+    """Replace the custom field values of a requirement; fields left out or empty are cleared."""
+    if not isinstance(values, dict):
+        raise ValueError("custom_fields must be an object of values by field key")
+    fields = {field['key']: field for field in project_custom_fields(project)}
+    stored = custom_values(requirement)
+    cleaned = {}
+    for key, value in values.items():
+        if key not in fields:
+            raise ValueError(f"Unknown custom field: {key}")
+        # Unchanged values are kept as they are, e.g. a user who has since left the project
+        if key in stored and stored[key] == value:
+            cleaned[key] = value
+            continue
+        value = custom_field_value(fields[key], project.id, value)
+        if value is not None:
+            cleaned[key] = value
+    requirement.custom_values = json.dumps(cleaned) if cleaned else None
+
+def prune_custom_values(requirement, fields):
+    """Drop values of fields (or options) a project no longer has, e.g. after moving or editing fields."""
+    by_key = {field['key']: field for field in fields}
+    kept = {}
+    for key, value in custom_values(requirement).items():
+        field = by_key.get(key)
+        if not field:
+            continue
+        if field['type'] == 'select' and value not in field['options']:
+            continue
+        if field['type'] == 'multi_select':
+            value = [option for option in value if option in field['options']]
+        if value != []:
+            kept[key] = value
+    requirement.custom_values = json.dumps(kept) if kept else None
+
+def filter_custom_field(query, field, args):
+    """
+    Apply the list filters of a custom field: `cf_<key>` (repeatable) matches any
+    of the given options or members, or text containing it; number and date
+    fields take a `cf_<key>_min`/`cf_<key>_max` range instead.
+    """
+    key, kind = field['key'], field['type']
+    value = func.json_extract(Requirement.custom_values, f'$.{key}')
+    if kind in ('number', 'date'):
+        def bound(suffix):
+            raw = args.get(f'cf_{key}_{suffix}')
+            try:
+                return custom_field_value(field, None, raw)
+            except ValueError:
+                raise ValueError(f"Invalid {suffix} for {field['label']}: {raw}")
+
+        low, high = bound('min'), bound('max')
+        if low is not None:
+            query = query.filter(value >= low)
+        if high is not None:
+            query = query.filter(value <= high)
+        return query
+
+    wanted = [v for v in args.getlist(f'cf_{key}') if v]
+    if not wanted:
+        return query
+    if kind == 'text':
+        return query.filter(or_(*[value.ilike(f'%{w}%') for w in wanted]))
+    if kind == 'multi_select':
+        # Arrays come back as JSON text, so look for the quoted option
+        return query.filter(or_(*[func.instr(value, json.dumps(w)) > 0 for w in wanted]))
+    if kind == 'user':
+        try:
+            wanted = [int(w) for w in wanted]
+        except ValueError:
+            raise ValueError(f"Invalid member filter for {field['label']}")
+    return query.filter(value.in_(wanted))
+
+REVISION_FIELDS = ('requirement', 'categories', 'status', 'priority', 'complexity', 'estimated_time', 'author')
+
+def current_actor():
+    """Display name of the logged-in user, recorded as author and actor of changes."""
+    user = current_user()
+    return user.display_name if user else 'Anonymous'
+
+def snapshot_requirement(requirement):
+    snapshot = {field: getattr(requirement, field) for field in REVISION_FIELDS}
+    for field in ('priority', 'complexity'):
+        if snapshot[field] is not None:
+            snapshot[field] = snapshot[field].value
+    # Only present when set, so older revisions still compare equal
+    if requirement.custom_values:
+        snapshot['custom_fields'] = custom_values(requirement)
+    for field in ('acceptance_criteria', 'scenarios'):
+        if getattr(requirement, field):
+            snapshot[field] = getattr(requirement, field)
+    return snapshot
+
+def record_revision(requirement, change, before=None, actor=None, note=None):
+    """
+    Add a revision holding the requirement's current state; it is committed
+    together with the change. `before` is the state prior to the change and
+    becomes the first revision of requirements that predate the history.
+    No-op changes are not recorded.
+    """
+    after = snapshot_requirement(requirement)
+    latest = (
+        RequirementRevision.query.filter_by(requirement_id=requirement.id)
+        .order_by(RequirementRevision.id.desc())
+        .first()
+    )
+    if latest:
+        if json.loads(latest.snapshot) == after:
+            return
+    elif before is not None:
+        if before == after:
+            return
+        db.session.add(RequirementRevision(
+            requirement_id=requirement.id,
+            change='original',
+            actor=requirement.author or 'System',
+            snapshot=json.dumps(before),
+            created_at=requirement.ddate
+        ))
+
+    db.session.add(RequirementRevision(
+        requirement_id=requirement.id,
+        change=change,
+        actor=actor or current_actor(),
+        note=note,
+        snapshot=json.dumps(after)
+    ))
+
+# Near-duplicate detection. Texts are compared after normalization; the word-set
+# overlap is a cheap filter before the character-level SequenceMatcher ratio.
+DUPLICATE_THRESHOLD = 0.85
+DUPLICATE_PREFILTER = 0.5
+MIN_DUPLICATE_THRESHOLD = 0.5  # below this nearly every pair of a project matches
+MAX_DUPLICATE_PAIRS = 200
+
+def normalize_for_similarity(text):
+    text = re.sub(r'<[^>]+>', ' ', text or '')
+    text = re.sub(r'[^\w\s]', ' ', text.lower())
+    return re.sub(r'\s+', ' ', text).strip()
+
+def text_similarity(a, b, a_words=None, b_words=None):
+    """Similarity of two normalized texts between 0 and 1."""
+    if a == b:
+        return 1.0
+    a_words = a_words if a_words is not None else set(a.split())
+    b_words = b_words if b_words is not None else set(b.split())
+    if not a_words or not b_words:
+        return 0.0
+    overlap = len(a_words & b_words) / len(a_words | b_words)
+    if overlap < DUPLICATE_PREFILTER:
+        return overlap
+    return max(overlap, SequenceMatcher(None, a, b).ratio())
+
+def find_duplicate(project_id, text, exclude_id=None, threshold=DUPLICATE_THRESHOLD):
+    """Most similar active requirement of the project, as (requirement, score), or (None, 0)."""
+    normalized = normalize_for_similarity(text)
+    words = set(normalized.split())
+    best, best_score = None, 0.0
+    for candidate in active_requirements().filter_by(project_id=project_id).all():
+        if candidate.id == exclude_id:
+            continue
+        other = normalize_for_similarity(candidate.requirement)
+        score = text_similarity(normalized, other, words, set(other.split()))
+        if score > best_score:
+            best, best_score = candidate, score
+    return (best, round(best_score, 3)) if best_score >= threshold else (None, 0.0)
+
+def flag_duplicate(requirement):
+    """Mark a new requirement that repeats an existing one of its project."""
+    if not requirement.project_id:
+        return
+    original, score = find_duplicate(requirement.project_id, requirement.requirement, exclude_id=requirement.id)
+    if original:
+        requirement.duplicate_of = original.id
+        requirement.duplicate_score = score
+
+def revision_to_dict(revision, number):
+    return {
+        "id": revision.id,
+        "number": number,
+        "change": revision.change,
+        "actor": revision.actor,
+        "note": revision.note,
+        "created_at": revision.created_at.isoformat(),
+        "snapshot": json.loads(revision.snapshot)
+    }
+
+# Classification is CPU/GPU bound, so jobs run one at a time in a single worker
+job_executor = ThreadPoolExecutor(max_workers=1, thread_name_prefix='analysis-job')
+FINISHED_JOB_STATUSES = (JobStatusEnum.COMPLETED, JobStatusEnum.FAILED, JobStatusEnum.CANCELLED)
+
+def job_to_dict(job, include_requirements=False):
+    data = {
+        "id": job.id,
+        "project_id": job.project_id,
+        "kind": job.kind,
+        "file_name": job.file_name,
+        "status": job.status.value,
+        "total": job.total,
+        "processed": job.processed,
+        "created": job.created,
+        "errors": json.loads(job.errors or '[]'),
+        "message": job.message,
+        "created_at": job.created_at.isoformat(),
+        "started_at": job.started_at.isoformat() if job.started_at else None,
+        "finished_at": job.finished_at.isoformat() if job.finished_at else None
+    }
+    if include_requirements and job.status in FINISHED_JOB_STATUSES:
+        ids = json.loads(job.requirement_ids or '[]')
+        requirements = Requirement.query.filter(Requirement.id.in_(ids)).all() if ids else []
+        data["requirements"] = [requirement_to_dict(req) for req in requirements]
+    return data
+
+def start_requirement_job(project_id, kind, file_name, prepare, build):
+    """
+    Queue a background job that turns items into requirements.
+
+    `prepare()` returns the list of items (it may do slow work such as text
+    extraction); `build(item)` returns an unsaved Requirement without an ID, or
+    raises ValueError to record the item as skipped. Both run in the worker.
+    """
+    job = AnalysisJob(id=uuid.uuid4().hex, project_id=project_id, kind=kind, file_name=file_name)
+    db.session.add(job)
+    db.session.commit()
+    job_executor.submit(run_requirement_job, job.id, project_id, prepare, build, current_actor())
+    return job
+
+def run_requirement_job(job_id, project_id, prepare, build, actor):
+    with app.app_context():
+        job = db.session.get(AnalysisJob, job_id)
+        try:
+            if job.cancel_requested:
+                job.status = JobStatusEnum.CANCELLED
+                job.finished_at = datetime.now()
+                db.session.commit()
+                return
+
+            job.status = JobStatusEnum.RUNNING
+            job.started_at = datetime.now()
+            db.session.commit()
+
+            items = prepare()
+            job.total = len(items)
+            initial_status = project_workflow(db.session.get(Project, project_id))['initial']
+            db.session.commit()
+
+            # Counted up locally; rescanning the project's IDs per item made big imports quadratic
+            sequence = last_requirement_sequence(project_id)
+            errors = []
+            requirement_ids = []
+            for index, item in enumerate(items, start=1):
+                db.session.refresh(job)  # pick up cancel requests from other requests
+                if job.cancel_requested:
+                    job.status = JobStatusEnum.CANCELLED
+                    break
+
+                try:
+                    requirement = build(item)
+                    sequence += 1
+                    if db.session.get(Requirement, f"p{project_id}_r{sequence}"):
+                        # Someone added a requirement to the project while the job ran
+                        sequence = last_requirement_sequence(project_id) + 1
+                    requirement.id = f"p{project_id}_r{sequence}"
+                    requirement.project_id = project_id
+                    requirement.status = requirement.status or initial_status
+                    flag_duplicate(requirement)
+                    db.session.add(requirement)
+                    record_revision(requirement, 'created', actor=actor)
+                    requirement_ids.append(requirement.id)
+                    job.created = len(requirement_ids)
+                except (ValueError, OverflowError) as e:
+                    errors.append({"item": index, "error": str(e)})
+                except Exception as e:
+                    logging.error(f"Job {job_id} item {index} failed: {str(e)}")
+                    errors.append({"item": index, "error": "Failed to process item"})
+
+                job.processed = index
+                job.errors = json.dumps(errors)
+                job.requirement_ids = json.dumps(requirement_ids)
+                db.session.commit()
+            else:
+                job.status = JobStatusEnum.COMPLETED
+
+            job.finished_at = datetime.now()
+            db.session.commit()
+        except Exception as e:
+            db.session.rollback()
+            logging.error(f"Job {job_id} failed: {str(e)}", exc_info=True)
+            job = db.session.get(AnalysisJob, job_id)
+            job.status = JobStatusEnum.FAILED
+            job.message = str(e) if isinstance(e, ValueError) else "Job failed unexpectedly"
+            job.finished_at = datetime.now()
+            db.session.commit()
+        finally:
+            db.session.remove()
+
+# Account Endpoints
+USERNAME_RE = re.compile(r"^[A-Za-z0-9_.\-]{3,50}$")
+MIN_PASSWORD_LENGTH = 8
+
+def log_in(user):
+    session.clear()
+    session.permanent = True
+    session['user_id'] = user.id
+
+@app.route('/api/auth/register', methods=['POST'])
+@limiter.limit("10 per hour")
+def register():
+    """Create a local account and log it in. The first account becomes site admin."""
+    data = request.get_json() or {}
+    username = (data.get('username') or '').strip()
+    password = data.get('password') or ''
+    display_name = (data.get('display_name') or '').strip() or username
+
+    if not USERNAME_RE.match(username):
+        return jsonify({"error": "Usernames have 3 to 50 letters, digits, dots, dashes or underscores"}), 400
+    if len(password) < MIN_PASSWORD_LENGTH:
+        return jsonify({"error": f"Passwords need at least {MIN_PASSWORD_LENGTH} characters"}), 400
+    if len(display_name) > 100:
+        return jsonify({"error": "Display names are limited to 100 characters"}), 400
+    if User.query.filter(func.lower(User.username) == username.lower()).first():
+        return jsonify({"error": "This username is taken"}), 409
+
+    try:
+        user = User(
+            username=username,
+            display_name=display_name,
+            password_hash=generate_password_hash(password),
+            is_admin=User.query.count() == 0
+        )
+        db.session.add(user)
+        db.session.commit()
+        log_in(user)
+        return jsonify(user_to_dict(user)), 201
+    except Exception as e:
+        db.session.rollback()
+        logging.error(f"Error registering user: {str(e)}")
+        return jsonify({"error": "Failed to create account"}), 500
+
+@app.route('/api/auth/login', methods=['POST'])
+@limiter.limit("10 per minute")
+def login():
+    data = request.get_json() or {}
+    user = User.query.filter(func.lower(User.username) == (data.get('username') or '').strip().lower()).first()
+    if not user or not check_password_hash(user.password_hash, data.get('password') or ''):
+        return jsonify({"error": "Invalid username or password"}), 401
+    log_in(user)
+    return jsonify(user_to_dict(user))
+
+@app.route('/api/auth/logout', methods=['POST'])
+def logout():
+    session.clear()
+    return jsonify({"message": "Logged out"})
+
+@app.route('/api/auth/me', methods=['GET'])
+@limiter.exempt  # checked on every page load
+@requires_role()
+def get_current_user():
+    return jsonify(user_to_dict(current_user()))
+
+def project_members(project_id):
+    """Users with a role in the project, by display name."""
+    return (
+        ProjectMember.query.filter_by(project_id=project_id)
+        .join(User)
+        .order_by(func.lower(User.display_name))
+        .all()
+    )
+
+def member_to_dict(member):
+    return {**user_to_dict(member.user), "role": member.role}
+
+def ensure_admin_remains(project_id, member, new_role=None):
+    """Raise ValueError if the change would leave the project without an admin."""
+    if member.role != 'admin' or new_role == 'admin':
+        return
+    admins = ProjectMember.query.filter_by(project_id=project_id, role='admin').count()
+    if admins <= 1:
+        raise ValueError("A project needs at least one admin")
+
+@app.route('/api/projects/<int:project_id>/members', methods=['GET', 'POST'])
+@limiter.limit("50 per hour")
+@requires_role({'GET': 'viewer', 'POST': 'admin'}, project_in_url)
+def handle_project_members(project_id):
+    """GET lists the project's members with their roles; POST adds one by `username`."""
+    if not get_active_project(project_id):
+        return jsonify({"error": "Project not found"}), 404
+
+    if request.method == 'GET':
+        return jsonify([member_to_dict(member) for member in project_members(project_id)])
+
+    data = request.get_json() or {}
+    role = data.get('role') or 'viewer'
+    if role not in PROJECT_ROLES:
+        return jsonify({"error": f"The role must be one of: {', '.join(PROJECT_ROLES)}"}), 400
+    user = User.query.filter(func.lower(User.username) == (data.get('username') or '').strip().lower()).first()
+    if not user:
+        return jsonify({"error": "No account with this username"}), 404
+    if ProjectMember.query.filter_by(project_id=project_id, user_id=user.id).first():
+        return jsonify({"error": f"{user.display_name} is already a member"}), 409
+
+    try:
+        member = ProjectMember(project_id=project_id, user_id=user.id, role=role)
+        db.session.add(member)
+        db.session.commit()
+        return jsonify(member_to_dict(member)), 201
+    except Exception as e:
+        db.session.rollback()
+        logging.error(f"Error adding member: {str(e)}")
+        return jsonify({"error": "Failed to add member"}), 500
+
+@app.route('/api/projects/<int:project_id>/members/<int:user_id>', methods=['PUT', 'DELETE'])
+@limiter.limit("50 per hour")
+@requires_role('admin', project_in_url)
+def handle_project_member(project_id, user_id):
+    """PUT changes a member's `role`; DELETE removes the member from the project."""
+    member = ProjectMember.query.filter_by(project_id=project_id, user_id=user_id).first()
+    if not member:
+        return jsonify({"error": "Member not found"}), 404
+
+    try:
+        if request.method == 'DELETE':
+            ensure_admin_remains(project_id, member)
+            db.session.delete(member)
+            db.session.commit()
+            return jsonify({"message": "Member removed"})
+
+        role = (request.get_json() or {}).get('role')
+        if role not in PROJECT_ROLES:
+            return jsonify({"error": f"The role must be one of: {', '.join(PROJECT_ROLES)}"}), 400
+        ensure_admin_remains(project_id, member, role)
+        member.role = role
+        db.session.commit()
+        return jsonify(member_to_dict(member))
+    except ValueError as e:
+        return jsonify({"error": str(e)}), 409
+    except Exception as e:
+        db.session.rollback()
+        logging.error(f"Error updating member: {str(e)}")
+        return jsonify({"error": "Failed to update member"}), 500
+
 # Project Endpoints
 @app.route('/api/projects', methods=['GET', 'POST'])
 @limiter.limit("50 per hour")
+@requires_role()
 def handle_projects():
+    user = current_user()
     if request.method == 'GET':
         try:
-            projects = Project.query.all()
+            # Everyone sees the projects they are a member of, with their role there
+            projects = active_projects()
+            roles = {}
+            if not user.is_admin:
+                projects = projects.filter(Project.id.in_(accessible_project_ids(user)))
+                roles = dict(db.session.query(ProjectMember.project_id, ProjectMember.role).filter_by(user_id=user.id))
             return jsonify([{
                 "id": project.id,
                 "name": project.name,
                 "description": project.description,  # Add this line
                 "hourly_rate": project.hourly_rate,
                 "created_at": project.created_at.isoformat(),
-                "requirements_count": len(project.requirements)
-            } for project in projects])
+                "requirements_count": sum(1 for req in project.requirements if req.deleted_at is None),
+                "workflow": project_workflow(project),
+                "custom_fields": project_custom_fields(project),
+                "categories": project_categories(project),
+                "role": 'admin' if user.is_admin else roles.get(project.id)
+            } for project in projects.all()])
         except Exception as e:
             logging.error(f"Error fetching projects: {str(e)}")
             return jsonify({"error": "Failed to fetch projects"}), 500
@@ -360,11 +2153,18 @@ def handle_projects():
                 description=data.get('description', '')  # Add this line
             )
             db.session.add(new_project)
+            db.session.flush()
+            # Whoever creates a project administers it
+            db.session.add(ProjectMember(project_id=new_project.id, user_id=user.id, role='admin'))
             db.session.commit()
             return jsonify({
                 "id": new_project.id,
                 "name": new_project.name,
                 "description": new_project.description,
+                "workflow": project_workflow(new_project),
+                "custom_fields": [],
+                "categories": DEFAULT_CATEGORIES,
+                "role": 'admin',
                 "message": "Project created successfully"
             }), 201
         except Exception as e:
@@ -373,12 +2173,19 @@ def handle_projects():
         
 @app.route('/api/projects/<int:project_id>/requirements', methods=['DELETE'])
 @limiter.limit("50 per hour")
+@requires_role('admin', project_in_url)
 def delete_all_requirements(project_id):
     try:
-        # Delete all requirements for the project
-        Requirement.query.filter_by(project_id=project_id).delete()
+        # Move all requirements of the project to the trash; the IDs let the client undo
+        requirements = active_requirements().filter_by(project_id=project_id).all()
+        deleted_at = datetime.now()
+        for req in requirements:
+            req.deleted_at = deleted_at
         db.session.commit()
-        return jsonify({"message": "All requirements deleted successfully"}), 200
+        return jsonify({
+            "message": "All requirements moved to the trash",
+            "ids": [req.id for req in requirements]
+        }), 200
     except Exception as e:
         db.session.rollback()
         logging.error(f"Error deleting requirements: {str(e)}")
@@ -386,10 +2193,11 @@ def delete_all_requirements(project_id):
 
 @app.route('/api/projects/<int:project_id>', methods=['PUT'])
 @limiter.limit("50 per hour")
+@requires_role('admin', project_in_url)
 def rename_project(project_id):
     try:
         data = request.get_json()
-        project = Project.query.get(project_id)
+        project = get_active_project(project_id)
         if not project:
             return jsonify({"error": "Project not found"}), 404
         
@@ -416,69 +2224,528 @@ def rename_project(project_id):
         logging.error(f"Error updating project: {str(e)}")
         return jsonify({"error": "Failed to update project"}), 500
 
-@app.route('/api/projects/<int:project_id>', methods=['DELETE'])
+@app.route('/api/projects/<int:project_id>/workflow', methods=['GET', 'PUT'])
 @limiter.limit("50 per hour")
-def delete_project(project_id):
+@requires_role({'GET': 'viewer', 'PUT': 'admin'}, project_in_url)
+def handle_project_workflow(project_id):
+    """
+    A project's workflow: states (name, color, kind), the initial state and the
+    allowed transitions. Removing or renaming a state in use needs a `remap`
+    from the old name to a new one, which moves its requirements along.
+    """
+    project = get_active_project(project_id)
+    if not project:
+        return jsonify({"error": "Project not found"}), 404
+
+    # Trashed requirements count too, so restoring them never brings back an unknown state
+    usage = dict(
+        db.session.query(Requirement.status, func.count(Requirement.id))
+        .filter(Requirement.project_id == project_id)
+        .group_by(Requirement.status)
+        .all()
+    )
+    if request.method == 'GET':
+        return jsonify({"workflow": project_workflow(project), "usage": usage})
+
+    data = request.get_json() or {}
     try:
-        project = Project.query.get(project_id)
-        if not project:
-            return jsonify({"error": "Project not found"}), 404
+        workflow = validate_workflow(data)
+    except ValueError as e:
+        return jsonify({"error": str(e)}), 400
 
-        # Delete all requirements for the project
-        Requirement.query.filter_by(project_id=project_id).delete()
+    names = {state['name'] for state in workflow['states']}
+    remap = data.get('remap') or {}
+    if any(target not in names for target in remap.values()):
+        return jsonify({"error": "Requirements can only be moved to states of the new workflow"}), 400
+    orphaned = {status: count for status, count in usage.items() if status not in names and status not in remap}
+    if orphaned:
+        return jsonify({
+            "error": "Some removed states are still in use; choose where their requirements go",
+            "in_use": orphaned
+        }), 409
 
-        # Delete the project
-        db.session.delete(project)
+    try:
+        project.workflow = json.dumps(workflow)
+        moved = Requirement.query.filter(
+            Requirement.project_id == project_id,
+            Requirement.status.in_([old for old in remap if old in usage])
+        ).all()
+        for requirement in moved:
+            before = snapshot_requirement(requirement)
+            requirement.status = remap[requirement.status]
+            record_revision(requirement, 'status', before=before, note="Workflow changed")
         db.session.commit()
-        return jsonify({"message": "Project and its requirements deleted successfully"}), 200
+        return jsonify({"workflow": workflow, "moved": len(moved)})
     except Exception as e:
         db.session.rollback()
-        logging.error(f"Error deleting project: {str(e)}")
-        return jsonify({"error": "Failed to delete project"}), 500
-    
-@app.route('/api/projects/<int:project_id>/requirements', methods=['GET', 'POST'])
+        logging.error(f"Error updating workflow: {str(e)}")
+        return jsonify({"error": "Failed to update workflow"}), 500
+
+@app.route('/api/projects/<int:project_id>/approval-policy', methods=['GET', 'PUT'])
 @limiter.limit("50 per hour")
-def handle_project_requirements(project_id):
-    project = Project.query.get(project_id)
+@requires_role({'GET': 'viewer', 'PUT': 'admin'}, project_in_url)
+def handle_approval_policy(project_id):
+    """
+    How many reviewers must approve a requirement before it becomes approved:
+    `required` for every requirement, and `categories` raising it for some.
+    """
+    project = get_active_project(project_id)
     if not project:
         return jsonify({"error": "Project not found"}), 404
 
+    reviewers = ProjectMember.query.filter(
+        ProjectMember.project_id == project_id,
+        ProjectMember.role.in_(('reviewer', 'admin'))
+    ).count()
     if request.method == 'GET':
-        try:
-            requirements = Requirement.query.filter_by(project_id=project_id).all()
-            return jsonify([{
-                "id": req.id,
-                "requirement": req.requirement,
-                "categories": req.categories,
-                "status": req.status.value,
-                "priority": req.priority.value,
-                "complexity": req.complexity.value,
-                "estimated_time": req.estimated_time,
-                "author": req.author,
-                "date": req.ddate.isoformat()
-            } for req in requirements])
-        except Exception as e:
-            logging.error(f"Error fetching project requirements: {str(e)}")
-            return jsonify({"error": "Failed to fetch project requirements"}), 500
-        
-    elif request.method == 'POST':
-        try:
-            data = request.get_json()
+        return jsonify({"policy": project_approval_policy(project), "reviewers": reviewers})
 
-            # Validate required fields
-            if not data.get('requirement'):
-                return jsonify({"error": "Requirement text is required"}), 400
+    try:
+        policy = validate_approval_policy(request.get_json())
+    except ValueError as e:
+        return jsonify({"error": str(e)}), 400
 
-            # Clean the requirement text
-            cleaned = clean_text(data['requirement'])
+    try:
+        project.approval_policy = json.dumps(policy)
+        db.session.commit()
+        return jsonify({"policy": policy, "reviewers": reviewers})
+    except Exception as e:
+        db.session.rollback()
+        logging.error(f"Error updating approval policy: {str(e)}")
+        return jsonify({"error": "Failed to update approval policy"}), 500
 
-            # Classify the requirement using AI
-            classification = classifier(cleaned, candidate_labels)
-            categories = ', '.join(classification['labels'][:3])
+@app.route('/api/projects/<int:project_id>/categories', methods=['GET', 'PUT'])
+@limiter.limit("50 per hour")
+@requires_role({'GET': 'viewer', 'PUT': 'admin'}, project_in_url)
+def handle_project_categories(project_id):
+    """
+    The categories a project's requirements are classified into, each with an
+    optional description the classifier uses as a hint. `rename` maps old names
+    to new ones and updates the requirements and the approval policy along.
+    Removed categories stay on the requirements that already have them.
+    """
+    project = get_active_project(project_id)
+    if not project:
+        return jsonify({"error": "Project not found"}), 404
 
-            # Validate and set status, priority, and complexity
-            status = data.get('status', 'Review')
-            if status not in [e.value for e in StatusEnum]:
+    requirements = Requirement.query.filter_by(project_id=project_id).all()
+    usage = {}
+    for requirement in requirements:
+        for name in split_categories(requirement.categories):
+            usage[name] = usage.get(name, 0) + 1
+    if request.method == 'GET':
+        return jsonify({"categories": project_categories(project), "usage": usage})
+
+    data = request.get_json() or {}
+    try:
+        categories = validate_categories(data.get('categories'))
+    except ValueError as e:
+        return jsonify({"error": str(e)}), 400
+    names = {category['name'] for category in categories}
+    rename = {old: new for old, new in (data.get('rename') or {}).items() if old != new}
+    if any(new not in names for new in rename.values()):
+        return jsonify({"error": "Categories can only be renamed to categories of the new set"}), 400
+
+    try:
+        project.categories = json.dumps(categories)
+        renamed = {old.lower(): new for old, new in rename.items()}
+        moved = 0
+        for requirement in requirements:
+            before_names = split_categories(requirement.categories)
+            after_names = []
+            for name in before_names:
+                name = renamed.get(name.lower(), name)
+                if name not in after_names:
+                    after_names.append(name)
+            if after_names != before_names:
+                before = snapshot_requirement(requirement)
+                requirement.categories = ', '.join(after_names)
+                record_revision(requirement, 'edited', before=before, note="Category renamed")
+                moved += 1
+        if renamed:
+            policy = project_approval_policy(project)
+            counts = {}
+            for name, count in policy['categories'].items():
+                name = renamed.get(name.lower(), name)
+                counts[name] = max(count, counts.get(name, 0))
+            project.approval_policy = json.dumps({**policy, "categories": counts})
+        db.session.commit()
+        return jsonify({"categories": categories, "renamed": moved})
+    except Exception as e:
+        db.session.rollback()
+        logging.error(f"Error updating categories: {str(e)}")
+        return jsonify({"error": "Failed to update categories"}), 500
+
+@app.route('/api/projects/<int:project_id>/quality-rules', methods=['GET', 'PUT'])
+@limiter.limit("50 per hour")
+@requires_role({'GET': 'viewer', 'PUT': 'admin'}, project_in_url)
+def handle_quality_rules(project_id):
+    """
+    The quality checks applied to a project's requirements, each with whether it
+    is on. PUT takes `{rule_id: bool}` and rescores the project's requirements.
+    """
+    project = get_active_project(project_id)
+    if not project:
+        return jsonify({"error": "Project not found"}), 404
+
+    def rules_response():
+        enabled = project_quality_rules(project)
+        return jsonify([
+            {"id": rule, "label": info['label'], "description": info['description'], "enabled": enabled[rule]}
+            for rule, info in QUALITY_RULES.items()
+        ])
+
+    if request.method == 'GET':
+        return rules_response()
+
+    data = request.get_json()
+    if not isinstance(data, dict) or any(rule not in QUALITY_RULES for rule in data):
+        return jsonify({"error": f"Rules are switched by ID: {', '.join(QUALITY_RULES)}"}), 400
+    if any(not isinstance(enabled, bool) for enabled in data.values()):
+        return jsonify({"error": "Each rule is either on (true) or off (false)"}), 400
+
+    try:
+        project.quality_rules = json.dumps({**project_quality_rules(project), **data})
+        for requirement in Requirement.query.filter_by(project_id=project_id):
+            score_requirement(requirement, project)
+        db.session.commit()
+        return rules_response()
+    except Exception as e:
+        db.session.rollback()
+        logging.error(f"Error updating quality rules: {str(e)}")
+        return jsonify({"error": "Failed to update quality rules"}), 500
+
+@app.route('/api/projects/<int:project_id>/scenarios/draft', methods=['POST'])
+@limiter.limit("20 per hour")
+@requires_role('contributor', project_in_url)
+def draft_project_scenarios(project_id):
+    """
+    AI-drafted Gherkin scenarios for a requirement text and its optional
+    `acceptance_criteria`. Nothing is saved; the user edits the draft first.
+    """
+    if not get_active_project(project_id):
+        return jsonify({"error": "Project not found"}), 404
+    data = request.get_json() or {}
+    text = clean_text(data.get('requirement') or '')
+    if not text:
+        return jsonify({"error": "Requirement text is required"}), 400
+    try:
+        criteria = clean_criteria(data.get('acceptance_criteria'))
+    except ValueError as e:
+        return jsonify({"error": str(e)}), 400
+
+    try:
+        return jsonify({"scenarios": draft_scenarios(text, criteria)})
+    except ValueError as e:
+        # The model's answer wasn't Gherkin
+        logging.error(f"Error drafting scenarios: {str(e)}")
+        return jsonify({"error": f"Could not draft scenarios: {str(e)}"}), 502
+    except Exception as e:
+        logging.error(f"Error drafting scenarios: {str(e)}")
+        return jsonify({"error": "Failed to draft scenarios"}), 500
+
+@app.route('/api/projects/<int:project_id>/scenarios.feature', methods=['GET'])
+@limiter.limit("50 per hour")
+@requires_role('viewer', project_in_url)
+def export_project_scenarios(project_id):
+    """The scenarios of the project's requirements as a Gherkin .feature file."""
+    project = get_active_project(project_id)
+    if not project:
+        return jsonify({"error": "Project not found"}), 404
+    requirements = (
+        active_requirements()
+        .filter(Requirement.project_id == project_id, Requirement.scenarios.isnot(None))
+        .order_by(Requirement.ddate)
+        .all()
+    )
+    if not requirements:
+        return jsonify({"error": "No requirement of this project has scenarios yet"}), 404
+    name = werkzeug.utils.secure_filename(project.name.lower()) or f"project_{project_id}"
+    return send_file(
+        io.BytesIO(feature_file(project, requirements).encode('utf-8')),
+        mimetype='text/plain',
+        as_attachment=True,
+        download_name=f"{name}.feature"
+    )
+
+@app.route('/api/projects/<int:project_id>/custom-fields', methods=['GET', 'PUT'])
+@limiter.limit("50 per hour")
+@requires_role({'GET': 'viewer', 'PUT': 'admin'}, project_in_url)
+def handle_custom_fields(project_id):
+    """
+    Extra fields of the project's requirements: `key`, `label`, `type` and, for
+    selects, `options`. New fields get a key from their label; removing a field
+    or option also removes its values from the requirements.
+    """
+    project = get_active_project(project_id)
+    if not project:
+        return jsonify({"error": "Project not found"}), 404
+    if request.method == 'GET':
+        return jsonify(project_custom_fields(project))
+
+    try:
+        fields = validate_custom_fields(request.get_json())
+    except ValueError as e:
+        return jsonify({"error": str(e)}), 400
+    previous = {field['key']: field for field in project_custom_fields(project)}
+    for field in fields:
+        if field['key'] in previous and previous[field['key']]['type'] != field['type']:
+            return jsonify({"error": f"The type of {field['label']} can't change; add a new field instead"}), 400
+
+    try:
+        project.custom_fields = json.dumps(fields) if fields else None
+        # Trashed requirements too, so restoring them never brings back stale values
+        for requirement in Requirement.query.filter(
+                Requirement.project_id == project_id, Requirement.custom_values.isnot(None)):
+            prune_custom_values(requirement, fields)
+        db.session.commit()
+        return jsonify(fields)
+    except Exception as e:
+        db.session.rollback()
+        logging.error(f"Error updating custom fields: {str(e)}")
+        return jsonify({"error": "Failed to update custom fields"}), 500
+
+@app.route('/api/projects/<int:project_id>', methods=['DELETE'])
+@limiter.limit("50 per hour")
+@requires_role('admin', project_in_url)
+def delete_project(project_id):
+    try:
+        project = get_active_project(project_id)
+        if not project:
+            return jsonify({"error": "Project not found"}), 404
+
+        # The project goes to the trash; its requirements are hidden with it
+        project.deleted_at = datetime.now()
+        db.session.commit()
+        return jsonify({"message": "Project moved to the trash"}), 200
+    except Exception as e:
+        db.session.rollback()
+        logging.error(f"Error deleting project: {str(e)}")
+        return jsonify({"error": "Failed to delete project"}), 500
+    
+def trashed_project_to_dict(project):
+    return {
+        "id": project.id,
+        "name": project.name,
+        "description": project.description,
+        "hourly_rate": project.hourly_rate,
+        "deleted_at": project.deleted_at.isoformat(),
+        "requirements_count": sum(1 for req in project.requirements if req.deleted_at is None)
+    }
+
+@app.route('/api/projects/trash', methods=['GET'])
+@limiter.limit("50 per hour")
+@requires_role()
+def get_trashed_projects():
+    try:
+        # Only the admins of a project can restore or purge it
+        user = current_user()
+        query = Project.query.filter(Project.deleted_at.isnot(None))
+        if not user.is_admin:
+            query = query.filter(Project.id.in_(
+                db.session.query(ProjectMember.project_id).filter_by(user_id=user.id, role='admin')
+            ))
+        projects = query.order_by(Project.deleted_at.desc()).all()
+        return jsonify([trashed_project_to_dict(project) for project in projects])
+    except Exception as e:
+        logging.error(f"Error fetching trashed projects: {str(e)}")
+        return jsonify({"error": "Failed to fetch trashed projects"}), 500
+
+@app.route('/api/projects/<int:project_id>/restore', methods=['POST'])
+@limiter.limit("50 per hour")
+@requires_role('admin', project_in_url)
+def restore_project(project_id):
+    project = Project.query.get(project_id)
+    if not project or project.deleted_at is None:
+        return jsonify({"error": "Project is not in the trash"}), 404
+    try:
+        project.deleted_at = None
+        db.session.commit()
+        return jsonify({
+            "id": project.id,
+            "name": project.name,
+            "description": project.description,
+            "hourly_rate": project.hourly_rate,
+            "created_at": project.created_at.isoformat(),
+            "workflow": project_workflow(project),
+            "custom_fields": project_custom_fields(project),
+            "categories": project_categories(project),
+            "role": project_role(current_user(), project.id)
+        })
+    except Exception as e:
+        db.session.rollback()
+        logging.error(f"Error restoring project: {str(e)}")
+        return jsonify({"error": "Failed to restore project"}), 500
+
+@app.route('/api/projects/<int:project_id>/purge', methods=['DELETE'])
+@limiter.limit("50 per hour")
+@requires_role('admin', project_in_url)
+def purge_project(project_id):
+    """Permanently delete a project that is already in the trash, with its requirements and jobs."""
+    project = Project.query.get(project_id)
+    if not project or project.deleted_at is None:
+        return jsonify({"error": "Project is not in the trash"}), 404
+    try:
+        requirement_ids = db.session.query(Requirement.id).filter_by(project_id=project_id)
+        RequirementRevision.query.filter(
+            RequirementRevision.requirement_id.in_(requirement_ids)
+        ).delete(synchronize_session=False)
+        RequirementLink.query.filter(
+            RequirementLink.source_id.in_(requirement_ids) | RequirementLink.target_id.in_(requirement_ids)
+        ).delete(synchronize_session=False)
+        RequirementComment.query.filter(
+            RequirementComment.requirement_id.in_(requirement_ids)
+        ).delete(synchronize_session=False)
+        ApprovalVote.query.filter(
+            ApprovalVote.requirement_id.in_(requirement_ids)
+        ).delete(synchronize_session=False)
+        Requirement.query.filter_by(project_id=project_id).delete()
+        AnalysisJob.query.filter_by(project_id=project_id).delete()
+        ProjectMember.query.filter_by(project_id=project_id).delete()
+        SavedView.query.filter_by(project_id=project_id).delete()
+        documents = SourceDocument.query.filter_by(project_id=project_id).all()
+        # Requirements moved to other projects before may still point at these
+        forget_sources([document.id for document in documents])
+        for document in documents:
+            db.session.delete(document)
+        db.session.delete(project)
+        db.session.commit()
+        for document in documents:
+            remove_document_file(document)
+        return jsonify({"message": "Project deleted permanently"})
+    except Exception as e:
+        db.session.rollback()
+        logging.error(f"Error purging project: {str(e)}")
+        return jsonify({"error": "Failed to delete project"}), 500
+
+def trashed_requirements(project_id, ids=None):
+    query = Requirement.query.filter(
+        Requirement.project_id == project_id,
+        Requirement.deleted_at.isnot(None)
+    )
+    if ids is not None:
+        query = query.filter(Requirement.id.in_(ids))
+    return query
+
+def requested_trash_ids():
+    """The `ids` a trash request is limited to, or None for the whole trash. Raises ValueError."""
+    data = request.get_json(silent=True) or {}
+    ids = data.get('ids') if isinstance(data, dict) else None
+    if ids is not None and not (isinstance(ids, list) and all(isinstance(req_id, str) for req_id in ids)):
+        raise ValueError("ids must be a list of requirement IDs")
+    return ids
+
+@app.route('/api/projects/<int:project_id>/trash', methods=['GET', 'DELETE'])
+@limiter.limit("50 per hour")
+@requires_role({'GET': 'viewer', 'DELETE': 'admin'}, project_in_url)
+def handle_project_trash(project_id):
+    """
+    GET lists the requirements in the project's trash, newest first.
+    DELETE empties the trash, or only the requirements listed in `ids`, for good.
+    """
+    if not get_active_project(project_id):
+        return jsonify({"error": "Project not found"}), 404
+
+    if request.method == 'GET':
+        try:
+            requirements = trashed_requirements(project_id).order_by(Requirement.deleted_at.desc()).all()
+            return jsonify([
+                {**requirement_to_dict(req), "deleted_at": req.deleted_at.isoformat()}
+                for req in requirements
+            ])
+        except Exception as e:
+            logging.error(f"Error fetching trash: {str(e)}")
+            return jsonify({"error": "Failed to fetch trash"}), 500
+
+    try:
+        ids = requested_trash_ids()
+    except ValueError as e:
+        return jsonify({"error": str(e)}), 400
+
+    try:
+        query = trashed_requirements(project_id, ids)
+        trashed_ids = query.with_entities(Requirement.id)
+        RequirementRevision.query.filter(
+            RequirementRevision.requirement_id.in_(trashed_ids)
+        ).delete(synchronize_session=False)
+        RequirementLink.query.filter(
+            RequirementLink.source_id.in_(trashed_ids) | RequirementLink.target_id.in_(trashed_ids)
+        ).delete(synchronize_session=False)
+        RequirementComment.query.filter(
+            RequirementComment.requirement_id.in_(trashed_ids)
+        ).delete(synchronize_session=False)
+        ApprovalVote.query.filter(
+            ApprovalVote.requirement_id.in_(trashed_ids)
+        ).delete(synchronize_session=False)
+        deleted = query.delete(synchronize_session=False)
+        db.session.commit()
+        return jsonify({"message": f"{deleted} requirements deleted permanently", "deleted": deleted})
+    except Exception as e:
+        db.session.rollback()
+        logging.error(f"Error emptying trash: {str(e)}")
+        return jsonify({"error": "Failed to empty trash"}), 500
+
+@app.route('/api/projects/<int:project_id>/trash/restore', methods=['POST'])
+@limiter.limit("50 per hour")
+@requires_role('contributor', project_in_url)
+def restore_requirements(project_id):
+    """Restore the requirements listed in `ids` from the trash, or all of them when omitted."""
+    if not get_active_project(project_id):
+        return jsonify({"error": "Project not found"}), 404
+
+    try:
+        ids = requested_trash_ids()
+    except ValueError as e:
+        return jsonify({"error": str(e)}), 400
+
+    try:
+        requirements = trashed_requirements(project_id, ids).all()
+        for req in requirements:
+            req.deleted_at = None
+        db.session.commit()
+        return jsonify({
+            "restored": len(requirements),
+            "requirements": [requirement_to_dict(req) for req in requirements]
+        })
+    except Exception as e:
+        db.session.rollback()
+        logging.error(f"Error restoring requirements: {str(e)}")
+        return jsonify({"error": "Failed to restore requirements"}), 500
+
+@app.route('/api/projects/<int:project_id>/requirements', methods=['GET', 'POST'])
+@limiter.limit("50 per hour")
+@requires_role({'GET': 'viewer', 'POST': 'contributor'}, project_in_url)
+def handle_project_requirements(project_id):
+    project = get_active_project(project_id)
+    if not project:
+        return jsonify({"error": "Project not found"}), 404
+
+    if request.method == 'GET':
+        try:
+            requirements = active_requirements().filter_by(project_id=project_id).all()
+            return jsonify([requirement_to_dict(req) for req in requirements])
+        except Exception as e:
+            logging.error(f"Error fetching project requirements: {str(e)}")
+            return jsonify({"error": "Failed to fetch project requirements"}), 500
+        
+    elif request.method == 'POST':
+        try:
+            data = request.get_json()
+
+            # Validate required fields
+            if not data.get('requirement'):
+                return jsonify({"error": "Requirement text is required"}), 400
+
+            # Clean the requirement text
+            cleaned = clean_text(data['requirement'])
+
+            # Classify the requirement into the project's categories using AI
+            categories = ', '.join(classify_categories(cleaned, project_categories(project)))
+
+            # Validate and set status, priority, and complexity
+            workflow = project_workflow(project)
+            status = data.get('status') or workflow['initial']
+            if not workflow_state(workflow, status):
                 return jsonify({"error": f"Invalid status: {status}"}), 400
 
             priority = data.get('priority', 'Medium')
@@ -494,22 +2761,27 @@ def handle_project_requirements(project_id):
                 id=generate_requirement_id(project_id),  # Generate a unique ID
                 requirement=cleaned,
                 categories=categories,
-                status=StatusEnum(status),
+                status=status,
                 priority=PriorityEnum(priority),
                 complexity=ComplexityEnum(complexity),
                 estimated_time=data.get('estimated_time', 4),
-                author=data.get('author', 'System'),
+                author=current_actor(),
                 ddate=datetime.now(),
                 project_id=project_id
             )
+            if data.get('custom_fields'):
+                set_custom_values(new_req, project, data['custom_fields'])
+            set_acceptance(new_req, data)
 
             # Add and commit the new requirement to the database
+            flag_duplicate(new_req)
             db.session.add(new_req)
+            record_revision(new_req, 'created')
             db.session.commit()
 
             # Return success response
             return jsonify({
-                "id": new_req.id,
+                **requirement_to_dict(new_req),
                 "message": "Requirement created and assigned to project successfully"
             }), 201
         
@@ -522,34 +2794,144 @@ def handle_project_requirements(project_id):
             logging.error(f"Unexpected error: {str(e)}")
             return jsonify({"error": "Failed to create requirement"}), 500
         
+def assign_requirement(requirement, project_id):
+    """
+    Move a requirement to another project. Shared by the assign route and the
+    bulk "move" action; raises ValueError/LookupError instead of committing.
+    """
+    if not project_id:
+        raise ValueError("Project ID is required")
+    project = get_active_project(project_id)
+    if not project:
+        raise LookupError("Project not found")
+    require_project_role(project_id, 'contributor')
+    requirement.project_id = project_id
+    requirement.project = project
+    # Statuses the new project's workflow doesn't know start over at its initial state
+    workflow = project_workflow(project)
+    if not workflow_state(workflow, requirement.status):
+        requirement.status = workflow['initial']
+    prune_custom_values(requirement, project_custom_fields(project))
+    # Source documents belong to a project, and the old one's may be deleted with it
+    requirement.source_document = None
+    for field, value in SOURCE_FIELDS_CLEARED.items():
+        setattr(requirement, field, value)
+
 @app.route('/api/requirements/<string:req_id>/assign', methods=['PATCH'])
 @limiter.limit("50 per hour")
+@requires_role('contributor', project_of_requirement)
 def assign_requirement_to_project(req_id):
-    requirement = Requirement.query.get(req_id)
+    requirement = get_active_requirement(req_id)
     if not requirement:
         return jsonify({"error": "Requirement not found"}), 404
 
     try:
         data = request.get_json()
         project_id = data.get('project_id')
-        if project_id:
-            project = Project.query.get(project_id)
-            if not project:
-                return jsonify({"error": "Project not found"}), 404
-            requirement.project_id = project_id
-            db.session.commit()
-            return jsonify({
-                "message": "Requirement assigned to project successfully",
-                "project_id": project_id
-            })
-        else:
-            return jsonify({"error": "Project ID is required"}), 400
+        assign_requirement(requirement, project_id)
+        db.session.commit()
+        return jsonify({
+            "message": "Requirement assigned to project successfully",
+            "project_id": project_id
+        })
+    except ValueError as e:
+        return jsonify({"error": str(e)}), 400
+    except LookupError as e:
+        return jsonify({"error": str(e)}), 404
+    except PermissionError as e:
+        return jsonify({"error": str(e)}), 403
     except Exception as e:
         db.session.rollback()
         return jsonify({"error": str(e)}), 500
 
+BULK_ACTIONS = ('approve', 'reject', 'status', 'delete', 'priority', 'complexity', 'add_category', 'move')
+MAX_BULK_ITEMS = 1000
+
+def apply_bulk_action(requirement, action, value):
+    if action == 'approve':
+        transition_to_kind(requirement, 'approved')
+    elif action == 'reject':
+        transition_to_kind(requirement, 'rejected')
+    elif action == 'status':
+        transition_requirement(requirement, value)
+    elif action == 'delete':
+        requirement.deleted_at = datetime.now()
+    elif action == 'priority':
+        requirement.priority = PriorityEnum(value)
+    elif action == 'complexity':
+        requirement.complexity = ComplexityEnum(value)
+    elif action == 'add_category':
+        categories = split_categories(requirement.categories)
+        if value not in categories:
+            check_new_categories(requirement.project, requirement.categories, value)
+            categories.append(value)
+        requirement.categories = ', '.join(categories)
+    elif action == 'move':
+        assign_requirement(requirement, value)
+
+@app.route('/api/requirements/bulk', methods=['POST'])
+@limiter.limit("50 per hour")
+@requires_role()  # checked per item
+def bulk_update_requirements():
+    """
+    Apply one action to many requirements. Each item is committed on its own,
+    so the response reports per item whether it succeeded or why it failed.
+    """
+    data = request.get_json() or {}
+    ids = data.get('ids')
+    action = data.get('action')
+    value = data.get('value')
+
+    if not isinstance(ids, list) or not ids:
+        return jsonify({"error": "A non-empty list of requirement IDs is required"}), 400
+    if len(ids) > MAX_BULK_ITEMS:
+        return jsonify({"error": f"At most {MAX_BULK_ITEMS} requirements can be changed at once"}), 400
+    if action not in BULK_ACTIONS:
+        return jsonify({"error": f"Unknown action: {action}"}), 400
+    if action in ('status', 'priority', 'complexity', 'add_category', 'move') and not value:
+        return jsonify({"error": f"A value is required for {action}"}), 400
+    if action == 'priority' and value not in [e.value for e in PriorityEnum]:
+        return jsonify({"error": "Invalid priority"}), 400
+    if action == 'complexity' and value not in [e.value for e in ComplexityEnum]:
+        return jsonify({"error": "Invalid complexity"}), 400
+    if action == 'add_category':
+        value = str(value).strip()
+
+    results = []
+    for req_id in ids:
+        requirement = get_active_requirement(req_id)
+        if not requirement:
+            results.append({"id": req_id, "ok": False, "error": "Requirement not found"})
+            continue
+        try:
+            require_project_role(requirement.project_id, 'contributor')
+            before = snapshot_requirement(requirement)
+            apply_bulk_action(requirement, action, value)
+            if action != 'delete':
+                record_revision(requirement, 'status' if action in ('approve', 'reject', 'status') else 'edited',
+                                before=before, note=f"Bulk {action.replace('_', ' ')}")
+            db.session.commit()
+            results.append({"id": req_id, "ok": True, "status": requirement.status,
+                            "approvals": approval_progress(requirement)})
+        except (ValueError, LookupError, PermissionError) as e:
+            db.session.rollback()
+            results.append({"id": req_id, "ok": False, "error": str(e)})
+        except Exception as e:
+            db.session.rollback()
+            logging.error(f"Bulk {action} failed for {req_id}: {str(e)}")
+            results.append({"id": req_id, "ok": False, "error": f"Failed to {action.replace('_', ' ')}"})
+
+    return jsonify({
+        "action": action,
+        "value": value,
+        "succeeded": sum(1 for r in results if r["ok"]),
+        "failed": sum(1 for r in results if not r["ok"]),
+        "results": results
+    })
+
 @app.route('/api/upload', methods=['POST'])
 @limiter.limit("50 per hour")
+@requires_role()
 def upload_file():
     if 'file' not in request.files:
         return jsonify({'error': 'No file part'}), 400
@@ -571,6 +2953,7 @@ def upload_file():
 
 @app.route("/api/analyze", methods=["POST"])
 @limiter.limit("50 per hour")
+@requires_role('contributor', project_in_form)
 def analyze_file():
     if 'file' not in request.files:
         return jsonify({"error": "No file uploaded"}), 400
@@ -588,135 +2971,414 @@ def analyze_file():
         return jsonify({"error": "Project ID is required"}), 400
 
     # Check if the project exists
-    project = Project.query.get(project_id)
+    project = get_active_project(project_id)
     if not project:
         return jsonify({"error": "Project not found"}), 404
 
-    # Process the file and create requirements
-    file_path = None
+    # Extraction and classification run in the background; the file is kept as the
+    # project's source document, or removed if nothing could be extracted
     try:
-        filename = werkzeug.utils.secure_filename(file.filename)
-        file_path = os.path.join(UPLOAD_DIR, filename)
-        file.save(file_path)
-
-        if filename.endswith(".pdf"):
-            text = extract_text(file_path)
-        else:
-            with open(file_path, 'r', encoding='utf-8') as f:
-                text = f.read()
+        filename, file_path = save_uploaded_file(file)
+    except Exception as e:
+        logging.error(f"File upload error: {e}")
+        return jsonify({"error": "File upload failed"}), 500
 
-        if not text.strip():
-            return jsonify({"error": "No text extracted from file"}), 500
+    metadata = {}
+    anchor = {}
+    document_project_id = project.id  # the job thread can't use this request's session
+    uploader = current_actor()
+    categories = project_categories(project)
 
-        metadata = extract_metadata(text)
-        requirements = []
-        sentences = text.split('.')  # Simple sentence splitting
-
-        # Get the highest existing sequence number for the project first
-        last_requirement = (
-            Requirement.query.filter_by(project_id=project_id)
-            .order_by(Requirement.id.desc())
-            .first()
+    def prepare():
+        try:
+            text = extract_file_text(file_path, filename)
+            if not text.strip():
+                raise ValueError("No text extracted from file")
+            anchor.update(source_anchor(store_source_document(document_project_id, filename, file_path, text)))
+        finally:
+            if os.path.exists(file_path):
+                os.remove(file_path)
+        metadata.update(extract_metadata(text))
+        return split_sentences(text)
+
+    def build(sentence):
+        attributes = classify_requirement_text(sentence['text'], categories=categories)
+        requirement = Requirement(
+            requirement=sentence['text'],
+            categories=attributes['categories'],
+            priority=attributes['priority'],
+            complexity=attributes['complexity'],
+            estimated_time=attributes['estimated_time'],
+            author=metadata['author'] or uploader,
+            ddate=metadata['date']
         )
-        
-        if last_requirement:
-            # Extract the sequence number from the last requirement ID
-            last_sequence = int(last_requirement.id.split('_r')[-1])
-        else:
-            last_sequence = 0
+        set_requirement_source(requirement, anchor, sentence['start'], sentence['end'])
+        return requirement
 
-        for sent in sentences:
-            cleaned = clean_text(sent)
-            if len(cleaned.split()) < 3:
-                continue
+    job = start_requirement_job(project.id, 'analyze', filename, prepare, build)
+    return jsonify({
+        "job": job_to_dict(job),
+        "project_id": project.id,
+        "project_name": project.name
+    }), 202
 
-            try:
-                # Generate sequential IDs locally
-                last_sequence += 1
-                requirement_id = f"p{project_id}_r{last_sequence}"
-
-                # Classify the requirement
-                classification = zero_shot_pipeline(cleaned, candidate_labels)
-                categories = ', '.join(classification['labels'][:3])
-
-                # Predict priority
-                priority_result = zero_shot_pipeline(
-                    cleaned, 
-                    candidate_labels=priority_labels,
-                    hypothesis_template="This requirement has {} priority."
-                )
-                priority = PriorityEnum(priority_result['labels'][0].split()[0])
+@app.route("/api/analyze/preview", methods=["POST"])
+@limiter.limit("50 per hour")
+@requires_role('contributor', project_in_form)
+def preview_file():
+    """
+    Extract candidate requirements from a file without classifying or saving them,
+    so they can be reviewed (merged, split, edited, discarded) before commit.
+    With a project_id the file is kept as a source document of that project, and
+    its ID is passed back with the reviewed candidates so they stay traceable.
+    """
+    if 'file' not in request.files:
+        return jsonify({"error": "No file uploaded"}), 400
 
-                # Predict complexity
-                complexity_result = zero_shot_pipeline(
-                    cleaned,
-                    candidate_labels=complexity_labels,
-                    hypothesis_template="This requirement has {} complexity."
-                )
-                complexity = ComplexityEnum(complexity_result['labels'][0])
-
-                # Predict estimated time
-                estimated_time = predict_estimated_time(cleaned, complexity.value, priority.value)
-                if not estimated_time:
-                    estimated_time = 4  # Default fallback value
-
-                # Create the requirement
-                requirement = Requirement(
-                    id=requirement_id,
-                    requirement=cleaned,
-                    categories=categories,
-                    status=StatusEnum.REVIEW,
-                    priority=priority,
-                    complexity=complexity,
-                    estimated_time=estimated_time,
-                    author=metadata['author'],
-                    ddate=metadata['date'],
-                    project_id=project_id
-                )
+    file = request.files['file']
+    if not file or file.filename == '':
+        return jsonify({"error": "No selected file"}), 400
 
-                db.session.add(requirement)
-                requirements.append({
-                    "id": requirement.id,
-                    "requirement": cleaned,
-                    "categories": categories,
-                    "status": requirement.status.value,
-                    "priority": requirement.priority.value,
-                    "complexity": requirement.complexity.value,
-                    "estimated_time": estimated_time,
-                    "author": requirement.author,
-                    "date": requirement.ddate.isoformat()
-                })
+    if not allowed_file(file.filename):
+        return jsonify({"error": "Invalid file type"}), 400
 
-            except Exception as e:
-                logging.error(f"Error processing requirement: {str(e)}")
-                continue  # Skip this requirement but continue with others
+    project = None
+    if request.form.get('project_id'):
+        project = get_active_project(request.form['project_id'])
+        if not project:
+            return jsonify({"error": "Project not found"}), 404
 
-        db.session.commit()
-        
-        # Clean up the uploaded file
-        if file_path and os.path.exists(file_path):
-            os.remove(file_path)
+    file_path = None
+    try:
+        filename, file_path = save_uploaded_file(file)
+        text = extract_file_text(file_path, filename)
+
+        if not text.strip():
+            return jsonify({"error": "No text extracted from file"}), 422
+
+        metadata = extract_metadata(text)
+        candidates = split_sentences(text)
+        document = store_source_document(project.id, filename, file_path, text) if project else None
 
         return jsonify({
-            "requirements": requirements,
-            "total": len(requirements),
-            "project_id": project_id,
-            "project_name": project.name
+            "file_name": filename,
+            "document_id": document.id if document else None,
+            "source_text": text,
+            "metadata": {
+                "author": metadata['author'],
+                "date": metadata['date'].isoformat()
+            },
+            "candidates": candidates,
+            "total": len(candidates)
         })
+    except Exception as e:
+        logging.error(f"Preview error: {str(e)}", exc_info=True)
+        return jsonify({"error": "Failed to extract requirements from file"}), 500
+    finally:
+        if file_path and os.path.exists(file_path):
+            os.remove(file_path)
+
+@app.route('/api/projects/<int:project_id>/requirements/batch', methods=['POST'])
+@limiter.limit("50 per hour")
+@requires_role('contributor', project_in_url)
+def commit_requirements(project_id):
+    """Queue a job that classifies and saves a reviewed list of requirement texts."""
+    project = get_active_project(project_id)
+    if not project:
+        return jsonify({"error": "Project not found"}), 404
+
+    data = request.get_json() or {}
+    items = data.get('requirements')
+    if not isinstance(items, list) or not items:
+        return jsonify({"error": "A non-empty 'requirements' list is required"}), 400
+
+    author = data.get('author') or current_actor()
+    categories = project_categories(project)
+    try:
+        ddate = dparser.parse(data['date']) if data.get('date') else datetime.now()
+    except (ValueError, OverflowError):
+        return jsonify({"error": f"Invalid date: {data['date']}"}), 400
+
+    anchor = None
+    if data.get('document_id') is not None:
+        document = SourceDocument.query.filter_by(id=data['document_id'], project_id=project_id).first()
+        if not document:
+            return jsonify({"error": "Source document not found in this project"}), 400
+        anchor = source_anchor(document)
+
+    # Reviewed items may carry the [start, end) offsets of their passage in the source document
+    entries = [
+        (clean_text(item.get('requirement', '')), item.get('start'), item.get('end'))
+        if isinstance(item, dict) else (clean_text(str(item)), None, None)
+        for item in items
+    ]
 
+    def build(entry):
+        text, start, end = entry
+        if not text:
+            raise ValueError("Requirement text is empty")
+        attributes = classify_requirement_text(text, categories=categories)
+        requirement = Requirement(
+            requirement=text,
+            categories=attributes['categories'],
+            priority=attributes['priority'],
+            complexity=attributes['complexity'],
+            estimated_time=attributes['estimated_time'],
+            author=author,
+            ddate=ddate
+        )
+        set_requirement_source(requirement, anchor, start, end)
+        return requirement
+
+    try:
+        job = start_requirement_job(project_id, 'batch', data.get('file_name'), lambda: entries, build)
+        return jsonify({"job": job_to_dict(job)}), 202
     except Exception as e:
         db.session.rollback()
-        logging.error(f"Analysis error: {str(e)}", exc_info=True)
-        
-        # Clean up file if error occurred
+        logging.error(f"Batch create error: {str(e)}", exc_info=True)
+        return jsonify({"error": "Failed to queue requirements"}), 500
+    
+@app.route("/api/import/preview", methods=["POST"])
+@limiter.limit("50 per hour")
+@requires_role()
+def preview_import():
+    """Parse a CSV/XLSX/JSON export and suggest how its columns map to Requirement fields."""
+    if 'file' not in request.files:
+        return jsonify({"error": "No file uploaded"}), 400
+
+    file = request.files['file']
+    if not file or file.filename == '':
+        return jsonify({"error": "No selected file"}), 400
+
+    if not allowed_file(file.filename, STRUCTURED_EXTENSIONS):
+        return jsonify({"error": "Invalid file type"}), 400
+
+    file_path = None
+    try:
+        filename, file_path = save_uploaded_file(file)
+        columns, rows = parse_structured_file(file_path, filename)
+        if not rows:
+            return jsonify({"error": "No rows found in file"}), 422
+
+        return jsonify({
+            "file_name": filename,
+            "columns": columns,
+            "rows": rows,
+            "total": len(rows),
+            "suggested_mapping": guess_column_mapping(columns),
+            "fields": list(IMPORT_FIELD_ALIASES.keys()),
+            "ai_fields": list(AI_FIELDS)
+        })
+    except (ValueError, UnicodeDecodeError, csv.Error) as e:
+        return jsonify({"error": f"Could not read file: {str(e)}"}), 422
+    except Exception as e:
+        logging.error(f"Import preview error: {str(e)}", exc_info=True)
+        return jsonify({"error": "Failed to read file"}), 500
+    finally:
         if file_path and os.path.exists(file_path):
             os.remove(file_path)
-            
-        return jsonify({"error": "Failed to analyze file"}), 500
-    
+
+@app.route('/api/projects/<int:project_id>/requirements/import', methods=['POST'])
+@limiter.limit("50 per hour")
+@requires_role('contributor', project_in_url)
+def import_requirements(project_id):
+    """
+    Queue a job that creates requirements from mapped rows. `mapping` maps each Requirement
+    field to a column name, to "@ai" to let the classifier fill it, or to null to use the default.
+    """
+    project = get_active_project(project_id)
+    if not project:
+        return jsonify({"error": "Project not found"}), 404
+
+    data = request.get_json() or {}
+    rows = data.get('rows')
+    mapping = data.get('mapping') or {}
+
+    if not isinstance(rows, list) or not rows:
+        return jsonify({"error": "A non-empty 'rows' list is required"}), 400
+    if len(rows) > MAX_IMPORT_ROWS:
+        return jsonify({"error": f"Too many rows; the limit is {MAX_IMPORT_ROWS}"}), 400
+    if not mapping.get('requirement') or mapping['requirement'] == AI_MAPPING:
+        return jsonify({"error": "A column must be mapped to the requirement text"}), 400
+    unknown = set(mapping) - set(IMPORT_FIELD_ALIASES)
+    if unknown:
+        return jsonify({"error": f"Unknown fields in mapping: {', '.join(sorted(unknown))}"}), 400
+
+    ai_fields = [f for f in AI_FIELDS if mapping.get(f) == AI_MAPPING]
+    workflow = project_workflow(project)
+    categories = project_categories(project)
+    importer = current_actor()
+
+    def cell(row, field):
+        column = mapping.get(field)
+        if not column or column == AI_MAPPING:
+            return ''
+        return str(row.get(column) or '').strip()
+
+    def build(row):
+        text = clean_text(cell(row, 'requirement'))
+        if not text:
+            raise ValueError("Requirement text is empty")
+
+        values = {}
+        if cell(row, 'status'):
+            values['status'] = match_workflow_state(workflow, cell(row, 'status'))
+            if not values['status']:
+                raise ValueError(f"Invalid status: {cell(row, 'status')}")
+        if cell(row, 'priority'):
+            values['priority'] = coerce_enum(PriorityEnum, cell(row, 'priority'), PRIORITY_ALIASES)
+        if cell(row, 'complexity'):
+            values['complexity'] = coerce_enum(ComplexityEnum, cell(row, 'complexity'), COMPLEXITY_ALIASES)
+        if cell(row, 'estimated_time'):
+            values['estimated_time'] = max(1, round(float(cell(row, 'estimated_time'))))
+        if cell(row, 'categories'):
+            values['categories'] = ', '.join(
+                c.strip() for c in re.split(r'[,;|]', cell(row, 'categories')) if c.strip()
+            )
+
+        # Only run the passes for AI fields this row doesn't already have a value for
+        missing = [f for f in ai_fields if f not in values]
+        if missing:
+            values = classify_requirement_text(text, missing, values, categories)
+
+        return Requirement(
+            requirement=text,
+            categories=values.get('categories', ''),
+            status=values.get('status'),
+            priority=values.get('priority', PriorityEnum.MEDIUM),
+            complexity=values.get('complexity', ComplexityEnum.MODERATE),
+            estimated_time=values.get('estimated_time', 4),
+            author=cell(row, 'author') or importer,
+            ddate=dparser.parse(cell(row, 'date')) if cell(row, 'date') else datetime.now(),
+            external_id=cell(row, 'external_id')[:100] or None
+        )
+
+    try:
+        job = start_requirement_job(project_id, 'import', data.get('file_name'), lambda: rows, build)
+        return jsonify({"job": job_to_dict(job)}), 202
+    except Exception as e:
+        db.session.rollback()
+        logging.error(f"Import error: {str(e)}", exc_info=True)
+        return jsonify({"error": "Failed to queue import"}), 500
+
+@app.route('/api/jobs/<string:job_id>', methods=['GET'])
+@limiter.exempt  # polled while a job runs
+@requires_role('viewer', project_of_job)
+def get_job(job_id):
+    job = db.session.get(AnalysisJob, job_id)
+    if not job:
+        return jsonify({"error": "Job not found"}), 404
+    return jsonify(job_to_dict(job, include_requirements=True))
+
+@app.route('/api/jobs/<string:job_id>/cancel', methods=['POST'])
+@limiter.limit("50 per hour")
+@requires_role('contributor', project_of_job)
+def cancel_job(job_id):
+    job = db.session.get(AnalysisJob, job_id)
+    if not job:
+        return jsonify({"error": "Job not found"}), 404
+    if job.status in FINISHED_JOB_STATUSES:
+        return jsonify({"error": f"Job is already {job.status.value}"}), 409
+
+    # The worker stops before the next item; already saved requirements are kept
+    job.cancel_requested = True
+    db.session.commit()
+    return jsonify(job_to_dict(job))
+
+@app.route('/api/projects/<int:project_id>/jobs', methods=['GET'])
+@limiter.exempt  # polled while jobs run
+@requires_role('viewer', project_in_url)
+def list_project_jobs(project_id):
+    limit = min(request.args.get('limit', 20, type=int), 100)
+    jobs = (
+        AnalysisJob.query.filter_by(project_id=project_id)
+        .order_by(AnalysisJob.created_at.desc())
+        .limit(limit)
+        .all()
+    )
+    return jsonify([job_to_dict(job) for job in jobs])
+
+@app.route('/api/projects/<int:project_id>/documents', methods=['GET'])
+@limiter.limit("50 per hour")
+@requires_role('viewer', project_in_url)
+def list_project_documents(project_id):
+    if not get_active_project(project_id):
+        return jsonify({"error": "Project not found"}), 404
+    documents = (
+        SourceDocument.query.filter_by(project_id=project_id)
+        .order_by(SourceDocument.created_at.desc())
+        .all()
+    )
+    return jsonify([document_to_dict(document) for document in documents])
+
+@app.route('/api/documents/<int:document_id>/file', methods=['GET'])
+@limiter.limit("50 per hour")
+@requires_role('viewer', project_of_document)
+def download_document(document_id):
+    document = db.session.get(SourceDocument, document_id)
+    if not document or not os.path.exists(document.stored_path):
+        return jsonify({"error": "Document not found"}), 404
+    return send_file(os.path.abspath(document.stored_path), download_name=document.file_name)
+
+@app.route('/api/documents/<int:document_id>', methods=['DELETE'])
+@limiter.limit("50 per hour")
+@requires_role('contributor', project_of_document)
+def delete_document(document_id):
+    """
+    Remove a stored document; requirements extracted from it lose their source.
+    Contributors can remove the ones nothing was saved from, like a discarded preview.
+    """
+    document = db.session.get(SourceDocument, document_id)
+    if not document:
+        return jsonify({"error": "Document not found"}), 404
+    try:
+        if Requirement.query.filter_by(source_document_id=document_id).first():
+            require_project_role(document.project_id, 'admin')
+        forget_sources([document_id])
+        db.session.delete(document)
+        db.session.commit()
+        remove_document_file(document)
+        return jsonify({"message": "Document deleted"})
+    except PermissionError:
+        return jsonify({"error": "Only project admins can delete a document requirements were saved from"}), 403
+    except Exception as e:
+        db.session.rollback()
+        logging.error(f"Error deleting document: {str(e)}")
+        return jsonify({"error": "Failed to delete document"}), 500
+
+@app.route('/api/requirements/<string:req_id>/source', methods=['GET'])
+@limiter.limit("50 per hour")
+@requires_role('viewer', project_of_requirement)
+def get_requirement_source(req_id):
+    """The passage a requirement was extracted from, with surrounding text for context."""
+    req = get_active_requirement(req_id)
+    if not req:
+        return jsonify({"error": "Requirement not found"}), 404
+    if not req.source_document_id:
+        return jsonify({"error": "No source recorded for this requirement"}), 404
+
+    context = max(100, min(request.args.get('context', SOURCE_CONTEXT_CHARS, type=int), 5000))
+    text = req.source_document.text.replace('\f', '\n')  # page breaks read as line breaks
+    start, end = req.source_start, req.source_end
+    before_start = max(0, start - context)
+    after_end = min(len(text), end + context)
+    return jsonify({
+        "requirement_id": req.id,
+        "document": document_to_dict(req.source_document),
+        "page": req.source_page,
+        "start": start,
+        "end": end,
+        "before": text[before_start:start],
+        "passage": text[start:end],
+        "after": text[end:after_end],
+        "more_before": before_start > 0,
+        "more_after": after_end < len(text)
+    })
+
 @app.route('/api/projects/<int:project_id>/requirements', methods=['POST'])
+@requires_role('contributor', project_in_url)
 def create_requirement(project_id):
-    project = Project.query.get(project_id)
+    project = get_active_project(project_id)
     if not project:
         return jsonify({"error": "Project not found"}), 404
 
@@ -727,9 +3389,13 @@ def create_requirement(project_id):
         if not data.get('requirement'):
             return jsonify({"error": "Requirement text is required"}), 400
 
-        # Call the AI model to classify the requirement
-        classification = classifier(data['requirement'], candidate_labels)
-        categories = ', '.join(classification['labels'][:3])  # Top 3 categories
+        workflow = project_workflow(project)
+        status = data.get('status') or workflow['initial']
+        if not workflow_state(workflow, status):
+            return jsonify({"error": f"Invalid status: {status}"}), 400
+
+        # Call the AI model to classify the requirement into the project's categories
+        categories = ', '.join(classify_categories(data['requirement'], project_categories(project)))
         # Predict priority using zero-shot classification
         priority_result = zero_shot_pipeline(
             data['requirement'], 
@@ -751,106 +3417,388 @@ def create_requirement(project_id):
             id=generate_requirement_id(project_id),  # Generate a unique ID
             requirement=data['requirement'],
             categories=categories,
-            status=StatusEnum(data.get('status', 'Review')),
+            status=status,
             priority=PriorityEnum(priority),
             complexity=ComplexityEnum(complexity),
             estimated_time=data.get('estimated_time', 4),
-            author=data.get('author', 'System'),
+            author=current_actor(),
             ddate=datetime.now(),
             project_id=project_id
         )
+        if data.get('custom_fields'):
+            set_custom_values(new_req, project, data['custom_fields'])
+        set_acceptance(new_req, data)
 
         # Add and commit the new requirement to the database
+        flag_duplicate(new_req)
         db.session.add(new_req)
+        record_revision(new_req, 'created')
         db.session.commit()
 
-        # Return success response
-        return jsonify({
-            "id": new_req.id,
-            "message": "Requirement created and assigned to project successfully"
-        }), 201
+        # Return success response
+        return jsonify({
+            "id": new_req.id,
+            "message": "Requirement created and assigned to project successfully"
+        }), 201
+
+    except ValueError as e:
+        db.session.rollback()
+        logging.error(f"ValueError: {str(e)}")
+        return jsonify({"error": str(e)}), 400
+    except Exception as e:
+        db.session.rollback()
+        logging.error(f"Unexpected error: {str(e)}")
+        return jsonify({"error": "Failed to create requirement"}), 500
+
+
+def scoped_requirements(project_id=None):
+    """Active requirements of the project, or of all the user's projects without one."""
+    query = active_requirements()
+    user = current_user()
+    if project_id:
+        query = query.filter_by(project_id=project_id)
+    elif not user.is_admin:
+        query = query.filter(Requirement.project_id.in_(accessible_project_ids(user)))
+    return query
+
+def kind_counts(query, projects=None):
+    """How many requirements in `query` are in an approved, review and rejected state."""
+    total, approved, in_review, disapproved = query.with_entities(
+        func.count(Requirement.id),
+        func.count(case((Requirement.status.in_(status_names_of_kind('approved', projects)), 1))),
+        func.count(case((Requirement.status.in_(status_names_of_kind('review', projects)), 1))),
+        func.count(case((Requirement.status.in_(status_names_of_kind('rejected', projects)), 1)))
+    ).one()
+    return {"total": total, "approved": approved, "inReview": in_review, "disapproved": disapproved}
+
+# Dashboard search language, e.g.
+#   status:Approved priority:High category:Security author:alice "single sign-on" -draft est:>8
+# Terms are ANDed unless joined with OR; NOT or a leading "-" negates, and
+# parentheses group. Bare words and quoted phrases match the text or categories.
+# Every value reaches SQL as a bound parameter.
+SEARCH_FIELDS = {
+    'status': 'status', 'priority': 'priority', 'complexity': 'complexity',
+    'category': 'category', 'cat': 'category', 'type': 'category',
+    'author': 'author', 'id': 'id', 'quality': 'quality', 'created': 'created',
+    'est': 'estimate', 'estimate': 'estimate', 'hours': 'estimate',
+}
+SEARCH_COMPARABLE = {'estimate', 'quality', 'created'}
+SEARCH_OPERATORS = ('>=', '<=', '>', '<', '=')
+MAX_SEARCH_LENGTH = 500
+MAX_SEARCH_DEPTH = 20
+SEARCH_TOKEN_RE = re.compile(r'''
+    (?P<space>\s+)
+  | (?P<lparen>\()
+  | (?P<rparen>\))
+  | (?P<minus>-(?=\())
+  | (?P<unclosed>-?(?:[A-Za-z_]+:(?:>=|<=|>|<|=)?)?"[^"]*$)
+  | (?P<term>
+        (?P<negated>-)?
+        (?:(?P<field>[A-Za-z_]+):(?P<op>>=|<=|>|<|=)?)?
+        (?:"(?P<quoted>(?:[^"\\]|\\.)*)"|(?P<word>[^\s()"]+))?
+    )
+''', re.VERBOSE)
+
+class SearchSyntaxError(ValueError):
+    """A search query that doesn't parse; `position` is the offset of the problem."""
+    def __init__(self, message, position):
+        super().__init__(f"{message} (at character {position + 1})")
+        self.position = position
+
+def tokenize_search(text):
+    tokens, position = [], 0
+    while position < len(text):
+        match = SEARCH_TOKEN_RE.match(text, position)
+        if not match or match.end() == position:
+            raise SearchSyntaxError("Unexpected character", position)
+        if match.group('unclosed'):
+            raise SearchSyntaxError("Missing closing quote", position)
+        if match.group('lparen') or match.group('rparen'):
+            tokens.append((match.lastgroup, None, position))
+        elif match.group('minus'):
+            tokens.append(('NOT', None, position))
+        elif match.group('term'):
+            word = match.group('word')
+            if word in ('AND', 'OR', 'NOT') and not match.group('field') and not match.group('negated'):
+                tokens.append((word, None, position))
+            else:
+                value = match.group('quoted')
+                value = re.sub(r'\\(.)', r'\1', value) if value is not None else word or ''
+                field = match.group('field')
+                if field is not None and field.lower() not in SEARCH_FIELDS:
+                    raise SearchSyntaxError(f"Unknown field \"{field}\"", position)
+                tokens.append(('term', {
+                    "field": SEARCH_FIELDS[field.lower()] if field else None,
+                    "op": match.group('op') or '=',
+                    "value": value,
+                    "negated": bool(match.group('negated')),
+                }, position))
+        position = match.end()
+    return tokens
+
+def parse_search(text):
+    """
+    Syntax tree of a search query: ('and'|'or', [nodes]), ('not', node) or
+    ('term', {field, op, value}). Raises SearchSyntaxError.
+    """
+    if len(text) > MAX_SEARCH_LENGTH:
+        raise SearchSyntaxError(f"Searches can be at most {MAX_SEARCH_LENGTH} characters", MAX_SEARCH_LENGTH)
+    tokens = tokenize_search(text)
+    index = 0
+
+    def peek():
+        return tokens[index] if index < len(tokens) else (None, None, len(text))
+
+    def parse_or(depth):
+        nodes = [parse_and(depth)]
+        while peek()[0] == 'OR':
+            advance()
+            nodes.append(parse_and(depth))
+        return nodes[0] if len(nodes) == 1 else ('or', nodes)
+
+    def parse_and(depth):
+        nodes = [parse_unary(depth)]
+        while peek()[0] not in (None, 'OR', 'rparen'):
+            if peek()[0] == 'AND':
+                advance()
+            nodes.append(parse_unary(depth))
+        return nodes[0] if len(nodes) == 1 else ('and', nodes)
+
+    def parse_unary(depth):
+        if depth > MAX_SEARCH_DEPTH:
+            raise SearchSyntaxError("Search is nested too deeply", peek()[2])
+        kind, value, position = peek()
+        if kind == 'NOT':
+            advance()
+            return ('not', parse_unary(depth + 1))
+        if kind == 'lparen':
+            advance()
+            if peek()[0] == 'rparen':
+                raise SearchSyntaxError("Empty parentheses", position)
+            node = parse_or(depth + 1)
+            if peek()[0] != 'rparen':
+                raise SearchSyntaxError("Missing closing parenthesis", position)
+            advance()
+            return node
+        if kind == 'term':
+            advance()
+            term = ('term', {key: value[key] for key in ('field', 'op', 'value')}, position)
+            return ('not', term) if value['negated'] else term
+        if kind is None:
+            raise SearchSyntaxError("Search ends too early", position)
+        what = '")"' if kind == 'rparen' else kind
+        raise SearchSyntaxError(f"Unexpected {what}", position)
+
+    def advance():
+        nonlocal index
+        index += 1
+
+    if not tokens:
+        return None
+    tree = parse_or(0)
+    if peek()[0] is not None:
+        raise SearchSyntaxError("Unexpected \")\"", peek()[2])
+    return tree
+
+def escape_like(value):
+    return value.replace('\\', '\\\\').replace('%', '\\%').replace('_', '\\_')
+
+def search_term_condition(term, position):
+    field, op, value = term['field'], term['op'], term['value']
+    if op != '=' and field not in SEARCH_COMPARABLE:
+        raise SearchSyntaxError(f"{field or 'Text'} can't be compared with {op}", position)
+    if value == '':
+        raise SearchSyntaxError(f"{field or 'Search term'} needs a value", position)
+    contains = f"%{escape_like(value)}%"
+
+    if field is None:
+        return Requirement.requirement.ilike(contains, escape='\\') | \
+            Requirement.categories.ilike(contains, escape='\\')
+    if field == 'status':
+        return func.lower(func.coalesce(Requirement.status, '')) == value.lower()
+    if field in ('priority', 'complexity'):
+        enum, column = (PriorityEnum, Requirement.priority) if field == 'priority' else \
+            (ComplexityEnum, Requirement.complexity)
+        member = next((e for e in enum if e.value.lower() == value.lower()), None)
+        if member is None:
+            raise SearchSyntaxError(f"{field} is one of {', '.join(e.value for e in enum)}", position)
+        return column.isnot(None) & (column == member)
+    if field == 'category':
+        # Whole names only: "UI" shouldn't match "UI/UX"
+        names = db.literal(',').concat(func.replace(Requirement.categories, ', ', ',')).concat(',')
+        return names.ilike(f"%,{escape_like(value)},%", escape='\\')
+    if field == 'author':
+        return func.coalesce(Requirement.author, '').ilike(contains, escape='\\')
+    if field == 'id':
+        return func.lower(Requirement.id) == value.lower()
+    if field == 'quality' and value.lower() in QUALITY_BANDS:
+        if op != '=':
+            raise SearchSyntaxError("Compare quality with a score, e.g. quality:<50", position)
+        return Requirement.quality_score.between(*QUALITY_BANDS[value.lower()])
+
+    if field == 'created':
+        try:
+            day = datetime.strptime(value, '%Y-%m-%d')
+        except ValueError:
+            raise SearchSyntaxError("Dates are written YYYY-MM-DD", position)
+        next_day = day + timedelta(days=1)
+        column = Requirement.ddate
+        return {
+            '=': (column >= day) & (column < next_day),
+            '>': column >= next_day,
+            '>=': column >= day,
+            '<': column < day,
+            '<=': column < next_day,
+        }[op]
+
+    try:
+        number = int(value)
+    except ValueError:
+        raise SearchSyntaxError(f"{field} needs a whole number", position)
+    column = func.coalesce(Requirement.estimated_time if field == 'estimate' else Requirement.quality_score, 0)
+    return {
+        '=': column == number, '>': column > number, '>=': column >= number,
+        '<': column < number, '<=': column <= number,
+    }[op]
+
+def search_condition(node):
+    """SQL condition for a parsed search; raises SearchSyntaxError on invalid values."""
+    kind = node[0]
+    if kind == 'term':
+        return search_term_condition(node[1], node[2])
+    if kind == 'not':
+        return ~search_condition(node[1])
+    conditions = [search_condition(child) for child in node[1]]
+    return db.and_(*conditions) if kind == 'and' else or_(*conditions)
+
+
+def filtered_requirements(args):
+    """
+    Active requirements matching the Dashboard filters in `args` (search query,
+    type, status, complexity, priority, quality, open_discussion, custom fields),
+    within `project` or the user's projects. Returns (query, project_id); raises
+    ValueError (SearchSyntaxError for the search) on invalid filters.
+    """
+    search_query = args.get('search', '')
+    types = args.getlist('type')
+    statuses = args.getlist('status')
+    complexities = args.getlist('complexity')
+    priorities = args.getlist('priority')
+    qualities = args.getlist('quality')
+    project_id = args.get('project')
+    open_discussion = args.get('open_discussion', '').lower() == 'true'
+
+    # Validate project ID format if present
+    if project_id:
+        try:
+            project_id = int(project_id)
+        except ValueError:
+            raise ValueError("Invalid project ID format")
+
+    # Validate enum filters; statuses are free-form workflow state names
+    for priority in priorities:
+        if priority not in [e.value for e in PriorityEnum]:
+            raise ValueError(f"Invalid priority filter: {priority}")
+    for complexity in complexities:
+        if complexity not in [e.value for e in ComplexityEnum]:
+            raise ValueError(f"Invalid complexity filter: {complexity}")
+    for quality in qualities:
+        if quality not in QUALITY_BANDS:
+            raise ValueError(f"Invalid quality filter: {quality}")
+
+    query = scoped_requirements(project_id)
+
+    search_tree = parse_search(search_query)
+    if search_tree is not None:
+        query = query.filter(search_condition(search_tree))
+
+    if types:
+        type_filters = [Requirement.categories.ilike(f'%{t}%') for t in types]
+        query = query.filter(or_(*type_filters))
+
+    if statuses:
+        query = query.filter(Requirement.status.in_(statuses))
+
+    if complexities:
+        query = query.filter(Requirement.complexity.in_([ComplexityEnum(c) for c in complexities]))
+
+    if priorities:
+        query = query.filter(Requirement.priority.in_([PriorityEnum(p) for p in priorities]))
+
+    if qualities:
+        query = query.filter(or_(*[
+            Requirement.quality_score.between(*QUALITY_BANDS[quality]) for quality in qualities
+        ]))
+
+    if open_discussion:
+        query = query.filter(Requirement.open_comments > 0)
+
+    # Custom fields belong to a project, so they can only be filtered within one
+    if project_id:
+        for field in project_custom_fields(get_active_project(project_id)):
+            query = filter_custom_field(query, field, args)
+
+    return query, project_id
 
-    except ValueError as e:
-        db.session.rollback()
-        logging.error(f"ValueError: {str(e)}")
-        return jsonify({"error": str(e)}), 400
-    except Exception as e:
-        db.session.rollback()
-        logging.error(f"Unexpected error: {str(e)}")
-        return jsonify({"error": "Failed to create requirement"}), 500
+# Columns the requirement list sorts by; "-" in front of the key sorts descending
+REQUIREMENT_SORT_KEYS = ('id', 'priority', 'complexity', 'status', 'estimate', 'cost', 'author', 'date')
+MAX_PER_PAGE = 100
 
+def sort_requirements(query, sort, project=None):
+    """
+    `query` ordered by `sort`, e.g. "-priority". Priority and complexity sort by
+    level and status by the project's workflow order, not alphabetically.
+    """
+    descending = sort.startswith('-')
+    key = sort.lstrip('-')
+    if key not in REQUIREMENT_SORT_KEYS:
+        raise ValueError(f"Invalid sort: {sort}")
+
+    if key == 'priority':
+        column = case(*[(Requirement.priority == level, rank) for rank, level in
+                        enumerate((PriorityEnum.LOW, PriorityEnum.MEDIUM, PriorityEnum.HIGH))], else_=-1)
+    elif key == 'complexity':
+        column = case(*[(Requirement.complexity == level, rank) for rank, level in
+                        enumerate((ComplexityEnum.LOW, ComplexityEnum.MODERATE, ComplexityEnum.HIGH))], else_=-1)
+    elif key == 'status' and project is not None:
+        states = [state['name'] for state in project_workflow(project)['states']]
+        column = case(*[(Requirement.status == name, rank) for rank, name in enumerate(states)], else_=len(states))
+    elif key == 'id':
+        # By the number after "_r", so p1_r10 comes after p1_r9
+        column = db.cast(func.substr(Requirement.id, func.instr(Requirement.id, '_r') + 2), db.Integer)
+    elif key == 'cost':
+        hourly_rate = db.select(Project.hourly_rate).where(Project.id == Requirement.project_id).scalar_subquery()
+        column = func.coalesce(Requirement.estimated_time, 0) * func.coalesce(hourly_rate, 0)
+    else:
+        column = {
+            'status': Requirement.status,
+            'estimate': func.coalesce(Requirement.estimated_time, 0),
+            'author': func.lower(func.coalesce(Requirement.author, '')),
+            'date': Requirement.ddate,
+        }[key]
+
+    # The ID breaks ties so a page never repeats or skips a requirement
+    return query.order_by(column.desc() if descending else column.asc(),
+                          Requirement.id.desc() if descending else Requirement.id.asc())
 
 @app.route("/api/requirements", methods=["GET", "POST"])
 @limiter.limit("50 per hour")
+@requires_role({'GET': 'viewer', 'POST': 'contributor'}, project_in_body)
 def handle_requirements():
     if request.method == "GET":
         try:
-            search_query = request.args.get('search', '')
-            types = request.args.getlist('type')
-            statuses = request.args.getlist('status')
-            complexities = request.args.getlist('complexity')
-            priorities = request.args.getlist('priority')
-            project_id = request.args.get('project')
+            query, project_id = filtered_requirements(request.args)
             page = request.args.get('page', 1, type=int)
             per_page = request.args.get('per_page', 10, type=int)
+            per_page = min(max(per_page, 1), MAX_PER_PAGE)
 
-            # Validate project ID format if present
-            if project_id:
-                try:
-                    project_id = int(project_id)
-                except ValueError:
-                    return jsonify({"error": "Invalid project ID format"}), 400
-
-            # Validate enum filters
-            for status in statuses:
-                if status not in [e.value for e in StatusEnum]:
-                    raise ValueError(f"Invalid status filter: {status}")
-            for priority in priorities:
-                if priority not in [e.value for e in PriorityEnum]:
-                    raise ValueError(f"Invalid priority filter: {priority}")
-            for complexity in complexities:
-                if complexity not in [e.value for e in ComplexityEnum]:
-                    raise ValueError(f"Invalid complexity filter: {complexity}")
-
-            query = Requirement.query
-
-            # Apply project filter if ID is valid
-            if project_id:
-                query = query.filter_by(project_id=project_id)
-
-            if search_query:
-                query = query.filter(
-                    Requirement.requirement.ilike(f'%{search_query}%') |
-                    Requirement.categories.ilike(f'%{search_query}%')
-                )
-
-            if types:
-                type_filters = [Requirement.categories.ilike(f'%{t}%') for t in types]
-                query = query.filter(or_(*type_filters))
-
-            if statuses:
-                query = query.filter(Requirement.status.in_([StatusEnum(s) for s in statuses]))
-
-            if complexities:
-                query = query.filter(Requirement.complexity.in_([ComplexityEnum(c) for c in complexities]))
-
-            if priorities:
-                query = query.filter(Requirement.priority.in_([PriorityEnum(p) for p in priorities]))
-
-            # Calculate statistics
-            stats_query = query.with_entities(
-                func.count(Requirement.id),
-                func.count(case((Requirement.status == StatusEnum.APPROVED, 1))),
-                func.count(case((Requirement.status == StatusEnum.REVIEW, 1))),
-                func.count(case((Requirement.status == StatusEnum.DISAPPROVED, 1)))
-            ).one()
+            # Calculate statistics, counting workflow states by kind
+            stats_projects = [p for p in [get_active_project(project_id)] if p] if project_id else None
+            stats = kind_counts(query, stats_projects)
 
-            stats = {
-                "total": stats_query[0],
-                "approved": stats_query[1],
-                "inReview": stats_query[2],
-                "disapproved": stats_query[3]
-            }
+            sort = request.args.get('sort')
+            if sort:
+                query = sort_requirements(query, sort, stats_projects[0] if stats_projects else None)
 
             # Pagination
             pagination = query.paginate(
@@ -860,17 +3808,7 @@ def handle_requirements():
             )
 
             return jsonify({
-                "requirements": [{
-                    "id": req.id,
-                    "requirement": req.requirement,
-                    "categories": req.categories,
-                    "status": req.status.value,
-                    "priority": req.priority.value,
-                    "complexity": req.complexity.value,
-                    "estimated_time": req.estimated_time,
-                    "author": req.author,
-                    "date": req.ddate.isoformat()
-                } for req in pagination.items],
+                "requirements": [requirement_to_dict(req) for req in pagination.items],
                 "stats": stats,
                 "total": pagination.total,
                 "page": pagination.page,
@@ -892,11 +3830,17 @@ def handle_requirements():
             if 'requirement' not in data or not data['requirement'].strip():
                 return jsonify({"error": "Requirement text is required"}), 400
 
+            project_id = data.get('project_id')
+            project = get_active_project(project_id) if project_id else None
+            workflow = project_workflow(project)
+            status = data.get('status') or workflow['initial']
+            if not workflow_state(workflow, status):
+                return jsonify({"error": f"Invalid status: {status}"}), 400
+
             cleaned = clean_text(data['requirement'])
             
             # Classify requirement
-            classification = zero_shot_pipeline(cleaned, candidate_labels)
-            categories = ', '.join(classification['labels'][:3])
+            categories = ', '.join(classify_categories(cleaned, project_categories(project)))
 
             # Predict priority
             priority_result = zero_shot_pipeline(
@@ -915,7 +3859,6 @@ def handle_requirements():
             complexity = ComplexityEnum(complexity_result['labels'][0])
 
             # Generate requirement ID with project context
-            project_id = data.get('project_id')
             requirement_id = generate_requirement_id(project_id) if project_id else generate_requirement_id()
 
             # Create new requirement
@@ -923,16 +3866,21 @@ def handle_requirements():
                 id=requirement_id,
                 requirement=cleaned,
                 categories=categories,
-                status=StatusEnum(data.get('status', 'Review')),
+                status=status,
                 priority=priority,
                 complexity=complexity,
                 estimated_time=predict_estimated_time(cleaned, complexity.value, priority.value) or 4,
-                author=data.get('author', 'System'),
+                author=current_actor(),
                 ddate=datetime.now(),
                 project_id=project_id
             )
+            if data.get('custom_fields'):
+                set_custom_values(new_req, project, data['custom_fields'])
+            set_acceptance(new_req, data)
 
+            flag_duplicate(new_req)
             db.session.add(new_req)
+            record_revision(new_req, 'created')
             db.session.commit()
 
             return jsonify({
@@ -950,52 +3898,56 @@ def handle_requirements():
 
 @app.route("/api/requirements/<string:req_id>", methods=["GET", "PUT", "DELETE"])
 @limiter.limit("50 per hour")
+@requires_role({'GET': 'viewer', 'PUT': 'contributor', 'DELETE': 'contributor'}, project_of_requirement)
 def handle_single_requirement(req_id):
-    requirement = Requirement.query.get(req_id)
+    requirement = get_active_requirement(req_id)
     if not requirement:
         return jsonify({"error": "Requirement not found"}), 404
 
     if request.method == "GET":
-        return jsonify({
-            "id": requirement.id,
-            "requirement": requirement.requirement,
-            "categories": requirement.categories,
-            "status": requirement.status.value,
-            "priority": requirement.priority.value,
-            "complexity": requirement.complexity.value,
-            "estimated_time": requirement.estimated_time,
-            "author": requirement.author,
-            "date": requirement.ddate.isoformat()
-        })
+        return jsonify(requirement_to_dict(requirement))
     
     elif request.method == "PUT":
         try:
             data = request.get_json()
+            before = snapshot_requirement(requirement)
             if 'requirement' in data:
-                requirement.requirement = clean_text(data['requirement'])
+                set_requirement_text(requirement, clean_text(data['requirement']))
             if 'categories' in data:
+                check_new_categories(requirement.project, requirement.categories, data['categories'])
                 requirement.categories = data['categories']
             if 'status' in data:
-                requirement.status = StatusEnum(data['status'])
+                transition_requirement(requirement, data['status'])
             if 'priority' in data:
                 requirement.priority = PriorityEnum(data['priority'])
             if 'complexity' in data:
                 requirement.complexity = ComplexityEnum(data['complexity'])
             if 'estimated_time' in data:
                 requirement.estimated_time = int(data['estimated_time'])
-            if 'author' in data:
-                requirement.author = data['author']
-            
+            if 'custom_fields' in data:
+                set_custom_values(requirement, requirement.project, data['custom_fields'])
+            set_acceptance(requirement, data)
+            # The author is whoever created the requirement and can't be edited
+
+            record_revision(requirement, 'edited', before=before)
             db.session.commit()
             return jsonify({
                 "message": "Requirement updated successfully",
                 "requirement": {
                     "id": requirement.id,
                     "author": requirement.author,
-                    "status": requirement.status.value
+                    "status": requirement.status,
+                    "quality": quality_report(requirement),
+                    "scenarios": requirement.scenarios or ""
                 }
             })
         
+        except TransitionNotAllowed as e:
+            db.session.rollback()
+            return jsonify({"error": str(e)}), 409
+        except PermissionError as e:
+            db.session.rollback()
+            return jsonify({"error": str(e)}), 403
         except ValueError as e:
             db.session.rollback()
             return jsonify({"error": str(e)}), 400
@@ -1004,40 +3956,588 @@ def handle_single_requirement(req_id):
             return jsonify({"error": str(e)}), 500
     
     elif request.method == "DELETE":
-        db.session.delete(requirement)
+        requirement.deleted_at = datetime.now()
         db.session.commit()
-        return jsonify({"message": "Requirement deleted successfully"})
+        return jsonify({"message": "Requirement moved to the trash"})
 
 @app.route("/api/requirements/<string:req_id>/status", methods=["PATCH"])
 @limiter.limit("50 per hour")
+@requires_role('contributor', project_of_requirement)
 def update_status(req_id):
-    requirement = Requirement.query.get(req_id)
+    requirement = get_active_requirement(req_id)
     if not requirement:
         return jsonify({"error": "Requirement not found"}), 404
     
     try:
         data = request.get_json()
-        new_status = StatusEnum(data['status'])
-        requirement.status = new_status
+        before = snapshot_requirement(requirement)
+        transition_requirement(requirement, data['status'])
+        record_revision(requirement, 'status', before=before)
         db.session.commit()
         return jsonify({
             "message": "Status updated successfully",
-            "new_status": new_status.value
+            "new_status": requirement.status,
+            "approvals": approval_progress(requirement)
         })
+    except TransitionNotAllowed as e:
+        db.session.rollback()
+        return jsonify({"error": str(e)}), 409
+    except PermissionError as e:
+        db.session.rollback()
+        return jsonify({"error": str(e)}), 403
     except ValueError as e:
         return jsonify({"error": str(e)}), 400
     except Exception as e:
         db.session.rollback()
         return jsonify({"error": "Status update failed"}), 500
     
+@app.route("/api/requirements/<string:req_id>/approvals", methods=["DELETE"])
+@limiter.limit("50 per hour")
+@requires_role('reviewer', project_of_requirement)
+def withdraw_approval(req_id):
+    """Take back the current user's vote while the requirement still waits for approvals."""
+    requirement = get_active_requirement(req_id)
+    if not requirement:
+        return jsonify({"error": "Requirement not found"}), 404
+    if requirement.status in states_of_kind(project_workflow(requirement.project), 'approved'):
+        return jsonify({"error": "The requirement is already approved"}), 409
+
+    vote = next((v for v in requirement.approval_votes if v.user_id == current_user().id), None)
+    if not vote:
+        return jsonify({"error": "You have not approved this requirement"}), 404
+    try:
+        requirement.approval_votes.remove(vote)
+        db.session.commit()
+        return jsonify(approval_progress(requirement))
+    except Exception as e:
+        db.session.rollback()
+        logging.error(f"Error withdrawing approval: {str(e)}")
+        return jsonify({"error": "Failed to withdraw approval"}), 500
+
+@app.route("/api/requirements/<string:req_id>/revisions", methods=["GET"])
+@limiter.limit("50 per hour")
+@requires_role('viewer', project_of_requirement)
+def get_requirement_revisions(req_id):
+    """Revision history of a requirement, oldest first."""
+    requirement = get_active_requirement(req_id)
+    if not requirement:
+        return jsonify({"error": "Requirement not found"}), 404
+
+    try:
+        revisions = (
+            RequirementRevision.query.filter_by(requirement_id=req_id)
+            .order_by(RequirementRevision.id)
+            .all()
+        )
+        return jsonify([revision_to_dict(rev, number) for number, rev in enumerate(revisions, start=1)])
+    except Exception as e:
+        logging.error(f"Error fetching revisions: {str(e)}")
+        return jsonify({"error": "Failed to fetch revisions"}), 500
+
+@app.route("/api/requirements/<string:req_id>/revisions/<int:revision_id>/revert", methods=["POST"])
+@limiter.limit("50 per hour")
+@requires_role('contributor', project_of_requirement)
+def revert_requirement(req_id, revision_id):
+    """Restore the fields of an older revision; the revert itself becomes a new revision."""
+    requirement = get_active_requirement(req_id)
+    if not requirement:
+        return jsonify({"error": "Requirement not found"}), 404
+
+    revisions = (
+        RequirementRevision.query.filter_by(requirement_id=req_id)
+        .order_by(RequirementRevision.id)
+        .all()
+    )
+    number = next((n for n, rev in enumerate(revisions, start=1) if rev.id == revision_id), None)
+    if number is None:
+        return jsonify({"error": "Revision not found"}), 404
+
+    try:
+        snapshot = json.loads(revisions[number - 1].snapshot)
+        set_requirement_text(requirement, snapshot['requirement'])
+        requirement.categories = snapshot['categories']
+        # Reverts restore any state still in the workflow, whatever the transitions
+        # allow, but restoring a review decision still takes a reviewer (and approvals a vote)
+        workflow = project_workflow(requirement.project)
+        if workflow_state(workflow, snapshot['status']) and snapshot['status'] != requirement.status:
+            apply_transition(requirement, workflow, snapshot['status'])
+        requirement.priority = PriorityEnum(snapshot['priority'])
+        requirement.complexity = ComplexityEnum(snapshot['complexity'])
+        requirement.estimated_time = snapshot['estimated_time']
+        requirement.author = snapshot['author']
+        requirement.custom_values = json.dumps(snapshot['custom_fields']) if snapshot.get('custom_fields') else None
+        prune_custom_values(requirement, project_custom_fields(requirement.project))
+        requirement.acceptance_criteria = snapshot.get('acceptance_criteria')
+        requirement.scenarios = snapshot.get('scenarios')
+        record_revision(requirement, 'reverted', note=f"Reverted to revision {number}")
+        db.session.commit()
+        return jsonify(requirement_to_dict(requirement))
+    except PermissionError as e:
+        db.session.rollback()
+        return jsonify({"error": str(e)}), 403
+    except Exception as e:
+        db.session.rollback()
+        logging.error(f"Error reverting requirement: {str(e)}")
+        return jsonify({"error": "Failed to revert requirement"}), 500
+
+DUPLICATE_ACTIONS = ('merge', 'keep_both', 'skip_new')
+
+@app.route("/api/requirements/<string:req_id>/duplicate", methods=["POST"])
+@limiter.limit("50 per hour")
+@requires_role('contributor', project_of_requirement)
+def resolve_duplicate(req_id):
+    """
+    Resolve a likely duplicate. `merge` copies the new text into the original,
+    adds its categories and moves the new requirement to the trash; `skip_new`
+    only trashes it; `keep_both` clears the flag. `original_id` defaults to the
+    flagged requirement.
+    """
+    requirement = get_active_requirement(req_id)
+    if not requirement:
+        return jsonify({"error": "Requirement not found"}), 404
+
+    data = request.get_json() or {}
+    action = data.get('action')
+    if action not in DUPLICATE_ACTIONS:
+        return jsonify({"error": f"Unknown action: {action}"}), 400
+
+    original = None
+    if action == 'merge':
+        original = get_active_requirement(data.get('original_id') or requirement.duplicate_of)
+        # Only the caller's access to this project was checked, so the original must be in it too
+        if not original or original.id == requirement.id or original.project_id != requirement.project_id:
+            return jsonify({"error": "Original requirement not found"}), 404
+
+    try:
+        requirement.duplicate_of = None
+        requirement.duplicate_score = None
+
+        if action == 'merge':
+            before = snapshot_requirement(original)
+            set_requirement_text(original, requirement.requirement)
+            categories = [c.strip() for c in (original.categories or '').split(',') if c.strip()]
+            for category in (requirement.categories or '').split(','):
+                if category.strip() and category.strip() not in categories:
+                    categories.append(category.strip())
+            check_new_categories(original.project, original.categories, ', '.join(categories))
+            original.categories = ', '.join(categories)
+            record_revision(original, 'edited', before=before, note=f"Merged from {requirement.id}")
+
+        if action in ('merge', 'skip_new'):
+            requirement.deleted_at = datetime.now()
+
+        db.session.commit()
+        return jsonify({
+            "action": action,
+            "requirement": requirement_to_dict(requirement),
+            "original": requirement_to_dict(original) if original else None
+        })
+    except ValueError as e:
+        db.session.rollback()
+        return jsonify({"error": str(e)}), 400
+    except Exception as e:
+        db.session.rollback()
+        logging.error(f"Error resolving duplicate: {str(e)}")
+        return jsonify({"error": "Failed to resolve duplicate"}), 500
+
+@app.route('/api/projects/<int:project_id>/duplicates', methods=['GET'])
+@limiter.limit("50 per hour")
+@requires_role('viewer', project_in_url)
+def find_project_duplicates(project_id):
+    """Pairs of similar requirements in the project, most similar first."""
+    if not get_active_project(project_id):
+        return jsonify({"error": "Project not found"}), 404
+
+    try:
+        threshold = float(request.args.get('threshold', DUPLICATE_THRESHOLD))
+        if not MIN_DUPLICATE_THRESHOLD <= threshold <= 1:
+            raise ValueError
+    except ValueError:
+        return jsonify({"error": f"threshold must be a number between {MIN_DUPLICATE_THRESHOLD} and 1"}), 400
+
+    try:
+        requirements = active_requirements().filter_by(project_id=project_id).order_by(Requirement.ddate).all()
+        texts = [normalize_for_similarity(req.requirement) for req in requirements]
+        words = [set(text.split()) for text in texts]
+
+        matches = []
+        for i in range(len(requirements)):
+            for j in range(i + 1, len(requirements)):
+                score = text_similarity(texts[i], texts[j], words[i], words[j])
+                if score >= threshold:
+                    matches.append((score, i, j))
+        matches.sort(key=lambda match: match[0], reverse=True)
+
+        # Only the pairs that are returned get serialized
+        return jsonify({
+            "threshold": threshold,
+            "total": len(matches),
+            "pairs": [{
+                # The older requirement is the one to keep
+                "original": requirement_to_dict(requirements[i]),
+                "duplicate": requirement_to_dict(requirements[j]),
+                "score": round(score, 3)
+            } for score, i, j in matches[:MAX_DUPLICATE_PAIRS]]
+        })
+    except Exception as e:
+        logging.error(f"Error finding duplicates: {str(e)}")
+        return jsonify({"error": "Failed to find duplicates"}), 500
+
+def link_to_dict(link):
+    return {
+        "id": link.id,
+        "source_id": link.source_id,
+        "target_id": link.target_id,
+        "type": link.link_type.value,
+        "resolved": link.resolved,
+        "note": link.note,
+        "created_by": link.created_by,
+        "created_at": link.created_at.isoformat()
+    }
+
+# Link types whose cycles make the requirements impossible to order
+ORDERING_LINK_TYPES = (LinkTypeEnum.DEPENDS_ON, LinkTypeEnum.REFINES)
+
+def find_cycles(node_ids, edges):
+    """
+    Strongly connected components (Tarjan) with more than one node, or with a
+    self-loop, in the directed graph given by `edges` [(source, target), ...].
+    """
+    graph = {node: [] for node in node_ids}
+    for source, target in edges:
+        graph[source].append(target)
+
+    index_of, lowlink, on_stack, stack, cycles = {}, {}, set(), [], []
+    counter = [0]
+
+    def visit(node):
+        # Iterative DFS so long dependency chains can't hit the recursion limit
+        work = [(node, iter(graph[node]))]
+        index_of[node] = lowlink[node] = counter[0]
+        counter[0] += 1
+        stack.append(node)
+        on_stack.add(node)
+        while work:
+            current, children = work[-1]
+            child = next(children, None)
+            if child is not None:
+                if child not in index_of:
+                    index_of[child] = lowlink[child] = counter[0]
+                    counter[0] += 1
+                    stack.append(child)
+                    on_stack.add(child)
+                    work.append((child, iter(graph[child])))
+                elif child in on_stack:
+                    lowlink[current] = min(lowlink[current], index_of[child])
+                continue
+            work.pop()
+            if work:
+                parent = work[-1][0]
+                lowlink[parent] = min(lowlink[parent], lowlink[current])
+            if lowlink[current] == index_of[current]:
+                component = []
+                while True:
+                    member = stack.pop()
+                    on_stack.discard(member)
+                    component.append(member)
+                    if member == current:
+                        break
+                if len(component) > 1 or current in graph[current]:
+                    cycles.append(sorted(component))
+
+    for node in node_ids:
+        if node not in index_of:
+            visit(node)
+    return cycles
+
+@app.route("/api/requirements/<string:req_id>/links", methods=["GET", "POST"])
+@limiter.limit("50 per hour")
+@requires_role({'GET': 'viewer', 'POST': 'contributor'}, project_of_requirement)
+def handle_requirement_links(req_id):
+    """GET lists links from and to the requirement; POST adds one from it."""
+    requirement = get_active_requirement(req_id)
+    if not requirement:
+        return jsonify({"error": "Requirement not found"}), 404
+
+    if request.method == "GET":
+        try:
+            links = RequirementLink.query.filter(
+                (RequirementLink.source_id == req_id) | (RequirementLink.target_id == req_id)
+            ).order_by(RequirementLink.created_at).all()
+            related_ids = {link.source_id for link in links} | {link.target_id for link in links}
+            related = {req.id: req for req in active_requirements().filter(Requirement.id.in_(related_ids)).all()}
+            return jsonify([
+                {
+                    **link_to_dict(link),
+                    "direction": "outgoing" if link.source_id == req_id else "incoming",
+                    "other": requirement_to_dict(related[other_id])
+                }
+                for link in links
+                for other_id in [link.target_id if link.source_id == req_id else link.source_id]
+                if other_id in related  # hide links to trashed requirements
+            ])
+        except Exception as e:
+            logging.error(f"Error fetching links: {str(e)}")
+            return jsonify({"error": "Failed to fetch links"}), 500
+
+    data = request.get_json() or {}
+    target_id = data.get('target_id')
+    link_type = data.get('type')
+    if link_type not in [e.value for e in LinkTypeEnum]:
+        return jsonify({"error": f"Invalid link type: {link_type}"}), 400
+    if target_id == req_id:
+        return jsonify({"error": "A requirement cannot be linked to itself"}), 400
+    target = get_active_requirement(target_id)
+    if not target:
+        return jsonify({"error": "Target requirement not found"}), 404
+    if target.project_id != requirement.project_id:
+        return jsonify({"error": "Links must stay within one project"}), 400
+    if RequirementLink.query.filter_by(
+        source_id=req_id, target_id=target_id, link_type=LinkTypeEnum(link_type)
+    ).first():
+        return jsonify({"error": "This link already exists"}), 409
+
+    try:
+        link = RequirementLink(
+            source_id=req_id,
+            target_id=target_id,
+            link_type=LinkTypeEnum(link_type),
+            note=(data.get('note') or '').strip() or None,
+            created_by=current_actor()
+        )
+        db.session.add(link)
+        db.session.commit()
+        return jsonify({
+            **link_to_dict(link),
+            "direction": "outgoing",
+            "other": requirement_to_dict(target)
+        }), 201
+    except Exception as e:
+        db.session.rollback()
+        logging.error(f"Error creating link: {str(e)}")
+        return jsonify({"error": "Failed to create link"}), 500
+
+@app.route("/api/links/<int:link_id>", methods=["PATCH", "DELETE"])
+@limiter.limit("50 per hour")
+@requires_role('contributor', project_of_link)
+def handle_link(link_id):
+    """PATCH updates `resolved` and/or `note`; DELETE removes the link."""
+    link = RequirementLink.query.get(link_id)
+    if not link:
+        return jsonify({"error": "Link not found"}), 404
+
+    try:
+        if request.method == "DELETE":
+            db.session.delete(link)
+            db.session.commit()
+            return jsonify({"message": "Link deleted"})
+
+        data = request.get_json() or {}
+        if 'resolved' in data:
+            link.resolved = bool(data['resolved'])
+        if 'note' in data:
+            link.note = (data['note'] or '').strip() or None
+        db.session.commit()
+        return jsonify(link_to_dict(link))
+    except Exception as e:
+        db.session.rollback()
+        logging.error(f"Error updating link: {str(e)}")
+        return jsonify({"error": "Failed to update link"}), 500
+
+# "@Name" for single words, "@[Full Name]" for names with spaces; e-mail addresses don't count
+MENTION_RE = re.compile(r"(?<![\w@])@(?:\[([^\]\n]{1,100})\]|([\w][\w.\-]*))")
+MAX_COMMENT_LENGTH = 10000
+
+def extract_mentions(body, members):
+    """Display names of the project members mentioned by display name or username."""
+    by_lower = {}
+    for user in members:
+        by_lower[user.username.lower()] = user.display_name
+        by_lower[user.display_name.lower()] = user.display_name
+    mentioned = []
+    for match in MENTION_RE.finditer(body):
+        name = by_lower.get((match.group(1) or match.group(2)).strip().lower())
+        if name and name not in mentioned:
+            mentioned.append(name)
+    return mentioned
+
+def comment_to_dict(comment):
+    return {
+        "id": comment.id,
+        "requirement_id": comment.requirement_id,
+        "parent_id": comment.parent_id,
+        "body": comment.body,
+        "author": comment.author,
+        "author_id": comment.author_id,
+        "mentions": json.loads(comment.mentions or '[]'),
+        "resolved": comment.resolved,
+        "resolved_by": comment.resolved_by,
+        "resolved_at": comment.resolved_at.isoformat() if comment.resolved_at else None,
+        "created_at": comment.created_at.isoformat(),
+        "edited_at": comment.edited_at.isoformat() if comment.edited_at else None
+    }
+
+@app.route('/api/requirements/<string:req_id>/comments', methods=['GET', 'POST'])
+@limiter.limit("50 per hour")
+@requires_role({'GET': 'viewer', 'POST': 'contributor'}, project_of_requirement)
+def handle_requirement_comments(req_id):
+    """
+    GET lists the requirement's comments oldest first; replies point at their
+    discussion through parent_id. POST adds a comment or, with parent_id, a reply.
+    """
+    req = get_active_requirement(req_id)
+    if not req:
+        return jsonify({"error": "Requirement not found"}), 404
+
+    if request.method == 'GET':
+        comments = (
+            RequirementComment.query.filter_by(requirement_id=req_id)
+            .order_by(RequirementComment.created_at, RequirementComment.id)
+            .all()
+        )
+        return jsonify([comment_to_dict(comment) for comment in comments])
+
+    data = request.get_json() or {}
+    body = (data.get('body') or '').strip()
+    if not body:
+        return jsonify({"error": "Comment text is required"}), 400
+    if len(body) > MAX_COMMENT_LENGTH:
+        return jsonify({"error": f"Comments are limited to {MAX_COMMENT_LENGTH} characters"}), 400
+
+    parent_id = data.get('parent_id')
+    if parent_id is not None:
+        parent = db.session.get(RequirementComment, parent_id)
+        if not parent or parent.requirement_id != req_id:
+            return jsonify({"error": "Discussion not found"}), 404
+        # Replies always hang off the discussion, never off another reply
+        parent_id = parent.parent_id or parent.id
+
+    try:
+        comment = RequirementComment(
+            requirement_id=req_id,
+            parent_id=parent_id,
+            body=body,
+            author=current_actor(),
+            author_id=current_user().id,
+            mentions=json.dumps(extract_mentions(body, [member.user for member in project_members(req.project_id)]))
+        )
+        db.session.add(comment)
+        db.session.commit()
+        return jsonify(comment_to_dict(comment)), 201
+    except Exception as e:
+        db.session.rollback()
+        logging.error(f"Error adding comment: {str(e)}")
+        return jsonify({"error": "Failed to add comment"}), 500
+
+@app.route('/api/comments/<int:comment_id>', methods=['PATCH', 'DELETE'])
+@limiter.limit("50 per hour")
+@requires_role('contributor', project_of_comment)
+def handle_comment(comment_id):
+    """
+    PATCH edits `body` (author only) and/or sets `resolved` on a discussion.
+    DELETE removes a comment, and the replies with it if it opened a discussion.
+    """
+    comment = db.session.get(RequirementComment, comment_id)
+    if not comment:
+        return jsonify({"error": "Comment not found"}), 404
+
+    actor = current_actor()
+    is_author = comment.author_id == current_user().id
+    try:
+        if request.method == 'DELETE':
+            # Project admins may remove any comment
+            if not is_author and not has_role(project_role(current_user(), project_of_comment(comment_id)), 'admin'):
+                return jsonify({"error": "Only the author can delete a comment"}), 403
+            RequirementComment.query.filter_by(parent_id=comment.id).delete()
+            db.session.delete(comment)
+            db.session.commit()
+            return jsonify({"message": "Comment deleted"})
+
+        data = request.get_json() or {}
+        if 'body' in data:
+            if not is_author:
+                return jsonify({"error": "Only the author can edit a comment"}), 403
+            body = (data['body'] or '').strip()
+            if not body or len(body) > MAX_COMMENT_LENGTH:
+                return jsonify({"error": f"Comments need between 1 and {MAX_COMMENT_LENGTH} characters"}), 400
+            comment.body = body
+            req = db.session.get(Requirement, comment.requirement_id)
+            comment.mentions = json.dumps(extract_mentions(body, [member.user for member in project_members(req.project_id)]))
+            comment.edited_at = datetime.now()
+        if 'resolved' in data:
+            if comment.parent_id is not None:
+                return jsonify({"error": "Only discussions can be resolved, not replies"}), 400
+            comment.resolved = bool(data['resolved'])
+            comment.resolved_by = actor if comment.resolved else None
+            comment.resolved_at = datetime.now() if comment.resolved else None
+        db.session.commit()
+        return jsonify(comment_to_dict(comment))
+    except Exception as e:
+        db.session.rollback()
+        logging.error(f"Error updating comment: {str(e)}")
+        return jsonify({"error": "Failed to update comment"}), 500
+
+@app.route('/api/projects/<int:project_id>/graph', methods=['GET'])
+@limiter.limit("50 per hour")
+@requires_role('viewer', project_in_url)
+def get_project_graph(project_id):
+    """
+    Requirements of the project as nodes and their links as edges, plus the
+    dependency cycles and the conflicts nobody has resolved yet.
+    """
+    project = get_active_project(project_id)
+    if not project:
+        return jsonify({"error": "Project not found"}), 404
+
+    try:
+        workflow = project_workflow(project)
+        requirements = active_requirements().filter_by(project_id=project_id).all()
+        node_ids = [req.id for req in requirements]
+        links = RequirementLink.query.filter(
+            RequirementLink.source_id.in_(node_ids),
+            RequirementLink.target_id.in_(node_ids)
+        ).all() if node_ids else []
+
+        cycles = find_cycles(node_ids, [
+            (link.source_id, link.target_id) for link in links if link.link_type in ORDERING_LINK_TYPES
+        ])
+        in_cycle = {node: index for index, cycle in enumerate(cycles) for node in cycle}
+
+        return jsonify({
+            "nodes": [{
+                "id": req.id,
+                "requirement": req.requirement,
+                "status": req.status,
+                "color": (workflow_state(workflow, req.status) or {}).get('color'),
+                "priority": req.priority.value,
+                "cycle": in_cycle.get(req.id)
+            } for req in requirements],
+            "edges": [{
+                **link_to_dict(link),
+                "in_cycle": (
+                    link.link_type in ORDERING_LINK_TYPES
+                    and link.source_id in in_cycle
+                    and in_cycle.get(link.source_id) == in_cycle.get(link.target_id)
+                )
+            } for link in links],
+            "cycles": cycles,
+            "unresolved_conflicts": [
+                link.id for link in links
+                if link.link_type == LinkTypeEnum.CONFLICTS_WITH and not link.resolved
+            ]
+        })
+    except Exception as e:
+        logging.error(f"Error building graph: {str(e)}")
+        return jsonify({"error": "Failed to build requirement graph"}), 500
+
 def get_system_stats():
     """Get current system statistics from database"""
     try:
         return {
-            "total": Requirement.query.count(),
-            "approved": Requirement.query.filter_by(status=StatusEnum.APPROVED).count(),
-            "inReview": Requirement.query.filter_by(status=StatusEnum.REVIEW).count(),
-            "disapproved": Requirement.query.filter_by(status=StatusEnum.DISAPPROVED).count(),
+            "total": active_requirements().count(),
+            "approved": active_requirements().filter(Requirement.status.in_(status_names_of_kind('approved'))).count(),
+            "inReview": active_requirements().filter(Requirement.status.in_(status_names_of_kind('review'))).count(),
+            "disapproved": active_requirements().filter(Requirement.status.in_(status_names_of_kind('rejected'))).count(),
         }
     except Exception as e:
         logging.error(f"Error getting system stats: {str(e)}")
@@ -1050,22 +4550,31 @@ def get_system_stats():
     
 @app.route('/api/requirements/stats', methods=['GET'])
 @limiter.limit("50 per hour")
+@requires_role('viewer', project_in_body)
 def get_stats():
     try:
         project_id = request.args.get('project')
-        query = Requirement.query
+        query = active_requirements()
+        projects = None
+        user = current_user()
+        if not project_id and not user.is_admin:
+            query = query.filter(Requirement.project_id.in_(accessible_project_ids(user)))
 
         if project_id:
             try:
                 project_id = int(project_id)
                 query = query.filter_by(project_id=project_id)
+                projects = [p for p in [get_active_project(project_id)] if p]
             except ValueError:
                 return jsonify({"error": "Invalid project ID format"}), 400
 
+        def count_kind(kind):
+            return query.filter(Requirement.status.in_(status_names_of_kind(kind, projects))).count()
+
         total = query.count()
-        approved = query.filter_by(status=StatusEnum.APPROVED).count()
-        in_review = query.filter_by(status=StatusEnum.REVIEW).count()
-        disapproved = query.filter_by(status=StatusEnum.DISAPPROVED).count()
+        approved = count_kind('approved')
+        in_review = count_kind('review')
+        disapproved = count_kind('rejected')
 
         return jsonify({
             "total": total,
@@ -1078,7 +4587,357 @@ def get_stats():
         return jsonify({"error": "Failed to fetch stats"}), 500
     
     
+# Chart data for the Dashboard, computed over the same filters as the list
+ANALYTICS_DIMENSIONS = ('category', 'priority', 'complexity', 'status')
+TIMELINE_INTERVALS = ('day', 'week', 'month')
+
+def requirement_breakdown(query, projects=None):
+    """
+    Count, hours and cost of the requirements in `query` per category, priority,
+    complexity and status, each as [{key, count, hours, cost}]. A requirement in
+    several categories counts towards each of them.
+    """
+    rows = (
+        query.outerjoin(Project, Requirement.project_id == Project.id)
+        .with_entities(Requirement.categories, Requirement.priority, Requirement.complexity,
+                       Requirement.status, Requirement.estimated_time, Project.hourly_rate)
+        .all()
+    )
+    totals = {dimension: {} for dimension in ANALYTICS_DIMENSIONS}
+    for categories, priority, complexity, status, hours, rate in rows:
+        hours = hours or 0
+        cost = hours * (rate or 0)
+        keys = {
+            'category': split_categories(categories) or ['Uncategorized'],
+            'priority': [priority.value if priority else PriorityEnum.MEDIUM.value],
+            'complexity': [complexity.value if complexity else ComplexityEnum.MODERATE.value],
+            'status': [status],
+        }
+        for dimension, values in keys.items():
+            for value in values:
+                entry = totals[dimension].setdefault(value, {"key": value, "count": 0, "hours": 0, "cost": 0.0})
+                entry['count'] += 1
+                entry['hours'] += hours
+                entry['cost'] += cost
+
+    # Known values in their natural order, then anything else by count
+    project = projects[0] if projects and len(projects) == 1 else None
+    order = {
+        'priority': [e.value for e in PriorityEnum],
+        'complexity': [e.value for e in ComplexityEnum],
+        'status': [state['name'] for state in project_workflow(project)['states']] if project else [],
+        'category': [category['name'] for category in project_categories(project)] if project else [],
+    }
+    breakdown = {}
+    for dimension, entries in totals.items():
+        known = [entries.pop(key) for key in order[dimension] if key in entries]
+        rest = sorted(entries.values(), key=lambda entry: (-entry['count'], entry['key']))
+        breakdown[dimension] = [
+            {**entry, "cost": round(entry['cost'], 2)} for entry in known + rest
+        ]
+    return breakdown
+
+def approval_times(query, approved_names):
+    """
+    When each approved requirement in `query` last entered an approved state,
+    from its status revisions; requirements that predate the history fall back
+    to `reviewed_at`.
+    """
+    approved = query.filter(Requirement.status.in_(approved_names))
+    entered = dict(approved.with_entities(Requirement.id, Requirement.reviewed_at).all())
+    if not entered:
+        return []
+    revisions = (
+        RequirementRevision.query
+        .filter(RequirementRevision.requirement_id.in_(approved.with_entities(Requirement.id).scalar_subquery()))
+        .order_by(RequirementRevision.requirement_id, RequirementRevision.id)
+        .with_entities(RequirementRevision.requirement_id, RequirementRevision.snapshot,
+                       RequirementRevision.created_at)
+    )
+    previous = {}
+    for requirement_id, snapshot, created_at in revisions:
+        status = json.loads(snapshot).get('status')
+        if status in approved_names and previous.get(requirement_id) not in approved_names:
+            entered[requirement_id] = created_at
+        previous[requirement_id] = status
+    return [moment for moment in entered.values() if moment]
+
+def timeline_bucket(moment, interval):
+    day = moment.date()
+    if interval == 'week':
+        return day - timedelta(days=day.weekday())
+    if interval == 'month':
+        return day.replace(day=1)
+    return day
+
+def next_bucket(bucket, interval):
+    if interval == 'month':
+        return (bucket.replace(day=28) + timedelta(days=4)).replace(day=1)
+    return bucket + timedelta(days=7 if interval == 'week' else 1)
+
+def requirement_timeline(query, projects=None, interval=None):
+    """
+    Requirements created and approved per day, week or month (chosen from the
+    time span unless given), as {interval, points: [{date, created, approved}]}
+    with no gaps between the first and last point.
+    """
+    created = [moment for (moment,) in query.with_entities(Requirement.ddate) if moment]
+    approved = approval_times(query, status_names_of_kind('approved', projects))
+    moments = created + approved
+    if not moments:
+        return {"interval": interval or 'day', "points": []}
+
+    if interval is None:
+        span = (max(moments) - min(moments)).days
+        interval = 'day' if span <= 62 else 'week' if span <= 730 else 'month'
+    counts = {}
+    for key, values in (('created', created), ('approved', approved)):
+        for moment in values:
+            bucket = counts.setdefault(timeline_bucket(moment, interval), {"created": 0, "approved": 0})
+            bucket[key] += 1
+
+    points = []
+    bucket, last = min(counts), max(counts)
+    while bucket <= last:
+        points.append({"date": bucket.isoformat(), **counts.get(bucket, {"created": 0, "approved": 0})})
+        bucket = next_bucket(bucket, interval)
+    return {"interval": interval, "points": points}
+
+@app.route('/api/requirements/analytics', methods=['GET'])
+@limiter.limit("50 per hour")
+@requires_role('viewer', project_in_body)
+def get_requirement_analytics():
+    """
+    Chart data for the requirements matching the same filters as GET /api/requirements:
+    `breakdown` by category, priority, complexity and status, and the created vs
+    approved `timeline`. `interval` (day, week or month) overrides the automatic one.
+    """
+    try:
+        interval = request.args.get('interval')
+        if interval is not None and interval not in TIMELINE_INTERVALS:
+            raise ValueError(f"interval must be one of: {', '.join(TIMELINE_INTERVALS)}")
+        query, project_id = filtered_requirements(request.args)
+        projects = [p for p in [get_active_project(project_id)] if p] if project_id else None
+        return jsonify({
+            "breakdown": requirement_breakdown(query, projects),
+            "timeline": requirement_timeline(query, projects, interval)
+        })
+    except ValueError as e:
+        return jsonify({"error": str(e)}), 400
+    except Exception as e:
+        logging.error(f"Error computing analytics: {str(e)}")
+        return jsonify({"error": "Failed to compute analytics"}), 500
+
+def requirement_aggregate(query, projects=None):
+    """Counts by workflow kind, hours and cost of the requirements in `query`, with their breakdown."""
+    hours, cost = (
+        query.outerjoin(Project, Requirement.project_id == Project.id)
+        .with_entities(func.coalesce(func.sum(Requirement.estimated_time), 0),
+                       func.coalesce(func.sum(Requirement.estimated_time * Project.hourly_rate), 0))
+        .one()
+    )
+    return {
+        **kind_counts(query, projects),
+        "hours": int(hours),
+        "cost": round(float(cost), 2),
+        "breakdown": requirement_breakdown(query, projects)
+    }
+
+@app.route('/api/requirements/aggregates', methods=['GET'])
+@limiter.limit("50 per hour")
+@requires_role('viewer', project_in_body)
+def get_requirement_aggregates():
+    """
+    Totals over every requirement, not just a page: `overall` for the project (or
+    the user's projects) and `filtered` for the same filters as GET /api/requirements.
+    """
+    try:
+        query, project_id = filtered_requirements(request.args)
+        projects = [p for p in [get_active_project(project_id)] if p] if project_id else None
+        return jsonify({
+            "overall": requirement_aggregate(scoped_requirements(project_id), projects),
+            "filtered": requirement_aggregate(query, projects)
+        })
+    except ValueError as e:
+        return jsonify({"error": str(e)}), 400
+    except Exception as e:
+        logging.error(f"Error computing aggregates: {str(e)}")
+        return jsonify({"error": "Failed to compute aggregates"}), 500
+
+BOARD_COLUMN_LIMIT = 50
+
+@app.route('/api/projects/<int:project_id>/board', methods=['GET'])
+@limiter.limit("50 per hour")
+@requires_role('viewer', project_in_url)
+def get_project_board(project_id):
+    """
+    The project's requirements by status for the Kanban board, one column per
+    workflow state (plus any status the workflow no longer has), with the same
+    filters as GET /api/requirements. Each column has its count, hours and cost,
+    and up to BOARD_COLUMN_LIMIT requirements in `sort` order (highest priority first).
+    """
+    project = get_active_project(project_id)
+    if not project:
+        return jsonify({"error": "Project not found"}), 404
+    try:
+        args = request.args.copy()
+        args['project'] = str(project_id)
+        query, _ = filtered_requirements(args)
+        sort = request.args.get('sort') or '-priority'
+        sort_requirements(query, sort, project)  # rejects an invalid sort before any column is built
+
+        totals = {
+            status: (count, int(hours), round(float(cost), 2))
+            for status, count, hours, cost in query
+            .outerjoin(Project, Requirement.project_id == Project.id)
+            .with_entities(Requirement.status, func.count(Requirement.id),
+                           func.coalesce(func.sum(Requirement.estimated_time), 0),
+                           func.coalesce(func.sum(Requirement.estimated_time * Project.hourly_rate), 0))
+            .group_by(Requirement.status)
+            .all()
+        }
+        states = [state['name'] for state in project_workflow(project)['states']]
+        states += sorted(status for status in totals if status and status not in states)
+
+        columns = []
+        for status in states:
+            count, hours, cost = totals.get(status, (0, 0, 0.0))
+            items = sort_requirements(query.filter(Requirement.status == status), sort, project) \
+                .limit(BOARD_COLUMN_LIMIT).all() if count else []
+            columns.append({
+                "status": status,
+                "count": count,
+                "hours": hours,
+                "cost": cost,
+                "requirements": [requirement_to_dict(req) for req in items]
+            })
+        return jsonify({"columns": columns, "limit": BOARD_COLUMN_LIMIT})
+    except ValueError as e:
+        return jsonify({"error": str(e)}), 400
+    except Exception as e:
+        logging.error(f"Error building board: {str(e)}")
+        return jsonify({"error": "Failed to load the board"}), 500
+
+MAX_VIEW_NAME = 100
+MAX_VIEW_STATE = 4000
+
+def view_to_dict(view):
+    return {
+        "id": view.id,
+        "project_id": view.project_id,
+        "name": view.name,
+        "state": view.state,
+        "shared": view.shared,
+        "owner": view.owner.display_name if view.owner else None,
+        "mine": view.owner_id == current_user().id,
+        "updated_at": view.updated_at.isoformat() if view.updated_at else None
+    }
+
+def apply_view_changes(view, data):
+    """Set `name`, `state` and `shared` from a request body, raising ValueError/PermissionError."""
+    if 'name' in data:
+        name = (data['name'] or '').strip()
+        if not name or len(name) > MAX_VIEW_NAME:
+            raise ValueError(f"View names need between 1 and {MAX_VIEW_NAME} characters")
+        duplicate = SavedView.query.filter(
+            SavedView.project_id == view.project_id,
+            SavedView.owner_id == view.owner_id,
+            func.lower(SavedView.name) == name.lower(),
+            SavedView.id != view.id
+        ).first()
+        if duplicate:
+            raise ValueError(f"You already have a view named \"{duplicate.name}\"")
+        view.name = name
+    if 'state' in data:
+        state = data['state'] if isinstance(data['state'], str) else None
+        if state is None or len(state) > MAX_VIEW_STATE:
+            raise ValueError("A view's state is the Dashboard query string, at most "
+                             f"{MAX_VIEW_STATE} characters")
+        view.state = state.lstrip('?')
+    if 'shared' in data:
+        # Everyone may keep private views; publishing one to the project takes a contributor
+        if data['shared'] and not view.shared:
+            require_project_role(view.project_id, 'contributor')
+        view.shared = bool(data['shared'])
+    view.updated_at = datetime.now()
+
+@app.route('/api/projects/<int:project_id>/views', methods=['GET', 'POST'])
+@limiter.limit("50 per hour")
+@requires_role('viewer', project_in_url)
+def handle_saved_views(project_id):
+    """The user's own saved Dashboard views of a project plus those shared with it."""
+    if not get_active_project(project_id):
+        return jsonify({"error": "Project not found"}), 404
+    user = current_user()
+
+    if request.method == 'GET':
+        views = (
+            SavedView.query.filter(
+                SavedView.project_id == project_id,
+                or_(SavedView.owner_id == user.id, SavedView.shared.is_(True))
+            )
+            .order_by(func.lower(SavedView.name))
+            .all()
+        )
+        return jsonify([view_to_dict(view) for view in views])
+
+    try:
+        data = request.get_json() or {}
+        view = SavedView(project_id=project_id, owner_id=user.id, shared=False)
+        apply_view_changes(view, {'state': '', **data, 'name': data.get('name')})
+        db.session.add(view)
+        db.session.commit()
+        return jsonify(view_to_dict(view)), 201
+    except PermissionError as e:
+        db.session.rollback()
+        return jsonify({"error": str(e)}), 403
+    except ValueError as e:
+        db.session.rollback()
+        return jsonify({"error": str(e)}), 400
+    except Exception as e:
+        db.session.rollback()
+        logging.error(f"Error saving view: {str(e)}")
+        return jsonify({"error": "Failed to save view"}), 500
+
+@app.route('/api/views/<int:view_id>', methods=['PUT', 'DELETE'])
+@limiter.limit("50 per hour")
+@requires_role('viewer', project_of_view)
+def handle_saved_view(view_id):
+    """
+    PUT renames, updates or (un)shares a view (owner only). DELETE removes it;
+    project admins may also remove views shared with the project.
+    """
+    view = db.session.get(SavedView, view_id)
+    user = current_user()
+    if not view or (view.owner_id != user.id and not view.shared):
+        return jsonify({"error": "View not found"}), 404
+
+    try:
+        if request.method == 'DELETE':
+            if view.owner_id != user.id and not has_role(project_role(user, view.project_id), 'admin'):
+                return jsonify({"error": "Only the owner can delete a view"}), 403
+            db.session.delete(view)
+            db.session.commit()
+            return jsonify({"message": "View deleted"})
+
+        if view.owner_id != user.id:
+            return jsonify({"error": "Only the owner can change a view"}), 403
+        apply_view_changes(view, request.get_json() or {})
+        db.session.commit()
+        return jsonify(view_to_dict(view))
+    except PermissionError as e:
+        db.session.rollback()
+        return jsonify({"error": str(e)}), 403
+    except ValueError as e:
+        db.session.rollback()
+        return jsonify({"error": str(e)}), 400
+    except Exception as e:
+        db.session.rollback()
+        logging.error(f"Error updating view: {str(e)}")
+        return jsonify({"error": "Failed to update view"}), 500
+
 @app.route('/api/classify', methods=['POST'])
+@requires_role()
 def classify_requirement():
     try:
         data = request.get_json()
@@ -1087,11 +4946,12 @@ def classify_requirement():
         if not data.get('text'):
             return jsonify({"error": "Text is required"}), 400
 
-        # Call the AI model to classify the text
-        classification = classifier(data['text'], candidate_labels)
-
-        # Extract the top categories, priority, and complexity
-        categories = classification['labels'][:3]  # Top 3 categories
+        # Classify into the categories of the project the text is for, if any
+        project = None
+        if data.get('project_id'):
+            require_project_role(data['project_id'], 'viewer')
+            project = get_active_project(data['project_id'])
+        categories = classify_categories(data['text'], project_categories(project))
         # Predict priority using the AI model
         priority_result = zero_shot_pipeline(
             data['text'], 
@@ -1113,12 +4973,15 @@ def classify_requirement():
             "priority": priority,
             "complexity": complexity,
         }), 200
+    except PermissionError as e:
+        return jsonify({"error": str(e)}), 403
     except Exception as e:
         logging.error(f"Error classifying requirement: {str(e)}")
         return jsonify({"error": "Failed to classify requirement"}), 500
         
 @app.route('/api/chat', methods=['POST'])
 @limiter.limit("50 per hour")
+@requires_role('viewer', project_in_body)
 def handle_chat():
     try:
         # Parse the request data
@@ -1135,26 +4998,36 @@ def handle_chat():
             return jsonify({'error': 'Project ID is required'}), 400
 
         # Check if the project exists
-        project = Project.query.get(project_id)
+        project = get_active_project(project_id)
         if not project:
             return jsonify({'error': 'Project not found'}), 404
 
         try:
             # Fetch requirements for the selected project only
             requirements = (
-                Requirement.query.filter_by(project_id=project_id)
+                active_requirements().filter_by(project_id=project_id)
                 .order_by(Requirement.ddate.desc())
                 .all()
             )
 
             # Calculate statistics for the project
+            kinds = {kind: status_names_of_kind(kind, [project]) for kind in ('approved', 'review', 'rejected')}
             stats = {
                 "total": len(requirements),
-                "approved": sum(1 for req in requirements if req.status == StatusEnum.APPROVED),
-                "inReview": sum(1 for req in requirements if req.status == StatusEnum.REVIEW),
-                "disapproved": sum(1 for req in requirements if req.status == StatusEnum.DISAPPROVED),
+                "approved": sum(1 for req in requirements if req.status in kinds['approved']),
+                "inReview": sum(1 for req in requirements if req.status in kinds['review']),
+                "disapproved": sum(1 for req in requirements if req.status in kinds['rejected']),
             }
 
+            # Recorded links, so conflicts and dependencies found earlier are part of the context
+            link_lines = {}
+            requirement_ids = [req.id for req in requirements]
+            for link in RequirementLink.query.filter(RequirementLink.source_id.in_(requirement_ids)).all():
+                label = link.link_type.value.replace('_', ' ')
+                if link.link_type == LinkTypeEnum.CONFLICTS_WITH:
+                    label += ' (resolved)' if link.resolved else ' (unresolved)'
+                link_lines.setdefault(link.source_id, []).append(f"{label} {link.target_id}")
+
             # Format requirements data for AI context
             requirements_context = []
             for req in requirements:
@@ -1162,12 +5035,13 @@ def handle_chat():
                     f"Requirement ID: {req.id}\n"
                     f"Text: {req.requirement}\n"
                     f"Categories: {req.categories}\n"
-                    f"Status: {req.status.value}\n"
+                    f"Status: {req.status}\n"
                     f"Priority: {req.priority.value}\n"
                     f"Complexity: {req.complexity.value}\n"
                     f"Estimated Time: {req.estimated_time} hours\n"
                     f"Author: {req.author}\n"
                     f"Date: {req.ddate.strftime('%Y-%m-%d %H:%M:%S')}\n"
+                    f"Links: {'; '.join(link_lines.get(req.id, [])) or 'none'}\n"
                     f"{'-'*40}"
                 )
 
@@ -1265,6 +5139,7 @@ def handle_chat():
     
 @app.route('/api/requirements/<string:req_id>/status', methods=['PATCH'])
 @limiter.limit("50 per hour")
+@requires_role('contributor', project_of_requirement)
 def update_requirement_status(req_id):
     """
     Update the status of a requirement.
@@ -1273,23 +5148,31 @@ def update_requirement_status(req_id):
         data = request.get_json()
         new_status = data.get('status')
 
-        # Validate the new status
-        if new_status not in [e.value for e in StatusEnum]:
-            return jsonify({"error": "Invalid status"}), 400
-
         # Find the requirement by ID
-        requirement = Requirement.query.get(req_id)
+        requirement = get_active_requirement(req_id)
         if not requirement:
             return jsonify({"error": "Requirement not found"}), 404
 
-        # Update the status
-        requirement.status = StatusEnum(new_status)
+        # Update the status, as far as the project's workflow allows
+        before = snapshot_requirement(requirement)
+        transition_requirement(requirement, new_status)
+        record_revision(requirement, 'status', before=before)
         db.session.commit()
 
         return jsonify({
             "message": "Status updated successfully",
-            "new_status": new_status
+            "new_status": requirement.status,
+            "approvals": approval_progress(requirement)
         }), 200
+    except TransitionNotAllowed as e:
+        db.session.rollback()
+        return jsonify({"error": str(e)}), 409
+    except PermissionError as e:
+        db.session.rollback()
+        return jsonify({"error": str(e)}), 403
+    except ValueError as e:
+        db.session.rollback()
+        return jsonify({"error": str(e)}), 400
     except Exception as e:
         db.session.rollback()
         logging.error(f"Error updating status: {str(e)}")
@@ -1319,6 +5202,7 @@ def validate_jira_credentials(site_url, email, api_token):
         return False
 
 @app.route('/api/jira/connect', methods=['POST'])
+@requires_role()
 def connect_to_jira():
     """Connect to Jira and validate credentials"""
     try:
@@ -1373,6 +5257,7 @@ def connect_to_jira():
         return jsonify({"success": False, "error": str(e)}), 500
 
 @app.route('/api/jira/push', methods=['POST'])
+@requires_role('reviewer', requirement_in_body)
 def push_to_jira():
     """Push requirement to Jira with comprehensive validation"""
     try:
@@ -1387,11 +5272,11 @@ def push_to_jira():
         if not data or 'requirementId' not in data:
             return jsonify({"success": False, "error": "Missing requirement ID"}), 400
             
-        requirement = Requirement.query.get(data['requirementId'])
+        requirement = get_active_requirement(data['requirementId'])
         if not requirement:
             return jsonify({"success": False, "error": "Requirement not found"}), 404
 
-        if requirement.status != StatusEnum.APPROVED:
+        if requirement.status not in states_of_kind(project_workflow(requirement.project), 'approved'):
             return jsonify({"success": False, "error": "Requirement must be approved first"}), 400
 
         # Configure Jira client
@@ -0,0 +1,32 @@
+import os
+import sys
+import tempfile
+
+import pytest
+
+# The service is a single module next to this folder; tests import from it directly
+sys.path.insert(0, os.path.dirname(os.path.dirname(os.path.abspath(__file__))))
+# Set before app is first imported, so tests never touch the real database
+os.environ['DATABASE_URL'] = f"sqlite:///{os.path.join(tempfile.mkdtemp(), 'test.db')}"
+
+
+@pytest.fixture
+def client():
+    """Test client on an empty database, without rate limits."""
+    from app import app, db, limiter
+
+    app.config.update(TESTING=True, SECRET_KEY='test', SESSION_COOKIE_SECURE=False)
+    limiter.enabled = False
+    with app.app_context():
+        db.drop_all()
+        db.create_all()
+    return app.test_client()
+
+
+@pytest.fixture
+def log_in(client):
+    """Logs the test client in as a user."""
+    def log_in(user):
+        with client.session_transaction() as session:
+            session['user_id'] = user.id
+    return log_in
@@ -0,0 +1,37 @@
+import pytest
+
+from app import Project, ProjectMember, Requirement, SourceDocument, User, app, db
+
+
+@pytest.fixture
+def documents(client, log_in):
+    """IDs of a contributor's discarded preview and of a document a requirement was saved from."""
+    with app.app_context():
+        user = User(username='dave', display_name='Dave', password_hash='-')
+        project = Project(name='Web')
+        db.session.add_all([user, project])
+        db.session.flush()
+        db.session.add(ProjectMember(project_id=project.id, user_id=user.id, role='contributor'))
+        discarded, used = (SourceDocument(project_id=project.id, file_name=name, stored_path=f"/nonexistent/{name}",
+                                          text='The system shall export reports.') for name in ('draft.pdf', 'spec.pdf'))
+        db.session.add_all([discarded, used])
+        db.session.flush()
+        db.session.add(Requirement(id=f"p{project.id}_r1", project_id=project.id, categories='Functional',
+                                   requirement='The system shall export reports.', source_document_id=used.id))
+        db.session.commit()
+        log_in(user)
+        return discarded.id, used.id
+
+
+def test_contributor_deletes_a_document_nothing_was_saved_from(client, documents):
+    discarded, _ = documents
+    assert client.delete(f"/api/documents/{discarded}").status_code == 200
+    with app.app_context():
+        assert db.session.get(SourceDocument, discarded) is None
+
+
+def test_only_admins_delete_a_document_requirements_point_at(client, documents):
+    _, used = documents
+    assert client.delete(f"/api/documents/{used}").status_code == 403
+    with app.app_context():
+        assert db.session.get(SourceDocument, used) is not None
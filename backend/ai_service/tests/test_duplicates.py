@@ -0,0 +1,70 @@
+import pytest
+
+from app import ApprovalVote, Project, ProjectMember, Requirement, User, app, db
+
+
+@pytest.fixture
+def projects(client, log_in):
+    """A contributor of "Web" with a flagged duplicate there, and a requirement in "Mobile"; their IDs."""
+    with app.app_context():
+        user = User(username='carol', display_name='Carol', password_hash='-')
+        web, mobile = Project(name='Web'), Project(name='Mobile')
+        db.session.add_all([user, web, mobile])
+        db.session.flush()
+        db.session.add(ProjectMember(project_id=web.id, user_id=user.id, role='contributor'))
+        db.session.add_all([
+            Requirement(id=f"p{web.id}_r1", project_id=web.id, categories='Security',
+                        requirement='The system shall lock accounts after five failed logins.'),
+            Requirement(id=f"p{web.id}_r2", project_id=web.id, categories='Security',
+                        requirement='The system shall lock an account after 5 failed logins.',
+                        duplicate_of=f"p{web.id}_r1", duplicate_score=0.9),
+            Requirement(id=f"p{mobile.id}_r1", project_id=mobile.id, categories='Usability',
+                        requirement='The app shall support dark mode.'),
+        ])
+        db.session.commit()
+        log_in(user)
+        return web.id, mobile.id
+
+
+def test_merge_into_the_flagged_original(client, projects):
+    web, _ = projects
+    response = client.post(f"/api/requirements/p{web}_r2/duplicate", json={'action': 'merge'})
+    assert response.status_code == 200
+    assert response.get_json()['original']['requirement'] == 'The system shall lock an account after 5 failed logins.'
+
+
+def test_merge_drops_votes_cast_on_the_old_text(client, projects):
+    web, _ = projects
+    with app.app_context():
+        db.session.add(ApprovalVote(requirement_id=f"p{web}_r1", user_id=1, reviewer='Carol'))
+        db.session.commit()
+
+    response = client.post(f"/api/requirements/p{web}_r2/duplicate", json={'action': 'merge'})
+    assert response.status_code == 200
+    assert response.get_json()['original']['approvals']['votes'] == []
+
+
+def test_merge_into_another_project_is_refused(client, projects):
+    web, mobile = projects
+    response = client.post(f"/api/requirements/p{web}_r2/duplicate",
+                           json={'action': 'merge', 'original_id': f"p{mobile}_r1"})
+    assert response.status_code == 404
+
+    with app.app_context():
+        target = db.session.get(Requirement, f"p{mobile}_r1")
+        assert target.requirement == 'The app shall support dark mode.'
+        assert target.categories == 'Usability'
+        assert db.session.get(Requirement, f"p{web}_r2").deleted_at is None
+
+
+def test_merge_only_adds_categories_of_the_project(client, projects):
+    web, _ = projects
+    with app.app_context():
+        db.session.get(Requirement, f"p{web}_r2").categories = 'Security, Legacy'
+        db.session.commit()
+
+    response = client.post(f"/api/requirements/p{web}_r2/duplicate", json={'action': 'merge'})
+    assert response.status_code == 400
+    assert response.get_json()['error'] == 'Unknown category: Legacy'
+    with app.app_context():
+        assert db.session.get(Requirement, f"p{web}_r1").categories == 'Security'
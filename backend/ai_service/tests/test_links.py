@@ -0,0 +1,24 @@
+from app import find_cycles
+
+
+def test_graph_without_cycles():
+    assert find_cycles(['a', 'b', 'c'], [('a', 'b'), ('b', 'c'), ('a', 'c')]) == []
+
+
+def test_cycle_members_are_sorted():
+    assert find_cycles(['a', 'b', 'c', 'd'], [('c', 'a'), ('a', 'b'), ('b', 'c'), ('c', 'd')]) == [['a', 'b', 'c']]
+
+
+def test_self_loop_is_a_cycle():
+    assert find_cycles(['a', 'b'], [('a', 'a'), ('a', 'b')]) == [['a']]
+
+
+def test_separate_cycles_are_reported_separately():
+    cycles = find_cycles(['a', 'b', 'c', 'd', 'e'], [('a', 'b'), ('b', 'a'), ('b', 'c'), ('c', 'd'), ('d', 'c')])
+    assert sorted(cycles) == [['a', 'b'], ['c', 'd']]
+
+
+def test_long_chain_does_not_hit_the_recursion_limit():
+    nodes = list(range(5000))
+    edges = [(n, n + 1) for n in nodes[:-1]] + [(nodes[-1], 0)]
+    assert find_cycles(nodes, edges) == [nodes]
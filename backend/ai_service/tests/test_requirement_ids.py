@@ -0,0 +1,17 @@
+from app import Project, Requirement, app, db, generate_requirement_id
+
+
+def test_ids_continue_from_the_highest_number(client):
+    with app.app_context():
+        project = Project(name='Web')
+        db.session.add(project)
+        db.session.flush()
+        assert generate_requirement_id(project.id) == f"p{project.id}_r1"
+
+        db.session.add_all([
+            Requirement(id=f"p{project.id}_r{n}", project_id=project.id, categories='Functional',
+                        requirement=f"The system shall do thing number {n}.")
+            for n in (2, 9, 10)
+        ])
+        db.session.commit()
+        assert generate_requirement_id(project.id) == f"p{project.id}_r11"
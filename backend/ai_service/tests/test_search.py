@@ -0,0 +1,86 @@
+import pytest
+
+from app import MAX_SEARCH_DEPTH, SearchSyntaxError, parse_search, tokenize_search
+
+
+def term(value, position, field=None, op='='):
+    return ('term', {'field': field, 'op': op, 'value': value}, position)
+
+
+def syntax_error(text):
+    with pytest.raises(SearchSyntaxError) as info:
+        parse_search(text)
+    return info.value
+
+
+def test_empty_search_parses_to_nothing():
+    assert parse_search('') is None
+    assert parse_search('   ') is None
+
+
+def test_tokens_carry_field_operator_and_position():
+    assert tokenize_search('cat:Security -est:>=8') == [
+        ('term', {'field': 'category', 'op': '=', 'value': 'Security', 'negated': False}, 0),
+        ('term', {'field': 'estimate', 'op': '>=', 'value': '8', 'negated': True}, 13),
+    ]
+
+
+def test_and_binds_tighter_than_or():
+    assert parse_search('a b OR c AND d') == ('or', [
+        ('and', [term('a', 0), term('b', 2)]),
+        ('and', [term('c', 7), term('d', 13)]),
+    ])
+
+
+def test_parentheses_group_before_and():
+    assert parse_search('a (b OR c)') == ('and', [
+        term('a', 0),
+        ('or', [term('b', 3), term('c', 8)]),
+    ])
+
+
+def test_not_and_minus_negate_the_next_term_or_group():
+    assert parse_search('NOT draft') == ('not', term('draft', 4))
+    assert parse_search('-status:Draft') == ('not', term('Draft', 0, 'status'))
+    assert parse_search('-(a OR b)') == ('not', ('or', [term('a', 2), term('b', 7)]))
+
+
+def test_quoted_values_keep_spaces_and_escaped_quotes():
+    assert parse_search('"single sign-on" author:"Jo \\"J\\" Doe"') == ('and', [
+        term('single sign-on', 0),
+        term('Jo "J" Doe', 17, 'author'),
+    ])
+
+
+def test_lowercase_operators_are_search_words():
+    assert parse_search('login or logout') == ('and', [term('login', 0), term('or', 6), term('logout', 9)])
+
+
+def test_unclosed_quote_is_reported_at_the_quote():
+    error = syntax_error('login status:"In re')
+    assert error.position == 6
+    assert str(error) == 'Missing closing quote (at character 7)'
+
+
+def test_unknown_field_is_reported_with_its_position():
+    error = syntax_error('login colour:red')
+    assert error.position == 6
+    assert str(error) == 'Unknown field "colour" (at character 7)'
+
+
+def test_unbalanced_parentheses():
+    assert str(syntax_error('a (b OR c')) == 'Missing closing parenthesis (at character 3)'
+    assert str(syntax_error('a b)')) == 'Unexpected ")" (at character 4)'
+    assert str(syntax_error('a ()')) == 'Empty parentheses (at character 3)'
+    assert str(syntax_error('a OR')).startswith('Search ends too early')
+
+
+def test_nesting_is_limited():
+    depth = MAX_SEARCH_DEPTH
+    assert parse_search('(' * depth + 'a' + ')' * depth) == term('a', depth)
+    assert str(syntax_error('(' * (depth + 1) + 'a' + ')' * (depth + 1))).startswith('Search is nested too deeply')
+    assert str(syntax_error('NOT ' * (depth + 1) + 'a')).startswith('Search is nested too deeply')
+
+
+def test_long_searches_are_refused():
+    assert str(syntax_error('a' * 501)).startswith('Searches can be at most 500 characters')
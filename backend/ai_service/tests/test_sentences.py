@@ -0,0 +1,40 @@
+from app import split_sentences
+
+
+def texts(text, **kwargs):
+    return [sentence['text'] for sentence in split_sentences(text, **kwargs)]
+
+
+def test_offsets_point_at_the_sentence_in_the_original_text():
+    text = "  The system shall log every login.\n\nUsers must reset passwords yearly!  "
+    sentences = split_sentences(text)
+    assert [s['text'] for s in sentences] == ["The system shall log every login.", "Users must reset passwords yearly!"]
+    for sentence in sentences:
+        assert text[sentence['start']:sentence['end']] == sentence['text']
+
+
+def test_abbreviations_initials_and_decimals_do_not_end_a_sentence():
+    assert texts("Support formats, e.g. PDF and DOCX, in v2.5 of the app. Reports go to J. Smith by email.") == [
+        "Support formats, e.g. PDF and DOCX, in v2.5 of the app.",
+        "Reports go to J. Smith by email.",
+    ]
+
+
+def test_list_markers_are_dropped_from_text_and_offsets():
+    text = "Requirements:\n- The app shall export CSV files\n2. The app shall import XLSX files"
+    sentences = split_sentences(text)
+    assert [s['text'] for s in sentences] == ["The app shall export CSV files", "The app shall import XLSX files"]
+    assert text[sentences[0]['start']:sentences[0]['end']] == "The app shall export CSV files"
+    assert text[sentences[1]['start']:sentences[1]['end']] == "The app shall import XLSX files"
+
+
+def test_wrapped_lines_are_joined_but_offsets_span_the_original():
+    text = "The system shall\nencrypt stored data."
+    [sentence] = split_sentences(text)
+    assert sentence['text'] == "The system shall encrypt stored data."
+    assert (sentence['start'], sentence['end']) == (0, len(text))
+
+
+def test_short_fragments_are_skipped():
+    assert texts("Introduction. The system shall be fast.") == ["The system shall be fast."]
+    assert texts("Introduction. The system shall be fast.", min_words=1) == ["Introduction.", "The system shall be fast."]
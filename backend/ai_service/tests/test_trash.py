@@ -0,0 +1,41 @@
+from datetime import datetime
+
+import pytest
+
+from app import Project, ProjectMember, Requirement, User, app, db
+
+
+@pytest.fixture
+def project(client, log_in):
+    """ID of a project with two trashed requirements, administered by the logged-in user."""
+    with app.app_context():
+        user = User(username='erin', display_name='Erin', password_hash='-')
+        project = Project(name='Web')
+        db.session.add_all([user, project])
+        db.session.flush()
+        db.session.add(ProjectMember(project_id=project.id, user_id=user.id, role='admin'))
+        db.session.add_all([
+            Requirement(id=f"p{project.id}_r{n}", project_id=project.id, categories='Functional',
+                        requirement=f"The system shall do thing number {n}.", deleted_at=datetime.now())
+            for n in (1, 2)
+        ])
+        db.session.commit()
+        log_in(user)
+        return project.id
+
+
+@pytest.mark.parametrize('ids', ['p1_r1', {'id': 'p1_r1'}, [1, 2], [['p1_r1']]])
+def test_ids_must_be_a_list_of_requirement_ids(client, project, ids):
+    for method, url in (('DELETE', f"/api/projects/{project}/trash"),
+                        ('POST', f"/api/projects/{project}/trash/restore")):
+        response = client.open(url, method=method, json={'ids': ids})
+        assert response.status_code == 400
+        assert response.get_json()['error'] == 'ids must be a list of requirement IDs'
+
+
+def test_only_the_listed_requirements_are_deleted(client, project):
+    response = client.delete(f"/api/projects/{project}/trash", json={'ids': [f"p{project}_r1"]})
+    assert response.get_json()['deleted'] == 1
+    with app.app_context():
+        assert db.session.get(Requirement, f"p{project}_r1") is None
+        assert db.session.get(Requirement, f"p{project}_r2") is not None
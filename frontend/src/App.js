@@ -1,18 +1,26 @@
 // src/App.js
 import React from 'react';
-import { BrowserRouter as Router, Routes, Route, Link, Outlet } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Link, Outlet, Navigate, useLocation } from 'react-router-dom';
 import Home from './pages/Home';
 import Dashboard from './pages/Dashboard';
 import Upload from './pages/Upload';
 import Loading from './Components/Loading';
 import Demo from './pages/Demo';
 import Chatbot from './pages/Chatbot';
+import Login from './pages/Login';
 
 import { ChatProvider } from './pages/ChatContext'; // Import ChatProvider
+import { AuthProvider, useAuth } from './pages/AuthContext';
 import './App.css';
 
-// Shared layout component with navigation
+// Shared layout component with navigation; every page behind it needs a login
 const Layout = () => {
+  const { user } = useAuth();
+  const location = useLocation();
+
+  if (user === undefined) return <Loading />;
+  if (!user) return <Navigate to="/login" replace state={{ from: location }} />;
+
   return (
     <div className="app-container">
       <Navigation />
@@ -27,6 +35,8 @@ const Layout = () => {
 
 // Navigation component
 const Navigation = () => {
+  const { user, logout } = useAuth();
+
   return (
     <nav className="main-nav">
       <div className="nav-brand">Requirements Manager</div>
@@ -47,28 +57,37 @@ const Navigation = () => {
           <Link to="/chatbot" className="nav-link">Chatbot</Link>
         </li>
       </ul>
+      <div className="nav-user">
+        <span title={`Logged in as ${user.username}`}>
+          👤 {user.display_name}{user.is_admin && ' (site admin)'}
+        </span>
+        <button onClick={logout}>Log out</button>
+      </div>
     </nav>
   );
 };
 
 function App() {
   return (
-    <ChatProvider> {/* Wrap the entire app with ChatProvider */}
-      <Router>
-        <Routes>
-          <Route path="/" element={<Layout />}>
-            <Route index element={<Home />} />
-            <Route path="upload" element={<Upload />} />
-            <Route path="dashboard" element={<Dashboard />} />
-            <Route path="demo" element={<Demo />} />
-            <Route path="chatbot" element={<Chatbot />} />
-            {/* Add the new route for project-specific requirements */}
-            
-          </Route>
-        </Routes>
-      </Router>
-    </ChatProvider>
+    <AuthProvider>
+      <ChatProvider> {/* Wrap the entire app with ChatProvider */}
+        <Router>
+          <Routes>
+            <Route path="/login" element={<Login />} />
+            <Route path="/" element={<Layout />}>
+              <Route index element={<Home />} />
+              <Route path="upload" element={<Upload />} />
+              <Route path="dashboard" element={<Dashboard />} />
+              <Route path="demo" element={<Demo />} />
+              <Route path="chatbot" element={<Chatbot />} />
+              {/* Add the new route for project-specific requirements */}
+              
+            </Route>
+          </Routes>
+        </Router>
+      </ChatProvider>
+    </AuthProvider>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
@@ -0,0 +1,41 @@
+import React, { useState } from 'react';
+import './AcceptanceCriteria.css';
+
+// Acceptance criteria of a requirement card, collapsed to a count. Requirements
+// without criteria or scenarios get a badge instead so QA can spot them.
+const AcceptanceCriteria = ({ requirement }) => {
+  const [expanded, setExpanded] = useState(false);
+  const criteria = requirement.acceptance_criteria
+    ? requirement.acceptance_criteria.split('\n').filter(line => line.trim())
+    : [];
+  const scenarioCount = (requirement.scenarios?.match(/^\s*(?:Scenario|Scenario Outline|Example):/gim) || []).length;
+
+  if (!criteria.length && !scenarioCount) {
+    return <span className="criteria-missing-badge">No acceptance criteria</span>;
+  }
+
+  const summary = [
+    criteria.length && `${criteria.length} ${criteria.length === 1 ? 'criterion' : 'criteria'}`,
+    scenarioCount && `${scenarioCount} ${scenarioCount === 1 ? 'scenario' : 'scenarios'}`,
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <div className="acceptance-criteria">
+      <button className="acceptance-toggle" onClick={() => setExpanded(prev => !prev)}>
+        ✓ {summary} {expanded ? '▴' : '▾'}
+      </button>
+      {expanded && (
+        <div className="acceptance-details">
+          {criteria.length > 0 && (
+            <ul>
+              {criteria.map((criterion, index) => <li key={index}>{criterion.replace(/^\s*[-*•]\s*/, '')}</li>)}
+            </ul>
+          )}
+          {scenarioCount > 0 && <pre>{requirement.scenarios}</pre>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AcceptanceCriteria;
@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import * as api from './api';
+import './AcceptanceCriteria.css';
+
+const SCENARIO_PLACEHOLDER = `Scenario: Valid login
+  Given a registered user
+  When they sign in with the right password
+  Then they see their dashboard`;
+
+// Acceptance criteria and Gherkin scenarios in the requirement modals. The AI
+// draft only fills the scenarios box; nothing is saved until the form is.
+const AcceptanceCriteriaInputs = ({ projectId, requirement, values, onChange }) => {
+  const [drafting, setDrafting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const draft = async () => {
+    if (values.scenarios.trim() && !window.confirm('Replace the current scenarios with an AI draft?')) return;
+    setDrafting(true);
+    setError(null);
+    try {
+      const { scenarios } = await api.draftScenarios(projectId, requirement, values.acceptance_criteria);
+      onChange({ scenarios });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setDrafting(false);
+    }
+  };
+
+  return (
+    <div className="acceptance-inputs">
+      <div className="form-group">
+        <label>Acceptance criteria</label>
+        <textarea
+          placeholder="One criterion per line"
+          value={values.acceptance_criteria}
+          onChange={(e) => onChange({ acceptance_criteria: e.target.value })}
+        />
+      </div>
+
+      <div className="form-group">
+        <div className="acceptance-scenarios-label">
+          <label>Scenarios (Given/When/Then)</label>
+          <button type="button" onClick={draft} disabled={drafting || !requirement.trim()}>
+            {drafting ? 'Drafting…' : 'Draft with AI'}
+          </button>
+        </div>
+        {error && <div className="error-message">{error}</div>}
+        <textarea
+          className="acceptance-scenarios"
+          placeholder={SCENARIO_PLACEHOLDER}
+          value={values.scenarios}
+          onChange={(e) => onChange({ scenarios: e.target.value })}
+          spellCheck={false}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default AcceptanceCriteriaInputs;
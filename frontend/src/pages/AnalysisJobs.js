@@ -0,0 +1,107 @@
+import React, { useState, useEffect, useRef } from 'react';
+import * as api from './api';
+import './AnalysisJobs.css';
+
+const POLL_INTERVAL = 2000;
+
+const KIND_LABELS = {
+  analyze: 'Document analysis',
+  batch: 'Reviewed candidates',
+  import: 'Structured import',
+};
+
+// Server-side analysis jobs of the project. Jobs keep running when the page is
+// left, so this list picks them up again and reports the requirements they
+// created once they finish.
+const AnalysisJobs = ({ projectId, refreshKey, onJobFinished }) => {
+  const [jobs, setJobs] = useState([]);
+  const [error, setError] = useState(null);
+  const runningIds = useRef(new Set());
+  const onJobFinishedRef = useRef(onJobFinished);
+  onJobFinishedRef.current = onJobFinished;
+
+  useEffect(() => {
+    const controller = new AbortController();
+    let timer = null;
+
+    const load = async () => {
+      try {
+        const data = await api.getProjectJobs(projectId, { signal: controller.signal });
+        setJobs(data);
+        setError(null);
+
+        const finished = data.filter(job => runningIds.current.has(job.id) && api.isJobFinished(job));
+        runningIds.current = new Set(data.filter(job => !api.isJobFinished(job)).map(job => job.id));
+        for (const job of finished) {
+          const full = await api.getJob(job.id, { signal: controller.signal });
+          onJobFinishedRef.current?.(full.requirements || []);
+        }
+
+        if (runningIds.current.size) timer = setTimeout(load, POLL_INTERVAL);
+      } catch (err) {
+        if (!api.isCancelled(err)) setError(err.message);
+      }
+    };
+
+    load();
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [projectId, refreshKey]);
+
+  const cancelJob = async (job) => {
+    try {
+      const updated = await api.cancelJob(job.id);
+      setJobs(prev => prev.map(j => j.id === updated.id ? updated : j));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (!jobs.length && !error) return null;
+
+  return (
+    <div className="analysis-jobs">
+      <h3>Recent analysis jobs</h3>
+      {error && <div className="error-message">{error}</div>}
+      <ul>
+        {jobs.map(job => {
+          const percent = job.total ? Math.round((job.processed / job.total) * 100) : 0;
+          return (
+            <li key={job.id} className={`analysis-job ${job.status}`}>
+              <div className="analysis-job-header">
+                <span className="analysis-job-name" title={job.file_name || ''}>
+                  {job.file_name || KIND_LABELS[job.kind] || job.kind}
+                </span>
+                <span className="analysis-job-date">{new Date(job.created_at).toLocaleString()}</span>
+                <span className={`analysis-job-status ${job.status}`}>{job.status}</span>
+                {!api.isJobFinished(job) && (
+                  <button onClick={() => cancelJob(job)}>Cancel</button>
+                )}
+              </div>
+              <div className="queue-progress">
+                <div
+                  className={`queue-progress-bar ${job.status === 'queued' ? 'indeterminate' : ''}`}
+                  style={{ width: `${api.isJobFinished(job) ? 100 : percent}%` }}
+                />
+              </div>
+              <div className="analysis-job-footer">
+                {job.total > 0 && <span>{job.processed}/{job.total} processed</span>}
+                <span>{job.created} created</span>
+                {job.errors.length > 0 && (
+                  <span title={job.errors.map(e => `Item ${e.item}: ${e.error}`).join('\n')}>
+                    {job.errors.length} skipped
+                  </span>
+                )}
+                {job.message && <span className="queue-error">{job.message}</span>}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default AnalysisJobs;
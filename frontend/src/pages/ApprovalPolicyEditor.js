@@ -0,0 +1,155 @@
+import React, { useState, useEffect } from 'react';
+import * as api from './api';
+import { categoryNames } from './categories';
+import './Approvals.css';
+
+const MAX_APPROVALS = 10;
+
+let nextRowKey = 1;
+
+// How many reviewers must approve a requirement of the project, overall and for
+// categories that need more sign-off (e.g. two reviewers for Security items).
+const ApprovalPolicyEditor = ({ project, onSaved, onClose }) => {
+  const [required, setRequired] = useState(1);
+  const [rows, setRows] = useState([]);
+  const [reviewers, setReviewers] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = ({ policy, reviewers: count }) => {
+    setRequired(policy.required);
+    setRows(Object.entries(policy.categories).map(([category, approvals]) => ({
+      key: nextRowKey++, category, approvals,
+    })));
+    setReviewers(count);
+  };
+
+  useEffect(() => {
+    const controller = new AbortController();
+    api.getApprovalPolicy(project.id, { signal: controller.signal })
+      .then(load)
+      .catch(err => {
+        if (!api.isCancelled(err)) setError(err.message);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+    return () => controller.abort();
+  }, [project.id]);
+
+  const updateRow = (key, changes) => {
+    setRows(prev => prev.map(row => (row.key === key ? { ...row, ...changes } : row)));
+  };
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      await api.updateApprovalPolicy(project.id, {
+        required,
+        categories: Object.fromEntries(rows
+          .filter(row => row.category.trim())
+          .map(row => [row.category.trim(), row.approvals])),
+      });
+      onSaved(project.id);
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const highest = Math.max(required, ...rows.map(row => row.approvals));
+  const toCount = (value) => Math.min(MAX_APPROVALS, Math.max(1, parseInt(value, 10) || 1));
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content approval-policy" onClick={(e) => e.stopPropagation()}>
+        <div className="approval-policy-header">
+          <h2>Approvals for {project.name}</h2>
+          <button onClick={onClose} aria-label="Close">×</button>
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+        {loading && <p>Loading approval policy…</p>}
+
+        {!loading && (
+          <>
+            <p className="approval-policy-hint">
+              A requirement only becomes approved once this many reviewers have approved it.
+              Rejecting takes a single reviewer.
+            </p>
+            <label className="approval-policy-required">
+              Approvals required
+              <input
+                type="number"
+                min="1"
+                max={MAX_APPROVALS}
+                value={required}
+                onChange={(e) => setRequired(toCount(e.target.value))}
+              />
+            </label>
+
+            <h3>Per category</h3>
+            <p className="approval-policy-hint">
+              Requirements in several categories need the highest of their counts.
+            </p>
+            <datalist id="approval-categories">
+              {categoryNames(project).map(category => <option key={category} value={category} />)}
+            </datalist>
+            <ul className="approval-rules">
+              {rows.map(row => (
+                <li key={row.key}>
+                  <input
+                    type="text"
+                    list="approval-categories"
+                    placeholder="Category"
+                    value={row.category}
+                    onChange={(e) => updateRow(row.key, { category: e.target.value })}
+                  />
+                  <input
+                    type="number"
+                    min="1"
+                    max={MAX_APPROVALS}
+                    value={row.approvals}
+                    onChange={(e) => updateRow(row.key, { approvals: toCount(e.target.value) })}
+                  />
+                  <span>approvals</span>
+                  <button
+                    className="delete-btn"
+                    onClick={() => setRows(prev => prev.filter(r => r.key !== row.key))}
+                  >
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <button
+              className="approval-add-btn"
+              onClick={() => setRows(prev => [...prev, { key: nextRowKey++, category: '', approvals: 2 }])}
+            >
+              Add category rule
+            </button>
+
+            {highest > reviewers && (
+              <p className="approval-policy-warning">
+                The project has {reviewers} {reviewers === 1 ? 'reviewer' : 'reviewers'}; add members with the
+                reviewer role so {highest} approvals can be reached.
+              </p>
+            )}
+          </>
+        )}
+
+        <div className="form-actions">
+          <button onClick={onClose} disabled={saving}>Cancel</button>
+          <button className="create-btn" onClick={save} disabled={loading || saving}>
+            {saving ? 'Saving...' : 'Save policy'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ApprovalPolicyEditor;
@@ -0,0 +1,52 @@
+import React, { useState } from 'react';
+import './Approvals.css';
+
+// Sign-offs collected on a requirement card, e.g. "Approvals 1/2 · Alice".
+// Reviewers who already voted can withdraw while the policy isn't met yet.
+const ApprovalProgress = ({ approvals, approved, userId, onWithdraw }) => {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const { required, votes } = approvals;
+
+  // A single approval is the usual case and needs no progress display
+  if (!votes.length && required <= 1) return null;
+
+  const withdraw = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      await onWithdraw();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const ownVote = votes.some(vote => vote.user_id === userId);
+  const count = Math.min(votes.length, required);
+
+  return (
+    <div className={`approval-progress ${approved ? 'complete' : ''}`}>
+      <span className="approval-count" title={`${required} approvals required`}>
+        Approvals {approved ? votes.length : count}/{required}
+      </span>
+      <span className="approval-bar" aria-hidden="true">
+        <span style={{ width: `${(count / required) * 100}%` }} />
+      </span>
+      {votes.length > 0 && (
+        <span className="approval-voters">
+          {votes.map(vote => (
+            <span key={vote.user_id} title={new Date(vote.created_at).toLocaleString()}>✔ {vote.reviewer}</span>
+          ))}
+        </span>
+      )}
+      {ownVote && !approved && onWithdraw && (
+        <button onClick={withdraw} disabled={busy}>Withdraw my approval</button>
+      )}
+      {error && <span className="approval-error">{error}</span>}
+    </div>
+  );
+};
+
+export default ApprovalProgress;
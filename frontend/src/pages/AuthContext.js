@@ -0,0 +1,51 @@
+import React, { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import * as api from './api';
+
+// Logged-in user, shared by the navigation, route guard and pages
+const AuthContext = createContext({ user: null });
+
+export const AuthProvider = ({ children }) => {
+  // undefined while the session is being checked, null when nobody is logged in
+  const [user, setUser] = useState(undefined);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    api.getCurrentUser({ signal: controller.signal })
+      .then(setUser)
+      .catch(err => {
+        if (!api.isCancelled(err)) setUser(null);
+      });
+    // Any 401 means the session is gone; the route guard sends the user to the login page
+    api.setUnauthorizedHandler(() => setUser(null));
+    return () => {
+      controller.abort();
+      api.setUnauthorizedHandler(null);
+    };
+  }, []);
+
+  const login = useCallback(async (username, password) => {
+    setUser(await api.login(username, password));
+  }, []);
+
+  const register = useCallback(async (account) => {
+    setUser(await api.register(account));
+  }, []);
+
+  const logout = useCallback(async () => {
+    try {
+      await api.logout();
+    } finally {
+      setUser(null);
+    }
+  }, []);
+
+  return (
+    <AuthContext.Provider value={{ user, login, register, logout }}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
+
+export const useAuth = () => useContext(AuthContext);
+
+export default AuthContext;
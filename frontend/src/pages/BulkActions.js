@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import * as api from './api';
+import { hasRole } from './permissions';
+import './BulkActions.css';
+
+const ACTION_LABELS = {
+  approve: 'Approve',
+  reject: 'Reject',
+  status: 'Set status',
+  delete: 'Delete',
+  priority: 'Set priority',
+  complexity: 'Set complexity',
+  add_category: 'Add category',
+  move: 'Move to project',
+};
+
+// Approving and rejecting are reviews; everything else is an edit
+const ACTION_ROLES = { approve: 'reviewer', reject: 'reviewer' };
+
+const VALUE_OPTIONS = {
+  priority: ['High', 'Medium', 'Low'],
+  complexity: ['High', 'Moderate', 'Low'],
+};
+
+// Toolbar for the Review tab: applies one action to every selected requirement
+// and keeps a per-item report of what went through and what didn't.
+const BulkActions = ({
+  selectedIds, visibleCount, allSelected, onToggleAll, projects, projectId, statuses, categories, role, onComplete,
+}) => {
+  const actions = Object.keys(ACTION_LABELS).filter(key => hasRole(role, ACTION_ROLES[key] || 'contributor'));
+  const [action, setAction] = useState(actions[0]);
+  const [value, setValue] = useState('');
+  const [running, setRunning] = useState(false);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Requirements can only be moved into projects the user contributes to
+  const otherProjects = projects.filter(project => project.id !== projectId && hasRole(project.role, 'contributor'));
+  const needsValue = ['status', 'priority', 'complexity', 'add_category', 'move'].includes(action);
+  const valueOptions = { status: statuses, add_category: categories }[action] || VALUE_OPTIONS[action];
+
+  const changeAction = (next) => {
+    setAction(next);
+    setValue('');
+  };
+
+  const run = async () => {
+    if (action === 'delete' &&
+      !window.confirm(`Move ${selectedIds.length} requirements to the trash?`)) return;
+
+    setRunning(true);
+    setError(null);
+    try {
+      const payload = action === 'move' ? Number(value) : value || undefined;
+      const result = await api.bulkUpdateRequirements(selectedIds, action, payload);
+      setReport(result);
+      onComplete(action, payload, result.results);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const failures = report ? report.results.filter(r => !r.ok) : [];
+
+  return (
+    <div className="bulk-actions">
+      <div className="bulk-actions-bar">
+        <label className="bulk-select-all">
+          <input
+            type="checkbox"
+            checked={allSelected}
+            onChange={onToggleAll}
+            disabled={!visibleCount}
+          />
+          Select all {visibleCount} shown
+        </label>
+        <span className="bulk-count">{selectedIds.length} selected</span>
+
+        <select value={action} onChange={(e) => changeAction(e.target.value)} disabled={running}>
+          {actions.map(key => (
+            <option key={key} value={key}>{ACTION_LABELS[key]}</option>
+          ))}
+        </select>
+
+        {valueOptions && (
+          <select value={value} onChange={(e) => setValue(e.target.value)} disabled={running}>
+            <option value="">Choose…</option>
+            {valueOptions.map(option => <option key={option} value={option}>{option}</option>)}
+          </select>
+        )}
+        {action === 'move' && (
+          <select value={value} onChange={(e) => setValue(e.target.value)} disabled={running}>
+            <option value="">Choose project…</option>
+            {otherProjects.map(project => <option key={project.id} value={project.id}>{project.name}</option>)}
+          </select>
+        )}
+
+        <button
+          className={action === 'delete' ? 'delete-btn' : ''}
+          onClick={run}
+          disabled={running || !selectedIds.length || (needsValue && !value.trim())}
+        >
+          {running ? 'Applying…' : `Apply to ${selectedIds.length}`}
+        </button>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {report && (
+        <div className={`bulk-report ${failures.length ? 'has-failures' : ''}`}>
+          <div className="bulk-report-summary">
+            <span>
+              {ACTION_LABELS[report.action]}: {report.succeeded} succeeded
+              {failures.length > 0 && `, ${failures.length} failed`}
+            </span>
+            <button onClick={() => setReport(null)}>Dismiss</button>
+          </div>
+          {failures.length > 0 && (
+            <ul>
+              {failures.map(failure => (
+                <li key={failure.id}><strong>{failure.id}</strong>: {failure.error}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BulkActions;
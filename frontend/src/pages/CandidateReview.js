@@ -0,0 +1,144 @@
+import React, { useState, useRef } from 'react';
+import './CandidateReview.css';
+
+const CONTEXT_CHARS = 300;
+
+let nextCandidateKey = 1;
+
+/** Extracted sentences as the editable candidates CandidateReview works on */
+export const toCandidates = (extracted) =>
+  extracted.map(({ text, start, end }) => ({ key: nextCandidateKey++, text, start, end }));
+
+// Shows the passage a candidate was extracted from, with the sentence highlighted
+const SourceContext = ({ sourceText, start, end }) => {
+  const from = Math.max(0, start - CONTEXT_CHARS);
+  const to = Math.min(sourceText.length, end + CONTEXT_CHARS);
+
+  return (
+    <div className="candidate-source">
+      {from > 0 && '…'}
+      {sourceText.slice(from, start)}
+      <mark>{sourceText.slice(start, end)}</mark>
+      {sourceText.slice(end, to)}
+      {to < sourceText.length && '…'}
+    </div>
+  );
+};
+
+// Staging list for requirements extracted from one file. Nothing is saved
+// until the user presses Save; merge/split/edit/discard go to `onChange`, so the
+// queue keeps the edits while another file is being reviewed.
+const CandidateReview = ({ fileName, sourceText, candidates, saving, error, onChange, onSave, onCancel }) => {
+  const setCandidates = (update) => onChange(update(candidates));
+  const [expandedSource, setExpandedSource] = useState(null);
+  const textareas = useRef({});
+
+  const updateText = (key, text) => {
+    setCandidates(prev => prev.map(c => c.key === key ? { ...c, text } : c));
+  };
+
+  const discard = (key) => {
+    setCandidates(prev => prev.filter(c => c.key !== key));
+  };
+
+  const mergeWithNext = (index) => {
+    setCandidates(prev => {
+      const current = prev[index];
+      const next = prev[index + 1];
+      if (!next) return prev;
+      const merged = {
+        key: nextCandidateKey++,
+        text: `${current.text.trim()} ${next.text.trim()}`,
+        start: Math.min(current.start, next.start),
+        end: Math.max(current.end, next.end),
+      };
+      return [...prev.slice(0, index), merged, ...prev.slice(index + 2)];
+    });
+  };
+
+  // Splits at the caret position in the candidate's textarea
+  const splitAtCursor = (index) => {
+    const candidate = candidates[index];
+    const position = textareas.current[candidate.key]?.selectionStart ?? 0;
+    const head = candidate.text.slice(0, position).trim();
+    const tail = candidate.text.slice(position).trim();
+    if (!head || !tail) return;
+
+    setCandidates(prev => [
+      ...prev.slice(0, index),
+      { ...candidate, key: nextCandidateKey++, text: head },
+      { ...candidate, key: nextCandidateKey++, text: tail },
+      ...prev.slice(index + 1),
+    ]);
+  };
+
+  const toSave = candidates.filter(c => c.text.trim());
+
+  return (
+    <div className="candidate-review">
+      <div className="candidate-review-header">
+        <div>
+          <h2>Review extracted requirements</h2>
+          <span className="candidate-review-file">{fileName} • {toSave.length} to save</span>
+        </div>
+        <div className="candidate-review-actions">
+          <button onClick={onCancel} disabled={saving}>Discard file</button>
+          <button
+            className="create-btn"
+            onClick={() => onSave(toSave.map(c => ({ requirement: c.text.trim(), start: c.start, end: c.end })))}
+            disabled={saving || !toSave.length}
+          >
+            {saving ? 'Saving...' : `Save ${toSave.length} requirements`}
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {!candidates.length && (
+        <div className="empty-state">All candidates were discarded.</div>
+      )}
+
+      <ol className="candidate-list">
+        {candidates.map((candidate, index) => (
+          <li key={candidate.key} className="candidate-item">
+            <textarea
+              ref={el => { textareas.current[candidate.key] = el; }}
+              value={candidate.text}
+              onChange={(e) => updateText(candidate.key, e.target.value)}
+              rows={Math.min(6, Math.ceil(candidate.text.length / 90) + 1)}
+              disabled={saving}
+            />
+            <div className="candidate-actions">
+              <button
+                onClick={() => mergeWithNext(index)}
+                disabled={saving || index === candidates.length - 1}
+                title="Merge with the next candidate"
+              >
+                Merge ↓
+              </button>
+              <button
+                onClick={() => splitAtCursor(index)}
+                disabled={saving}
+                title="Place the cursor in the text, then split there"
+              >
+                Split at cursor
+              </button>
+              <button onClick={() => setExpandedSource(expandedSource === candidate.key ? null : candidate.key)}>
+                {expandedSource === candidate.key ? 'Hide source' : 'Show source'}
+              </button>
+              <button className="delete-btn" onClick={() => discard(candidate.key)} disabled={saving}>
+                Discard
+              </button>
+            </div>
+            {expandedSource === candidate.key && (
+              <SourceContext sourceText={sourceText} start={candidate.start} end={candidate.end} />
+            )}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+export default CandidateReview;
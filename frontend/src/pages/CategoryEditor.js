@@ -0,0 +1,138 @@
+import React, { useState, useEffect } from 'react';
+import * as api from './api';
+import './Categories.css';
+
+const MAX_CATEGORIES = 30;
+
+let nextRowKey = 1;
+
+// The categories a project's requirements are classified into. Descriptions are
+// hints for the classifier; renaming a category renames it on every requirement.
+const CategoryEditor = ({ project, onSaved, onClose }) => {
+  const [rows, setRows] = useState([]);
+  const [usage, setUsage] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    api.getCategories(project.id, { signal: controller.signal })
+      .then(({ categories, usage: counts }) => {
+        setRows(categories.map(category => ({ key: nextRowKey++, original: category.name, ...category })));
+        setUsage(counts);
+      })
+      .catch(err => {
+        if (!api.isCancelled(err)) setError(err.message);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+    return () => controller.abort();
+  }, [project.id]);
+
+  const updateRow = (key, changes) => {
+    setRows(prev => prev.map(row => (row.key === key ? { ...row, ...changes } : row)));
+  };
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      const rename = Object.fromEntries(rows
+        .filter(row => row.original && row.name.trim() && row.original !== row.name.trim())
+        .map(row => [row.original, row.name.trim()]));
+      const { categories } = await api.updateCategories(
+        project.id,
+        rows.map(({ name, description }) => ({ name, description })),
+        rename,
+      );
+      onSaved(project.id, categories, rename);
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const kept = new Set(rows.map(row => row.original));
+  const removedInUse = Object.entries(usage).filter(([name]) => !kept.has(name) &&
+    rows.every(row => row.name.trim().toLowerCase() !== name.toLowerCase()));
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content category-editor" onClick={(e) => e.stopPropagation()}>
+        <div className="category-editor-header">
+          <h2>Categories of {project.name}</h2>
+          <button onClick={onClose} aria-label="Close">×</button>
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+        {loading && <p>Loading categories…</p>}
+
+        {!loading && (
+          <>
+            <p className="category-editor-hint">
+              New requirements are classified into up to three of these. A description such as
+              "Legal and regulatory obligations" helps the classifier tell categories apart.
+            </p>
+            <ul className="category-rows">
+              {rows.map(row => (
+                <li key={row.key}>
+                  <input
+                    type="text"
+                    placeholder="Name"
+                    maxLength={50}
+                    value={row.name}
+                    onChange={(e) => updateRow(row.key, { name: e.target.value.replace(/,/g, '') })}
+                  />
+                  <input
+                    type="text"
+                    className="category-description"
+                    placeholder="Description (optional)"
+                    maxLength={200}
+                    value={row.description}
+                    onChange={(e) => updateRow(row.key, { description: e.target.value })}
+                  />
+                  <span className="category-usage" title="Requirements in this category">
+                    {usage[row.original] || 0}
+                  </span>
+                  <button
+                    className="delete-btn"
+                    onClick={() => setRows(prev => prev.filter(r => r.key !== row.key))}
+                    disabled={rows.length === 1}
+                  >
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <button
+              className="category-add-btn"
+              onClick={() => setRows(prev => [...prev, { key: nextRowKey++, original: null, name: '', description: '' }])}
+              disabled={rows.length >= MAX_CATEGORIES}
+            >
+              Add category
+            </button>
+
+            {removedInUse.length > 0 && (
+              <p className="category-editor-warning">
+                {removedInUse.map(([name, count]) => `${name} (${count})`).join(', ')} will no longer be offered,
+                but requirements that have them keep them.
+              </p>
+            )}
+          </>
+        )}
+
+        <div className="form-actions">
+          <button onClick={onClose} disabled={saving}>Cancel</button>
+          <button className="create-btn" onClick={save} disabled={loading || saving}>
+            {saving ? 'Saving...' : 'Save categories'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CategoryEditor;
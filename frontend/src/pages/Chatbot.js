@@ -1,5 +1,5 @@
 import React, { useState, useRef, useEffect, useContext } from 'react';
-import axios from 'axios';
+import * as api from './api';
 import styled, { keyframes } from 'styled-components';
 import ReactMarkdown from 'react-markdown';
 import ChatContext from './ChatContext';
@@ -181,7 +181,6 @@ const Chatbot = () => {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const messagesEndRef = useRef(null);
-  const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:5000';
 
   const scrollToBottom = () => {
       messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -250,20 +249,13 @@ const Chatbot = () => {
         // Get project_id from context or state
         const project_id = 1; // Replace this with the actual project_id from your context or state
 
-        const response = await axios.post(`${API_BASE_URL}/api/chat`, {
-            message: inputMessage,
-            project_id: project_id // Include project_id in the request body
-        });
-
-        if (response.status !== 200) {
-            throw new Error(response.data.error || 'API request failed');
-        }
+        const result = await api.sendChatMessage(inputMessage, project_id);
 
         const botMessage = {
-            content: response.data.response,
+            content: result.response,
             role: 'bot',
             timestamp: new Date().toISOString(),
-            stats: response.data.stats
+            stats: result.stats
         };
 
         setMessages(prev => [...prev, botMessage]);
@@ -0,0 +1,381 @@
+import React, { useState, useEffect, useRef } from 'react';
+import ReactMarkdown, { defaultUrlTransform } from 'react-markdown';
+import * as api from './api';
+import { useAuth } from './AuthContext';
+import { hasRole } from './permissions';
+import './CommentThread.css';
+
+// Same syntax the server recognises: "@Name" or "@[Full Name]"
+const MENTION_RE = /(?<![\w@])@(?:\[([^\]\n]{1,100})\]|([\w][\w.-]*))/g;
+const MAX_SUGGESTIONS = 6;
+
+const stripHtml = (html) => html.replace(/<[^>]+>/g, ' ');
+
+const mentionText = (name) => (/^[\w][\w.-]*$/.test(name) ? `@${name}` : `@[${name}]`);
+
+// Turns recognised mentions into links with a private scheme so the markdown
+// renderer hands them to our `a` component instead of printing plain text
+const linkMentions = (body, mentions) => {
+  const known = new Map(mentions.map(name => [name.toLowerCase(), name]));
+  return body.replace(MENTION_RE, (match, bracketed, word) => {
+    const name = known.get((bracketed || word).trim().toLowerCase());
+    return name ? `[@${name}](mention:${encodeURIComponent(name)})` : match;
+  });
+};
+
+const urlTransform = (url) => (url.startsWith('mention:') ? url : defaultUrlTransform(url));
+
+// Mention being typed right before the caret, if any
+const mentionQuery = (text, caret) => {
+  const match = /(?:^|[^\w@])@(\[[^\]\n]*|[\w.-]*)$/.exec(text.slice(0, caret));
+  if (!match) return null;
+  const raw = match[1];
+  return { start: caret - raw.length - 1, query: raw.replace(/^\[/, '').toLowerCase() };
+};
+
+const CommentBody = ({ comment, actor }) => (
+  <div className="comment-body">
+    <ReactMarkdown
+      urlTransform={urlTransform}
+      components={{
+        a: ({ href, children }) => {
+          if (href && href.startsWith('mention:')) {
+            const name = decodeURIComponent(href.slice('mention:'.length));
+            return (
+              <span className={`mention ${name.toLowerCase() === actor.toLowerCase() ? 'mention-self' : ''}`}>
+                {children}
+              </span>
+            );
+          }
+          return <a href={href} target="_blank" rel="noopener noreferrer">{children}</a>;
+        },
+      }}
+    >
+      {linkMentions(comment.body, comment.mentions)}
+    </ReactMarkdown>
+  </div>
+);
+
+// Markdown textarea with @-autocomplete of project members and a preview tab
+const CommentComposer = ({ members, actor, initialValue = '', submitLabel, onSubmit, onCancel, autoFocus }) => {
+  const [body, setBody] = useState(initialValue);
+  const [preview, setPreview] = useState(false);
+  const [mention, setMention] = useState(null);
+  const [highlighted, setHighlighted] = useState(0);
+  const [saving, setSaving] = useState(false);
+  const textareaRef = useRef(null);
+
+  const suggestions = mention
+    ? members.filter(name => name.toLowerCase().includes(mention.query)).slice(0, MAX_SUGGESTIONS)
+    : [];
+
+  const updateMention = (text, caret) => {
+    setMention(mentionQuery(text, caret));
+    setHighlighted(0);
+  };
+
+  const insertMention = (name) => {
+    const textarea = textareaRef.current;
+    const caret = textarea.selectionStart;
+    const inserted = `${mentionText(name)} `;
+    const next = body.slice(0, mention.start) + inserted + body.slice(caret);
+    setBody(next);
+    setMention(null);
+    requestAnimationFrame(() => {
+      textarea.focus();
+      const position = mention.start + inserted.length;
+      textarea.setSelectionRange(position, position);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setHighlighted(prev => (prev + step + suggestions.length) % suggestions.length);
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        insertMention(suggestions[highlighted]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        setMention(null);
+        return;
+      }
+    }
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) submit();
+  };
+
+  const submit = async () => {
+    if (!body.trim() || saving) return;
+    setSaving(true);
+    try {
+      await onSubmit(body);
+      setBody('');
+      setPreview(false);
+    } catch {
+      // The parent shows the error; keep the text so it isn't lost
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="comment-composer">
+      <div className="composer-tabs">
+        <button className={!preview ? 'active' : ''} onClick={() => setPreview(false)}>Write</button>
+        <button className={preview ? 'active' : ''} onClick={() => setPreview(true)}>Preview</button>
+      </div>
+      {preview ? (
+        <div className="composer-preview">
+          {body.trim()
+            ? <CommentBody comment={{ body, mentions: members }} actor={actor} />
+            : <p className="comment-muted">Nothing to preview.</p>}
+        </div>
+      ) : (
+        <div className="composer-input">
+          <textarea
+            ref={textareaRef}
+            value={body}
+            rows={3}
+            autoFocus={autoFocus}
+            placeholder="Markdown supported. Type @ to mention someone."
+            onChange={(e) => {
+              setBody(e.target.value);
+              updateMention(e.target.value, e.target.selectionStart);
+            }}
+            onClick={(e) => updateMention(e.target.value, e.target.selectionStart)}
+            onKeyDown={handleKeyDown}
+            onBlur={() => setMention(null)}
+          />
+          {suggestions.length > 0 && (
+            <ul className="mention-suggestions" role="listbox">
+              {suggestions.map((name, index) => (
+                <li
+                  key={name}
+                  role="option"
+                  aria-selected={index === highlighted}
+                  className={index === highlighted ? 'highlighted' : ''}
+                  // mousedown fires before the textarea loses focus
+                  onMouseDown={(e) => {
+                    e.preventDefault();
+                    insertMention(name);
+                  }}
+                >
+                  @{name}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+      <div className="composer-actions">
+        {onCancel && <button onClick={onCancel}>Cancel</button>}
+        <button className="create-btn" onClick={submit} disabled={saving || !body.trim()}>
+          {saving ? 'Saving…' : submitLabel}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const formatDate = (value) => new Date(value).toLocaleString();
+
+// Discussions of one requirement, opened from its card. Reports the number of
+// unresolved discussions through `onCountChange` so cards can update their badge.
+// `role` is the user's role in the project; viewers can read but not comment.
+const CommentThread = ({ requirement, projectId, role, onClose, onCountChange }) => {
+  const [comments, setComments] = useState([]);
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [replyTo, setReplyTo] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [showResolved, setShowResolved] = useState(false);
+  const onCountChangeRef = useRef(onCountChange);
+  onCountChangeRef.current = onCountChange;
+  const { user } = useAuth();
+  const actor = user.display_name;
+  const canComment = hasRole(role, 'contributor');
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const options = { signal: controller.signal };
+    Promise.all([
+      api.getComments(requirement.id, options),
+      projectId ? api.getProjectMembers(projectId, options) : Promise.resolve([]),
+    ])
+      .then(([loadedComments, loadedMembers]) => {
+        setComments(loadedComments);
+        setMembers(loadedMembers.map(member => member.display_name));
+      })
+      .catch(err => {
+        if (!api.isCancelled(err)) setError(err.message);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+    return () => controller.abort();
+  }, [requirement.id, projectId]);
+
+  const discussions = comments.filter(comment => comment.parent_id === null);
+  const openCount = discussions.filter(comment => !comment.resolved).length;
+
+  useEffect(() => {
+    if (!loading) onCountChangeRef.current?.(requirement.id, openCount);
+  }, [loading, openCount, requirement.id]);
+
+  const run = async (action) => {
+    try {
+      await action();
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  };
+
+  const addComment = (body, parentId) => run(async () => {
+    const comment = await api.createComment(requirement.id, { body, parent_id: parentId });
+    setComments(prev => [...prev, comment]);
+    setReplyTo(null);
+  });
+
+  const editComment = (comment, body) => run(async () => {
+    const updated = await api.updateComment(comment.id, { body });
+    setComments(prev => prev.map(c => (c.id === comment.id ? updated : c)));
+    setEditingId(null);
+  });
+
+  const toggleResolved = (comment) => run(async () => {
+    const updated = await api.updateComment(comment.id, { resolved: !comment.resolved });
+    setComments(prev => prev.map(c => (c.id === comment.id ? updated : c)));
+  }).catch(() => {});
+
+  const removeComment = (comment) => {
+    const replies = comments.filter(c => c.parent_id === comment.id).length;
+    const question = replies
+      ? `Delete this comment and its ${replies} ${replies === 1 ? 'reply' : 'replies'}?`
+      : 'Delete this comment?';
+    if (!window.confirm(question)) return;
+    run(async () => {
+      await api.deleteComment(comment.id);
+      setComments(prev => prev.filter(c => c.id !== comment.id && c.parent_id !== comment.id));
+    }).catch(() => {});
+  };
+
+  const renderComment = (comment) => (
+    <div className="comment">
+      <div className="comment-meta">
+        <strong>{comment.author}</strong>
+        <span className="comment-muted">
+          {formatDate(comment.created_at)}{comment.edited_at && ' (edited)'}
+        </span>
+        {canComment && editingId !== comment.id && (
+          <span className="comment-own-actions">
+            {comment.author_id === user.id && <button onClick={() => setEditingId(comment.id)}>Edit</button>}
+            {(comment.author_id === user.id || hasRole(role, 'admin')) && (
+              <button className="delete-btn" onClick={() => removeComment(comment)}>Delete</button>
+            )}
+          </span>
+        )}
+      </div>
+      {editingId === comment.id ? (
+        <CommentComposer
+          members={members}
+          actor={actor}
+          initialValue={comment.body}
+          submitLabel="Save"
+          autoFocus
+          onSubmit={(body) => editComment(comment, body)}
+          onCancel={() => setEditingId(null)}
+        />
+      ) : (
+        <CommentBody comment={comment} actor={actor} />
+      )}
+    </div>
+  );
+
+  const shown = showResolved ? discussions : discussions.filter(comment => !comment.resolved);
+  const resolvedCount = discussions.length - openCount;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content comment-thread" onClick={(e) => e.stopPropagation()}>
+        <div className="comment-thread-header">
+          <h2>Comments on {requirement.id}</h2>
+          <button onClick={onClose} aria-label="Close">×</button>
+        </div>
+        <p className="comment-thread-text">{stripHtml(requirement.requirement)}</p>
+
+        {error && <div className="error-message">{error}</div>}
+        {loading && <p>Loading comments…</p>}
+        {!loading && (
+          <div className="comment-thread-summary">
+            <span>{openCount} open, {resolvedCount} resolved</span>
+            {resolvedCount > 0 && (
+              <label>
+                <input
+                  type="checkbox"
+                  checked={showResolved}
+                  onChange={(e) => setShowResolved(e.target.checked)}
+                />
+                Show resolved
+              </label>
+            )}
+          </div>
+        )}
+        {!loading && !shown.length && (
+          <p className="comment-muted">{discussions.length ? 'All discussions are resolved.' : 'No comments yet.'}</p>
+        )}
+
+        <ul className="discussion-list">
+          {shown.map(discussion => (
+            <li key={discussion.id} className={`discussion ${discussion.resolved ? 'resolved' : ''}`}>
+              {renderComment(discussion)}
+              {comments.filter(c => c.parent_id === discussion.id).map(reply => (
+                <div key={reply.id} className="comment-reply">{renderComment(reply)}</div>
+              ))}
+              {discussion.resolved && (
+                <p className="comment-muted">
+                  Resolved by {discussion.resolved_by} on {formatDate(discussion.resolved_at)}
+                </p>
+              )}
+              {replyTo === discussion.id ? (
+                <div className="comment-reply">
+                  <CommentComposer
+                    members={members}
+                    actor={actor}
+                    submitLabel="Reply"
+                    autoFocus
+                    onSubmit={(body) => addComment(body, discussion.id)}
+                    onCancel={() => setReplyTo(null)}
+                  />
+                </div>
+              ) : canComment && (
+                <div className="discussion-actions">
+                  {!discussion.resolved && <button onClick={() => setReplyTo(discussion.id)}>Reply</button>}
+                  <button onClick={() => toggleResolved(discussion)}>
+                    {discussion.resolved ? 'Reopen' : 'Resolve'}
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        {canComment ? (
+          <CommentComposer members={members} actor={actor} submitLabel="Comment" onSubmit={(body) => addComment(body)} />
+        ) : (
+          <p className="comment-muted">Viewers can read discussions but not comment.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CommentThread;
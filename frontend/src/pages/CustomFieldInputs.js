@@ -0,0 +1,75 @@
+import React from 'react';
+import './CustomFields.css';
+
+// Inputs for a project's custom fields in the requirement modals. `values` is
+// keyed by field key; clearing an input sends an empty value, which removes it.
+const CustomFieldInputs = ({ fields, values, members, onChange }) => {
+  if (!fields.length) return null;
+
+  const set = (key, value) => onChange({ ...values, [key]: value });
+
+  const input = (field) => {
+    const value = values[field.key];
+    switch (field.type) {
+      case 'number':
+        return (
+          <input
+            type="number"
+            value={value ?? ''}
+            onChange={(e) => set(field.key, e.target.value === '' ? null : Number(e.target.value))}
+          />
+        );
+      case 'date':
+        return <input type="date" value={value || ''} onChange={(e) => set(field.key, e.target.value)} />;
+      case 'select':
+        return (
+          <select value={value || ''} onChange={(e) => set(field.key, e.target.value)}>
+            <option value="">—</option>
+            {field.options.map(option => <option key={option} value={option}>{option}</option>)}
+          </select>
+        );
+      case 'multi_select':
+        return (
+          <div className="category-grid">
+            {field.options.map(option => (
+              <label key={option} className="category-option">
+                <input
+                  type="checkbox"
+                  checked={(value || []).includes(option)}
+                  onChange={(e) => set(field.key, e.target.checked
+                    ? field.options.filter(o => o === option || (value || []).includes(o))
+                    : (value || []).filter(o => o !== option))}
+                />
+                {option}
+              </label>
+            ))}
+          </div>
+        );
+      case 'user':
+        return (
+          <select
+            value={value ?? ''}
+            onChange={(e) => set(field.key, e.target.value ? parseInt(e.target.value, 10) : null)}
+          >
+            <option value="">—</option>
+            {members.map(member => <option key={member.id} value={member.id}>{member.display_name}</option>)}
+          </select>
+        );
+      default:
+        return <input type="text" maxLength={500} value={value || ''} onChange={(e) => set(field.key, e.target.value)} />;
+    }
+  };
+
+  return (
+    <div className="custom-field-inputs">
+      {fields.map(field => (
+        <div key={field.key} className="form-group">
+          <label>{field.label}</label>
+          {input(field)}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default CustomFieldInputs;
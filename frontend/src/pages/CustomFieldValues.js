@@ -0,0 +1,21 @@
+import React from 'react';
+import { formatCustomValue, isEmptyValue } from './customFields';
+import './CustomFields.css';
+
+// The filled-in custom fields of a requirement card, e.g. "Release: 2.1 · Customer: Acme".
+const CustomFieldValues = ({ fields, values, members }) => {
+  const filled = fields.filter(field => !isEmptyValue(values?.[field.key]));
+  if (!filled.length) return null;
+
+  return (
+    <div className="custom-field-values">
+      {filled.map(field => (
+        <span key={field.key}>
+          <strong>{field.label}:</strong> {formatCustomValue(field, values[field.key], members)}
+        </span>
+      ))}
+    </div>
+  );
+};
+
+export default CustomFieldValues;
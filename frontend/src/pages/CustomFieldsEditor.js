@@ -0,0 +1,146 @@
+import React, { useState, useEffect } from 'react';
+import * as api from './api';
+import { CUSTOM_FIELD_TYPES, hasOptions } from './customFields';
+import './CustomFields.css';
+
+const MAX_FIELDS = 30;
+
+let nextRowKey = 1;
+
+const toRow = (field) => ({ rowKey: nextRowKey++, ...field, options: (field.options || []).join(', ') });
+
+// Extra fields the project's requirements have, e.g. "Target release" or "Customer".
+// Saved fields keep their type; removing a field or option also clears its values.
+const CustomFieldsEditor = ({ project, onSaved, onClose }) => {
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    api.getCustomFields(project.id, { signal: controller.signal })
+      .then(fields => setRows(fields.map(toRow)))
+      .catch(err => {
+        if (!api.isCancelled(err)) setError(err.message);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+    return () => controller.abort();
+  }, [project.id]);
+
+  const updateRow = (rowKey, changes) => {
+    setRows(prev => prev.map(row => (row.rowKey === rowKey ? { ...row, ...changes } : row)));
+  };
+
+  const move = (index, offset) => {
+    setRows(prev => {
+      const next = [...prev];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+  };
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      const saved = await api.updateCustomFields(project.id, rows.map(({ key, label, type, options }) => ({
+        key,
+        label,
+        type,
+        options: options.split(',').map(option => option.trim()).filter(Boolean),
+      })));
+      onSaved(project.id, saved);
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content custom-fields-editor" onClick={(e) => e.stopPropagation()}>
+        <div className="custom-fields-header">
+          <h2>Custom fields of {project.name}</h2>
+          <button onClick={onClose} aria-label="Close">×</button>
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+        {loading && <p>Loading custom fields…</p>}
+
+        {!loading && (
+          <>
+            {!rows.length && <p className="custom-fields-hint">No custom fields yet.</p>}
+            <ul className="custom-field-rows">
+              {rows.map((row, index) => (
+                <li key={row.rowKey}>
+                  <div className="custom-field-row">
+                    <input
+                      type="text"
+                      placeholder="Label"
+                      maxLength={50}
+                      value={row.label}
+                      onChange={(e) => updateRow(row.rowKey, { label: e.target.value })}
+                    />
+                    <select
+                      value={row.type}
+                      onChange={(e) => updateRow(row.rowKey, { type: e.target.value })}
+                      disabled={Boolean(row.key)}
+                      title={row.key ? 'The type of a saved field cannot change' : undefined}
+                    >
+                      {Object.entries(CUSTOM_FIELD_TYPES).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                    <button onClick={() => move(index, -1)} disabled={index === 0} aria-label="Move up">↑</button>
+                    <button
+                      onClick={() => move(index, 1)}
+                      disabled={index === rows.length - 1}
+                      aria-label="Move down"
+                    >
+                      ↓
+                    </button>
+                    <button
+                      className="delete-btn"
+                      onClick={() => setRows(prev => prev.filter(r => r.rowKey !== row.rowKey))}
+                    >
+                      Remove
+                    </button>
+                  </div>
+                  {hasOptions(row) && (
+                    <input
+                      type="text"
+                      className="custom-field-options"
+                      placeholder="Options, separated by commas"
+                      value={row.options}
+                      onChange={(e) => updateRow(row.rowKey, { options: e.target.value })}
+                    />
+                  )}
+                </li>
+              ))}
+            </ul>
+            <button
+              className="custom-field-add-btn"
+              onClick={() => setRows(prev => [...prev, toRow({ label: '', type: 'text' })])}
+              disabled={rows.length >= MAX_FIELDS}
+            >
+              Add field
+            </button>
+          </>
+        )}
+
+        <div className="form-actions">
+          <button onClick={onClose} disabled={saving}>Cancel</button>
+          <button className="create-btn" onClick={save} disabled={loading || saving}>
+            {saving ? 'Saving...' : 'Save fields'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CustomFieldsEditor;
@@ -1,46 +1,88 @@
-import React, { useState, useEffect } from 'react';
-import axios from 'axios';
-import qs from 'qs';
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import * as api from './api';
 import './Dashboard.css';
 import JiraIntegrationModal from './JiraIntegrationModal';
+import CommentThread from './CommentThread';
+import ApprovalProgress from './ApprovalProgress';
+import CustomFieldValues from './CustomFieldValues';
+import QualityScore from './QualityScore';
+import AcceptanceCriteria from './AcceptanceCriteria';
+import DashboardCharts from './DashboardCharts';
+import SavedViews from './SavedViews';
+import SearchBox from './SearchBox';
+import RequirementTable, { LayoutControls } from './RequirementTable';
+import RequirementBoard from './RequirementBoard';
+import { useAuth } from './AuthContext';
+import { hasRole } from './permissions';
+import { DEFAULT_WORKFLOW, statusColor, statesOfKind } from './workflow';
+import { categoryNames } from './categories';
+import { customFilterParams, formatCustomValue, hasOptions, isRangeField } from './customFields';
+import { QUALITY_BANDS } from './quality';
+import { dashboardSearch, readDashboardState } from './dashboardState';
+import { searchSyntaxError } from './searchQuery';
+import { loadLayout, storeLayout } from './dashboardLayout';
+
+const NO_CUSTOM_FIELDS = [];
+const EMPTY_AGGREGATE = {
+  total: 0, approved: 0, inReview: 0, disapproved: 0, hours: 0, cost: 0,
+  breakdown: { status: [], category: [], priority: [], complexity: [] },
+};
+const BREAKDOWN_LABELS = { status: 'Status', category: 'Category', priority: 'Priority', complexity: 'Complexity' };
 
-const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:5000';
+const csvCell = (value) => `"${String(value).replace(/"/g, '""')}"`;
 
 const Dashboard = () => {
+  // The URL holds the project, search, filters and page, so links can be shared
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [initialState] = useState(() => readDashboardState(searchParams));
   const [requirements, setRequirements] = useState([]);
-  const [overallStats, setOverallStats] = useState({ total: 0, approved: 0, inReview: 0, disapproved: 0 });
-  const [filteredStats, setFilteredStats] = useState({ total: 0, approved: 0, inReview: 0, disapproved: 0 });
-  const [searchQuery, setSearchQuery] = useState('');
-  const [filters, setFilters] = useState({ type: [], status: [], complexity: [], priority: [] });
+  const [aggregates, setAggregates] = useState({ overall: EMPTY_AGGREGATE, filtered: EMPTY_AGGREGATE });
+  const [searchQuery, setSearchQuery] = useState(initialState.search);
+  // The last query that parsed; the list keeps showing its results while the next is typed
+  const [validSearch, setValidSearch] = useState(() => (searchSyntaxError(initialState.search) ? '' : initialState.search));
+  const [filters, setFilters] = useState(initialState.filters);
+  // By custom field key: selected options/member IDs, text to contain, or {min, max}
+  const [customFilters, setCustomFilters] = useState(initialState.customFilters);
+  const [members, setMembers] = useState([]);
+  const [openDiscussionOnly, setOpenDiscussionOnly] = useState(initialState.openDiscussionOnly);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
-  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
-  const [selectedProject, setSelectedProject] = useState(null);
+  const [pagination, setPagination] = useState({ page: initialState.page, pages: 1, total: 0 });
+  const [selectedProject, setSelectedProject] = useState(initialState.project);
   const [projects, setProjects] = useState([]);
   const [jiraSettings, setJiraSettings] = useState({ isConnected: false, projectKey: '' });
   const [isJiraModalOpen, setIsJiraModalOpen] = useState(false);
+  const [commentsReqId, setCommentsReqId] = useState(null);
+  const [analytics, setAnalytics] = useState(null);
+  const { user } = useAuth();
+  // Cards or table, columns, sort and page size, remembered per user
+  const [layout, setLayout] = useState(() => loadLayout(user?.id));
+  // Bumped when the board moves a requirement, so the statistics catch up
+  const [statsVersion, setStatsVersion] = useState(0);
 
   const selectedProjectData = projects.find(p => p.id === selectedProject);
+  // Without a selected project the list mixes projects, so roles are looked up per requirement
+  const roleFor = (req) => projects.find(p => p.id === req.project_id)?.role;
   const hourlyRate = selectedProjectData?.hourly_rate || 0;
+  const workflow = selectedProjectData?.workflow || DEFAULT_WORKFLOW;
+  const customFields = selectedProjectData?.custom_fields || NO_CUSTOM_FIELDS;
 
   const isValidProjectId = (id) => Number.isInteger(id) && id > 0;
 
-  const calculateCosts = (reqs) => {
-    const totalHours = reqs.reduce((sum, req) => sum + (req.estimated_time || 0), 0);
-    return {
-      totalHours,
-      totalCost: totalHours * hourlyRate
-    };
-  };
+  useEffect(() => {
+    if (user) storeLayout(user.id, layout);
+  }, [user, layout]);
 
-  const currentCosts = calculateCosts(requirements);
-  const overallCosts = calculateCosts(requirements);
+  const handleLayoutChange = (changes) => {
+    setLayout(prev => ({ ...prev, ...changes }));
+    if ('sort' in changes || 'perPage' in changes) setPagination(prev => ({ ...prev, page: 1 }));
+  };
 
   useEffect(() => {
     const fetchProjects = async () => {
       try {
-        const response = await axios.get(`${API_BASE_URL}/api/projects`);
-        setProjects(response.data);
+        setProjects(await api.getProjects());
       } catch (error) {
         console.error('Error fetching projects:', error);
         setError('Failed to load projects. Please try again later.');
@@ -49,69 +91,132 @@ const Dashboard = () => {
     fetchProjects();
   }, []);
 
+  // Members name the values of user fields, are their filter options and complete author: searches
   useEffect(() => {
-    const fetchOverallStats = async () => {
-      if (!isValidProjectId(selectedProject)) return;
-
-      try {
-        const response = await axios.get(`${API_BASE_URL}/api/requirements/stats`, {
-          params: { project: selectedProject }
-        });
-        setOverallStats(response.data);
-      } catch (error) {
-        console.error('Error fetching overall stats:', error);
-        setError('Failed to load statistics. Please try again.');
-      }
-    };
-    fetchOverallStats();
+    if (!isValidProjectId(selectedProject)) return undefined;
+    const controller = new AbortController();
+    api.getProjectMembers(selectedProject, { signal: controller.signal })
+      .then(setMembers)
+      .catch(error => {
+        if (!api.isCancelled(error)) console.error('Error fetching members:', error);
+      });
+    return () => controller.abort();
   }, [selectedProject]);
 
+  const applyState = useCallback((state) => {
+    setSelectedProject(state.project);
+    setSearchQuery(state.search);
+    setFilters(state.filters);
+    setCustomFilters(state.customFilters);
+    setOpenDiscussionOnly(state.openDiscussionOnly);
+    setPagination(prev => ({ ...prev, page: state.page }));
+  }, []);
+
+  const currentSearch = dashboardSearch({
+    project: selectedProject,
+    search: searchQuery,
+    filters,
+    customFilters,
+    openDiscussionOnly,
+    page: pagination.page,
+  });
+  // What a saved view stores: the filters without the project or page
+  const viewState = dashboardSearch({ search: searchQuery, filters, customFilters, openDiscussionOnly });
+  const writtenSearch = useRef(searchParams.toString());
+
+  useEffect(() => {
+    if (currentSearch === writtenSearch.current) return;
+    writtenSearch.current = currentSearch;
+    setSearchParams(currentSearch, { replace: true });
+  }, [currentSearch, setSearchParams]);
+
+  // A link followed to the Dashboard while it is open changes the URL under it
+  useEffect(() => {
+    const search = searchParams.toString();
+    if (search === writtenSearch.current) return;
+    writtenSearch.current = search;
+    applyState(readDashboardState(searchParams));
+  }, [searchParams, applyState]);
+
+  const searchError = useMemo(() => searchSyntaxError(searchQuery), [searchQuery]);
+
+  useEffect(() => {
+    if (!searchError) setValidSearch(searchQuery);
+  }, [searchQuery, searchError]);
+
+  // Shared by the list and the charts so both show the same requirements
+  const filterParams = useMemo(() => ({
+    project: selectedProject,
+    search: validSearch,
+    ...filters,
+    ...customFilterParams(customFields, customFilters),
+    open_discussion: openDiscussionOnly || undefined,
+  }), [selectedProject, validSearch, filters, customFields, customFilters, openDiscussionOnly]);
+
   useEffect(() => {
     const fetchRequirements = async () => {
-      if (!isValidProjectId(selectedProject)) return;
+      if (!isValidProjectId(selectedProject) || layout.view === 'board') return;
 
       setLoading(true);
       setError('');
 
       try {
-        const response = await axios.get(`${API_BASE_URL}/api/requirements`, {
-          params: {
-            project: selectedProject,
-            search: searchQuery,
-            ...filters,
-            page: pagination.page,
-            stats: true
-          },
-          paramsSerializer: params => qs.stringify(params, { arrayFormat: 'repeat' })
-        });
-
-        const filteredRequirements = response.data.requirements || [];
-        const newFilteredStats = {
-          total: filteredRequirements.length,
-          approved: filteredRequirements.filter(r => r.status === 'Approved').length,
-          inReview: filteredRequirements.filter(r => r.status === 'Review').length,
-          disapproved: filteredRequirements.filter(r => r.status === 'Disapproved').length,
-        };
-
-        setRequirements(filteredRequirements);
-        setFilteredStats(newFilteredStats);
+        const response = await api.getRequirements({
+          ...filterParams,
+          page: pagination.page,
+          per_page: layout.perPage,
+          sort: layout.sort || undefined,
+          stats: true
+        }, { signal: controller.signal });
+
+        setRequirements(response.requirements || []);
         setPagination({
-          page: response.data.page || 1,
-          pages: response.data.pages || 1,
-          total: response.data.total || 0,
+          page: response.page || 1,
+          pages: response.pages || 1,
+          total: response.total || 0,
         });
       } catch (error) {
+        if (api.isCancelled(error)) return;
         console.error('Error fetching requirements:', error);
-        setError(error.response?.data?.error || 'Failed to load requirements');
+        setError(error.message || 'Failed to load requirements');
         setRequirements([]);
       } finally {
         setLoading(false);
       }
     };
 
+    // Abort the previous request so a slow response can't overwrite newer filters
+    const controller = new AbortController();
     const debounceTimer = setTimeout(fetchRequirements, 500);
-    return () => clearTimeout(debounceTimer);
-  }, [selectedProject, searchQuery, filters, pagination.page]);
+    return () => {
+      clearTimeout(debounceTimer);
+      controller.abort();
+    };
+  }, [selectedProject, filterParams, pagination.page, layout.perPage, layout.sort, layout.view]);
+
+  useEffect(() => {
+    if (!isValidProjectId(selectedProject)) return undefined;
+    const controller = new AbortController();
+    const debounceTimer = setTimeout(() => {
+      // Totals over every matching requirement, not just the page on screen
+      api.getRequirementAggregates(filterParams, { signal: controller.signal })
+        .then(setAggregates)
+        .catch(error => {
+          if (api.isCancelled(error)) return;
+          console.error('Error fetching statistics:', error);
+          setError('Failed to load statistics. Please try again.');
+        });
+      api.getRequirementAnalytics(filterParams, { signal: controller.signal })
+        .then(setAnalytics)
+        .catch(error => {
+          if (!api.isCancelled(error)) console.error('Error fetching analytics:', error);
+        });
+    }, 500);
+    return () => {
+      clearTimeout(debounceTimer);
+      controller.abort();
+    };
+  }, [selectedProject, filterParams, statsVersion]);
 
   const handleFilterChange = (filterType, value) => {
     setFilters(prev => ({
@@ -123,6 +228,20 @@ const Dashboard = () => {
     setPagination(prev => ({ ...prev, page: 1 }));
   };
 
+  // Clicking a chart bar narrows the list to that value; clicking it again clears it
+  const handleDrill = (filterType, value) => {
+    setFilters(prev => ({
+      ...prev,
+      [filterType]: prev[filterType].length === 1 && prev[filterType][0] === value ? [] : [value],
+    }));
+    setPagination(prev => ({ ...prev, page: 1 }));
+  };
+
+  const handleCustomFilterChange = (key, value) => {
+    setCustomFilters(prev => ({ ...prev, [key]: value }));
+    setPagination(prev => ({ ...prev, page: 1 }));
+  };
+
   const exportData = () => {
     if (!selectedProjectData) return;
 
@@ -134,20 +253,21 @@ const Dashboard = () => {
       ['Hourly Rate', `$${hourlyRate.toFixed(2)}`],
       [],
       ['ID', 'Requirement', 'Status', 'Priority', 'Complexity', 'Author', 'Date', 
-       'Hours', 'Cost', 'Cost/Hour'],
+       'Hours', 'Cost', 'Cost/Hour', ...customFields.map(field => csvCell(field.label))],
       ...requirements.map(req => {
         const cost = req.estimated_time * hourlyRate;
         return [
           req.id,
           `"${req.requirement.replace(/"/g, '""')}"`,
-          req.status,
+          csvCell(req.status),
           req.priority,
           req.complexity,
-          req.author,
+          csvCell(req.author || ''),
           new Date(req.date).toISOString().split('T')[0],
           req.estimated_time,
           `$${cost.toFixed(2)}`,
-          `$${hourlyRate.toFixed(2)}`
+          `$${hourlyRate.toFixed(2)}`,
+          ...customFields.map(field => csvCell(formatCustomValue(field, req.custom_fields?.[field.key], members)))
         ];
       }),
       [],
@@ -167,8 +287,8 @@ const Dashboard = () => {
 
   const connectToJira = async (settings) => {
     try {
-      const response = await axios.post(`${API_BASE_URL}/api/jira/connect`, settings);
-      if (response.data.success) {
+      const result = await api.connectJira(settings);
+      if (result.success) {
         setJiraSettings({
           isConnected: true,
           projectKey: settings.projectKey
@@ -178,28 +298,22 @@ const Dashboard = () => {
       }
     } catch (error) {
       console.error('Jira connection failed:', error);
-      alert(error.response?.data?.error || 'Jira connection failed. Please check your settings.');
+      alert(error.message || 'Jira connection failed. Please check your settings.');
     }
   };
 
-  axios.defaults.withCredentials = true;
-
   const pushToJira = async (requirementId) => {
     try {
-      const response = await axios.post(
-        `${API_BASE_URL}/api/jira/push`,
-        { requirementId },
-        { withCredentials: true, timeout: 30000 }
-      );
-
-      if (response.data.success) {
-        alert(`Created Jira issue: ${response.data.issue.key}\n${response.data.issue.url}`);
+      const result = await api.pushToJira(requirementId);
+
+      if (result.success) {
+        alert(`Created Jira issue: ${result.issue.key}\n${result.issue.url}`);
       } else {
-        throw new Error(response.data.error || 'Unknown error');
+        throw new Error(result.error || 'Unknown error');
       }
     } catch (error) {
       console.error('Jira push failed:', error);
-      let errorMessage = error.response?.data?.error || error.message;
+      let errorMessage = error.message;
       
       if (errorMessage.includes('Unauthorized')) {
         errorMessage += '\n\nPlease reconnect Jira integration';
@@ -218,8 +332,30 @@ const Dashboard = () => {
     const value = e.target.value;
     const projectId = value ? parseInt(value, 10) : null;
     setSelectedProject(isValidProjectId(projectId) ? projectId : null);
+    // Category, status and custom field filters belong to the previous project
+    setFilters(prev => ({ ...prev, type: [], status: [] }));
+    setCustomFilters({});
+    setPagination(prev => ({ ...prev, page: 1 }));
+    setMembers([]);
+    setAnalytics(null);
+    setAggregates({ overall: EMPTY_AGGREGATE, filtered: EMPTY_AGGREGATE });
   };
 
+  const renderCard = (req) => (
+    <RequirementCard
+      key={req.id}
+      requirement={req}
+      onPushToJira={pushToJira}
+      jiraConnected={jiraSettings.isConnected}
+      hourlyRate={hourlyRate}
+      workflow={workflow}
+      customFields={customFields}
+      members={members}
+      role={roleFor(req)}
+      onOpenComments={() => setCommentsReqId(req.id)}
+    />
+  );
+
   return (
     <div className="dashboard-container">
       <header className="dashboard-header">
@@ -241,6 +377,17 @@ const Dashboard = () => {
               ))}
             </select>
           </div>
+          {isValidProjectId(selectedProject) && (
+            <SavedViews
+              projectId={selectedProject}
+              role={selectedProjectData?.role}
+              state={viewState}
+              onApply={(state) => applyState({
+                ...readDashboardState(new URLSearchParams(state)),
+                project: selectedProject,
+              })}
+            />
+          )}
           <button
             className="export-button"
             onClick={exportData}
@@ -248,6 +395,15 @@ const Dashboard = () => {
           >
             Export CSV
           </button>
+          {isValidProjectId(selectedProject) && (
+            <a
+              className="export-button"
+              href={api.scenariosFileUrl(selectedProject)}
+              title="Gherkin scenarios of this project's requirements"
+            >
+              Export .feature
+            </a>
+          )}
           <button
             className={`jira-button ${jiraSettings.isConnected ? 'connected' : ''}`}
             onClick={() => setIsJiraModalOpen(true)}
@@ -268,30 +424,52 @@ const Dashboard = () => {
       {isValidProjectId(selectedProject) && (
         <>
           <div className="stats-container">
-            <StatSection 
-              title="Overall Statistics" 
-              stats={overallStats}
-              costs={overallCosts}
+            <StatSection
+              title="Overall Statistics"
+              aggregate={aggregates.overall}
               hourlyRate={hourlyRate}
             />
-            <StatSection 
-              title="Filtered Statistics" 
-              stats={filteredStats}
-              costs={currentCosts}
+            <StatSection
+              title="Filtered Statistics"
+              aggregate={aggregates.filtered}
               hourlyRate={hourlyRate}
             />
           </div>
 
+          {analytics && (
+            <DashboardCharts
+              analytics={analytics}
+              workflow={workflow}
+              filters={filters}
+              onDrill={handleDrill}
+            />
+          )}
+
           <div className="dashboard-content">
             <FiltersSidebar
+              workflow={workflow}
+              categories={categoryNames(selectedProjectData)}
               filters={filters}
               onFilterChange={handleFilterChange}
+              customFields={customFields}
+              customFilters={customFilters}
+              onCustomFilterChange={handleCustomFilterChange}
+              members={members}
+              openDiscussionOnly={openDiscussionOnly}
+              onOpenDiscussionChange={(checked) => {
+                setOpenDiscussionOnly(checked);
+                setPagination(prev => ({ ...prev, page: 1 }));
+              }}
               searchQuery={searchQuery}
               setSearchQuery={setSearchQuery}
+              searchError={searchError}
+              authors={members.map(member => member.display_name)}
               loading={loading}
             />
 
             <div className="requirements-list">
+              <LayoutControls layout={layout} onChange={handleLayoutChange} />
+
               {error && (
                 <div className="error-message">
                   ⚠️ {error}
@@ -299,21 +477,34 @@ const Dashboard = () => {
                 </div>
               )}
 
-              {loading ? (
+              {layout.view === 'board' ? (
+                <RequirementBoard
+                  projectId={selectedProject}
+                  filterParams={filterParams}
+                  sort={layout.sort}
+                  lanes={layout.lanes}
+                  workflow={workflow}
+                  hourlyRate={hourlyRate}
+                  role={selectedProjectData?.role}
+                  onMoved={() => setStatsVersion(version => version + 1)}
+                />
+              ) : loading ? (
                 <div className="loading-indicator">
                   <div className="spinner" /> Loading...
                 </div>
               ) : requirements.length ? (
                 <>
-                  {requirements.map(req => (
-                    <RequirementCard
-                      key={req.id}
-                      requirement={req}
-                      onPushToJira={pushToJira}
-                      jiraConnected={jiraSettings.isConnected}
+                  {layout.view === 'table' ? (
+                    <RequirementTable
+                      requirements={requirements}
+                      columns={layout.columns}
+                      sort={layout.sort}
+                      onSort={(sort) => handleLayoutChange({ sort })}
                       hourlyRate={hourlyRate}
+                      workflow={workflow}
+                      renderDetails={renderCard}
                     />
-                  ))}
+                  ) : requirements.map(renderCard)}
                   <PaginationControls
                     pagination={pagination}
                     onPageChange={setPagination}
@@ -329,6 +520,18 @@ const Dashboard = () => {
         </>
       )}
 
+      {commentsReqId && requirements.some(req => req.id === commentsReqId) && (
+        <CommentThread
+          requirement={requirements.find(req => req.id === commentsReqId)}
+          projectId={selectedProject}
+          role={roleFor(requirements.find(req => req.id === commentsReqId))}
+          onCountChange={(reqId, openCount) => setRequirements(prev => prev.map(req => req.id === reqId
+            ? { ...req, open_comments: openCount }
+            : req))}
+          onClose={() => setCommentsReqId(null)}
+        />
+      )}
+
       <JiraIntegrationModal
         isOpen={isJiraModalOpen}
         onClose={() => setIsJiraModalOpen(false)}
@@ -338,32 +541,72 @@ const Dashboard = () => {
   );
 };
 
-const StatSection = ({ title, stats, costs, hourlyRate }) => (
-  <div className="stats-section">
-    <h2>{title}</h2>
-    <div className="dashboard-stats">
-      <StatCard label="Total" value={stats.total} />
-      <StatCard label="Approved" value={stats.approved} type="approved" />
-      <StatCard label="In Review" value={stats.inReview} type="review" />
-      <StatCard label="Disapproved" value={stats.disapproved} type="disapproved" />
-      <StatCard 
-        label="Hourly Rate" 
-        value={`$${hourlyRate.toFixed(2)}`} 
-        type="rate"
-      />
-      <StatCard
-        label="Total Cost"
-        value={`$${costs.totalCost.toFixed(2)}`}
-        type="cost"
-      />
-      <StatCard
-        label="Total Hours"
-        value={costs.totalHours}
-        type="hours"
-      />
+const StatSection = ({ title, aggregate, hourlyRate }) => {
+  const [dimension, setDimension] = useState('status');
+
+  return (
+    <div className="stats-section">
+      <h2>{title}</h2>
+      <div className="dashboard-stats">
+        <StatCard label="Total" value={aggregate.total} />
+        <StatCard label="Approved" value={aggregate.approved} type="approved" />
+        <StatCard label="In Review" value={aggregate.inReview} type="review" />
+        <StatCard label="Disapproved" value={aggregate.disapproved} type="disapproved" />
+        <StatCard 
+          label="Hourly Rate" 
+          value={`$${hourlyRate.toFixed(2)}`} 
+          type="rate"
+        />
+        <StatCard
+          label="Total Cost"
+          value={`$${aggregate.cost.toFixed(2)}`}
+          type="cost"
+        />
+        <StatCard
+          label="Total Hours"
+          value={aggregate.hours}
+          type="hours"
+        />
+      </div>
+
+      <div className="stats-breakdown">
+        <div className="stats-breakdown-tabs">
+          {Object.entries(BREAKDOWN_LABELS).map(([key, label]) => (
+            <button key={key} className={dimension === key ? 'active' : ''} onClick={() => setDimension(key)}>
+              {label}
+            </button>
+          ))}
+        </div>
+        <table>
+          <thead>
+            <tr>
+              <th>{BREAKDOWN_LABELS[dimension]}</th>
+              <th>Count</th>
+              <th>Hours</th>
+              <th>Cost</th>
+            </tr>
+          </thead>
+          <tbody>
+            {aggregate.breakdown[dimension].map(entry => (
+              <tr key={entry.key}>
+                <td>{entry.key}</td>
+                <td>{entry.count}</td>
+                <td>{entry.hours}</td>
+                <td>${entry.cost.toFixed(2)}</td>
+              </tr>
+            ))}
+            {!aggregate.breakdown[dimension].length && (
+              <tr><td colSpan={4}>No requirements</td></tr>
+            )}
+          </tbody>
+        </table>
+        {dimension === 'category' && (
+          <p className="stats-breakdown-note">Requirements in several categories count towards each.</p>
+        )}
+      </div>
     </div>
-  </div>
-);
+  );
+};
 
 const StatCard = ({ label, value, type }) => (
   <div className={`stat-card ${type || ''}`}>
@@ -372,26 +615,26 @@ const StatCard = ({ label, value, type }) => (
   </div>
 );
 
-const FiltersSidebar = ({ filters, onFilterChange, searchQuery, setSearchQuery, loading }) => (
+const FiltersSidebar = ({
+  workflow, categories, filters, onFilterChange, customFields, customFilters, onCustomFilterChange, members,
+  openDiscussionOnly, onOpenDiscussionChange, searchQuery, setSearchQuery, searchError, authors, loading,
+}) => (
   <div className="filters-sidebar">
-    <div className="search-box">
-      <input
-        type="text"
-        placeholder="Search requirements..."
-        value={searchQuery}
-        onChange={(e) => setSearchQuery(e.target.value)}
-        disabled={loading}
-      />
-      {loading && <div className="search-spinner" />}
-    </div>
+    <SearchBox
+      value={searchQuery}
+      onChange={setSearchQuery}
+      error={searchError}
+      options={{ statuses: workflow.states.map(state => state.name), categories, authors }}
+      loading={loading}
+    />
 
     {['type', 'status', 'complexity', 'priority'].map((filterType) => (
       <FilterGroup
         key={filterType}
         type={filterType}
         options={
-          filterType === 'type' ? ['Functional', 'Non-Functional', 'UI', 'Security', 'Performance'] :
-          filterType === 'status' ? ['Draft', 'Review', 'Approved', 'Disapproved'] :
+          filterType === 'type' ? categories :
+          filterType === 'status' ? workflow.states.map(state => state.name) :
           filterType === 'complexity' ? ['Low', 'Moderate', 'High'] :
           ['Low', 'Medium', 'High']
         }
@@ -399,10 +642,40 @@ const FiltersSidebar = ({ filters, onFilterChange, searchQuery, setSearchQuery,
         onChange={onFilterChange}
       />
     ))}
+
+    <FilterGroup
+      type="quality"
+      options={Object.keys(QUALITY_BANDS)}
+      labels={Object.fromEntries(Object.entries(QUALITY_BANDS).map(([band, { label }]) => [band, label]))}
+      selected={filters.quality}
+      onChange={onFilterChange}
+    />
+
+    {customFields.map(field => (
+      <CustomFilterGroup
+        key={field.key}
+        field={field}
+        value={customFilters[field.key]}
+        members={members}
+        onChange={(value) => onCustomFilterChange(field.key, value)}
+      />
+    ))}
+
+    <div className="filter-group">
+      <h4>Discussion</h4>
+      <label className="filter-option">
+        <input
+          type="checkbox"
+          checked={openDiscussionOnly}
+          onChange={(e) => onOpenDiscussionChange(e.target.checked)}
+        />
+        <span>Open discussions only</span>
+      </label>
+    </div>
   </div>
 );
 
-const FilterGroup = ({ type, options, selected, onChange }) => (
+const FilterGroup = ({ type, options, labels, selected, onChange }) => (
   <div className="filter-group">
     <h4>{type.charAt(0).toUpperCase() + type.slice(1)}</h4>
     {options.map(option => (
@@ -412,20 +685,86 @@ const FilterGroup = ({ type, options, selected, onChange }) => (
           checked={selected.includes(option)}
           onChange={() => onChange(type, option)}
         />
-        <span>{option}</span>
+        <span>{labels?.[option] || option}</span>
       </label>
     ))}
   </div>
 );
 
-const RequirementCard = ({ requirement, onPushToJira, jiraConnected, hourlyRate }) => {
+const CustomFilterGroup = ({ field, value, members, onChange }) => {
+  if (isRangeField(field)) {
+    const range = value || {};
+    const type = field.type === 'date' ? 'date' : 'number';
+    return (
+      <div className="filter-group">
+        <h4>{field.label}</h4>
+        <div className="filter-range">
+          <input
+            type={type}
+            placeholder="From"
+            value={range.min || ''}
+            onChange={(e) => onChange({ ...range, min: e.target.value })}
+          />
+          <input
+            type={type}
+            placeholder="To"
+            value={range.max || ''}
+            onChange={(e) => onChange({ ...range, max: e.target.value })}
+          />
+        </div>
+      </div>
+    );
+  }
+
+  if (field.type === 'text') {
+    return (
+      <div className="filter-group">
+        <h4>{field.label}</h4>
+        <input
+          type="text"
+          className="filter-text"
+          placeholder="Contains..."
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value)}
+        />
+      </div>
+    );
+  }
+
+  const options = hasOptions(field)
+    ? field.options.map(option => ({ value: option, label: option }))
+    : members.map(member => ({ value: member.id, label: member.display_name }));
+  const selected = value || [];
+  return (
+    <div className="filter-group">
+      <h4>{field.label}</h4>
+      {options.map(option => (
+        <label key={option.value} className="filter-option">
+          <input
+            type="checkbox"
+            checked={selected.includes(option.value)}
+            onChange={() => onChange(selected.includes(option.value)
+              ? selected.filter(v => v !== option.value)
+              : [...selected, option.value])}
+          />
+          <span>{option.label}</span>
+        </label>
+      ))}
+    </div>
+  );
+};
+
+const RequirementCard = ({
+  requirement, onPushToJira, jiraConnected, hourlyRate, workflow, customFields, members, role, onOpenComments,
+}) => {
   const cost = (requirement.estimated_time || 0) * hourlyRate;
+  const color = statusColor(workflow, requirement.status);
   
   return (
     <div className="requirement-card">
       <div className="card-header">
         <span className="requirement-id">ID: {requirement.id.slice(-6)}</span>
-        <span className={`status-badge ${requirement.status.toLowerCase()}`}>
+        <span className="status-badge" style={{ color, background: `${color}22` }}>
           {requirement.status}
         </span>
         <span className={`priority-tag ${requirement.priority.toLowerCase()}`}>
@@ -433,6 +772,15 @@ const RequirementCard = ({ requirement, onPushToJira, jiraConnected, hourlyRate
         </span>
       </div>
       <p className="requirement-text">{requirement.requirement}</p>
+      <QualityScore text={requirement.requirement} quality={requirement.quality} />
+      <AcceptanceCriteria requirement={requirement} />
+      <CustomFieldValues fields={customFields} values={requirement.custom_fields} members={members} />
+      {requirement.approvals && (
+        <ApprovalProgress
+          approvals={requirement.approvals}
+          approved={statesOfKind(workflow, 'approved').includes(requirement.status)}
+        />
+      )}
       <div className="card-footer">
         <div className="cost-details">
           <span className="cost-item">
@@ -452,8 +800,15 @@ const RequirementCard = ({ requirement, onPushToJira, jiraConnected, hourlyRate
           <span className="complexity-badge">{requirement.complexity} complexity</span>
           <span className="author-date">
             {requirement.author} • {new Date(requirement.date).toLocaleDateString()}
+            {requirement.reviewed_by && ` • ✔ ${requirement.reviewed_by}`}
           </span>
-          {requirement.status === 'Approved' && (
+          <button className="comments-button" onClick={onOpenComments}>
+            💬 Comments
+            {requirement.open_comments > 0 && (
+              <span className="comment-badge" title="Unresolved discussions">{requirement.open_comments}</span>
+            )}
+          </button>
+          {statesOfKind(workflow, 'approved').includes(requirement.status) && hasRole(role, 'reviewer') && (
             <button
               className="jira-push-button"
               onClick={() => onPushToJira(requirement.id)}
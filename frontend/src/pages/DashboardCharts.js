@@ -0,0 +1,177 @@
+import React, { useState } from 'react';
+import { statusColor } from './workflow';
+import './DashboardCharts.css';
+
+const PALETTE = ['#1976d2', '#43a047', '#fb8c00', '#8e24aa', '#00897b', '#e53935', '#5e35b1', '#6d4c41'];
+const LEVEL_COLORS = { High: '#e53935', Medium: '#fb8c00', Moderate: '#fb8c00', Low: '#43a047' };
+
+const TREND_WIDTH = 640;
+const TREND_HEIGHT = 200;
+const TREND_PADDING = { top: 10, right: 10, bottom: 24, left: 36 };
+
+const formatCost = (value) => `$${value.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+
+// Horizontal bars; clicking one drills the list down to that value
+const BarChart = ({ title, entries, measure = 'count', format = String, colorFor, selected = [], onSelect }) => {
+  const max = Math.max(...entries.map(entry => entry[measure]), 0);
+  return (
+    <div className="chart-card">
+      <h3>{title}</h3>
+      {!entries.length && <p className="chart-empty">No data</p>}
+      <ul className="bar-chart">
+        {entries.map((entry, index) => (
+          <li key={entry.key}>
+            <button
+              className={selected.includes(entry.key) ? 'selected' : ''}
+              onClick={() => onSelect(entry.key)}
+              title={`${entry.key}: ${entry.count} requirements, ${entry.hours}h, ${formatCost(entry.cost)}`}
+            >
+              <span className="bar-label">{entry.key}</span>
+              <span className="bar-track">
+                <span
+                  className="bar-fill"
+                  style={{
+                    width: `${max ? (entry[measure] / max) * 100 : 0}%`,
+                    background: colorFor ? colorFor(entry.key) : PALETTE[index % PALETTE.length],
+                  }}
+                />
+              </span>
+              <span className="bar-value">{format(entry[measure])}</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+// Cumulative created vs approved requirements, so the gap between the lines is the open work
+const TrendChart = ({ timeline }) => {
+  const { points } = timeline;
+  let created = 0;
+  let approved = 0;
+  const series = points.map(point => {
+    created += point.created;
+    approved += point.approved;
+    return { date: point.date, created, approved };
+  });
+
+  const max = Math.max(created, 1);
+  const innerWidth = TREND_WIDTH - TREND_PADDING.left - TREND_PADDING.right;
+  const innerHeight = TREND_HEIGHT - TREND_PADDING.top - TREND_PADDING.bottom;
+  const x = (index) => TREND_PADDING.left +
+    (series.length > 1 ? (index / (series.length - 1)) * innerWidth : innerWidth / 2);
+  const y = (value) => TREND_PADDING.top + innerHeight - (value / max) * innerHeight;
+  const line = (key) => series.map((point, index) => `${x(index)},${y(point[key])}`).join(' ');
+  const labelEvery = Math.max(1, Math.ceil(series.length / 6));
+
+  return (
+    <div className="chart-card trend-chart">
+      <h3>
+        Created vs approved (per {timeline.interval})
+        <span className="trend-legend">
+          <span className="created">Created {created}</span>
+          <span className="approved">Approved {approved}</span>
+        </span>
+      </h3>
+      {!series.length ? <p className="chart-empty">No data</p> : (
+        <svg viewBox={`0 0 ${TREND_WIDTH} ${TREND_HEIGHT}`} role="img" aria-label="Created vs approved requirements">
+          {[0, 0.5, 1].map(fraction => (
+            <g key={fraction}>
+              <line
+                className="trend-grid"
+                x1={TREND_PADDING.left}
+                x2={TREND_WIDTH - TREND_PADDING.right}
+                y1={y(max * fraction)}
+                y2={y(max * fraction)}
+              />
+              <text className="trend-axis" x={TREND_PADDING.left - 6} y={y(max * fraction) + 4} textAnchor="end">
+                {Math.round(max * fraction)}
+              </text>
+            </g>
+          ))}
+          {series.map((point, index) => index % labelEvery === 0 && (
+            <text key={point.date} className="trend-axis" x={x(index)} y={TREND_HEIGHT - 6} textAnchor="middle">
+              {point.date}
+            </text>
+          ))}
+          <polyline className="trend-line created" points={line('created')} />
+          <polyline className="trend-line approved" points={line('approved')} />
+          {series.map((point, index) => (
+            <circle key={point.date} className="trend-point" cx={x(index)} cy={y(point.created)} r="6">
+              <title>{`${point.date}: ${point.created} created, ${point.approved} approved`}</title>
+            </circle>
+          ))}
+        </svg>
+      )}
+    </div>
+  );
+};
+
+// Charts of the filtered requirements. `onDrill(filterType, value)` narrows the
+// list to a bar's value; categories drill into the `type` filter.
+const DashboardCharts = ({ analytics, workflow, filters, onDrill }) => {
+  const [collapsed, setCollapsed] = useState(false);
+  const { breakdown, timeline } = analytics;
+
+  return (
+    <section className="dashboard-charts">
+      <div className="charts-header">
+        <h2>Charts</h2>
+        <button onClick={() => setCollapsed(prev => !prev)}>{collapsed ? 'Show charts' : 'Hide charts'}</button>
+      </div>
+      {!collapsed && (
+        <>
+          <div className="charts-grid">
+            <BarChart
+              title="By category"
+              entries={breakdown.category}
+              selected={filters.type}
+              onSelect={(key) => onDrill('type', key)}
+            />
+            <BarChart
+              title="By priority"
+              entries={breakdown.priority}
+              colorFor={(key) => LEVEL_COLORS[key]}
+              selected={filters.priority}
+              onSelect={(key) => onDrill('priority', key)}
+            />
+            <BarChart
+              title="By complexity"
+              entries={breakdown.complexity}
+              colorFor={(key) => LEVEL_COLORS[key]}
+              selected={filters.complexity}
+              onSelect={(key) => onDrill('complexity', key)}
+            />
+            <BarChart
+              title="By status"
+              entries={breakdown.status}
+              colorFor={(key) => statusColor(workflow, key)}
+              selected={filters.status}
+              onSelect={(key) => onDrill('status', key)}
+            />
+            <BarChart
+              title="Hours by category"
+              entries={breakdown.category}
+              measure="hours"
+              format={(hours) => `${hours}h`}
+              selected={filters.type}
+              onSelect={(key) => onDrill('type', key)}
+            />
+            <BarChart
+              title="Cost by category"
+              entries={breakdown.category}
+              measure="cost"
+              format={formatCost}
+              selected={filters.type}
+              onSelect={(key) => onDrill('type', key)}
+            />
+          </div>
+          <TrendChart timeline={timeline} />
+        </>
+      )}
+    </section>
+  );
+};
+
+export default DashboardCharts;
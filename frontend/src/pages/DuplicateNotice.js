@@ -0,0 +1,59 @@
+import React, { useState } from 'react';
+import { diffWords } from './diff';
+import './Duplicates.css';
+
+// Shows how a new requirement differs from the existing one it likely repeats
+export const DuplicateDiff = ({ original, duplicate }) => (
+  <p className="duplicate-diff">
+    {diffWords(original, duplicate).map((part, index) => (
+      part.type === 'same'
+        ? <span key={index}>{part.text}</span>
+        : part.type === 'added'
+          ? <ins key={index}>{part.text}</ins>
+          : <del key={index}>{part.text}</del>
+    ))}
+  </p>
+);
+
+// Banner on a Review card flagged as a likely duplicate. Without `onResolve`
+// (viewers) it only shows the diff.
+const DuplicateNotice = ({ requirement, original, onResolve }) => {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const resolve = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await onResolve(requirement, action);
+    } catch (err) {
+      setError(err.message);
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="duplicate-notice">
+      <strong>
+        Possible duplicate of {requirement.duplicate_of} ({Math.round(requirement.duplicate_score * 100)}% similar)
+      </strong>
+      {original && <DuplicateDiff original={original.requirement} duplicate={requirement.requirement} />}
+      {error && <div className="duplicate-error">{error}</div>}
+      {onResolve && (
+        <div className="duplicate-actions">
+          <button
+            onClick={() => resolve('merge')}
+            disabled={busy || !original}
+            title="Copy this text and its categories into the original and trash this one"
+          >
+            Merge
+          </button>
+          <button onClick={() => resolve('keep_both')} disabled={busy}>Keep both</button>
+          <button className="delete-btn" onClick={() => resolve('skip_new')} disabled={busy}>Skip new</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DuplicateNotice;
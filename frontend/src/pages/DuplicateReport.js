@@ -0,0 +1,101 @@
+import React, { useState, useEffect } from 'react';
+import * as api from './api';
+import { DuplicateDiff } from './DuplicateNotice';
+import './Duplicates.css';
+
+const THRESHOLDS = [0.95, 0.9, 0.85, 0.8, 0.7];
+
+// Project-wide list of similar requirement pairs. The older requirement of
+// each pair is treated as the original.
+const DuplicateReport = ({ projectId, onResolve, onClose }) => {
+  const [threshold, setThreshold] = useState(0.85);
+  const [report, setReport] = useState(null);
+  const [handled, setHandled] = useState(new Set());
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setReport(null);
+    api.findDuplicates(projectId, threshold, { signal: controller.signal })
+      .then(data => {
+        setReport(data);
+        setHandled(new Set());
+        setError(null);
+      })
+      .catch(err => {
+        if (!api.isCancelled(err)) setError(err.message);
+      });
+    return () => controller.abort();
+  }, [projectId, threshold]);
+
+  const pairKey = (pair) => `${pair.original.id}:${pair.duplicate.id}`;
+
+  const resolve = async (pair, action) => {
+    try {
+      await onResolve(pair.duplicate, action, pair.original.id);
+      // Once a requirement is merged or skipped, its other pairs are gone too
+      setHandled(prev => {
+        const next = new Set(prev).add(pairKey(pair));
+        if (action !== 'keep_both') {
+          report.pairs
+            .filter(p => p.original.id === pair.duplicate.id || p.duplicate.id === pair.duplicate.id)
+            .forEach(p => next.add(pairKey(p)));
+        }
+        return next;
+      });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const pairs = report ? report.pairs.filter(pair => !handled.has(pairKey(pair))) : [];
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content duplicate-report" onClick={(e) => e.stopPropagation()}>
+        <div className="duplicate-report-header">
+          <h2>Duplicate report</h2>
+          <label>
+            Similarity at least{' '}
+            <select value={threshold} onChange={(e) => setThreshold(Number(e.target.value))}>
+              {THRESHOLDS.map(value => <option key={value} value={value}>{Math.round(value * 100)}%</option>)}
+            </select>
+          </label>
+          <button className="duplicate-report-close" onClick={onClose} aria-label="Close">×</button>
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+        {!report && !error && <p>Comparing requirements…</p>}
+        {report && (
+          <p className="duplicate-report-summary">
+            {report.total} similar pairs found
+            {report.total > report.pairs.length && ` (showing the ${report.pairs.length} most similar)`}
+          </p>
+        )}
+
+        <ul className="duplicate-pairs">
+          {pairs.map(pair => (
+            <li key={pairKey(pair)} className="duplicate-pair">
+              <div className="duplicate-pair-meta">
+                <strong>{pair.original.id}</strong> ↔ <strong>{pair.duplicate.id}</strong>
+                <span>{Math.round(pair.score * 100)}% similar</span>
+              </div>
+              <DuplicateDiff original={pair.original.requirement} duplicate={pair.duplicate.requirement} />
+              {onResolve && (
+                <div className="duplicate-actions">
+                  <button onClick={() => resolve(pair, 'merge')}>Merge into {pair.original.id}</button>
+                  <button className="delete-btn" onClick={() => resolve(pair, 'skip_new')}>
+                    Trash {pair.duplicate.id}
+                  </button>
+                  <button onClick={() => setHandled(prev => new Set(prev).add(pairKey(pair)))}>Ignore</button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default DuplicateReport;
@@ -25,7 +25,7 @@ function Home() {
                 <div className="step-progress" />
               </div>
               <h3 className="step-title">Smart Document Upload</h3>
-              <p className="step-description">Support for PDF, DOCX, and Text formats</p>
+              <p className="step-description">Support for PDF, DOCX, text, CSV, XLSX and JSON formats</p>
               <Link to="/upload" className="step-cta">
                 Begin Processing <span className="cta-arrow">→</span>
               </Link>
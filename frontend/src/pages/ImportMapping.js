@@ -0,0 +1,100 @@
+import React from 'react';
+import './ImportMapping.css';
+
+const AI_MAPPING = '@ai';
+const PREVIEW_ROWS = 5;
+
+const FIELD_LABELS = {
+  requirement: 'Requirement text',
+  external_id: 'ID',
+  author: 'Author',
+  priority: 'Priority',
+  complexity: 'Complexity',
+  status: 'Status',
+  estimated_time: 'Estimated hours',
+  categories: 'Categories',
+  date: 'Date',
+};
+
+// Column-mapping screen for CSV/XLSX/JSON imports. Each Requirement field
+// either takes a column as-is, is left to the AI, or falls back to its default.
+// The queue holds `mapping`, so it survives switching to another file.
+const ImportMapping = ({ fileName, preview, mapping, saving, error, onMappingChange, onSave, onCancel }) => {
+  const aiFields = preview.ai_fields || [];
+
+  const describeCell = (row, field) => {
+    const column = mapping[field];
+    if (column === AI_MAPPING) return <em className="mapping-ai">AI</em>;
+    if (!column) return <em className="mapping-default">default</em>;
+    return row[column];
+  };
+
+  const canImport = mapping.requirement && mapping.requirement !== AI_MAPPING;
+
+  return (
+    <div className="import-mapping">
+      <div className="import-mapping-header">
+        <div>
+          <h2>Map columns</h2>
+          <span className="import-mapping-file">{fileName} • {preview.total} rows</span>
+        </div>
+        <div className="import-mapping-actions">
+          <button onClick={onCancel} disabled={saving}>Discard file</button>
+          <button
+            className="create-btn"
+            onClick={() => onSave(mapping)}
+            disabled={saving || !canImport}
+          >
+            {saving ? 'Importing...' : `Import ${preview.total} rows`}
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="mapping-grid">
+        {preview.fields.map(field => (
+          <div key={field} className="form-group">
+            <label htmlFor={`mapping-${field}`}>
+              {FIELD_LABELS[field] || field}{field === 'requirement' && ' *'}
+            </label>
+            <select
+              id={`mapping-${field}`}
+              value={mapping[field] || ''}
+              onChange={(e) => onMappingChange({ ...mapping, [field]: e.target.value || null })}
+              disabled={saving}
+            >
+              <option value="">— Not mapped (default) —</option>
+              {aiFields.includes(field) && <option value={AI_MAPPING}>Let AI decide</option>}
+              {preview.columns.map(column => (
+                <option key={column} value={column}>{column}</option>
+              ))}
+            </select>
+          </div>
+        ))}
+      </div>
+
+      <div className="mapping-preview">
+        <table>
+          <thead>
+            <tr>
+              {preview.fields.map(field => <th key={field}>{FIELD_LABELS[field] || field}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {preview.rows.slice(0, PREVIEW_ROWS).map((row, index) => (
+              <tr key={index}>
+                {preview.fields.map(field => <td key={field}>{describeCell(row, field)}</td>)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {preview.total > PREVIEW_ROWS && (
+          <div className="mapping-preview-more">…and {preview.total - PREVIEW_ROWS} more rows</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ImportMapping;
@@ -1,4 +1,5 @@
 import React, { useState } from 'react';
+import { connectJira } from './api';
 
 const JiraIntegrationModal = ({ isOpen, onClose, onConnect }) => {
   const [jiraSettings, setJiraSettings] = useState({
@@ -38,22 +39,8 @@ const JiraIntegrationModal = ({ isOpen, onClose, onConnect }) => {
       // Debug: Log data before sending request
       console.log('Submitting Jira settings:', jiraSettings);
 
-      const response = await fetch('http://localhost:5000/api/jira/connect', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(jiraSettings),
-      });
-
-      // Check if the response is JSON
-      const contentType = response.headers.get('content-type');
-      if (!contentType || !contentType.includes('application/json')) {
-        throw new Error('Server returned an invalid response');
-      }
-
-      const result = await response.json();
-      if (!response.ok) {
+      const result = await connectJira(jiraSettings);
+      if (!result.success) {
         throw new Error(result.error || 'Failed to connect to Jira');
       }
 
@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { useAuth } from './AuthContext';
+import './Login.css';
+
+const Login = () => {
+  const { user, login, register } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [mode, setMode] = useState('login');
+  const [form, setForm] = useState({ username: '', password: '', display_name: '' });
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Back to the page that asked for a login
+  const destination = location.state?.from?.pathname || '/';
+  if (user) return <Navigate to={destination} replace />;
+
+  const update = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      if (mode === 'login') {
+        await login(form.username, form.password);
+      } else {
+        await register(form);
+      }
+      navigate(destination, { replace: true });
+    } catch (err) {
+      setError(err.message);
+      setSubmitting(false);
+    }
+  };
+
+  const switchMode = (next) => {
+    setMode(next);
+    setError(null);
+  };
+
+  return (
+    <div className="login-page">
+      <form className="login-card" onSubmit={submit}>
+        <h1>Requirements Manager</h1>
+        <div className="login-tabs">
+          <button type="button" className={mode === 'login' ? 'active' : ''} onClick={() => switchMode('login')}>
+            Log in
+          </button>
+          <button type="button" className={mode === 'register' ? 'active' : ''} onClick={() => switchMode('register')}>
+            Create account
+          </button>
+        </div>
+
+        <label>
+          Username
+          <input type="text" autoComplete="username" value={form.username} onChange={update('username')} autoFocus />
+        </label>
+        {mode === 'register' && (
+          <label>
+            Display name
+            <input
+              type="text"
+              autoComplete="name"
+              placeholder="Shown as author of your changes"
+              value={form.display_name}
+              onChange={update('display_name')}
+            />
+          </label>
+        )}
+        <label>
+          Password
+          <input
+            type="password"
+            autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+            value={form.password}
+            onChange={update('password')}
+          />
+        </label>
+
+        {error && <div className="error-message">{error}</div>}
+        <button type="submit" className="login-submit" disabled={submitting || !form.username || !form.password}>
+          {submitting ? 'Please wait…' : mode === 'login' ? 'Log in' : 'Create account'}
+        </button>
+        {mode === 'register' && (
+          <p className="login-hint">Project admins give you access to their projects by adding your username.</p>
+        )}
+      </form>
+    </div>
+  );
+};
+
+export default Login;
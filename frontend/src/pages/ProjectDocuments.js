@@ -0,0 +1,68 @@
+import React, { useState, useEffect } from 'react';
+import * as api from './api';
+import './SourceDocuments.css';
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024
+  ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  : `${Math.max(1, Math.round(bytes / 1024))} KB`);
+
+// Original documents stored for the project, with how many requirements came from each.
+// Documents can only be deleted when `onDeleted` is given (project admins).
+const ProjectDocuments = ({ projectId, refreshKey, onDeleted }) => {
+  const [documents, setDocuments] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    api.getProjectDocuments(projectId, { signal: controller.signal })
+      .then(data => {
+        setDocuments(data);
+        setError(null);
+      })
+      .catch(err => {
+        if (!api.isCancelled(err)) setError(err.message);
+      });
+    return () => controller.abort();
+  }, [projectId, refreshKey]);
+
+  const remove = async (document) => {
+    const warning = document.requirement_count
+      ? ` ${document.requirement_count} requirements will no longer link back to it.`
+      : '';
+    if (!window.confirm(`Delete "${document.file_name}"?${warning}`)) return;
+
+    try {
+      await api.deleteDocument(document.id);
+      setDocuments(prev => prev.filter(d => d.id !== document.id));
+      onDeleted(document.id);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (!documents.length && !error) return null;
+
+  return (
+    <div className="project-documents">
+      <h3>Source documents</h3>
+      {error && <div className="error-message">{error}</div>}
+      <ul>
+        {documents.map(document => (
+          <li key={document.id} className="project-document">
+            <a href={api.documentFileUrl(document.id)} target="_blank" rel="noopener noreferrer">
+              {document.file_name}
+            </a>
+            <span className="project-document-meta">
+              {formatSize(document.size)}
+              {document.pages && ` • ${document.pages} pages`}
+              {` • ${document.requirement_count} requirements • ${new Date(document.created_at).toLocaleString()}`}
+            </span>
+            {onDeleted && <button onClick={() => remove(document)}>Delete</button>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ProjectDocuments;
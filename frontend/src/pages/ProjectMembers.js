@@ -0,0 +1,131 @@
+import React, { useState, useEffect } from 'react';
+import * as api from './api';
+import { useAuth } from './AuthContext';
+import { ROLES, hasRole } from './permissions';
+import './ProjectMembers.css';
+
+// People who can work on a project and their roles. Everyone in the project can
+// see the list; admins add existing accounts by username, change roles and remove members.
+const ProjectMembers = ({ project, onClose, onOwnRoleChanged }) => {
+  const { user } = useAuth();
+  const [members, setMembers] = useState([]);
+  const [draft, setDraft] = useState({ username: '', role: 'contributor' });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const canManage = hasRole(project.role, 'admin');
+
+  useEffect(() => {
+    const controller = new AbortController();
+    api.getProjectMembers(project.id, { signal: controller.signal })
+      .then(setMembers)
+      .catch(err => {
+        if (!api.isCancelled(err)) setError(err.message);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+    return () => controller.abort();
+  }, [project.id]);
+
+  const run = async (action) => {
+    setSaving(true);
+    try {
+      await action();
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const addMember = () => run(async () => {
+    const member = await api.addProjectMember(project.id, draft.username.trim(), draft.role);
+    setMembers(prev => [...prev, member].sort((a, b) => a.display_name.localeCompare(b.display_name)));
+    setDraft(prev => ({ ...prev, username: '' }));
+  });
+
+  const changeRole = (member, role) => run(async () => {
+    const updated = await api.updateProjectMember(project.id, member.id, role);
+    setMembers(prev => prev.map(m => (m.id === member.id ? updated : m)));
+    if (member.id === user.id) onOwnRoleChanged?.(project.id, role);
+  });
+
+  const removeMember = (member) => {
+    const question = member.id === user.id
+      ? `Leave ${project.name}? You will lose access to it.`
+      : `Remove ${member.display_name} from ${project.name}?`;
+    if (!window.confirm(question)) return;
+    run(async () => {
+      await api.removeProjectMember(project.id, member.id);
+      setMembers(prev => prev.filter(m => m.id !== member.id));
+      if (member.id === user.id) onOwnRoleChanged?.(project.id, null);
+    });
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content project-members" onClick={(e) => e.stopPropagation()}>
+        <div className="project-members-header">
+          <h2>Members of {project.name}</h2>
+          <button onClick={onClose} aria-label="Close">×</button>
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+        {loading && <p>Loading members…</p>}
+
+        <ul className="member-list">
+          {members.map(member => (
+            <li key={member.id} className="member-item">
+              <div className="member-name">
+                <strong>{member.display_name}</strong>
+                <span>@{member.username}{member.id === user.id && ' (you)'}</span>
+              </div>
+              {canManage ? (
+                <>
+                  <select
+                    value={member.role}
+                    onChange={(e) => changeRole(member, e.target.value)}
+                    disabled={saving}
+                  >
+                    {Object.entries(ROLES).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  <button className="delete-btn" onClick={() => removeMember(member)} disabled={saving}>
+                    Remove
+                  </button>
+                </>
+              ) : (
+                <span className="member-role">{ROLES[member.role]}</span>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        {canManage && (
+          <div className="member-form">
+            <input
+              type="text"
+              placeholder="Username"
+              value={draft.username}
+              onChange={(e) => setDraft(prev => ({ ...prev, username: e.target.value }))}
+              onKeyDown={(e) => e.key === 'Enter' && draft.username.trim() && addMember()}
+            />
+            <select value={draft.role} onChange={(e) => setDraft(prev => ({ ...prev, role: e.target.value }))}>
+              {Object.entries(ROLES).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <button className="create-btn" onClick={addMember} disabled={saving || !draft.username.trim()}>
+              Add member
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProjectMembers;
@@ -0,0 +1,76 @@
+import React, { useState, useEffect } from 'react';
+import * as api from './api';
+import './TrashView.css';
+
+// Deleted projects, listed under the project list so they can be brought back
+const ProjectTrash = ({ refreshKey, onRestored }) => {
+  const [projects, setProjects] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    api.getTrashedProjects({ signal: controller.signal })
+      .then(setProjects)
+      .catch(err => {
+        if (!api.isCancelled(err)) setError(err.message);
+      });
+    return () => controller.abort();
+  }, [refreshKey]);
+
+  const restore = async (project) => {
+    setBusy(true);
+    try {
+      const restored = await api.restoreProject(project.id);
+      setProjects(prev => prev.filter(p => p.id !== project.id));
+      onRestored(restored);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const purge = async (project) => {
+    if (!window.confirm(`Permanently delete "${project.name}" and all its requirements? This cannot be undone.`)) return;
+
+    setBusy(true);
+    try {
+      await api.purgeProject(project.id);
+      setProjects(prev => prev.filter(p => p.id !== project.id));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!projects.length && !error) return null;
+
+  return (
+    <div className="trash-view">
+      <h3>Deleted projects</h3>
+      {error && <div className="error-message">{error}</div>}
+      <ul className="trash-list">
+        {projects.map(project => (
+          <li key={project.id} className="trash-item">
+            <div className="trash-item-text">
+              <strong>{project.name}</strong>
+              <span className="trash-item-date">
+                {project.requirements_count} requirements • Deleted {new Date(project.deleted_at).toLocaleString()}
+              </span>
+            </div>
+            <div className="trash-actions">
+              <button onClick={() => restore(project)} disabled={busy}>Restore</button>
+              <button className="delete-btn" onClick={() => purge(project)} disabled={busy}>
+                Delete forever
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ProjectTrash;
@@ -0,0 +1,80 @@
+import React, { useState, useEffect } from 'react';
+import * as api from './api';
+import './Quality.css';
+
+// Which quality checks count towards the scores of a project's requirements.
+const QualityRulesEditor = ({ project, onSaved, onClose }) => {
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    api.getQualityRules(project.id, { signal: controller.signal })
+      .then(setRules)
+      .catch(err => {
+        if (!api.isCancelled(err)) setError(err.message);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+    return () => controller.abort();
+  }, [project.id]);
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      await api.updateQualityRules(project.id, Object.fromEntries(rules.map(rule => [rule.id, rule.enabled])));
+      onSaved(project.id);
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content quality-rules" onClick={(e) => e.stopPropagation()}>
+        <div className="quality-rules-header">
+          <h2>Quality checks for {project.name}</h2>
+          <button onClick={onClose} aria-label="Close">×</button>
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+        {loading && <p>Loading quality checks…</p>}
+
+        <ul className="quality-rule-list">
+          {rules.map(rule => (
+            <li key={rule.id}>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={rule.enabled}
+                  onChange={(e) => setRules(prev => prev.map(r => (r.id === rule.id
+                    ? { ...r, enabled: e.target.checked }
+                    : r)))}
+                />
+                <span>
+                  {rule.label}
+                  <small>{rule.description}</small>
+                </span>
+              </label>
+            </li>
+          ))}
+        </ul>
+
+        <div className="form-actions">
+          <button onClick={onClose} disabled={saving}>Cancel</button>
+          <button className="create-btn" onClick={save} disabled={loading || saving}>
+            {saving ? 'Saving...' : 'Save checks'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default QualityRulesEditor;
@@ -0,0 +1,44 @@
+import React, { useState } from 'react';
+import { highlightSegments, qualityBand } from './quality';
+import './Quality.css';
+
+// Quality score of a requirement card. Expanding it shows the text with the
+// offending phrases highlighted and what is wrong with each.
+const QualityScore = ({ text, quality }) => {
+  const [expanded, setExpanded] = useState(false);
+  const { score, issues } = quality;
+
+  return (
+    <div className={`quality-score ${qualityBand(score)}`}>
+      <button
+        className="quality-badge"
+        onClick={() => setExpanded(prev => !prev)}
+        disabled={!issues.length}
+        title={issues.length ? 'Show quality issues' : 'No quality issues found'}
+      >
+        Quality {score}
+        {issues.length > 0 && ` · ${issues.length} ${issues.length === 1 ? 'issue' : 'issues'} ${expanded ? '▴' : '▾'}`}
+      </button>
+      {expanded && (
+        <div className="quality-details">
+          <p className="quality-text">
+            {highlightSegments(text, issues).map((segment, index) => (
+              segment.issues
+                ? <mark key={index} title={segment.issues.map(issue => issue.message).join('\n')}>{segment.text}</mark>
+                : <span key={index}>{segment.text}</span>
+            ))}
+          </p>
+          <ul className="quality-issues">
+            {issues.map((issue, index) => (
+              <li key={index}>
+                {issue.text && <strong>{issue.text}</strong>} {issue.message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QualityScore;
@@ -0,0 +1,220 @@
+import React, { useState, useEffect } from 'react';
+import * as api from './api';
+import { hasRole } from './permissions';
+import { canTransition, statusColor, transitionRole } from './workflow';
+import './RequirementBoard.css';
+
+const PRIORITY_LANES = ['High', 'Medium', 'Low'];
+
+const laneOf = (requirement, lanes) => {
+  if (lanes === 'priority') return requirement.priority;
+  if (lanes === 'category') return requirement.categories?.split(',')[0].trim() || 'Uncategorized';
+  return '';
+};
+
+// The columns with `requirement` taken out of `from` and put into `to` at `index`
+// (the top by default), their totals following along
+const moveCard = (columns, requirement, from, to, hourlyRate, index = 0) => {
+  const hours = requirement.estimated_time || 0;
+  const cost = hours * hourlyRate;
+  return columns.map(column => {
+    if (column.status === from) {
+      return {
+        ...column,
+        count: column.count - 1,
+        hours: column.hours - hours,
+        cost: column.cost - cost,
+        requirements: column.requirements.filter(req => req.id !== requirement.id),
+      };
+    }
+    if (column.status === to) {
+      const requirements = [...column.requirements];
+      requirements.splice(index, 0, { ...requirement, status: to });
+      return { ...column, count: column.count + 1, hours: column.hours + hours, cost: column.cost + cost, requirements };
+    }
+    return column;
+  });
+};
+
+// Kanban board of a project, one column per workflow state. Dragging a card into
+// another column changes its status; a move the server refuses puts the card back
+// where it was and marks it. `lanes` splits the columns by priority or category.
+const RequirementBoard = ({ projectId, filterParams, sort, lanes, workflow, hourlyRate, role, onMoved }) => {
+  const [board, setBoard] = useState(null);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [dragging, setDragging] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [pending, setPending] = useState([]);
+  const [failedId, setFailedId] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const debounceTimer = setTimeout(() => {
+      setError(null);
+      api.getProjectBoard(projectId, { ...filterParams, sort: sort || undefined }, { signal: controller.signal })
+        .then(setBoard)
+        .catch(err => {
+          if (!api.isCancelled(err)) setError(err.message);
+        });
+    }, 500);
+    return () => {
+      clearTimeout(debounceTimer);
+      controller.abort();
+    };
+  }, [projectId, filterParams, sort]);
+
+  if (error && !board) return <div className="error-message">{error}</div>;
+  if (!board) {
+    return (
+      <div className="loading-indicator">
+        <div className="spinner" /> Loading board...
+      </div>
+    );
+  }
+
+  const canMove = (from, to) =>
+    canTransition(workflow, from, to) && hasRole(role, transitionRole(workflow, to));
+
+  const move = async (requirement, from, to) => {
+    const index = board.columns.find(column => column.status === from)
+      .requirements.findIndex(req => req.id === requirement.id);
+    setBoard(prev => ({ ...prev, columns: moveCard(prev.columns, requirement, from, to, hourlyRate) }));
+    setPending(prev => [...prev, requirement.id]);
+    setError(null);
+    setNotice(null);
+    setFailedId(null);
+    try {
+      const { new_status: status, approvals } = await api.updateRequirementStatus(requirement.id, to);
+      // Below the approval policy the move only records a vote and the status stays
+      const moved = { ...requirement, status, approvals };
+      setBoard(prev => ({
+        ...prev,
+        columns: status === to
+          ? prev.columns.map(column => ({
+            ...column,
+            requirements: column.requirements.map(req => (req.id === requirement.id ? moved : req)),
+          }))
+          : moveCard(prev.columns, moved, to, status, hourlyRate, index),
+      }));
+      if (status !== to) {
+        setNotice(`Approval recorded for ${requirement.id.slice(-6)}: ` +
+          `${approvals.votes.length} of ${approvals.required} needed before it moves to ${to}.`);
+      }
+      onMoved();
+    } catch (err) {
+      setBoard(prev => ({ ...prev, columns: moveCard(prev.columns, requirement, to, from, hourlyRate, index) }));
+      setFailedId(requirement.id);
+      setError(`Couldn't move ${requirement.id.slice(-6)} to ${to}: ${err.message}`);
+    } finally {
+      setPending(prev => prev.filter(id => id !== requirement.id));
+    }
+  };
+
+  const handleDrop = (e, to) => {
+    e.preventDefault();
+    setDropTarget(null);
+    if (dragging && canMove(dragging.status, to)) move(dragging, dragging.status, to);
+    setDragging(null);
+  };
+
+  // Only lanes that have cards; priorities from high to low, categories alphabetically
+  const laneNames = lanes
+    ? [...new Set(board.columns.flatMap(column => column.requirements.map(req => laneOf(req, lanes))))]
+      .sort((a, b) => (lanes === 'priority'
+        ? PRIORITY_LANES.indexOf(a) - PRIORITY_LANES.indexOf(b)
+        : a.localeCompare(b)))
+    : [''];
+  const gridStyle = { gridTemplateColumns: `repeat(${board.columns.length}, minmax(220px, 1fr))` };
+
+  return (
+    <div className="requirement-board">
+      {error && <div className="error-message board-message">{error}</div>}
+      {notice && <div className="board-notice">{notice}</div>}
+
+      <div className="board-grid" style={gridStyle}>
+        {board.columns.map(column => {
+          const color = statusColor(workflow, column.status);
+          return (
+            <div key={column.status} className="board-column-header" style={{ borderTopColor: color }}>
+              <h3>{column.status} <span className="board-count">{column.count}</span></h3>
+              <div className="board-totals">
+                {column.hours}h · ${column.cost.toFixed(2)}
+              </div>
+            </div>
+          );
+        })}
+
+        {laneNames.map(lane => (
+          <React.Fragment key={lane || 'all'}>
+            {lanes && <div className="board-lane-title">{lane}</div>}
+            {board.columns.map(column => {
+              const cards = column.requirements.filter(req => !lanes || laneOf(req, lanes) === lane);
+              const droppable = dragging && canMove(dragging.status, column.status);
+              const cellKey = `${lane}:${column.status}`;
+              return (
+                <div
+                  key={cellKey}
+                  className={[
+                    'board-cell',
+                    dragging && !droppable && dragging.status !== column.status ? 'blocked' : '',
+                    dropTarget === cellKey ? 'drop-target' : '',
+                  ].join(' ')}
+                  onDragOver={(e) => {
+                    if (!droppable) return;
+                    e.preventDefault();
+                    e.dataTransfer.dropEffect = 'move';
+                    if (dropTarget !== cellKey) setDropTarget(cellKey);
+                  }}
+                  onDragLeave={() => setDropTarget(prev => (prev === cellKey ? null : prev))}
+                  onDrop={(e) => handleDrop(e, column.status)}
+                >
+                  {cards.map(req => (
+                    <div
+                      key={req.id}
+                      className={[
+                        'board-card',
+                        pending.includes(req.id) ? 'pending' : '',
+                        failedId === req.id ? 'move-failed' : '',
+                      ].join(' ')}
+                      draggable={hasRole(role, 'contributor') && !pending.includes(req.id)}
+                      onDragStart={(e) => {
+                        e.dataTransfer.effectAllowed = 'move';
+                        e.dataTransfer.setData('text/plain', req.id);
+                        setDragging(req);
+                        setFailedId(null);
+                      }}
+                      onDragEnd={() => {
+                        setDragging(null);
+                        setDropTarget(null);
+                      }}
+                    >
+                      <div className="board-card-header">
+                        <span className="requirement-id">{req.id.slice(-6)}</span>
+                        <span className={`priority-tag ${req.priority.toLowerCase()}`}>{req.priority}</span>
+                      </div>
+                      <p>{req.requirement}</p>
+                      <div className="board-card-footer">
+                        <span>{req.estimated_time || 0}h</span>
+                        <span>{req.author}</span>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              );
+            })}
+          </React.Fragment>
+        ))}
+
+        {board.columns.map(column => (
+          <div key={column.status} className="board-more">
+            {column.count > column.requirements.length &&
+              `${column.count - column.requirements.length} more not shown; narrow the filters to see them`}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default RequirementBoard;
@@ -0,0 +1,328 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import * as api from './api';
+import { LINK_TYPES } from './RequirementLinks';
+import './RequirementGraph.css';
+
+const WIDTH = 900;
+const HEIGHT = 600;
+const NODE_RADIUS = 14;
+const LAYOUT_STEPS = 300;
+const REPULSION = 4000;
+const SPRING = 0.05;
+const SPRING_LENGTH = 120;
+const GRAVITY = 0.01;
+const MAX_STEP = 20;
+
+const stripHtml = (html) => html.replace(/<[^>]+>/g, ' ');
+
+// Simple force-directed layout: nodes repel each other, links pull their ends
+// together and a weak gravity keeps everything near the centre.
+const layoutGraph = (nodes, edges) => {
+  const positions = {};
+  nodes.forEach((node, index) => {
+    const angle = (2 * Math.PI * index) / nodes.length;
+    positions[node.id] = {
+      x: WIDTH / 2 + Math.cos(angle) * (WIDTH / 3),
+      y: HEIGHT / 2 + Math.sin(angle) * (HEIGHT / 3),
+    };
+  });
+
+  const ids = nodes.map(node => node.id);
+  for (let step = 0; step < LAYOUT_STEPS; step++) {
+    const forces = Object.fromEntries(ids.map(id => [id, { x: 0, y: 0 }]));
+
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        const a = positions[ids[i]];
+        const b = positions[ids[j]];
+        const dx = a.x - b.x;
+        const dy = a.y - b.y;
+        const distance = Math.max(Math.sqrt(dx * dx + dy * dy), 1);
+        const force = REPULSION / (distance * distance);
+        forces[ids[i]].x += (dx / distance) * force;
+        forces[ids[i]].y += (dy / distance) * force;
+        forces[ids[j]].x -= (dx / distance) * force;
+        forces[ids[j]].y -= (dy / distance) * force;
+      }
+    }
+
+    edges.forEach(edge => {
+      const a = positions[edge.source_id];
+      const b = positions[edge.target_id];
+      if (!a || !b || a === b) return;
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const distance = Math.max(Math.sqrt(dx * dx + dy * dy), 1);
+      const force = (distance - SPRING_LENGTH) * SPRING;
+      forces[edge.source_id].x += (dx / distance) * force;
+      forces[edge.source_id].y += (dy / distance) * force;
+      forces[edge.target_id].x -= (dx / distance) * force;
+      forces[edge.target_id].y -= (dy / distance) * force;
+    });
+
+    const cooling = 1 - step / LAYOUT_STEPS;
+    const clamp = (value) => Math.max(-MAX_STEP, Math.min(MAX_STEP, value)) * cooling;
+    ids.forEach(id => {
+      const position = positions[id];
+      position.x += clamp(forces[id].x + (WIDTH / 2 - position.x) * GRAVITY);
+      position.y += clamp(forces[id].y + (HEIGHT / 2 - position.y) * GRAVITY);
+    });
+  }
+  return positions;
+};
+
+// Line between two node centres, trimmed so the arrowhead stays visible
+const edgeEnds = (a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const distance = Math.max(Math.sqrt(dx * dx + dy * dy), 1);
+  const ux = dx / distance;
+  const uy = dy / distance;
+  return {
+    x1: a.x + ux * NODE_RADIUS,
+    y1: a.y + uy * NODE_RADIUS,
+    x2: b.x - ux * (NODE_RADIUS + 4),
+    y2: b.y - uy * (NODE_RADIUS + 4),
+  };
+};
+
+// Per-project graph of requirement links. Dependency cycles and unresolved
+// conflicts are highlighted; nodes can be dragged and selected for details.
+const RequirementGraph = ({ projectId }) => {
+  const [graph, setGraph] = useState(null);
+  const [error, setError] = useState(null);
+  const [showUnlinked, setShowUnlinked] = useState(false);
+  const [positions, setPositions] = useState({});
+  const [selectedId, setSelectedId] = useState(null);
+  const [highlight, setHighlight] = useState(null); // ids of a cycle or conflict picked from the summary
+  const [view, setView] = useState({ x: 0, y: 0, scale: 1 });
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setGraph(null);
+    api.getProjectGraph(projectId, { signal: controller.signal })
+      .then(data => {
+        setGraph(data);
+        setError(null);
+      })
+      .catch(err => {
+        if (!api.isCancelled(err)) setError(err.message);
+      });
+    return () => controller.abort();
+  }, [projectId]);
+
+  const visibleNodes = useMemo(() => {
+    if (!graph) return [];
+    if (showUnlinked) return graph.nodes;
+    const linked = new Set(graph.edges.flatMap(edge => [edge.source_id, edge.target_id]));
+    return graph.nodes.filter(node => linked.has(node.id));
+  }, [graph, showUnlinked]);
+
+  useEffect(() => {
+    if (graph) setPositions(layoutGraph(visibleNodes, graph.edges));
+  }, [graph, visibleNodes]);
+
+  const toSvgPoint = (e) => {
+    const point = svgRef.current.createSVGPoint();
+    point.x = e.clientX;
+    point.y = e.clientY;
+    return point.matrixTransform(svgRef.current.getScreenCTM().inverse());
+  };
+
+  const handlePointerDown = (e, nodeId) => {
+    e.stopPropagation();
+    dragRef.current = { nodeId, moved: false, startX: e.clientX, startY: e.clientY, origin: view };
+    svgRef.current.setPointerCapture(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    if (!drag.moved && Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) < 3) return;
+    drag.moved = true;
+    if (drag.nodeId) {
+      const point = toSvgPoint(e);
+      setPositions(prev => ({ ...prev, [drag.nodeId]: { x: point.x, y: point.y } }));
+    } else {
+      // Panning works in screen pixels so the moving viewBox doesn't feed back
+      const unitsPerPixel = WIDTH / drag.origin.scale / svgRef.current.clientWidth;
+      setView({
+        ...drag.origin,
+        x: drag.origin.x - (e.clientX - drag.startX) * unitsPerPixel,
+        y: drag.origin.y - (e.clientY - drag.startY) * unitsPerPixel,
+      });
+    }
+  };
+
+  const handlePointerUp = () => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (drag?.nodeId && !drag.moved) setSelectedId(prev => prev === drag.nodeId ? null : drag.nodeId);
+    if (drag && !drag.nodeId && !drag.moved) setSelectedId(null);
+  };
+
+  const zoom = (factor) => setView(prev => ({ ...prev, scale: Math.min(4, Math.max(0.25, prev.scale * factor)) }));
+
+  if (error) return <div className="error-message">{error}</div>;
+  if (!graph) return <p>Loading graph…</p>;
+
+  const nodesById = Object.fromEntries(graph.nodes.map(node => [node.id, node]));
+  const unresolved = new Set(graph.unresolved_conflicts);
+  const selected = selectedId && nodesById[selectedId];
+  const selectedEdges = selected
+    ? graph.edges.filter(edge => edge.source_id === selectedId || edge.target_id === selectedId)
+    : [];
+  const viewWidth = WIDTH / view.scale;
+  const viewHeight = HEIGHT / view.scale;
+  const viewBox = [
+    view.x + (WIDTH - viewWidth) / 2,
+    view.y + (HEIGHT - viewHeight) / 2,
+    viewWidth,
+    viewHeight,
+  ].join(' ');
+
+  return (
+    <div className="requirement-graph">
+      <div className="graph-toolbar">
+        <div className="graph-summary">
+          <span className={graph.cycles.length ? 'graph-alert' : ''}>
+            {graph.cycles.length} dependency cycles
+          </span>
+          {graph.cycles.map((cycle, index) => (
+            <button key={index} onClick={() => setHighlight(cycle)}>
+              Cycle {index + 1}: {cycle.join(' → ')}
+            </button>
+          ))}
+          <span className={unresolved.size ? 'graph-alert' : ''}>{unresolved.size} unresolved conflicts</span>
+          {graph.edges.filter(edge => unresolved.has(edge.id)).map(edge => (
+            <button key={edge.id} onClick={() => setHighlight([edge.source_id, edge.target_id])}>
+              {edge.source_id} ⚡ {edge.target_id}
+            </button>
+          ))}
+          {highlight && <button onClick={() => setHighlight(null)}>Clear highlight</button>}
+        </div>
+        <div className="graph-controls">
+          <label>
+            <input type="checkbox" checked={showUnlinked} onChange={(e) => setShowUnlinked(e.target.checked)} />
+            Show unlinked requirements
+          </label>
+          <button onClick={() => zoom(1.25)} aria-label="Zoom in">+</button>
+          <button onClick={() => zoom(0.8)} aria-label="Zoom out">−</button>
+          <button onClick={() => setView({ x: 0, y: 0, scale: 1 })}>Reset view</button>
+        </div>
+      </div>
+
+      <div className="graph-legend">
+        {Object.entries(LINK_TYPES).map(([type, { label, color }]) => (
+          <span key={type}><i style={{ background: color }} />{label}</span>
+        ))}
+        <span><i className="legend-cycle" />In a cycle</span>
+        <span><i className="legend-conflict" />Unresolved conflict</span>
+      </div>
+
+      {!visibleNodes.length ? (
+        <p className="graph-empty">
+          No linked requirements yet. Add links from the "Links" button on a requirement card.
+        </p>
+      ) : (
+        <div className="graph-body">
+          <svg
+            ref={svgRef}
+            viewBox={viewBox}
+            className="graph-canvas"
+            onPointerDown={(e) => handlePointerDown(e, null)}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+          >
+            <defs>
+              {[...Object.entries(LINK_TYPES).map(([type, { color }]) => [type, color]), ['cycle', '#c62828']]
+                .map(([type, color]) => (
+                  <marker
+                    key={type}
+                    id={`graph-arrow-${type}`}
+                    viewBox="0 0 10 10"
+                    refX="8"
+                    refY="5"
+                    markerWidth="6"
+                    markerHeight="6"
+                    orient="auto-start-reverse"
+                  >
+                    <path d="M 0 0 L 10 5 L 0 10 z" fill={color} />
+                  </marker>
+                ))}
+            </defs>
+
+            {graph.edges.map(edge => {
+              const a = positions[edge.source_id];
+              const b = positions[edge.target_id];
+              if (!a || !b) return null;
+              const conflict = unresolved.has(edge.id);
+              const dimmed = highlight && !(highlight.includes(edge.source_id) && highlight.includes(edge.target_id));
+              return (
+                <line
+                  key={edge.id}
+                  {...edgeEnds(a, b)}
+                  className={`graph-edge ${edge.in_cycle ? 'cycle' : ''} ${conflict ? 'conflict' : ''} ${dimmed ? 'dimmed' : ''}`}
+                  stroke={edge.in_cycle ? '#c62828' : LINK_TYPES[edge.type].color}
+                  markerEnd={edge.type === 'conflicts_with' ? undefined
+                    : `url(#graph-arrow-${edge.in_cycle ? 'cycle' : edge.type})`}
+                >
+                  <title>
+                    {edge.source_id} {LINK_TYPES[edge.type].label.toLowerCase()} {edge.target_id}
+                    {edge.note ? ` — ${edge.note}` : ''}
+                  </title>
+                </line>
+              );
+            })}
+
+            {visibleNodes.map(node => {
+              const position = positions[node.id];
+              if (!position) return null;
+              const dimmed = highlight && !highlight.includes(node.id);
+              return (
+                <g
+                  key={node.id}
+                  transform={`translate(${position.x}, ${position.y})`}
+                  className={`graph-node ${node.cycle !== null ? 'cycle' : ''} ${node.id === selectedId ? 'selected' : ''} ${dimmed ? 'dimmed' : ''}`}
+                  onPointerDown={(e) => handlePointerDown(e, node.id)}
+                >
+                  <circle r={NODE_RADIUS} fill={node.color || '#90a4ae'} />
+                  <text y={NODE_RADIUS + 14}>{node.id}</text>
+                  <title>{stripHtml(node.requirement)}</title>
+                </g>
+              );
+            })}
+          </svg>
+
+          {selected && (
+            <aside className="graph-details">
+              <h3>{selected.id}</h3>
+              <p>{stripHtml(selected.requirement)}</p>
+              <p className="graph-details-meta">{selected.status} • {selected.priority} priority</p>
+              {selected.cycle !== null && (
+                <p className="graph-alert">Part of cycle {selected.cycle + 1}</p>
+              )}
+              <ul>
+                {selectedEdges.map(edge => {
+                  const outgoing = edge.source_id === selected.id;
+                  const otherId = outgoing ? edge.target_id : edge.source_id;
+                  return (
+                    <li key={edge.id} className={unresolved.has(edge.id) ? 'graph-alert' : ''}>
+                      {outgoing ? LINK_TYPES[edge.type].label : LINK_TYPES[edge.type].inverse}{' '}
+                      <button onClick={() => setSelectedId(otherId)}>{otherId}</button>
+                      {edge.type === 'conflicts_with' && (edge.resolved ? ' (resolved)' : ' (unresolved)')}
+                    </li>
+                  );
+                })}
+              </ul>
+            </aside>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RequirementGraph;
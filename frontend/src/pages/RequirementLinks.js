@@ -0,0 +1,146 @@
+import React, { useState, useEffect } from 'react';
+import * as api from './api';
+import './RequirementLinks.css';
+
+// Labels read from the point of view of the requirement being edited
+export const LINK_TYPES = {
+  depends_on: { label: 'Depends on', inverse: 'Required by', color: '#1976d2' },
+  conflicts_with: { label: 'Conflicts with', inverse: 'Conflicts with', color: '#d32f2f' },
+  refines: { label: 'Refines', inverse: 'Refined by', color: '#7b1fa2' },
+  duplicates: { label: 'Duplicates', inverse: 'Duplicated by', color: '#ef6c00' },
+};
+
+const stripHtml = (html) => html.replace(/<[^>]+>/g, ' ');
+
+// Editor for the typed links of one requirement, opened from its card.
+// `readOnly` lists the links without the controls to change them.
+const RequirementLinks = ({ requirement, requirements, readOnly, onClose }) => {
+  const [links, setLinks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [draft, setDraft] = useState({ type: 'depends_on', target_id: '', note: '' });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    api.getRequirementLinks(requirement.id, { signal: controller.signal })
+      .then(setLinks)
+      .catch(err => {
+        if (!api.isCancelled(err)) setError(err.message);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+    return () => controller.abort();
+  }, [requirement.id]);
+
+  const addLink = async () => {
+    setSaving(true);
+    try {
+      const link = await api.createRequirementLink(requirement.id, draft);
+      setLinks(prev => [...prev, link]);
+      setDraft(prev => ({ ...prev, target_id: '', note: '' }));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleResolved = async (link) => {
+    try {
+      const updated = await api.updateRequirementLink(link.id, { resolved: !link.resolved });
+      setLinks(prev => prev.map(l => l.id === link.id ? { ...l, resolved: updated.resolved } : l));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const removeLink = async (link) => {
+    try {
+      await api.deleteRequirementLink(link.id);
+      setLinks(prev => prev.filter(l => l.id !== link.id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const targets = requirements.filter(req => req.id !== requirement.id);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content requirement-links" onClick={(e) => e.stopPropagation()}>
+        <div className="requirement-links-header">
+          <h2>Links of {requirement.id}</h2>
+          <button onClick={onClose} aria-label="Close">×</button>
+        </div>
+        <p className="requirement-links-text">{stripHtml(requirement.requirement)}</p>
+
+        {error && <div className="error-message">{error}</div>}
+        {loading && <p>Loading links…</p>}
+        {!loading && !links.length && <p className="requirement-links-empty">No links yet.</p>}
+
+        <ul className="link-list">
+          {links.map(link => {
+            const type = LINK_TYPES[link.type];
+            const conflict = link.type === 'conflicts_with';
+            return (
+              <li key={link.id} className={`link-item ${conflict && !link.resolved ? 'unresolved' : ''}`}>
+                <span className="link-type" style={{ color: type.color }}>
+                  {link.direction === 'outgoing' ? type.label : type.inverse}
+                </span>
+                <div className="link-other">
+                  <strong>{link.other.id}</strong> {stripHtml(link.other.requirement)}
+                  {link.note && <em className="link-note">{link.note}</em>}
+                </div>
+                {!readOnly && (
+                  <div className="link-actions">
+                    {conflict && (
+                      <button onClick={() => toggleResolved(link)}>
+                        {link.resolved ? 'Reopen' : 'Mark resolved'}
+                      </button>
+                    )}
+                    <button className="delete-btn" onClick={() => removeLink(link)}>Remove</button>
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+
+        {!readOnly && (
+          <div className="link-form">
+            <select value={draft.type} onChange={(e) => setDraft(prev => ({ ...prev, type: e.target.value }))}>
+              {Object.entries(LINK_TYPES).map(([value, { label }]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <select
+              value={draft.target_id}
+              onChange={(e) => setDraft(prev => ({ ...prev, target_id: e.target.value }))}
+            >
+              <option value="">Choose requirement…</option>
+              {targets.map(req => (
+                <option key={req.id} value={req.id}>
+                  {req.id}: {stripHtml(req.requirement).slice(0, 80)}
+                </option>
+              ))}
+            </select>
+            <input
+              type="text"
+              placeholder="Note (optional)"
+              value={draft.note}
+              onChange={(e) => setDraft(prev => ({ ...prev, note: e.target.value }))}
+            />
+            <button className="create-btn" onClick={addLink} disabled={saving || !draft.target_id}>
+              {saving ? 'Adding…' : 'Add link'}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RequirementLinks;
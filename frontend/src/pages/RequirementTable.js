@@ -0,0 +1,178 @@
+import React, { useState, useRef } from 'react';
+import { TABLE_COLUMNS, PAGE_SIZES, SWIMLANES, VIEWS, nextSort } from './dashboardLayout';
+import { statusColor } from './workflow';
+import './RequirementTable.css';
+
+const cellValue = (column, requirement, hourlyRate) => {
+  switch (column) {
+    case 'id': return requirement.id.slice(-6);
+    case 'estimate': return requirement.estimated_time != null ? `${requirement.estimated_time}h` : '';
+    case 'cost': return `$${((requirement.estimated_time || 0) * hourlyRate).toFixed(2)}`;
+    case 'date': return new Date(requirement.date).toLocaleDateString();
+    default: return requirement[column];
+  }
+};
+
+// Cards, table or board, the sort and, depending on the view, the page size,
+// the table's columns or the board's swimlanes
+export const LayoutControls = ({ layout, onChange }) => {
+  const sortable = TABLE_COLUMNS.filter(column => column.sort);
+  const toggleColumn = (key, shown) => {
+    const columns = TABLE_COLUMNS.map(column => column.key)
+      .filter(k => (k === key ? shown : layout.columns.includes(k)));
+    if (columns.length) onChange({ columns });
+  };
+
+  return (
+    <div className="layout-controls">
+      <div className="layout-view-toggle" role="group" aria-label="Layout">
+        {Object.entries(VIEWS).map(([view, label]) => (
+          <button
+            key={view}
+            className={layout.view === view ? 'active' : ''}
+            aria-pressed={layout.view === view}
+            onClick={() => onChange({ view })}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <label>
+        Sort
+        <select value={layout.sort} onChange={(e) => onChange({ sort: e.target.value })}>
+          <option value="">Default</option>
+          {sortable.flatMap(column => [
+            <option key={column.sort} value={column.sort}>{column.label} ↑</option>,
+            <option key={`-${column.sort}`} value={`-${column.sort}`}>{column.label} ↓</option>,
+          ])}
+        </select>
+      </label>
+      {layout.view === 'board' ? (
+        <label>
+          Swimlanes
+          <select value={layout.lanes} onChange={(e) => onChange({ lanes: e.target.value })}>
+            {Object.entries(SWIMLANES).map(([lanes, label]) => <option key={lanes} value={lanes}>{label}</option>)}
+          </select>
+        </label>
+      ) : (
+        <label>
+          Per page
+          <select value={layout.perPage} onChange={(e) => onChange({ perPage: Number(e.target.value) })}>
+            {PAGE_SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+          </select>
+        </label>
+      )}
+      {layout.view === 'table' && (
+        <details className="layout-column-chooser">
+          <summary>Columns</summary>
+          <div>
+            {TABLE_COLUMNS.map(column => (
+              <label key={column.key}>
+                <input
+                  type="checkbox"
+                  checked={layout.columns.includes(column.key)}
+                  onChange={(e) => toggleColumn(column.key, e.target.checked)}
+                />
+                {column.label}
+              </label>
+            ))}
+          </div>
+        </details>
+      )}
+    </div>
+  );
+};
+
+// Dense list of requirements. Arrow keys move between rows, Home/End jump to the
+// first/last, and Enter expands a row into its full card from `renderDetails`.
+const RequirementTable = ({ requirements, columns, sort, onSort, hourlyRate, workflow, renderDetails }) => {
+  const [expandedId, setExpandedId] = useState(null);
+  const rowRefs = useRef({});
+  const shown = TABLE_COLUMNS.filter(column => columns.includes(column.key));
+
+  const focusRow = (index) => {
+    const requirement = requirements[Math.min(Math.max(index, 0), requirements.length - 1)];
+    if (requirement) rowRefs.current[requirement.id]?.focus();
+  };
+
+  const handleKeyDown = (e, index, requirement) => {
+    const moves = { ArrowDown: index + 1, ArrowUp: index - 1, Home: 0, End: requirements.length - 1 };
+    if (e.key in moves) {
+      e.preventDefault();
+      focusRow(moves[e.key]);
+    } else if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      setExpandedId(prev => (prev === requirement.id ? null : requirement.id));
+    } else if (e.key === 'Escape' && expandedId === requirement.id) {
+      setExpandedId(null);
+    }
+  };
+
+  const sortIndicator = (column) => {
+    if (sort === column.sort) return ' ▲';
+    if (sort === `-${column.sort}`) return ' ▼';
+    return '';
+  };
+
+  return (
+    <div className="requirement-table-wrapper">
+      <table className="requirement-table">
+        <thead>
+          <tr>
+            {shown.map(column => (
+              <th
+                key={column.key}
+                className={`column-${column.key}`}
+                aria-sort={sort === column.sort ? 'ascending' : sort === `-${column.sort}` ? 'descending' : undefined}
+              >
+                {column.sort ? (
+                  <button onClick={() => onSort(nextSort(sort, column.sort))}>
+                    {column.label}{sortIndicator(column)}
+                  </button>
+                ) : column.label}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {requirements.map((requirement, index) => {
+            const color = statusColor(workflow, requirement.status);
+            return (
+              <React.Fragment key={requirement.id}>
+                <tr
+                  ref={(row) => { rowRefs.current[requirement.id] = row; }}
+                  tabIndex={0}
+                  className={expandedId === requirement.id ? 'expanded' : undefined}
+                  aria-expanded={expandedId === requirement.id}
+                  onKeyDown={(e) => handleKeyDown(e, index, requirement)}
+                  onClick={() => setExpandedId(prev => (prev === requirement.id ? null : requirement.id))}
+                >
+                  {shown.map(column => (
+                    <td key={column.key} className={`column-${column.key}`}>
+                      {column.key === 'status' ? (
+                        <span className="status-badge" style={{ color, background: `${color}22` }}>
+                          {requirement.status}
+                        </span>
+                      ) : column.key === 'priority' ? (
+                        <span className={`priority-tag ${requirement.priority.toLowerCase()}`}>
+                          {requirement.priority}
+                        </span>
+                      ) : cellValue(column.key, requirement, hourlyRate)}
+                    </td>
+                  ))}
+                </tr>
+                {expandedId === requirement.id && (
+                  <tr className="requirement-table-details">
+                    <td colSpan={shown.length}>{renderDetails(requirement)}</td>
+                  </tr>
+                )}
+              </React.Fragment>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default RequirementTable;
@@ -0,0 +1,161 @@
+import React, { useState, useEffect } from 'react';
+import * as api from './api';
+import { diffWords } from './diff';
+import { formatCustomValue } from './customFields';
+import './RevisionHistory.css';
+
+const CHANGE_LABELS = {
+  original: 'Original version',
+  created: 'Created',
+  edited: 'Edited',
+  status: 'Status changed',
+  reverted: 'Reverted',
+};
+
+const FIELD_LABELS = {
+  categories: 'Categories',
+  status: 'Status',
+  priority: 'Priority',
+  complexity: 'Complexity',
+  estimated_time: 'Estimate (h)',
+  author: 'Author',
+};
+
+// Longer texts, shown as a word diff under their label
+const TEXT_FIELDS = {
+  acceptance_criteria: 'Acceptance criteria',
+  scenarios: 'Scenarios',
+};
+
+const TextDiff = ({ before, after }) => (
+  <p className="revision-text">
+    {diffWords(before, after).map((part, index) => (
+      part.type === 'same'
+        ? <span key={index}>{part.text}</span>
+        : part.type === 'added'
+          ? <ins key={index}>{part.text}</ins>
+          : <del key={index}>{part.text}</del>
+    ))}
+  </p>
+);
+
+// Who changed a requirement and when, with each revision diffed against the
+// one before it. Any older revision can be restored; the revert is recorded too.
+// Without `onReverted` (viewers) the history is read-only.
+const RevisionHistory = ({ requirementId, customFields = [], members = [], onReverted, onClose }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [reverting, setReverting] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    api.getRequirementRevisions(requirementId, { signal: controller.signal })
+      .then(setRevisions)
+      .catch(err => {
+        if (!api.isCancelled(err)) setError(err.message);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+    return () => controller.abort();
+  }, [requirementId]);
+
+  const revert = async (revision) => {
+    if (!window.confirm(`Revert ${requirementId} to revision ${revision.number}?`)) return;
+
+    setReverting(revision.id);
+    try {
+      const requirement = await api.revertRequirement(requirementId, revision.id);
+      setRevisions(await api.getRequirementRevisions(requirementId));
+      onReverted(requirement);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setReverting(null);
+    }
+  };
+
+  const latestId = revisions.length ? revisions[revisions.length - 1].id : null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content revision-history" onClick={(e) => e.stopPropagation()}>
+        <div className="revision-history-header">
+          <h2>History of {requirementId}</h2>
+          <button onClick={onClose} aria-label="Close">×</button>
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+        {loading && <p>Loading history…</p>}
+        {!loading && !revisions.length && !error && (
+          <p className="revision-empty">No changes have been recorded for this requirement yet.</p>
+        )}
+
+        <ol className="revision-list" reversed>
+          {[...revisions].reverse().map(revision => {
+            const previous = revisions[revision.number - 2];
+            const changedFields = previous
+              ? Object.keys(FIELD_LABELS).filter(field => previous.snapshot[field] !== revision.snapshot[field])
+              : [];
+            const changedTextFields = previous
+              ? Object.keys(TEXT_FIELDS).filter(field =>
+                (previous.snapshot[field] || '') !== (revision.snapshot[field] || ''))
+              : [];
+            const customValue = (rev, field) => rev.snapshot.custom_fields?.[field.key];
+            const changedCustomFields = previous
+              ? customFields.filter(field =>
+                JSON.stringify(customValue(previous, field)) !== JSON.stringify(customValue(revision, field)))
+              : [];
+
+            return (
+              <li key={revision.id} className="revision-item">
+                <div className="revision-meta">
+                  <strong>#{revision.number} {CHANGE_LABELS[revision.change] || revision.change}</strong>
+                  <span>{revision.actor} • {new Date(revision.created_at).toLocaleString()}</span>
+                  {revision.note && <em>{revision.note}</em>}
+                  {onReverted && revision.id !== latestId && (
+                    <button onClick={() => revert(revision)} disabled={reverting !== null}>
+                      {reverting === revision.id ? 'Reverting…' : 'Revert to this'}
+                    </button>
+                  )}
+                </div>
+
+                {previous && previous.snapshot.requirement !== revision.snapshot.requirement
+                  ? <TextDiff before={previous.snapshot.requirement} after={revision.snapshot.requirement} />
+                  : !previous && <p className="revision-text">{revision.snapshot.requirement}</p>}
+
+                {changedTextFields.map(field => (
+                  <div key={field} className="revision-text-field">
+                    <strong>{TEXT_FIELDS[field]}</strong>
+                    <TextDiff before={previous.snapshot[field] || ''} after={revision.snapshot[field] || ''} />
+                  </div>
+                ))}
+
+                {changedFields.length + changedCustomFields.length > 0 && (
+                  <ul className="revision-fields">
+                    {changedFields.map(field => (
+                      <li key={field}>
+                        {FIELD_LABELS[field]}: <del>{String(previous.snapshot[field] ?? '—')}</del>
+                        {' → '}<ins>{String(revision.snapshot[field] ?? '—')}</ins>
+                      </li>
+                    ))}
+                    {changedCustomFields.map(field => (
+                      <li key={`custom:${field.key}`}>
+                        {field.label}: <del>{formatCustomValue(field, customValue(previous, field), members) || '—'}</del>
+                        {' → '}<ins>{formatCustomValue(field, customValue(revision, field), members) || '—'}</ins>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            );
+          })}
+        </ol>
+      </div>
+    </div>
+  );
+};
+
+export default RevisionHistory;
@@ -0,0 +1,140 @@
+import React, { useState, useEffect } from 'react';
+import * as api from './api';
+import { hasRole } from './permissions';
+import './SavedViews.css';
+
+// Named Dashboard states of a project, e.g. "High-priority security in review".
+// `state` is the current query string without the project; picking a view
+// hands its query string to `onApply`.
+const SavedViews = ({ projectId, role, state, onApply }) => {
+  const [views, setViews] = useState([]);
+  const [selectedId, setSelectedId] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setViews([]);
+    setSelectedId('');
+    api.getSavedViews(projectId, { signal: controller.signal })
+      .then(setViews)
+      .catch(err => {
+        if (!api.isCancelled(err)) setError(err.message);
+      });
+    return () => controller.abort();
+  }, [projectId]);
+
+  const selected = views.find(view => view.id === Number(selectedId));
+  const canShare = hasRole(role, 'contributor');
+
+  const pick = (id) => {
+    setSelectedId(id);
+    const view = views.find(v => v.id === Number(id));
+    if (view) onApply(view.state);
+  };
+
+  const run = async (action) => {
+    setSaving(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const create = () => run(async () => {
+    const view = await api.createSavedView(projectId, { name: form.name, shared: form.shared, state });
+    setViews(prev => [...prev, view].sort((a, b) => a.name.localeCompare(b.name)));
+    setSelectedId(String(view.id));
+    setForm(null);
+  });
+
+  const overwrite = () => run(async () => {
+    const view = await api.updateSavedView(selected.id, { state });
+    setViews(prev => prev.map(v => (v.id === view.id ? view : v)));
+  });
+
+  const toggleShared = () => run(async () => {
+    const view = await api.updateSavedView(selected.id, { shared: !selected.shared });
+    setViews(prev => prev.map(v => (v.id === view.id ? view : v)));
+  });
+
+  const remove = () => {
+    if (!window.confirm(`Delete the view "${selected.name}"?`)) return;
+    run(async () => {
+      await api.deleteSavedView(selected.id);
+      setViews(prev => prev.filter(v => v.id !== selected.id));
+      setSelectedId('');
+    });
+  };
+
+  return (
+    <div className="saved-views">
+      <label htmlFor="saved-view-select">View:</label>
+      <select id="saved-view-select" value={selectedId} onChange={(e) => pick(e.target.value)}>
+        <option value="">-- Saved views --</option>
+        {views.map(view => (
+          <option key={view.id} value={view.id}>
+            {view.name}{view.shared ? (view.mine ? ' (shared)' : ` (by ${view.owner})`) : ''}
+          </option>
+        ))}
+      </select>
+
+      {selected?.mine && (
+        <>
+          <button
+            onClick={overwrite}
+            disabled={saving || selected.state === state}
+            title="Save the current filters into this view"
+          >
+            Update
+          </button>
+          {(canShare || selected.shared) && (
+            <button onClick={toggleShared} disabled={saving}>{selected.shared ? 'Unshare' : 'Share'}</button>
+          )}
+        </>
+      )}
+      {selected && (selected.mine || hasRole(role, 'admin')) && (
+        <button onClick={remove} disabled={saving}>Delete</button>
+      )}
+      <button onClick={() => setForm(form ? null : { name: '', shared: false })} disabled={saving}>
+        Save view
+      </button>
+
+      {form && (
+        <div className="saved-view-form">
+          <input
+            type="text"
+            placeholder="View name"
+            maxLength={100}
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            onKeyDown={(e) => e.key === 'Enter' && form.name.trim() && create()}
+            autoFocus
+          />
+          {canShare && (
+            <label>
+              <input
+                type="checkbox"
+                checked={form.shared}
+                onChange={(e) => setForm({ ...form, shared: e.target.checked })}
+              />
+              Share with the project
+            </label>
+          )}
+          <button className="create-btn" onClick={create} disabled={saving || !form.name.trim()}>
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      )}
+
+      {error && <div className="error-message">{error}</div>}
+    </div>
+  );
+};
+
+export default SavedViews;
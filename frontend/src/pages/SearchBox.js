@@ -0,0 +1,114 @@
+import React, { useState, useRef } from 'react';
+import { searchSuggestions } from './searchQuery';
+import './SearchBox.css';
+
+// The Dashboard's query input: completes field names and values, and underlines
+// the part of the query a syntax `error` points at.
+const SearchBox = ({ value, onChange, error, options, loading }) => {
+  const [cursor, setCursor] = useState(null);
+  const [active, setActive] = useState(0);
+  const [showHelp, setShowHelp] = useState(false);
+  const inputRef = useRef(null);
+
+  const suggestions = cursor === null ? [] : searchSuggestions(value, cursor, options).slice(0, 8);
+
+  const track = (input) => {
+    setCursor(input.selectionStart === input.selectionEnd ? input.selectionStart : null);
+    setActive(0);
+  };
+
+  const accept = (suggestion) => {
+    const next = value.slice(0, suggestion.start) + suggestion.text + value.slice(suggestion.end);
+    const position = suggestion.start + suggestion.text.length;
+    onChange(next);
+    setCursor(position);
+    setActive(0);
+    requestAnimationFrame(() => inputRef.current?.setSelectionRange(position, position));
+  };
+
+  const handleKeyDown = (e) => {
+    if (!suggestions.length) return;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const offset = e.key === 'ArrowDown' ? 1 : -1;
+      setActive(prev => (prev + offset + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      accept(suggestions[active]);
+    } else if (e.key === 'Escape') {
+      setCursor(null);
+    }
+  };
+
+  return (
+    <div className="search-box">
+      <input
+        ref={inputRef}
+        type="text"
+        placeholder='Search, e.g. status:Approved "single sign-on"'
+        value={value}
+        className={error ? 'invalid' : undefined}
+        aria-invalid={Boolean(error)}
+        onChange={(e) => {
+          onChange(e.target.value);
+          track(e.target);
+        }}
+        onClick={(e) => track(e.target)}
+        onKeyUp={(e) => {
+          if (e.key === 'ArrowLeft' || e.key === 'ArrowRight' || e.key === 'Home' || e.key === 'End') track(e.target);
+        }}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setCursor(null)}
+      />
+      {loading && <div className="search-spinner" />}
+
+      {suggestions.length > 0 && (
+        <ul className="search-suggestions" role="listbox">
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={suggestion.label}
+              role="option"
+              aria-selected={index === active}
+              className={index === active ? 'active' : undefined}
+              // Before the input's blur closes the list
+              onMouseDown={(e) => {
+                e.preventDefault();
+                accept(suggestion);
+              }}
+            >
+              {suggestion.label}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {error && (
+        <div className="search-error" role="alert">
+          <code>
+            {value.slice(0, error.start)}
+            <mark>{value.slice(error.start, error.end) || ' '}</mark>
+            {value.slice(error.end)}
+          </code>
+          <span>{error.message}</span>
+        </div>
+      )}
+
+      <button type="button" className="search-help-toggle" onClick={() => setShowHelp(prev => !prev)}>
+        {showHelp ? 'Hide search syntax' : 'Search syntax'}
+      </button>
+      {showHelp && (
+        <ul className="search-help">
+          <li><code>status:Approved priority:High</code> all of these</li>
+          <li><code>category:UI OR category:Security</code> either</li>
+          <li><code>-draft</code>, <code>NOT author:alice</code> exclude</li>
+          <li><code>"single sign-on"</code> exact phrase</li>
+          <li><code>est:&gt;8</code>, <code>quality:&lt;50</code>, <code>created:&gt;=2024-01-31</code> compare</li>
+          <li><code>(a OR b) c</code> group</li>
+          <li>Fields: status, priority, complexity, category, author, id, quality, created, est</li>
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SearchBox;
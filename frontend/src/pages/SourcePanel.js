@@ -0,0 +1,75 @@
+import React, { useState, useEffect, useRef } from 'react';
+import * as api from './api';
+import './SourceDocuments.css';
+
+const INITIAL_CONTEXT = 600;
+const MAX_CONTEXT = 5000;
+
+// "View in source": the passage a requirement was extracted from, highlighted
+// in the surrounding text of the original document.
+const SourcePanel = ({ requirementId, onClose }) => {
+  const [context, setContext] = useState(INITIAL_CONTEXT);
+  const [source, setSource] = useState(null);
+  const [error, setError] = useState(null);
+  const passageRef = useRef(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    api.getRequirementSource(requirementId, context, { signal: controller.signal })
+      .then(data => {
+        setSource(data);
+        setError(null);
+      })
+      .catch(err => {
+        if (!api.isCancelled(err)) setError(err.message);
+      });
+    return () => controller.abort();
+  }, [requirementId, context]);
+
+  useEffect(() => {
+    passageRef.current?.scrollIntoView({ block: 'center' });
+  }, [source]);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content source-panel" onClick={(e) => e.stopPropagation()}>
+        <div className="source-panel-header">
+          <h2>Source of {requirementId}</h2>
+          <button onClick={onClose} aria-label="Close">×</button>
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+        {!source && !error && <p>Loading source…</p>}
+
+        {source && (
+          <>
+            <div className="source-panel-meta">
+              <span className="source-panel-file">{source.document.file_name}</span>
+              {source.page && <span>Page {source.page}{source.document.pages ? ` of ${source.document.pages}` : ''}</span>}
+              <span>Characters {source.start}–{source.end}</span>
+              <a href={api.documentFileUrl(source.document.id)} target="_blank" rel="noopener noreferrer">
+                Open original
+              </a>
+            </div>
+
+            <div className="source-panel-text">
+              {source.more_before && '…'}
+              {source.before}
+              <mark ref={passageRef}>{source.passage}</mark>
+              {source.after}
+              {source.more_after && '…'}
+            </div>
+
+            {(source.more_before || source.more_after) && context < MAX_CONTEXT && (
+              <button className="source-panel-more" onClick={() => setContext(c => Math.min(c * 2, MAX_CONTEXT))}>
+                Show more context
+              </button>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SourcePanel;
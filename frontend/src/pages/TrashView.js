@@ -0,0 +1,110 @@
+import React, { useState, useEffect } from 'react';
+import DOMPurify from 'dompurify';
+import * as api from './api';
+import { hasRole } from './permissions';
+import './TrashView.css';
+
+// Requirements deleted from a project stay here until they are restored or
+// the trash is emptied. Contributors can restore; only admins delete for good.
+const TrashView = ({ projectId, role, onRestored }) => {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setLoading(true);
+    api.getProjectTrash(projectId, { signal: controller.signal })
+      .then(data => {
+        setItems(data);
+        setError(null);
+      })
+      .catch(err => {
+        if (!api.isCancelled(err)) setError(err.message);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+    return () => controller.abort();
+  }, [projectId]);
+
+  const restore = async (ids) => {
+    setBusy(true);
+    try {
+      const { requirements } = await api.restoreRequirements(projectId, ids);
+      const restored = new Set(requirements.map(req => req.id));
+      setItems(prev => prev.filter(item => !restored.has(item.id)));
+      onRestored(requirements);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const purge = async (ids) => {
+    const message = ids
+      ? 'Delete this requirement permanently? This cannot be undone.'
+      : `Permanently delete all ${items.length} requirements in the trash? This cannot be undone.`;
+    if (!window.confirm(message)) return;
+
+    setBusy(true);
+    try {
+      await api.emptyTrash(projectId, ids);
+      setItems(prev => ids ? prev.filter(item => !ids.includes(item.id)) : []);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const canRestore = hasRole(role, 'contributor');
+  const canPurge = hasRole(role, 'admin');
+
+  if (loading) return <div className="trash-view">Loading trash…</div>;
+
+  return (
+    <div className="trash-view">
+      <div className="trash-header">
+        <span>{items.length} deleted requirements</span>
+        <div className="trash-actions">
+          {canRestore && <button onClick={() => restore()} disabled={busy || !items.length}>Restore all</button>}
+          {canPurge && (
+            <button className="delete-btn" onClick={() => purge()} disabled={busy || !items.length}>
+              Empty trash
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+      {!items.length && !error && <p className="trash-empty">The trash is empty.</p>}
+
+      <ul className="trash-list">
+        {items.map(item => (
+          <li key={item.id} className="trash-item">
+            <div className="trash-item-text">
+              <span className="requirement-id">ID: {item.id}</span>
+              <p dangerouslySetInnerHTML={{ __html: DOMPurify.sanitize(item.requirement) }} />
+              <span className="trash-item-date">Deleted {new Date(item.deleted_at).toLocaleString()}</span>
+            </div>
+            <div className="trash-actions">
+              {canRestore && <button onClick={() => restore([item.id])} disabled={busy}>Restore</button>}
+              {canPurge && (
+                <button className="delete-btn" onClick={() => purge([item.id])} disabled={busy}>
+                  Delete forever
+                </button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default TrashView;
@@ -0,0 +1,45 @@
+import React, { useState, useEffect, useRef } from 'react';
+import './UndoToast.css';
+
+export const UNDO_DURATION = 8000;
+
+// Short-lived notice after a status change, edit or delete. `onUndo` reverts
+// the change on the server; the toast closes itself once `duration` runs out.
+const UndoToast = ({ message, onUndo, onDismiss, duration = UNDO_DURATION }) => {
+  const [undoing, setUndoing] = useState(false);
+  const [error, setError] = useState(null);
+  const onDismissRef = useRef(onDismiss);
+  onDismissRef.current = onDismiss;
+
+  useEffect(() => {
+    if (undoing || error) return undefined;
+    const timer = setTimeout(() => onDismissRef.current(), duration);
+    return () => clearTimeout(timer);
+  }, [duration, undoing, error]);
+
+  const undo = async () => {
+    setUndoing(true);
+    try {
+      await onUndo();
+      onDismissRef.current();
+    } catch (err) {
+      setError(`Undo failed: ${err.message}`);
+      setUndoing(false);
+    }
+  };
+
+  return (
+    <div className="undo-toast" role="status">
+      <span className={error ? 'undo-toast-error' : ''}>{error || message}</span>
+      {!error && (
+        <button onClick={undo} disabled={undoing}>{undoing ? 'Undoing…' : 'Undo'}</button>
+      )}
+      <button className="undo-toast-close" onClick={() => onDismissRef.current()} aria-label="Dismiss">×</button>
+      {!undoing && !error && (
+        <div className="undo-toast-timer" style={{ animationDuration: `${duration}ms` }} />
+      )}
+    </div>
+  );
+};
+
+export default UndoToast;
@@ -1,32 +1,68 @@
-import React, { useState, useEffect } from 'react';
-import axios from 'axios';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import * as api from './api';
+import UploadQueue from './UploadQueue';
+import AnalysisJobs from './AnalysisJobs';
+import BulkActions from './BulkActions';
+import TrashView from './TrashView';
+import ProjectTrash from './ProjectTrash';
+import UndoToast from './UndoToast';
+import RevisionHistory from './RevisionHistory';
+import DuplicateNotice from './DuplicateNotice';
+import DuplicateReport from './DuplicateReport';
+import RequirementLinks from './RequirementLinks';
+import CommentThread from './CommentThread';
+import RequirementGraph from './RequirementGraph';
+import SourcePanel from './SourcePanel';
+import ProjectDocuments from './ProjectDocuments';
+import WorkflowEditor from './WorkflowEditor';
+import ProjectMembers from './ProjectMembers';
+import ApprovalPolicyEditor from './ApprovalPolicyEditor';
+import ApprovalProgress from './ApprovalProgress';
+import CustomFieldsEditor from './CustomFieldsEditor';
+import CategoryEditor from './CategoryEditor';
+import CustomFieldInputs from './CustomFieldInputs';
+import CustomFieldValues from './CustomFieldValues';
+import QualityRulesEditor from './QualityRulesEditor';
+import QualityScore from './QualityScore';
+import AcceptanceCriteria from './AcceptanceCriteria';
+import AcceptanceCriteriaInputs from './AcceptanceCriteriaInputs';
+import { useAuth } from './AuthContext';
+import { hasRole } from './permissions';
+import { projectCategories } from './categories';
+import {
+  DEFAULT_WORKFLOW, statusColor, nextStates, canTransition, transitionRole, getState, statesOfKind,
+} from './workflow';
 import DOMPurify from 'dompurify';
 import './Upload.css';
 
-const API_BASE_URL = 'http://localhost:5000';
+const normalizeRequirement = (req) => ({
+  ...req,
+  categories: typeof req.categories === 'string' ? req.categories.split(', ') : req.categories || [],
+});
 
 function Upload() {
+  const { user } = useAuth();
   const [requirements, setRequirements] = useState([]);
-  const [loading, setLoading] = useState({ general: false, upload: false, project: false });
+  const [loading, setLoading] = useState({ general: false, project: false });
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState(localStorage.getItem('activeTab') || 'projects');
-  const [selectedFile, setSelectedFile] = useState(null);
   const [showEditModal, setShowEditModal] = useState(false);
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [newProjectHourlyRate, setNewProjectHourlyRate] = useState(30);
   const [renameProjectHourlyRate, setRenameProjectHourlyRate] = useState(30);
   const [newRequirement, setNewRequirement] = useState({
     requirement: '',
-    author: '',
     priority: 'Medium',
     complexity: 'Moderate',
     estimated_time: 4,
     date: new Date().toISOString(),
     categories: [],
+    custom_fields: {},
+    acceptance_criteria: '',
+    scenarios: '',
   });
   const [editingReq, setEditingReq] = useState({
     requirement: '',
-    author: '',
     priority: 'Medium',
     complexity: 'Moderate',
     estimated_time: 4,
@@ -38,6 +74,42 @@ function Upload() {
     const savedId = localStorage.getItem('selectedProjectId');
     return savedId ? parseInt(savedId, 10) : null;
   });
+  const [jobsRefreshKey, setJobsRefreshKey] = useState(0);
+  const [reviewFilter, setReviewFilter] = useState({
+    search: '', status: '', priority: '', duplicates: false, discussions: false,
+  });
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const [undoAction, setUndoAction] = useState(null);
+  const [projectTrashKey, setProjectTrashKey] = useState(0);
+  const [historyReqId, setHistoryReqId] = useState(null);
+  const [showDuplicateReport, setShowDuplicateReport] = useState(false);
+  const [linksReqId, setLinksReqId] = useState(null);
+  const [commentsReqId, setCommentsReqId] = useState(null);
+  const [sourceReqId, setSourceReqId] = useState(null);
+  const [documentsKey, setDocumentsKey] = useState(0);
+  const [workflowProjectId, setWorkflowProjectId] = useState(null);
+  const [membersProjectId, setMembersProjectId] = useState(null);
+  const [approvalsProjectId, setApprovalsProjectId] = useState(null);
+  const [fieldsProjectId, setFieldsProjectId] = useState(null);
+  const [categoriesProjectId, setCategoriesProjectId] = useState(null);
+  const [qualityProjectId, setQualityProjectId] = useState(null);
+  const [members, setMembers] = useState([]);
+  const selectedProjectRef = useRef(selectedProjectId);
+  selectedProjectRef.current = selectedProjectId;
+  const workflow = projects.find(project => project.id === selectedProjectId)?.workflow || DEFAULT_WORKFLOW;
+  // The user's role in the selected project decides which controls are shown
+  const role = projects.find(project => project.id === selectedProjectId)?.role;
+  const canEdit = hasRole(role, 'contributor');
+  const customFields = projects.find(project => project.id === selectedProjectId)?.custom_fields || [];
+  const categories = projectCategories(projects.find(project => project.id === selectedProjectId));
+  // Editing keeps categories a requirement has even if the project no longer offers them
+  const categoryChoices = (req) => [
+    ...categories,
+    ...(req?.categories || [])
+      .filter(name => !categories.some(category => category.name === name))
+      .map(name => ({ name, description: 'No longer one of the project\'s categories' })),
+  ];
+  const hasUserField = customFields.some(field => field.type === 'user');
   const [showProjectModal, setShowProjectModal] = useState(false);
   const [newProjectName, setNewProjectName] = useState('');
   const [newProjectDescription, setNewProjectDescription] = useState('');
@@ -64,14 +136,11 @@ function Upload() {
     const fetchProjectsAndRequirements = async () => {
       setLoading(prev => ({ ...prev, general: true }));
       try {
-        const projectsResponse = await axios.get(`${API_BASE_URL}/api/projects`);
-        setProjects(projectsResponse.data);
+        setProjects(await api.getProjects());
 
         if (selectedProjectId) {
-          const requirementsResponse = await axios.get(
-            `${API_BASE_URL}/api/projects/${selectedProjectId}/requirements`
-          );
-          const requirements = requirementsResponse.data.map(req => ({
+          const projectRequirements = await api.getProjectRequirements(selectedProjectId);
+          const requirements = projectRequirements.map(req => ({
             ...req,
             categories: typeof req.categories === 'string' ? req.categories.split(', ') : req.categories || [],
           }));
@@ -86,46 +155,43 @@ function Upload() {
     fetchProjectsAndRequirements();
   }, [selectedProjectId]);
 
+  // Members name the values of user fields and are their choices
+  useEffect(() => {
+    if (!selectedProjectId || !hasUserField) return undefined;
+    const controller = new AbortController();
+    api.getProjectMembers(selectedProjectId, { signal: controller.signal })
+      .then(setMembers)
+      .catch(err => {
+        if (!api.isCancelled(err)) setError(err.message);
+      });
+    return () => controller.abort();
+  }, [selectedProjectId, hasUserField]);
+
   useEffect(() => {
     if (!selectedProjectId) {
       setRequirements([]);
       setActiveTab('projects');
     }
+    setSelectedIds(new Set());
   }, [selectedProjectId]);
 
-  const handleFileUpload = async () => {
-    if (!selectedFile) {
-      setError('Please select a file to upload');
-      return;
-    }
-    if (!selectedProjectId) {
-      setError('Please select a project first');
-      return;
-    }
-
-    const formData = new FormData();
-    formData.append('file', selectedFile);
-    formData.append('project_id', selectedProjectId);
+  const handleFileAnalyzed = useCallback((created) => {
+    const newRequirements = created.map(normalizeRequirement);
+    // The queue and the jobs list can both report the same finished job
+    setRequirements(prev => {
+      const known = new Set(prev.map(req => req.id));
+      return [...prev, ...newRequirements.filter(req => !known.has(req.id))];
+    });
+    setDocumentsKey(key => key + 1);
+  }, []);
 
-    setLoading(prev => ({ ...prev, upload: true }));
-    try {
-      const response = await axios.post(`${API_BASE_URL}/api/analyze`, formData, {
-        headers: { 'Content-Type': 'multipart/form-data' },
-      });
+  // Restored requirements only belong in the list if their project is still the one shown
+  const handleRestored = useCallback((projectId, restored) => {
+    if (selectedProjectRef.current === projectId) handleFileAnalyzed(restored);
+  }, [handleFileAnalyzed]);
 
-      const requirements = response.data.requirements.map(req => ({
-        ...req,
-        categories: typeof req.categories === 'string' ? req.categories.split(', ') : req.categories || [],
-      }));
-      setRequirements(requirements);
-      setSelectedFile(null);
-      setError(null);
-      alert('File uploaded successfully!');
-    } catch (err) {
-      setError('File upload failed');
-    } finally {
-      setLoading(prev => ({ ...prev, upload: false }));
-    }
+  const offerUndo = (message, undo) => {
+    setUndoAction({ key: Date.now(), message, undo });
   };
 
   const createProject = async () => {
@@ -136,16 +202,16 @@ function Upload() {
 
     setLoading(prev => ({ ...prev, project: true }));
     try {
-      const response = await axios.post(`${API_BASE_URL}/api/projects`, {
+      const project = await api.createProject({
         name: newProjectName,
         description: newProjectDescription,
         hourly_rate: newProjectHourlyRate,
       });
-      setProjects([...projects, response.data]);
+      setProjects([...projects, project]);
       setShowProjectModal(false);
       setNewProjectName('');
       setNewProjectDescription('');
-      setSelectedProjectId(response.data.id);
+      setSelectedProjectId(project.id);
     } catch (err) {
       setError('Failed to create project');
     } finally {
@@ -161,7 +227,7 @@ function Upload() {
 
     setLoading(prev => ({ ...prev, project: true }));
     try {
-      await axios.put(`${API_BASE_URL}/api/projects/${renameProjectId}`, {
+      await api.updateProject(renameProjectId, {
         name: renameProjectName,
         description: renameProjectDescription,
         hourly_rate: renameProjectHourlyRate,
@@ -187,13 +253,20 @@ function Upload() {
   };
 
   const deleteProject = async (projectId) => {
-    if (!window.confirm('Delete this project and all requirements?')) return;
+    if (!window.confirm('Move this project and all its requirements to the trash?')) return;
 
     setLoading(prev => ({ ...prev, project: true }));
     try {
-      await axios.delete(`${API_BASE_URL}/api/projects/${projectId}`);
+      await api.deleteProject(projectId);
+      const deleted = projects.find(project => project.id === projectId);
       setProjects(projects.filter(project => project.id !== projectId));
       setSelectedProjectId(null);
+      setProjectTrashKey(key => key + 1);
+      offerUndo(`Project "${deleted?.name}" moved to the trash`, async () => {
+        const restored = await api.restoreProject(projectId);
+        setProjects(prev => [...prev, restored]);
+        setProjectTrashKey(key => key + 1);
+      });
     } catch (err) {
       setError('Failed to delete project');
     } finally {
@@ -202,12 +275,18 @@ function Upload() {
   };
 
   const deleteAllRequirements = async () => {
-    if (!window.confirm('Delete all requirements for this project?')) return;
+    if (!window.confirm('Move all requirements of this project to the trash?')) return;
 
+    const projectId = selectedProjectId;
     setLoading(prev => ({ ...prev, general: true }));
     try {
-      await axios.delete(`${API_BASE_URL}/api/projects/${selectedProjectId}/requirements`);
+      const { ids } = await api.deleteProjectRequirements(projectId);
       setRequirements([]);
+      setSelectedIds(new Set());
+      offerUndo(`${ids.length} requirements moved to the trash`, async () => {
+        const { requirements: restored } = await api.restoreRequirements(projectId, ids);
+        handleRestored(projectId, restored);
+      });
     } catch (err) {
       setError('Failed to delete requirements');
     } finally {
@@ -216,14 +295,37 @@ function Upload() {
   };
 
   const handleStatusUpdate = async (id, status) => {
+    const previous = requirements.find(req => req.id === id)?.status;
     try {
-      await axios.patch(`${API_BASE_URL}/api/requirements/${id}/status`, { status });
-      setRequirements(prev => prev.map(req => req.id === id ? { ...req, status } : req));
+      const { new_status: newStatus, approvals } = await api.updateRequirementStatus(id, status);
+      setRequirements(prev => prev.map(req => req.id === id ? { ...req, status: newStatus, approvals } : req));
+      // An approval that doesn't meet the policy yet only adds the user's vote
+      if (newStatus !== status) {
+        offerUndo(`Your approval of ${id} was recorded (${approvals.votes.length}/${approvals.required})`, async () => {
+          const withdrawn = await api.withdrawApproval(id);
+          setRequirements(prev => prev.map(req => req.id === id ? { ...req, approvals: withdrawn } : req));
+        });
+        return;
+      }
+      // Undo is a status change too, so only offer it when the workflow and the user's role allow moving back
+      if (previous && canTransition(workflow, status, previous) &&
+        hasRole(role, transitionRole(workflow, previous))) {
+        offerUndo(`${id} marked as ${status}`, async () => {
+          await api.updateRequirementStatus(id, previous);
+          setRequirements(prev => prev.map(req => req.id === id ? { ...req, status: previous } : req));
+        });
+      }
     } catch (err) {
-      setError('Status update failed');
+      setError(err.message || 'Status update failed');
     }
   };
 
+  // Throws so the card can show the error next to the button
+  const handleWithdrawApproval = async (id) => {
+    const approvals = await api.withdrawApproval(id);
+    setRequirements(prev => prev.map(req => req.id === id ? { ...req, approvals } : req));
+  };
+
   const handleCreateRequirement = async () => {
     if (!newRequirement.requirement.trim()) {
       setError('Requirement text required');
@@ -231,42 +333,40 @@ function Upload() {
     }
 
     try {
-      const aiResponse = await axios.post(`${API_BASE_URL}/api/classify`, {
-        text: newRequirement.requirement,
+      const { categories, priority, complexity } = await api.classifyText(newRequirement.requirement, selectedProjectId);
+      const created = await api.createProjectRequirement(selectedProjectId, {
+        ...newRequirement,
+        categories: categories || [],
+        priority: priority || 'Medium',
+        complexity: complexity || 'Moderate',
+        date: new Date(newRequirement.date).toISOString(),
       });
 
-      const { categories, priority, complexity } = aiResponse.data;
-      const response = await axios.post(
-        `${API_BASE_URL}/api/projects/${selectedProjectId}/requirements`,
-        {
-          ...newRequirement,
-          categories: categories || [],
-          priority: priority || 'Medium',
-          complexity: complexity || 'Moderate',
-          date: new Date(newRequirement.date).toISOString(),
-        }
-      );
-
       const newReq = {
-        ...response.data,
-        categories: typeof response.data.categories === 'string' 
-          ? response.data.categories.split(', ') 
-          : response.data.categories || [],
+        ...created,
+        categories: typeof created.categories === 'string' 
+          ? created.categories.split(', ') 
+          : created.categories || [],
       };
 
       setRequirements(prev => [...prev, newReq]);
       setShowCreateModal(false);
+      if (newReq.duplicate_of) {
+        alert(`${newReq.id} looks like a duplicate of ${newReq.duplicate_of}. It is flagged in the Review tab.`);
+      }
       setNewRequirement({
         requirement: '',
-        author: '',
         priority: 'Medium',
         complexity: 'Moderate',
         estimated_time: 4,
         date: new Date().toISOString(),
         categories: [],
+        custom_fields: {},
+        acceptance_criteria: '',
+        scenarios: '',
       });
     } catch (err) {
-      setError(err.response?.data?.error || 'Failed to create requirement');
+      setError(err.message || 'Failed to create requirement');
     }
   };
 
@@ -276,31 +376,156 @@ function Upload() {
       return;
     }
 
+    const previous = requirements.find(req => req.id === editingReq.id);
     try {
-      await axios.put(`${API_BASE_URL}/api/requirements/${editingReq.id}`, {
+      const { requirement: saved } = await api.updateRequirement(editingReq.id, {
         ...editingReq,
         date: new Date(editingReq.date).toISOString(),
         categories: editingReq.categories.join(', '),
       });
 
-      setRequirements(prev => prev.map(req => req.id === editingReq.id ? editingReq : req));
+      // The quality score follows the new text, and scenarios come back in a uniform layout
+      setRequirements(prev => prev.map(req => req.id === editingReq.id
+        ? { ...editingReq, quality: saved.quality, scenarios: saved.scenarios }
+        : req));
       setShowEditModal(false);
+      offerUndo(`${editingReq.id} updated`, async () => {
+        await api.updateRequirement(previous.id, {
+          ...previous,
+          date: new Date(previous.date).toISOString(),
+          categories: previous.categories.join(', '),
+        });
+        setRequirements(prev => prev.map(req => req.id === previous.id ? previous : req));
+      });
     } catch (err) {
-      setError(err.response?.data?.error || 'Failed to update requirement');
+      setError(err.message || 'Failed to update requirement');
     }
   };
 
+  // No confirmation: the requirement goes to the trash and the toast offers undo
   const handleDeleteRequirement = async (id) => {
-    if (!window.confirm('Delete this requirement permanently?')) return;
-
+    const projectId = selectedProjectId;
     try {
-      await axios.delete(`${API_BASE_URL}/api/requirements/${id}`);
+      await api.deleteRequirement(id);
       setRequirements(prev => prev.filter(req => req.id !== id));
+      offerUndo(`${id} moved to the trash`, async () => {
+        const { requirements: restored } = await api.restoreRequirements(projectId, [id]);
+        handleRestored(projectId, restored);
+      });
     } catch (err) {
       setError('Deletion failed');
     }
   };
 
+  // Throws so the notice or report that triggered it can show the error
+  const handleResolveDuplicate = async (duplicate, action, originalId) => {
+    const projectId = selectedProjectId;
+    const previousOriginal = requirements.find(req => req.id === (originalId || duplicate.duplicate_of));
+    const { original } = await api.resolveDuplicate(duplicate.id, action, originalId);
+
+    setRequirements(prev => prev
+      .filter(req => action === 'keep_both' || req.id !== duplicate.id)
+      .map(req => {
+        if (req.id === duplicate.id) return { ...req, duplicate_of: null, duplicate_score: null };
+        if (original && req.id === original.id) return normalizeRequirement(original);
+        return req;
+      }));
+
+    if (action === 'keep_both') return;
+    const message = action === 'merge'
+      ? `${duplicate.id} merged into ${original.id}`
+      : `${duplicate.id} moved to the trash`;
+    offerUndo(message, async () => {
+      if (action === 'merge' && previousOriginal) {
+        await api.updateRequirement(previousOriginal.id, {
+          requirement: previousOriginal.requirement,
+          categories: previousOriginal.categories.join(', '),
+        });
+        setRequirements(prev => prev.map(req => req.id === previousOriginal.id ? previousOriginal : req));
+      }
+      const { requirements: restored } = await api.restoreRequirements(projectId, [duplicate.id]);
+      handleRestored(projectId, restored);
+    });
+  };
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id); else next.add(id);
+      return next;
+    });
+  };
+
+  // Mirror what the server applied; failed items stay selected so they can be retried
+  const handleBulkComplete = (action, value, results) => {
+    const succeeded = new Set(results.filter(r => r.ok).map(r => r.id));
+    // Approve/reject land on whichever state of that kind the workflow allowed
+    const applied = Object.fromEntries(results.filter(r => r.ok).map(r => [r.id, r]));
+    const withStatus = req => ({ ...req, status: applied[req.id].status, approvals: applied[req.id].approvals });
+    const updates = {
+      approve: withStatus,
+      reject: withStatus,
+      status: withStatus,
+      priority: req => ({ ...req, priority: value }),
+      complexity: req => ({ ...req, complexity: value }),
+      add_category: req => ({
+        ...req,
+        categories: req.categories.includes(value) ? req.categories : [...req.categories, value],
+      }),
+    };
+
+    const previous = requirements.filter(req => succeeded.has(req.id));
+    const projectId = selectedProjectId;
+
+    setRequirements(prev => (action === 'delete' || action === 'move')
+      ? prev.filter(req => !succeeded.has(req.id))
+      : prev.map(req => succeeded.has(req.id) ? updates[action](req) : req));
+    setSelectedIds(new Set(results.filter(r => !r.ok).map(r => r.id)));
+
+    if (!succeeded.size) return;
+    const undo = bulkUndo(action, previous, projectId);
+    if (undo) offerUndo(`${succeeded.size} requirements ${action === 'delete' ? 'moved to the trash' : 'updated'}`, undo);
+  };
+
+  // Reverting a bulk action groups items by their previous value, one bulk call per group
+  const bulkUndo = (action, previous, projectId) => {
+    const ids = previous.map(req => req.id);
+    const checked = (result) => {
+      if (result.failed) throw new Error(`${result.failed} requirements could not be reverted`);
+    };
+    const revertField = (field) => async () => {
+      const groups = {};
+      previous.forEach(req => { (groups[req[field]] = groups[req[field]] || []).push(req.id); });
+      for (const [value, groupIds] of Object.entries(groups)) {
+        checked(await api.bulkUpdateRequirements(groupIds, field, value));
+      }
+      const byId = new Map(previous.map(req => [req.id, req]));
+      setRequirements(prev => prev.map(req => byId.has(req.id) ? { ...req, [field]: byId.get(req.id)[field] } : req));
+    };
+
+    switch (action) {
+      case 'approve':
+      case 'reject':
+      case 'status':
+        return revertField('status');
+      case 'priority':
+      case 'complexity':
+        return revertField(action);
+      case 'delete':
+        return async () => {
+          const { requirements: restored } = await api.restoreRequirements(projectId, ids);
+          handleRestored(projectId, restored);
+        };
+      case 'move':
+        return async () => {
+          checked(await api.bulkUpdateRequirements(ids, 'move', projectId));
+          handleRestored(projectId, previous);
+        };
+      default:
+        return null;
+    }
+  };
+
   const sanitizeHTML = (text) => ({
     __html: DOMPurify.sanitize(text),
   });
@@ -308,6 +533,19 @@ function Upload() {
   const selectedProject = projects.find(p => p.id === selectedProjectId);
   const projectHourlyRate = selectedProject?.hourly_rate || 30;
 
+  const searchTerm = reviewFilter.search.trim().toLowerCase();
+  const filteredRequirements = requirements.filter(req =>
+    (!searchTerm || req.requirement.toLowerCase().includes(searchTerm) ||
+      req.id.toLowerCase().includes(searchTerm)) &&
+    (!reviewFilter.status || req.status === reviewFilter.status) &&
+    (!reviewFilter.priority || req.priority === reviewFilter.priority) &&
+    (!reviewFilter.duplicates || req.duplicate_of) &&
+    (!reviewFilter.discussions || req.open_comments > 0)
+  );
+  const selectedVisible = filteredRequirements.filter(req => selectedIds.has(req.id));
+  const allVisibleSelected = filteredRequirements.length > 0 &&
+    selectedVisible.length === filteredRequirements.length;
+
   return (
     <div className="container">
       <h1 className="page-title">Upload & Review</h1>
@@ -318,15 +556,23 @@ function Upload() {
         </button>
         {selectedProjectId && (
           <>
-            <button className={`tab ${activeTab === 'upload' ? 'active' : ''}`} onClick={() => setActiveTab('upload')}>
-              Upload Documents
-            </button>
+            {canEdit && (
+              <button className={`tab ${activeTab === 'upload' ? 'active' : ''}`} onClick={() => setActiveTab('upload')}>
+                Upload Documents
+              </button>
+            )}
             <button className={`tab ${activeTab === 'review' ? 'active' : ''}`} onClick={() => setActiveTab('review')}>
               Review Requirements ({requirements.length})
             </button>
+            <button className={`tab ${activeTab === 'graph' ? 'active' : ''}`} onClick={() => setActiveTab('graph')}>
+              Links Graph
+            </button>
+            <button className={`tab ${activeTab === 'trash' ? 'active' : ''}`} onClick={() => setActiveTab('trash')}>
+              Trash
+            </button>
           </>
         )}
-        {activeTab !== 'projects' && (
+        {activeTab !== 'projects' && canEdit && (
           <button className="floating-action-btn" onClick={() => setShowCreateModal(true)}>
             +
           </button>
@@ -364,48 +610,108 @@ function Upload() {
           <div className="project-actions">
             <button onClick={(e) => {
               e.stopPropagation();
-              setRenameProjectId(project.id);
-              setRenameProjectName(project.name);
-              setRenameProjectDescription(project.description || '');
-              setRenameProjectHourlyRate(project.hourly_rate);
-              setShowRenameModal(true);
-            }}>
-              Edit
-            </button>
-            <button onClick={(e) => {
-              e.stopPropagation();
-              deleteProject(project.id);
+              setMembersProjectId(project.id);
             }}>
-              Delete
+              Members
             </button>
+            {hasRole(project.role, 'admin') && (
+              <>
+                <button onClick={(e) => {
+                  e.stopPropagation();
+                  setRenameProjectId(project.id);
+                  setRenameProjectName(project.name);
+                  setRenameProjectDescription(project.description || '');
+                  setRenameProjectHourlyRate(project.hourly_rate);
+                  setShowRenameModal(true);
+                }}>
+                  Edit
+                </button>
+                <button onClick={(e) => {
+                  e.stopPropagation();
+                  setWorkflowProjectId(project.id);
+                }}>
+                  Workflow
+                </button>
+                <button onClick={(e) => {
+                  e.stopPropagation();
+                  setApprovalsProjectId(project.id);
+                }}>
+                  Approvals
+                </button>
+                <button onClick={(e) => {
+                  e.stopPropagation();
+                  setCategoriesProjectId(project.id);
+                }}>
+                  Categories
+                </button>
+                <button onClick={(e) => {
+                  e.stopPropagation();
+                  setFieldsProjectId(project.id);
+                }}>
+                  Fields
+                </button>
+                <button onClick={(e) => {
+                  e.stopPropagation();
+                  setQualityProjectId(project.id);
+                }}>
+                  Quality
+                </button>
+                <button onClick={(e) => {
+                  e.stopPropagation();
+                  deleteProject(project.id);
+                }}>
+                  Delete
+                </button>
+              </>
+            )}
           </div>
         </div>
       );
     })}
+    <ProjectTrash
+      refreshKey={projectTrashKey}
+      onRestored={(project) => setProjects(prev => [...prev, project])}
+    />
   </div>
 )}
 
-      {activeTab === 'upload' && selectedProjectId && (
+      {activeTab === 'upload' && selectedProjectId && canEdit && (
         <div className="upload-section">
-          <div className="file-upload-box">
-            <input
-              type="file"
-              onChange={(e) => setSelectedFile(e.target.files[0])}
-              accept=".pdf,.txt,.md"
-            />
-            {selectedFile && (
-              <div className="file-info">
-                {selectedFile.name} - {(selectedFile.size / 1024 / 1024).toFixed(2)}MB
-              </div>
-            )}
-            <button onClick={handleFileUpload} disabled={!selectedFile || loading.upload}>
-              {loading.upload ? 'Processing...' : 'Upload & Analyze'}
-            </button>
-            {error && <div className="error-message">{error}</div>}
-          </div>
+          <UploadQueue
+            projectId={selectedProjectId}
+            onFileAnalyzed={handleFileAnalyzed}
+            onJobStarted={() => setJobsRefreshKey(key => key + 1)}
+          />
+          <AnalysisJobs
+            projectId={selectedProjectId}
+            refreshKey={jobsRefreshKey}
+            onJobFinished={handleFileAnalyzed}
+          />
+          <ProjectDocuments
+            projectId={selectedProjectId}
+            refreshKey={documentsKey + jobsRefreshKey}
+            onDeleted={hasRole(role, 'admin')
+              ? (documentId) => setRequirements(prev => prev.map(req => req.source?.document_id === documentId
+                ? { ...req, source: null }
+                : req))
+              : undefined}
+          />
+          {error && <div className="error-message">{error}</div>}
         </div>
       )}
 
+      {activeTab === 'graph' && selectedProjectId && (
+        <RequirementGraph projectId={selectedProjectId} />
+      )}
+
+      {activeTab === 'trash' && selectedProjectId && (
+        <TrashView
+          projectId={selectedProjectId}
+          role={role}
+          onRestored={(restored) => handleRestored(selectedProjectId, restored)}
+        />
+      )}
+
       {activeTab === 'review' && selectedProjectId && (
         <div className="requirements-grid">
           <div className="project-summary">
@@ -417,32 +723,132 @@ function Upload() {
             </div>
             <div className="hourly-rate">Hourly Rate: ${projectHourlyRate.toFixed(2)}</div>
           </div>
-          
-          {requirements.map(req => (
-            <div key={req.id} className="requirement-card">
+
+          <div className="review-toolbar">
+            <div className="review-filters">
+              <input
+                type="text"
+                placeholder="Search requirements..."
+                value={reviewFilter.search}
+                onChange={(e) => setReviewFilter(prev => ({ ...prev, search: e.target.value }))}
+              />
+              <select
+                value={reviewFilter.status}
+                onChange={(e) => setReviewFilter(prev => ({ ...prev, status: e.target.value }))}
+              >
+                <option value="">All statuses</option>
+                {workflow.states.map(({ name }) => (
+                  <option key={name} value={name}>{name}</option>
+                ))}
+              </select>
+              <select
+                value={reviewFilter.priority}
+                onChange={(e) => setReviewFilter(prev => ({ ...prev, priority: e.target.value }))}
+              >
+                <option value="">All priorities</option>
+                {['High', 'Medium', 'Low'].map(priority => (
+                  <option key={priority} value={priority}>{priority}</option>
+                ))}
+              </select>
+              <label className="review-filter-toggle">
+                <input
+                  type="checkbox"
+                  checked={reviewFilter.duplicates}
+                  onChange={(e) => setReviewFilter(prev => ({ ...prev, duplicates: e.target.checked }))}
+                />
+                Flagged duplicates ({requirements.filter(req => req.duplicate_of).length})
+              </label>
+              <label className="review-filter-toggle">
+                <input
+                  type="checkbox"
+                  checked={reviewFilter.discussions}
+                  onChange={(e) => setReviewFilter(prev => ({ ...prev, discussions: e.target.checked }))}
+                />
+                Open discussions ({requirements.filter(req => req.open_comments > 0).length})
+              </label>
+              <button className="review-report-btn" onClick={() => setShowDuplicateReport(true)}>
+                Find duplicates
+              </button>
+            </div>
+            {canEdit && (
+              <BulkActions
+                key={role}
+                selectedIds={selectedVisible.map(req => req.id)}
+                visibleCount={filteredRequirements.length}
+                allSelected={allVisibleSelected}
+                onToggleAll={() => setSelectedIds(allVisibleSelected
+                  ? new Set()
+                  : new Set(filteredRequirements.map(req => req.id)))}
+                projects={projects}
+                projectId={selectedProjectId}
+                statuses={workflow.states.map(state => state.name)}
+                categories={categories.map(category => category.name)}
+                role={role}
+                onComplete={handleBulkComplete}
+              />
+            )}
+            {requirements.length > 0 && hasRole(role, 'admin') && (
+              <div>
+                <button className="delete-all-btn" onClick={deleteAllRequirements}>
+                  Delete all requirements
+                </button>
+              </div>
+            )}
+          </div>
+
+          {filteredRequirements.map(req => (
+            <div key={req.id} className={`requirement-card ${selectedIds.has(req.id) ? 'selected' : ''}`}>
               <div className="card-header">
-                <span className="requirement-id">ID: {req.id}</span>
-                <span className="status-badge" style={{
-                  backgroundColor: {
-                    Approved: '#4CAF50',
-                    Disapproved: '#f44336',
-                    Review: '#ff9800',
-                    Draft: '#607d8b',
-                  }[req.status],
-                }}>
+                {canEdit && (
+                  <input
+                    type="checkbox"
+                    className="card-select"
+                    checked={selectedIds.has(req.id)}
+                    onChange={() => toggleSelected(req.id)}
+                    aria-label={`Select ${req.id}`}
+                  />
+                )}
+                <span className="requirement-id">
+                  ID: {req.id}{req.external_id && ` (${req.external_id})`}
+                </span>
+                <span className="status-badge" style={{ backgroundColor: statusColor(workflow, req.status) }}>
                   {req.status}
                 </span>
                 <span className="priority-tag">Priority: {req.priority}</span>
                 <span className="complexity-tag">Complexity: {req.complexity}</span>
               </div>
+              {req.duplicate_of && (
+                <DuplicateNotice
+                  requirement={req}
+                  original={requirements.find(r => r.id === req.duplicate_of)}
+                  onResolve={canEdit ? handleResolveDuplicate : undefined}
+                />
+              )}
               <div className="card-content">
                 <h3 dangerouslySetInnerHTML={sanitizeHTML(req.requirement)} />
                 <div className="meta-info">
                   <span>📅 {new Date(req.date).toLocaleDateString()}</span>
                   <span>👤 {req.author}</span>
+                  {req.reviewed_by && <span title={new Date(req.reviewed_at).toLocaleString()}>✔ {req.reviewed_by}</span>}
                   <span>⏱️ {req.estimated_time}h</span>
                   <span>💰 ${(req.estimated_time * projectHourlyRate).toFixed(2)}</span>
+                  {req.source && (
+                    <span title={req.source.file_name}>
+                      📄 {req.source.file_name}{req.source.page && `, p. ${req.source.page}`}
+                    </span>
+                  )}
                 </div>
+                {req.quality && <QualityScore text={req.requirement} quality={req.quality} />}
+                <AcceptanceCriteria requirement={req} />
+                <CustomFieldValues fields={customFields} values={req.custom_fields} members={members} />
+                {req.approvals && (
+                  <ApprovalProgress
+                    approvals={req.approvals}
+                    approved={statesOfKind(workflow, 'approved').includes(req.status)}
+                    userId={user.id}
+                    onWithdraw={hasRole(role, 'reviewer') ? () => handleWithdrawApproval(req.id) : undefined}
+                  />
+                )}
                 <div className="categories">
                   {(req.categories ? (typeof req.categories === 'string' ? 
                     req.categories.split(', ') : req.categories) : []).map(cat => (
@@ -451,21 +857,49 @@ function Upload() {
                 </div>
               </div>
               <div className="card-actions">
-                <button onClick={() => handleStatusUpdate(req.id, 'Approved')}>Approve</button>
-                <button onClick={() => handleStatusUpdate(req.id, 'Disapproved')}>Reject</button>
-                <button onClick={() => {
-                  setEditingReq({
-                    ...req,
-                    categories: typeof req.categories === 'string' ? 
-                      req.categories.split(', ') : req.categories || [],
-                  });
-                  setShowEditModal(true);
-                }}>
-                  Edit
-                </button>
-                <button className="delete-btn" onClick={() => handleDeleteRequirement(req.id)}>
-                  Delete
+                {nextStates(workflow, req.status, role).map(state => {
+                  // Approving twice doesn't add a vote
+                  const voted = getState(workflow, state.name).kind === 'approved' &&
+                    req.approvals?.votes.some(vote => vote.user_id === user.id);
+                  return (
+                    <button
+                      key={state.name}
+                      className="transition-btn"
+                      style={{ borderLeftColor: state.color }}
+                      onClick={() => handleStatusUpdate(req.id, state.name)}
+                      disabled={voted}
+                      title={voted ? 'You already approved this requirement' : undefined}
+                    >
+                      {state.name}
+                    </button>
+                  );
+                })}
+                {canEdit && (
+                  <button onClick={() => {
+                    setEditingReq({
+                      ...req,
+                      categories: typeof req.categories === 'string' ? 
+                        req.categories.split(', ') : req.categories || [],
+                    });
+                    setShowEditModal(true);
+                  }}>
+                    Edit
+                  </button>
+                )}
+                <button onClick={() => setHistoryReqId(req.id)}>History</button>
+                <button onClick={() => setLinksReqId(req.id)}>Links</button>
+                <button onClick={() => setCommentsReqId(req.id)}>
+                  Comments
+                  {req.open_comments > 0 && (
+                    <span className="comment-badge" title="Unresolved discussions">{req.open_comments}</span>
+                  )}
                 </button>
+                {req.source && <button onClick={() => setSourceReqId(req.id)}>View in source</button>}
+                {canEdit && (
+                  <button className="delete-btn" onClick={() => handleDeleteRequirement(req.id)}>
+                    Delete
+                  </button>
+                )}
               </div>
             </div>
           ))}
@@ -570,11 +1004,7 @@ function Upload() {
         <div className="form-row">
           <div className="form-group">
             <label>Author</label>
-            <input
-              type="text"
-              value={editingReq?.author || ''}
-              onChange={(e) => setEditingReq({ ...editingReq, author: e.target.value })}
-            />
+            <input type="text" value={editingReq?.author || ''} readOnly disabled />
           </div>
           <div className="form-group">
             <label>Date & Time</label>
@@ -631,8 +1061,8 @@ function Upload() {
         <div className="form-group">
           <label>Categories</label>
           <div className="category-grid">
-            {['Functional', 'Non-Functional', 'UI', 'Security', 'Performance'].map(cat => (
-              <label key={cat} className="category-option">
+            {categoryChoices(editingReq).map(({ name: cat, description }) => (
+              <label key={cat} className="category-option" title={description || undefined}>
                 <input
                   type="checkbox"
                   checked={editingReq?.categories?.includes(cat)}
@@ -648,6 +1078,20 @@ function Upload() {
             ))}
           </div>
         </div>
+
+        <CustomFieldInputs
+          fields={customFields}
+          values={editingReq.custom_fields || {}}
+          members={members}
+          onChange={(values) => setEditingReq({ ...editingReq, custom_fields: values })}
+        />
+
+        <AcceptanceCriteriaInputs
+          projectId={selectedProjectId}
+          requirement={editingReq.requirement}
+          values={{ acceptance_criteria: editingReq.acceptance_criteria || '', scenarios: editingReq.scenarios || '' }}
+          onChange={(changes) => setEditingReq(prev => ({ ...prev, ...changes }))}
+        />
       </div>
 
       <div className="form-actions">
@@ -676,11 +1120,7 @@ function Upload() {
         <div className="form-row">
           <div className="form-group">
             <label>Author</label>
-            <input
-              type="text"
-              value={newRequirement.author}
-              onChange={(e) => setNewRequirement({ ...newRequirement, author: e.target.value })}
-            />
+            <input type="text" value={user.display_name} readOnly disabled />
           </div>
           <div className="form-group">
             <label>Date & Time</label>
@@ -737,8 +1177,8 @@ function Upload() {
         <div className="form-group">
           <label>Categories</label>
           <div className="category-grid">
-            {['Functional', 'Non-Functional', 'UI', 'Security', 'Performance'].map(cat => (
-              <label key={cat} className="category-option">
+            {categories.map(({ name: cat, description }) => (
+              <label key={cat} className="category-option" title={description || undefined}>
                 <input
                   type="checkbox"
                   checked={newRequirement.categories?.includes(cat)}
@@ -754,6 +1194,20 @@ function Upload() {
             ))}
           </div>
         </div>
+
+        <CustomFieldInputs
+          fields={customFields}
+          values={newRequirement.custom_fields}
+          members={members}
+          onChange={(values) => setNewRequirement({ ...newRequirement, custom_fields: values })}
+        />
+
+        <AcceptanceCriteriaInputs
+          projectId={selectedProjectId}
+          requirement={newRequirement.requirement}
+          values={newRequirement}
+          onChange={(changes) => setNewRequirement(prev => ({ ...prev, ...changes }))}
+        />
       </div>
 
       <div className="form-actions">
@@ -767,6 +1221,156 @@ function Upload() {
 )}
 
 {loading.general && <div className="loading-overlay">Processing...</div>}
+
+{showDuplicateReport && (
+  <DuplicateReport
+    projectId={selectedProjectId}
+    onResolve={canEdit ? handleResolveDuplicate : undefined}
+    onClose={() => setShowDuplicateReport(false)}
+  />
+)}
+
+{historyReqId && (
+  <RevisionHistory
+    requirementId={historyReqId}
+    customFields={customFields}
+    members={members}
+    onReverted={canEdit
+      ? (reverted) => setRequirements(prev => prev.map(req => req.id === reverted.id
+        ? normalizeRequirement(reverted)
+        : req))
+      : undefined}
+    onClose={() => setHistoryReqId(null)}
+  />
+)}
+
+{linksReqId && requirements.some(req => req.id === linksReqId) && (
+  <RequirementLinks
+    requirement={requirements.find(req => req.id === linksReqId)}
+    requirements={requirements}
+    readOnly={!canEdit}
+    onClose={() => setLinksReqId(null)}
+  />
+)}
+
+{commentsReqId && requirements.some(req => req.id === commentsReqId) && (
+  <CommentThread
+    requirement={requirements.find(req => req.id === commentsReqId)}
+    projectId={selectedProjectId}
+    role={role}
+    onCountChange={(reqId, openCount) => setRequirements(prev => prev.map(req => req.id === reqId
+      ? { ...req, open_comments: openCount }
+      : req))}
+    onClose={() => setCommentsReqId(null)}
+  />
+)}
+
+{workflowProjectId && projects.some(project => project.id === workflowProjectId) && (
+  <WorkflowEditor
+    project={projects.find(project => project.id === workflowProjectId)}
+    onSaved={(projectId, saved, remap) => {
+      setProjects(prev => prev.map(project => project.id === projectId ? { ...project, workflow: saved } : project));
+      // The loaded requirements all belong to the selected project
+      if (projectId === selectedProjectRef.current) {
+        setRequirements(prev => prev.map(req => remap[req.status] ? { ...req, status: remap[req.status] } : req));
+      }
+    }}
+    onClose={() => setWorkflowProjectId(null)}
+  />
+)}
+
+{membersProjectId && projects.some(project => project.id === membersProjectId) && (
+  <ProjectMembers
+    project={projects.find(project => project.id === membersProjectId)}
+    onOwnRoleChanged={(projectId, newRole) => {
+      // Leaving a project removes it from the list like deleting it would
+      if (!newRole) {
+        setProjects(prev => prev.filter(project => project.id !== projectId));
+        setMembersProjectId(null);
+        if (selectedProjectRef.current === projectId) setSelectedProjectId(null);
+        return;
+      }
+      setProjects(prev => prev.map(project => project.id === projectId ? { ...project, role: newRole } : project));
+    }}
+    onClose={() => setMembersProjectId(null)}
+  />
+)}
+
+{approvalsProjectId && projects.some(project => project.id === approvalsProjectId) && (
+  <ApprovalPolicyEditor
+    project={projects.find(project => project.id === approvalsProjectId)}
+    onSaved={(projectId) => {
+      // Required counts are part of every requirement, so reload the shown ones
+      if (projectId === selectedProjectRef.current) {
+        api.getProjectRequirements(projectId)
+          .then(loaded => setRequirements(loaded.map(normalizeRequirement)))
+          .catch(err => setError(err.message));
+      }
+    }}
+    onClose={() => setApprovalsProjectId(null)}
+  />
+)}
+
+{categoriesProjectId && projects.some(project => project.id === categoriesProjectId) && (
+  <CategoryEditor
+    project={projects.find(project => project.id === categoriesProjectId)}
+    onSaved={(projectId, saved, rename) => {
+      setProjects(prev => prev.map(project => project.id === projectId ? { ...project, categories: saved } : project));
+      // The loaded requirements all belong to the selected project
+      if (projectId === selectedProjectRef.current) {
+        setRequirements(prev => prev.map(req => ({
+          ...req,
+          categories: [...new Set(req.categories.map(name => rename[name] || name))],
+        })));
+      }
+    }}
+    onClose={() => setCategoriesProjectId(null)}
+  />
+)}
+
+{fieldsProjectId && projects.some(project => project.id === fieldsProjectId) && (
+  <CustomFieldsEditor
+    project={projects.find(project => project.id === fieldsProjectId)}
+    onSaved={(projectId, saved) => {
+      setProjects(prev => prev.map(project => project.id === projectId ? { ...project, custom_fields: saved } : project));
+      // Removed fields and options are cleared on the server, so reload the shown values
+      if (projectId === selectedProjectRef.current) {
+        api.getProjectRequirements(projectId)
+          .then(loaded => setRequirements(loaded.map(normalizeRequirement)))
+          .catch(err => setError(err.message));
+      }
+    }}
+    onClose={() => setFieldsProjectId(null)}
+  />
+)}
+
+{qualityProjectId && projects.some(project => project.id === qualityProjectId) && (
+  <QualityRulesEditor
+    project={projects.find(project => project.id === qualityProjectId)}
+    onSaved={(projectId) => {
+      // Every score of the project changes with its rules
+      if (projectId === selectedProjectRef.current) {
+        api.getProjectRequirements(projectId)
+          .then(loaded => setRequirements(loaded.map(normalizeRequirement)))
+          .catch(err => setError(err.message));
+      }
+    }}
+    onClose={() => setQualityProjectId(null)}
+  />
+)}
+
+{sourceReqId && (
+  <SourcePanel requirementId={sourceReqId} onClose={() => setSourceReqId(null)} />
+)}
+
+{undoAction && (
+  <UndoToast
+    key={undoAction.key}
+    message={undoAction.message}
+    onUndo={undoAction.undo}
+    onDismiss={() => setUndoAction(null)}
+  />
+)}
 </div>
 );
 }
@@ -0,0 +1,378 @@
+import React, { useState, useEffect, useRef } from 'react';
+import * as api from './api';
+import CandidateReview, { toCandidates } from './CandidateReview';
+import ImportMapping from './ImportMapping';
+import './UploadQueue.css';
+
+// Documents are split into sentences; structured files are imported row by row
+const DOCUMENT_EXTENSIONS = ['.pdf', '.docx', '.txt', '.md'];
+const STRUCTURED_EXTENSIONS = ['.csv', '.xlsx', '.json'];
+const ACCEPTED_EXTENSIONS = [...DOCUMENT_EXTENSIONS, ...STRUCTURED_EXTENSIONS];
+const MAX_PARALLEL_UPLOADS = 2;
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  uploading: 'Uploading',
+  extracting: 'Extracting',
+  review: 'Needs review',
+  saving: 'Saving',
+  done: 'Done',
+  failed: 'Failed',
+  cancelled: 'Cancelled',
+};
+
+const isActive = (item) => item.status === 'uploading' || item.status === 'extracting';
+
+const getExtension = (name) => {
+  const dot = name.lastIndexOf('.');
+  return dot >= 0 ? name.slice(dot).toLowerCase() : '';
+};
+
+const getProgress = (item) => {
+  if (item.status === 'saving' && item.job?.total) {
+    return Math.round((item.job.processed / item.job.total) * 100);
+  }
+  return ['review', 'done'].includes(item.status) ? 100 : item.progress;
+};
+
+let nextItemId = 1;
+
+// Drop zone + queue that extracts each file on its own, so one slow or broken
+// document doesn't hold up the rest of the pack. Extracted candidates wait in
+// the review step and are only classified and saved once the user confirms.
+const UploadQueue = ({ projectId, onFileAnalyzed, onJobStarted }) => {
+  const [items, setItems] = useState([]);
+  const [reviewingId, setReviewingId] = useState(null);
+  const [dragActive, setDragActive] = useState(false);
+  const controllers = useRef({});
+  const inputRef = useRef(null);
+  const onFileAnalyzedRef = useRef(onFileAnalyzed);
+  onFileAnalyzedRef.current = onFileAnalyzed;
+  const onJobStartedRef = useRef(onJobStarted);
+  onJobStartedRef.current = onJobStarted;
+
+  const updateItem = (id, changes) => {
+    setItems(prev => prev.map(item => item.id === id ? { ...item, ...changes } : item));
+  };
+
+  const addFiles = (fileList) => {
+    const newItems = Array.from(fileList).map(file => {
+      const extension = getExtension(file.name);
+      const supported = ACCEPTED_EXTENSIONS.includes(extension);
+      return {
+        id: nextItemId++,
+        file,
+        kind: STRUCTURED_EXTENSIONS.includes(extension) ? 'structured' : 'document',
+        status: supported ? 'queued' : 'failed',
+        progress: 0,
+        count: null,
+        rowErrors: [],
+        job: null,
+        preview: null,
+        // Stored copy of a previewed document, until it is forgotten or requirements are saved from it
+        documentId: null,
+        // Edited candidates or column mapping, kept here while other files are reviewed
+        draft: null,
+        reviewError: null,
+        error: supported ? null : 'Unsupported file type',
+      };
+    });
+    setItems(prev => [...prev, ...newItems]);
+  };
+
+  // Start queued files while there are free upload slots
+  useEffect(() => {
+    const processItem = async (item) => {
+      const controller = new AbortController();
+      controllers.current[item.id] = controller;
+
+      try {
+        const options = {
+          signal: controller.signal,
+          onUploadProgress: (e) => {
+            const progress = e.total ? Math.round((e.loaded / e.total) * 100) : 0;
+            updateItem(item.id, progress >= 100 ? { progress, status: 'extracting' } : { progress });
+          },
+        };
+        const preview = item.kind === 'structured'
+          ? await api.previewImport(item.file, options)
+          : await api.previewFile(item.file, projectId, options);
+        updateItem(item.id, {
+          status: 'review',
+          progress: 100,
+          preview,
+          documentId: preview.document_id ?? null,
+          draft: item.kind === 'structured' ? preview.suggested_mapping : toCandidates(preview.candidates),
+        });
+      } catch (err) {
+        updateItem(item.id, err.cancelled
+          ? { status: 'cancelled' }
+          : { status: 'failed', error: err.message });
+      } finally {
+        delete controllers.current[item.id];
+      }
+    };
+
+    const freeSlots = MAX_PARALLEL_UPLOADS - items.filter(isActive).length;
+    if (freeSlots <= 0) return;
+
+    const toStart = items.filter(item => item.status === 'queued').slice(0, freeSlots);
+    if (!toStart.length) return;
+
+    const startIds = toStart.map(item => item.id);
+    setItems(prev => prev.map(item =>
+      startIds.includes(item.id) ? { ...item, status: 'uploading', progress: 0, error: null } : item
+    ));
+    toStart.forEach(processItem);
+  }, [items, projectId]);
+
+  // Open the next file waiting for review when nothing is being reviewed. A file
+  // stops blocking the review panel once its save job has been queued.
+  useEffect(() => {
+    const keep = (item) => item.status === 'review' || (item.status === 'saving' && !item.job);
+    if (items.some(item => item.id === reviewingId && keep(item))) return;
+    const next = items.find(item => item.status === 'review');
+    setReviewingId(next ? next.id : null);
+  }, [items, reviewingId]);
+
+  // Abort anything still in flight when leaving the page
+  useEffect(() => () => {
+    Object.values(controllers.current).forEach(controller => controller.abort());
+  }, []);
+
+  const cancelItem = (item) => {
+    if (item.status === 'saving' && item.job) {
+      // The server stops before the next requirement; polling reports the cancelled job
+      api.cancelJob(item.job.id).catch(err => updateItem(item.id, { reviewError: err.message }));
+    } else if (isActive(item)) {
+      controllers.current[item.id]?.abort();
+    } else {
+      updateItem(item.id, { status: 'cancelled' });
+    }
+  };
+
+  // Deletes the stored copy of a file nothing was saved from. The server keeps a
+  // document requirements point at, so a refusal there needs no handling.
+  const forgetDocument = (item) => {
+    if (item.documentId && !item.count) api.deleteDocument(item.documentId).catch(() => {});
+  };
+
+  const retryItem = (item) => {
+    forgetDocument(item);
+    updateItem(item.id, {
+      status: 'queued', progress: 0, count: null, rowErrors: [], job: null, preview: null, documentId: null, draft: null, error: null,
+    });
+  };
+
+  // `reviewed` is the edited candidate list for documents, the column mapping for structured files.
+  // Saving runs as a server-side job, so it keeps going if the user leaves the page.
+  const saveReviewed = async (item, reviewed) => {
+    updateItem(item.id, { status: 'saving', reviewError: null });
+
+    let job;
+    try {
+      ({ job } = item.kind === 'structured'
+        ? await api.importRequirements(projectId, {
+          rows: item.preview.rows,
+          mapping: reviewed,
+          file_name: item.file.name,
+        })
+        : await api.commitRequirements(projectId, {
+          requirements: reviewed,
+          author: item.preview.metadata?.author,
+          date: item.preview.metadata?.date,
+          file_name: item.file.name,
+          document_id: item.preview.document_id,
+        }));
+    } catch (err) {
+      updateItem(item.id, { status: 'review', reviewError: err.message });
+      return;
+    }
+
+    updateItem(item.id, { job, preview: null, draft: null });
+    onJobStartedRef.current?.(job);
+
+    const controller = new AbortController();
+    controllers.current[item.id] = controller;
+    try {
+      const finished = await api.pollJob(job.id, {
+        signal: controller.signal,
+        onProgress: (progress) => updateItem(item.id, { job: progress }),
+      });
+      updateItem(item.id, {
+        status: finished.status === 'completed' ? 'done' : finished.status === 'cancelled' ? 'cancelled' : 'failed',
+        job: finished,
+        count: finished.created,
+        rowErrors: finished.errors,
+        error: finished.message,
+      });
+      onFileAnalyzedRef.current?.(finished.requirements || []);
+    } catch (err) {
+      if (!err.cancelled) updateItem(item.id, { reviewError: err.message });
+    } finally {
+      delete controllers.current[item.id];
+    }
+  };
+
+  const discardReviewed = (item) => {
+    forgetDocument(item);
+    updateItem(item.id, { status: 'cancelled', preview: null, documentId: null, draft: null });
+  };
+
+  const removeItem = (item) => {
+    forgetDocument(item);
+    setItems(prev => prev.filter(i => i.id !== item.id));
+  };
+
+  const clearFinished = () => {
+    const isOpen = (item) => ['queued', 'review', 'saving'].includes(item.status) || isActive(item);
+    items.filter(item => !isOpen(item)).forEach(forgetDocument);
+    setItems(prev => prev.filter(isOpen));
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragActive(false);
+    if (e.dataTransfer.files?.length) addFiles(e.dataTransfer.files);
+  };
+
+  const doneItems = items.filter(item => item.status === 'done');
+  const totalRequirements = doneItems.reduce((sum, item) => sum + (item.count || 0), 0);
+  const reviewingItem = items.find(item => item.id === reviewingId);
+
+  return (
+    <div className="upload-queue">
+      <div
+        className={`drop-zone ${dragActive ? 'active' : ''}`}
+        onDragOver={(e) => { e.preventDefault(); setDragActive(true); }}
+        onDragLeave={() => setDragActive(false)}
+        onDrop={handleDrop}
+        onClick={() => inputRef.current?.click()}
+        onKeyDown={(e) => (e.key === 'Enter' || e.key === ' ') && inputRef.current?.click()}
+        role="button"
+        tabIndex={0}
+      >
+        <p>Drag & drop documents here, or click to browse</p>
+        <span className="drop-zone-hint">Accepted: {ACCEPTED_EXTENSIONS.join(', ')}</span>
+        <input
+          ref={inputRef}
+          type="file"
+          multiple
+          accept={ACCEPTED_EXTENSIONS.join(',')}
+          onChange={(e) => {
+            addFiles(e.target.files);
+            e.target.value = '';
+          }}
+          hidden
+        />
+      </div>
+
+      {items.length > 0 && (
+        <>
+          <div className="queue-summary">
+            <span>
+              {doneItems.length} of {items.length} files done • {totalRequirements} requirements extracted
+            </span>
+            <button onClick={clearFinished}>Clear finished</button>
+          </div>
+
+          <ul className="queue-list">
+            {items.map(item => (
+              <li key={item.id} className={`queue-item ${item.status}`}>
+                <div className="queue-item-header">
+                  <span className="queue-file-name" title={item.file.name}>{item.file.name}</span>
+                  <span className="queue-file-size">{(item.file.size / 1024 / 1024).toFixed(2)}MB</span>
+                  <span className={`queue-status ${item.status}`}>{STATUS_LABELS[item.status]}</span>
+                </div>
+
+                <div className="queue-progress">
+                  <div
+                    className={`queue-progress-bar ${item.status === 'extracting' || (item.status === 'saving' && !item.job?.total) ? 'indeterminate' : ''}`}
+                    style={{ width: `${getProgress(item)}%` }}
+                  />
+                </div>
+
+                <div className="queue-item-footer">
+                  {item.status === 'uploading' && <span>Uploading… {item.progress}%</span>}
+                  {item.status === 'extracting' && (
+                    <span>{item.kind === 'structured' ? 'Reading rows…' : 'Extracting candidate requirements…'}</span>
+                  )}
+                  {item.status === 'review' && (
+                    <span>
+                      {item.kind === 'structured'
+                        ? `${item.preview.total} rows waiting for column mapping`
+                        : `${item.preview.total} candidates waiting for review`}
+                    </span>
+                  )}
+                  {item.status === 'saving' && (
+                    <span>
+                      {item.job?.total
+                        ? `Classifying ${item.job.processed}/${item.job.total} • ${item.job.created} created • ${item.job.errors.length} skipped`
+                        : 'Waiting for the analysis worker…'}
+                    </span>
+                  )}
+                  {item.status === 'done' && (
+                    <span title={item.rowErrors.map(e => `${item.kind === 'structured' ? 'Row' : 'Item'} ${e.item}: ${e.error}`).join('\n')}>
+                      {item.count} requirements created
+                      {item.rowErrors.length > 0 && ` • ${item.rowErrors.length} skipped`}
+                    </span>
+                  )}
+                  {item.status === 'cancelled' && item.job && (
+                    <span>Cancelled after {item.count} requirements created</span>
+                  )}
+                  {item.status === 'failed' && <span className="queue-error">{item.error}</span>}
+
+                  <div className="queue-actions">
+                    {item.status === 'review' && item.id !== reviewingId && (
+                      <button onClick={() => setReviewingId(item.id)}>Review</button>
+                    )}
+                    {(item.status === 'queued' || item.status === 'saving' || isActive(item)) && (
+                      <button onClick={() => cancelItem(item)}>Cancel</button>
+                    )}
+                    {(item.status === 'failed' || item.status === 'cancelled') &&
+                      ACCEPTED_EXTENSIONS.includes(getExtension(item.file.name)) && (
+                      <button onClick={() => retryItem(item)}>Retry</button>
+                    )}
+                    {!isActive(item) && !['queued', 'review', 'saving'].includes(item.status) && (
+                      <button onClick={() => removeItem(item)}>Remove</button>
+                    )}
+                  </div>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {reviewingItem && reviewingItem.preview && reviewingItem.kind === 'structured' && (
+        <ImportMapping
+          key={reviewingItem.id}
+          fileName={reviewingItem.file.name}
+          preview={reviewingItem.preview}
+          mapping={reviewingItem.draft}
+          saving={reviewingItem.status === 'saving'}
+          error={reviewingItem.reviewError}
+          onMappingChange={(mapping) => updateItem(reviewingItem.id, { draft: mapping })}
+          onSave={(mapping) => saveReviewed(reviewingItem, mapping)}
+          onCancel={() => discardReviewed(reviewingItem)}
+        />
+      )}
+
+      {reviewingItem && reviewingItem.preview && reviewingItem.kind === 'document' && (
+        <CandidateReview
+          key={reviewingItem.id}
+          fileName={reviewingItem.file.name}
+          sourceText={reviewingItem.preview.source_text}
+          candidates={reviewingItem.draft}
+          saving={reviewingItem.status === 'saving'}
+          error={reviewingItem.reviewError}
+          onChange={(candidates) => updateItem(reviewingItem.id, { draft: candidates })}
+          onSave={(candidates) => saveReviewed(reviewingItem, candidates)}
+          onCancel={() => discardReviewed(reviewingItem)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default UploadQueue;
@@ -0,0 +1,282 @@
+import React, { useState, useEffect } from 'react';
+import * as api from './api';
+import { DEFAULT_WORKFLOW, WORKFLOW_KINDS } from './workflow';
+import './WorkflowEditor.css';
+
+let nextStateKey = 1;
+
+const toRow = (state, original = state.name) => ({ key: nextStateKey++, ...state, original });
+
+// Rows are keyed rather than named, so renaming a state keeps its transitions
+const toEditorState = (workflow, originals) => {
+  const rows = workflow.states.map(state => toRow(state, originals.includes(state.name) ? state.name : null));
+  const keyOf = Object.fromEntries(rows.map(row => [row.name, row.key]));
+  return {
+    rows,
+    transitions: new Set(workflow.transitions.map(t => `${keyOf[t.from]}>${keyOf[t.to]}`)),
+    initialKey: keyOf[workflow.initial] ?? rows[0]?.key,
+  };
+};
+
+// Per-project workflow: states with a color and kind, the state new requirements
+// start in, and which moves between states are allowed.
+const WorkflowEditor = ({ project, onSaved, onClose }) => {
+  const [rows, setRows] = useState([]);
+  const [transitions, setTransitions] = useState(new Set());
+  const [initialKey, setInitialKey] = useState(null);
+  const [originals, setOriginals] = useState([]);
+  const [usage, setUsage] = useState({});
+  const [moveTo, setMoveTo] = useState({}); // removed state name -> key of the state its requirements go to
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = (workflow, names) => {
+    const editorState = toEditorState(workflow, names);
+    setRows(editorState.rows);
+    setTransitions(editorState.transitions);
+    setInitialKey(editorState.initialKey);
+  };
+
+  useEffect(() => {
+    const controller = new AbortController();
+    api.getProjectWorkflow(project.id, { signal: controller.signal })
+      .then(data => {
+        const names = data.workflow.states.map(state => state.name);
+        setOriginals(names);
+        setUsage(data.usage);
+        load(data.workflow, names);
+      })
+      .catch(err => {
+        if (!api.isCancelled(err)) setError(err.message);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+    return () => controller.abort();
+  }, [project.id]);
+
+  const updateRow = (key, changes) => {
+    setRows(prev => prev.map(row => row.key === key ? { ...row, ...changes } : row));
+  };
+
+  const addState = () => {
+    setRows(prev => [...prev, toRow({ name: '', color: '#78909c', kind: 'review' }, null)]);
+  };
+
+  const removeState = (key) => {
+    setRows(prev => prev.filter(row => row.key !== key));
+    setTransitions(prev => new Set([...prev].filter(t => !t.split('>').includes(String(key)))));
+    if (initialKey === key) setInitialKey(rows.find(row => row.key !== key)?.key ?? null);
+  };
+
+  const toggleTransition = (fromKey, toKey) => {
+    const id = `${fromKey}>${toKey}`;
+    setTransitions(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id); else next.add(id);
+      return next;
+    });
+  };
+
+  const allowAll = () => {
+    setTransitions(new Set(rows.flatMap(from => rows
+      .filter(to => to !== from)
+      .map(to => `${from.key}>${to.key}`))));
+  };
+
+  // States in use that no row carries forward anymore need somewhere to go
+  const removedInUse = Object.keys(usage).filter(name => !rows.some(row => row.original === name));
+
+  const save = async () => {
+    const nameOf = Object.fromEntries(rows.map(row => [row.key, row.name.trim()]));
+    const missing = removedInUse.filter(name => !moveTo[name] || !nameOf[moveTo[name]]);
+    if (missing.length) {
+      setError(`Choose where the requirements in ${missing.join(', ')} should go`);
+      return;
+    }
+
+    const remap = {};
+    rows.forEach(row => {
+      if (row.original && row.original !== nameOf[row.key]) remap[row.original] = nameOf[row.key];
+    });
+    removedInUse.forEach(name => { remap[name] = nameOf[moveTo[name]]; });
+
+    setSaving(true);
+    setError(null);
+    try {
+      const result = await api.updateProjectWorkflow(project.id, {
+        initial: nameOf[initialKey],
+        states: rows.map(row => ({ name: nameOf[row.key], color: row.color, kind: row.kind })),
+        transitions: [...transitions].map(id => {
+          const [fromKey, toKey] = id.split('>');
+          return { from: nameOf[fromKey], to: nameOf[toKey] };
+        }),
+        remap,
+      });
+      onSaved(project.id, result.workflow, remap);
+      onClose();
+    } catch (err) {
+      const inUse = err.data?.in_use;
+      setError(inUse
+        ? `${err.message}: ${Object.entries(inUse).map(([name, count]) => `${name} (${count})`).join(', ')}`
+        : err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content workflow-editor" onClick={(e) => e.stopPropagation()}>
+        <div className="workflow-editor-header">
+          <h2>Workflow of {project.name}</h2>
+          <button onClick={onClose} aria-label="Close">×</button>
+        </div>
+
+        {loading && <p>Loading workflow…</p>}
+
+        {!loading && (
+          <>
+            <h3>States</h3>
+            <table className="workflow-states">
+              <thead>
+                <tr>
+                  <th>Color</th>
+                  <th>Name</th>
+                  <th title="Used for statistics, bulk approve/reject and the Jira push">Kind</th>
+                  <th>Initial</th>
+                  <th>In use</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr key={row.key}>
+                    <td>
+                      <input
+                        type="color"
+                        value={row.color}
+                        onChange={(e) => updateRow(row.key, { color: e.target.value })}
+                        aria-label="State color"
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="text"
+                        value={row.name}
+                        maxLength={50}
+                        placeholder="State name"
+                        onChange={(e) => updateRow(row.key, { name: e.target.value })}
+                      />
+                      {row.original && row.original !== row.name.trim() && (
+                        <span className="workflow-renamed">was {row.original}</span>
+                      )}
+                    </td>
+                    <td>
+                      <select value={row.kind} onChange={(e) => updateRow(row.key, { kind: e.target.value })}>
+                        {Object.entries(WORKFLOW_KINDS).map(([kind, label]) => (
+                          <option key={kind} value={kind}>{label}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td>
+                      <input
+                        type="radio"
+                        name="workflow-initial"
+                        checked={initialKey === row.key}
+                        onChange={() => setInitialKey(row.key)}
+                        aria-label="Initial state"
+                      />
+                    </td>
+                    <td>{(row.original && usage[row.original]) || 0}</td>
+                    <td>
+                      <button
+                        className="workflow-remove"
+                        onClick={() => removeState(row.key)}
+                        disabled={rows.length === 1}
+                        aria-label={`Remove ${row.name}`}
+                      >
+                        ×
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="workflow-buttons">
+              <button onClick={addState}>Add state</button>
+              <button onClick={() => load(DEFAULT_WORKFLOW, originals)}>Reset to default</button>
+            </div>
+
+            {removedInUse.length > 0 && (
+              <div className="workflow-removed">
+                {removedInUse.map(name => (
+                  <label key={name}>
+                    {usage[name]} requirements in <strong>{name}</strong> move to
+                    <select
+                      value={moveTo[name] || ''}
+                      onChange={(e) => setMoveTo(prev => ({ ...prev, [name]: Number(e.target.value) }))}
+                    >
+                      <option value="">Choose…</option>
+                      {rows.filter(row => row.name.trim()).map(row => (
+                        <option key={row.key} value={row.key}>{row.name}</option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+            )}
+
+            <h3>Allowed transitions</h3>
+            <p className="workflow-hint">Tick a cell to allow moving from the row's state to the column's state.</p>
+            <div className="workflow-matrix-wrapper">
+              <table className="workflow-matrix">
+                <thead>
+                  <tr>
+                    <th>From \ To</th>
+                    {rows.map(row => <th key={row.key} style={{ color: row.color }}>{row.name || '—'}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(from => (
+                    <tr key={from.key}>
+                      <th style={{ color: from.color }}>{from.name || '—'}</th>
+                      {rows.map(to => (
+                        <td key={to.key}>
+                          {from !== to && (
+                            <input
+                              type="checkbox"
+                              checked={transitions.has(`${from.key}>${to.key}`)}
+                              onChange={() => toggleTransition(from.key, to.key)}
+                              aria-label={`Allow ${from.name} to ${to.name}`}
+                            />
+                          )}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="workflow-buttons">
+              <button onClick={allowAll}>Allow all</button>
+              <button onClick={() => setTransitions(new Set())}>Clear</button>
+            </div>
+          </>
+        )}
+
+        {error && <div className="error-message">{error}</div>}
+
+        <div className="form-actions">
+          <button onClick={onClose} disabled={saving}>Cancel</button>
+          <button className="create-btn" onClick={save} disabled={loading || saving || !rows.length}>
+            {saving ? 'Saving...' : 'Save workflow'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WorkflowEditor;
@@ -0,0 +1,825 @@
+// src/pages/api.js
+// Single client for every backend route. Pages should import from here
+// instead of calling axios/fetch directly, so the base URL, retries and
+// error shape stay the same everywhere.
+import axios from 'axios';
+import qs from 'qs';
+import config from './config';
+
+/**
+ * @typedef {Object} Project
+ * @property {number} id
+ * @property {string} name
+ * @property {string} description
+ * @property {number} hourly_rate
+ * @property {string} created_at
+ * @property {number} requirements_count
+ * @property {Workflow} workflow
+ * @property {CustomField[]} custom_fields Extra fields of the project's requirements
+ * @property {Category[]} categories What its requirements are classified into
+ * @property {Role} role The current user's role in the project
+ */
+
+/**
+ * @typedef {'viewer'|'contributor'|'reviewer'|'admin'} Role
+ */
+
+/**
+ * @typedef {Object} User
+ * @property {number} id
+ * @property {string} username
+ * @property {string} display_name Recorded as author and actor of changes
+ * @property {boolean} is_admin Site admins have the admin role in every project
+ */
+
+/**
+ * @typedef {Object} Workflow
+ * @property {string} initial State of new requirements
+ * @property {{name: string, color: string, kind: 'draft'|'review'|'approved'|'rejected'}[]} states
+ * @property {{from: string, to: string}[]} transitions Allowed moves between states
+ */
+
+/**
+ * @typedef {Object} Requirement
+ * @property {string} id
+ * @property {string} requirement
+ * @property {string|string[]} categories
+ * @property {string} status A state of the project's workflow
+ * @property {'High'|'Medium'|'Low'} priority
+ * @property {'High'|'Moderate'|'Low'} complexity
+ * @property {number} estimated_time
+ * @property {string} author
+ * @property {string} date
+ * @property {number|null} project_id
+ * @property {string|null} external_id ID carried over from an imported file
+ * @property {string|null} duplicate_of Existing requirement this one likely repeats
+ * @property {number|null} duplicate_score Similarity to `duplicate_of`, 0-1
+ * @property {RequirementSource|null} source Passage of the document it was extracted from
+ * @property {number} open_comments Unresolved discussions
+ * @property {string|null} reviewed_by Who moved it into its approved/rejected state
+ * @property {string|null} reviewed_at
+ * @property {Approvals} approvals Sign-offs collected towards the approval policy
+ * @property {Object<string, string|number|string[]>} custom_fields Values of the project's custom fields by key;
+ *   empty fields are left out, `user` fields hold a member's user ID
+ * @property {Quality} quality Result of the project's quality rules
+ * @property {string} acceptance_criteria One criterion per line; empty when none
+ * @property {string} scenarios Gherkin scenarios ("Scenario: …" with Given/When/Then steps); empty when none
+ */
+
+/**
+ * @typedef {Object} Quality
+ * @property {number} score 0-100; each finding costs its rule's penalty
+ * @property {{rule: string, start: number, end: number, text: string, message: string}[]} issues
+ *   Offending phrases with their offsets in the requirement text
+ */
+
+/**
+ * @typedef {Object} QualityRule
+ * @property {'ambiguity'|'passive_voice'|'unbounded_quantifier'|'missing_actor'|'compound'} id
+ * @property {string} label
+ * @property {string} description
+ * @property {boolean} enabled
+ */
+
+/**
+ * @typedef {Object} Category
+ * @property {string} name
+ * @property {string} description Hint for the classifier, e.g. "Legal and regulatory obligations"; may be empty
+ */
+
+/**
+ * @typedef {Object} CustomField
+ * @property {string} key Stable identifier, derived from the label when the field is created
+ * @property {string} label
+ * @property {'text'|'number'|'select'|'multi_select'|'date'|'user'} type
+ * @property {string[]} [options] Choices of select and multi_select fields
+ */
+
+/**
+ * @typedef {Object} Approvals
+ * @property {number} required Approvals the policy asks for, given the requirement's categories
+ * @property {{user_id: number, reviewer: string, created_at: string}[]} votes Reviewers who approved
+ */
+
+/**
+ * @typedef {Object} ApprovalPolicy
+ * @property {number} required Approvals every requirement needs
+ * @property {Object<string, number>} categories Higher counts for some categories, e.g. `{Security: 2}`
+ */
+
+/**
+ * @typedef {Object} RequirementSource
+ * @property {number} document_id
+ * @property {string} file_name
+ * @property {number|null} page 1-based page, PDFs only
+ * @property {number} start Offset of the passage in the document text
+ * @property {number} end End offset (exclusive)
+ */
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {AbortSignal} [signal] Cancels the request (and any pending retry)
+ * @property {number} [retries] Overrides the configured retry count
+ * @property {number} [retryDelay] Overrides the configured base retry delay (ms)
+ * @property {number} [timeout] Overrides the configured timeout (ms)
+ * @property {Function} [onUploadProgress] Forwarded to axios
+ */
+
+/**
+ * Normalized error thrown by every client function.
+ * `message` is always safe to show to the user.
+ */
+export class ApiError extends Error {
+  constructor({ message, status = 0, data = null, cancelled = false, network = false }) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+    this.cancelled = cancelled;
+    this.network = network;
+  }
+}
+
+export const isCancelled = (err) => Boolean(err && err.cancelled);
+
+const client = axios.create({
+  baseURL: `${config.apiBaseUrl}/api`,
+  timeout: config.requestTimeout,
+  withCredentials: true,
+  paramsSerializer: {
+    serialize: params => qs.stringify(params, { arrayFormat: 'repeat' }),
+  },
+});
+
+// Called when the server answers 401, i.e. the session expired or was never there
+let unauthorizedHandler = null;
+
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'put', 'delete'];
+
+const normalizeError = (err) => {
+  if (err instanceof ApiError) return err;
+
+  if (axios.isCancel(err) || err?.name === 'CanceledError' || err?.name === 'AbortError') {
+    return new ApiError({ message: 'Request cancelled', cancelled: true });
+  }
+
+  if (err?.response) {
+    const { status, data } = err.response;
+    const message = (data && (data.error || data.message)) || `Request failed with status ${status}`;
+    return new ApiError({ message, status, data });
+  }
+
+  if (err?.code === 'ECONNABORTED' || err?.code === 'ETIMEDOUT') {
+    return new ApiError({ message: 'The server took too long to respond', network: true });
+  }
+
+  return new ApiError({ message: 'Unable to reach the server', network: true });
+};
+
+const isRetryable = (error) =>
+  !error.cancelled && (error.network || error.status === 429 || error.status >= 500);
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new ApiError({ message: 'Request cancelled', cancelled: true }));
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new ApiError({ message: 'Request cancelled', cancelled: true }));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Sends a request and returns the response body. Idempotent methods are
+ * retried with exponential backoff; POST/PATCH only when `retries` is passed.
+ */
+export const request = async (method, url, { data, params, headers, ...options } = {}) => {
+  const retries = options.retries ?? (IDEMPOTENT_METHODS.includes(method) ? config.retries : 0);
+  const retryDelay = options.retryDelay ?? config.retryDelay;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await client.request({
+        method,
+        url,
+        data,
+        params,
+        headers,
+        signal: options.signal,
+        timeout: options.timeout ?? config.requestTimeout,
+        onUploadProgress: options.onUploadProgress,
+      });
+      return response.data;
+    } catch (err) {
+      const error = normalizeError(err);
+      if (error.status === 401) unauthorizedHandler?.(error);
+      if (attempt >= retries || !isRetryable(error)) throw error;
+      await wait(retryDelay * 2 ** attempt, options.signal);
+    }
+  }
+};
+
+// Accounts
+
+/**
+ * Creates an account and logs it in. The first account becomes site admin.
+ * @param {{username: string, password: string, display_name?: string}} account
+ * @returns {Promise<User>}
+ */
+export const register = (account, options) =>
+  request('post', '/auth/register', { ...options, data: account });
+
+/** @returns {Promise<User>} */
+export const login = (username, password, options) =>
+  request('post', '/auth/login', { ...options, data: { username, password } });
+
+export const logout = (options) => request('post', '/auth/logout', options);
+
+/** @returns {Promise<User>} Rejects with status 401 when nobody is logged in */
+export const getCurrentUser = (options) => request('get', '/auth/me', options);
+
+/** @returns {Promise<Array<User & {role: Role}>>} Also the people who can be @mentioned */
+export const getProjectMembers = (projectId, options) =>
+  request('get', `/projects/${projectId}/members`, options);
+
+/** Adds an existing account to the project (admins only). */
+export const addProjectMember = (projectId, username, role, options) =>
+  request('post', `/projects/${projectId}/members`, { ...options, data: { username, role } });
+
+/** Answers 409 when the change would leave the project without an admin. */
+export const updateProjectMember = (projectId, userId, role, options) =>
+  request('put', `/projects/${projectId}/members/${userId}`, { ...options, data: { role } });
+
+export const removeProjectMember = (projectId, userId, options) =>
+  request('delete', `/projects/${projectId}/members/${userId}`, options);
+
+// Projects
+
+/** @returns {Promise<Project[]>} */
+export const getProjects = (options) => request('get', '/projects', options);
+
+export const createProject = (project, options) =>
+  request('post', '/projects', { ...options, data: project });
+
+export const updateProject = (projectId, changes, options) =>
+  request('put', `/projects/${projectId}`, { ...options, data: changes });
+
+/** @returns {Promise<{workflow: Workflow, usage: Object<string, number>}>} Requirements per state in `usage` */
+export const getProjectWorkflow = (projectId, options) =>
+  request('get', `/projects/${projectId}/workflow`, options);
+
+/**
+ * Replaces the project's workflow. Requirements in removed or renamed states
+ * must be moved with `remap` (old name -> new name), otherwise the server
+ * answers 409 with the states still `in_use`.
+ * @param {Workflow & {remap?: Object<string, string>}} workflow
+ * @returns {Promise<{workflow: Workflow, moved: number}>}
+ */
+export const updateProjectWorkflow = (projectId, workflow, options) =>
+  request('put', `/projects/${projectId}/workflow`, { ...options, data: workflow });
+
+/** @returns {Promise<{policy: ApprovalPolicy, reviewers: number}>} `reviewers` who can vote in the project */
+export const getApprovalPolicy = (projectId, options) =>
+  request('get', `/projects/${projectId}/approval-policy`, options);
+
+/**
+ * @param {ApprovalPolicy} policy
+ * @returns {Promise<{policy: ApprovalPolicy, reviewers: number}>}
+ */
+export const updateApprovalPolicy = (projectId, policy, options) =>
+  request('put', `/projects/${projectId}/approval-policy`, { ...options, data: policy });
+
+/** @returns {Promise<{categories: Category[], usage: Object<string, number>}>} `usage` counts requirements per name */
+export const getCategories = (projectId, options) =>
+  request('get', `/projects/${projectId}/categories`, options);
+
+/**
+ * Replaces the project's categories. `rename` maps old names to new ones and
+ * updates the requirements and approval policy along.
+ * @param {Category[]} categories
+ * @param {Object<string, string>} [rename]
+ * @returns {Promise<{categories: Category[], renamed: number}>}
+ */
+export const updateCategories = (projectId, categories, rename, options) =>
+  request('put', `/projects/${projectId}/categories`, { ...options, data: { categories, rename } });
+
+/** @returns {Promise<QualityRule[]>} */
+export const getQualityRules = (projectId, options) =>
+  request('get', `/projects/${projectId}/quality-rules`, options);
+
+/**
+ * Switches rules on or off and rescores the project's requirements.
+ * @param {Object<string, boolean>} rules By rule ID
+ * @returns {Promise<QualityRule[]>}
+ */
+export const updateQualityRules = (projectId, rules, options) =>
+  request('put', `/projects/${projectId}/quality-rules`, { ...options, data: rules });
+
+/**
+ * AI-drafted Gherkin scenarios for a requirement text; nothing is saved.
+ * @returns {Promise<{scenarios: string}>}
+ */
+export const draftScenarios = (projectId, requirement, acceptanceCriteria, options) =>
+  request('post', `/projects/${projectId}/scenarios/draft`, {
+    ...options,
+    data: { requirement, acceptance_criteria: acceptanceCriteria },
+  });
+
+/** URL of the project's scenarios as a .feature file, for downloads */
+export const scenariosFileUrl = (projectId) =>
+  `${config.apiBaseUrl}/api/projects/${projectId}/scenarios.feature`;
+
+/**
+ * @typedef {Object} SavedView
+ * @property {number} id
+ * @property {number} project_id
+ * @property {string} name
+ * @property {string} state Dashboard query string (filters and search), without the project
+ * @property {boolean} shared Visible to every project member, not just the owner
+ * @property {string|null} owner
+ * @property {boolean} mine Whether the logged-in user owns it
+ * @property {string|null} updated_at
+ */
+
+/** The user's own views of the project plus those shared with it. @returns {Promise<SavedView[]>} */
+export const getSavedViews = (projectId, options) =>
+  request('get', `/projects/${projectId}/views`, options);
+
+/**
+ * Sharing a view takes the contributor role.
+ * @param {{name: string, state: string, shared?: boolean}} view
+ * @returns {Promise<SavedView>}
+ */
+export const createSavedView = (projectId, view, options) =>
+  request('post', `/projects/${projectId}/views`, { ...options, data: view });
+
+/** Owner only. @returns {Promise<SavedView>} */
+export const updateSavedView = (viewId, changes, options) =>
+  request('put', `/views/${viewId}`, { ...options, data: changes });
+
+/** Owners, and project admins for shared views. */
+export const deleteSavedView = (viewId, options) =>
+  request('delete', `/views/${viewId}`, options);
+
+/** @returns {Promise<CustomField[]>} */
+export const getCustomFields = (projectId, options) =>
+  request('get', `/projects/${projectId}/custom-fields`, options);
+
+/**
+ * Replaces the project's custom fields. Fields without a `key` are new; values of
+ * removed fields and options are dropped from the requirements.
+ * @param {CustomField[]} fields
+ * @returns {Promise<CustomField[]>}
+ */
+export const updateCustomFields = (projectId, fields, options) =>
+  request('put', `/projects/${projectId}/custom-fields`, { ...options, data: fields });
+
+/** Moves the project to the trash; see {@link restoreProject}. */
+export const deleteProject = (projectId, options) =>
+  request('delete', `/projects/${projectId}`, options);
+
+/** @returns {Promise<Array<Project & {deleted_at: string}>>} */
+export const getTrashedProjects = (options) => request('get', '/projects/trash', options);
+
+/** @returns {Promise<Project>} */
+export const restoreProject = (projectId, options) =>
+  request('post', `/projects/${projectId}/restore`, options);
+
+/** Permanently deletes a project that is already in the trash. */
+export const purgeProject = (projectId, options) =>
+  request('delete', `/projects/${projectId}/purge`, options);
+
+// Requirements
+
+/** @returns {Promise<Requirement[]>} */
+export const getProjectRequirements = (projectId, options) =>
+  request('get', `/projects/${projectId}/requirements`, options);
+
+export const createProjectRequirement = (projectId, requirement, options) =>
+  request('post', `/projects/${projectId}/requirements`, { ...options, data: requirement });
+
+/**
+ * Moves every requirement of the project to the trash.
+ * @returns {Promise<{ids: string[]}>} IDs of the trashed requirements, for undo
+ */
+export const deleteProjectRequirements = (projectId, options) =>
+  request('delete', `/projects/${projectId}/requirements`, options);
+
+/** @returns {Promise<Array<Requirement & {deleted_at: string}>>} */
+export const getProjectTrash = (projectId, options) =>
+  request('get', `/projects/${projectId}/trash`, options);
+
+/**
+ * Restores trashed requirements; all of them when `ids` is omitted.
+ * @returns {Promise<{restored: number, requirements: Requirement[]}>}
+ */
+export const restoreRequirements = (projectId, ids, options) =>
+  request('post', `/projects/${projectId}/trash/restore`, { ...options, data: { ids } });
+
+/** Permanently deletes trashed requirements; the whole trash when `ids` is omitted. */
+export const emptyTrash = (projectId, ids, options) =>
+  request('delete', `/projects/${projectId}/trash`, { ...options, data: { ids } });
+
+/**
+ * Paginated, filtered requirement list.
+ * @param {{project?: number, search?: string, type?: string[], status?: string[],
+ *   complexity?: string[], priority?: string[], quality?: ('good'|'fair'|'poor')[],
+ *   open_discussion?: boolean, page?: number, per_page?: number, sort?: string}} filters Within a project, custom fields filter with `cf_<key>` (options,
+ *   member IDs or text to contain) and `cf_<key>_min`/`cf_<key>_max` for number and date fields.
+ *   `sort` is a column key (id, priority, complexity, status, estimate, cost, author, date), "-" first for descending
+ */
+export const getRequirements = (filters, options) =>
+  request('get', '/requirements', { ...options, params: filters });
+
+export const createRequirement = (requirement, options) =>
+  request('post', '/requirements', { ...options, data: requirement });
+
+/** @returns {Promise<Requirement>} */
+export const getRequirement = (requirementId, options) =>
+  request('get', `/requirements/${requirementId}`, options);
+
+export const updateRequirement = (requirementId, changes, options) =>
+  request('put', `/requirements/${requirementId}`, { ...options, data: changes });
+
+/** Moves the requirement to its project's trash. */
+export const deleteRequirement = (requirementId, options) =>
+  request('delete', `/requirements/${requirementId}`, options);
+
+/**
+ * Moving into an approved state records the user's vote and only changes the
+ * status once the approval policy is met, so `new_status` may be unchanged.
+ * @returns {Promise<{new_status: string, approvals: Approvals}>}
+ */
+export const updateRequirementStatus = (requirementId, status, options) =>
+  request('patch', `/requirements/${requirementId}/status`, { ...options, data: { status } });
+
+/** Takes back the user's approval while the requirement is not approved yet. @returns {Promise<Approvals>} */
+export const withdrawApproval = (requirementId, options) =>
+  request('delete', `/requirements/${requirementId}/approvals`, options);
+
+export const assignRequirement = (requirementId, projectId, options) =>
+  request('patch', `/requirements/${requirementId}/assign`, { ...options, data: { project_id: projectId } });
+
+/**
+ * Resolves a likely duplicate: `merge` moves its text and categories into the
+ * original, `skip_new` trashes it, `keep_both` clears the flag.
+ * @param {'merge'|'keep_both'|'skip_new'} action
+ * @param {string} [originalId] Defaults to the requirement's `duplicate_of`
+ * @returns {Promise<{action: string, requirement: Requirement, original: Requirement|null}>}
+ */
+export const resolveDuplicate = (requirementId, action, originalId, options) =>
+  request('post', `/requirements/${requirementId}/duplicate`, {
+    ...options,
+    data: { action, original_id: originalId },
+  });
+
+/**
+ * Pairs of similar requirements in a project, most similar first.
+ * @returns {Promise<{threshold: number, total: number,
+ *   pairs: {original: Requirement, duplicate: Requirement, score: number}[]}>}
+ */
+export const findDuplicates = (projectId, threshold, options) =>
+  request('get', `/projects/${projectId}/duplicates`, { ...options, params: { threshold } });
+
+/**
+ * @typedef {Object} RequirementLink
+ * @property {number} id
+ * @property {string} source_id
+ * @property {string} target_id
+ * @property {'depends_on'|'conflicts_with'|'refines'|'duplicates'} type Read as "source <type> target"
+ * @property {boolean} resolved Whether a conflict has been settled
+ * @property {string|null} note
+ * @property {'outgoing'|'incoming'} [direction] Relative to the requirement the links were fetched for
+ * @property {Requirement} [other] The requirement on the other end
+ */
+
+/** @returns {Promise<RequirementLink[]>} */
+export const getRequirementLinks = (requirementId, options) =>
+  request('get', `/requirements/${requirementId}/links`, options);
+
+/** @returns {Promise<RequirementLink>} */
+export const createRequirementLink = (requirementId, link, options) =>
+  request('post', `/requirements/${requirementId}/links`, { ...options, data: link });
+
+/** @param {{resolved?: boolean, note?: string}} changes */
+export const updateRequirementLink = (linkId, changes, options) =>
+  request('patch', `/links/${linkId}`, { ...options, data: changes });
+
+export const deleteRequirementLink = (linkId, options) =>
+  request('delete', `/links/${linkId}`, options);
+
+/**
+ * Link graph of a project. Nodes in a dependency cycle carry the cycle's index.
+ * @returns {Promise<{nodes: {id: string, requirement: string, status: string, color: string|null,
+ *   priority: string, cycle: number|null}[], edges: (RequirementLink & {in_cycle: boolean})[], cycles: string[][],
+ *   unresolved_conflicts: number[]}>}
+ */
+export const getProjectGraph = (projectId, options) =>
+  request('get', `/projects/${projectId}/graph`, options);
+
+// Comments
+
+/**
+ * @typedef {Object} Comment
+ * @property {number} id
+ * @property {string} requirement_id
+ * @property {number|null} parent_id Discussion this is a reply to
+ * @property {string} body Markdown; mentions are written `@Name` or `@[Full Name]`
+ * @property {string} author
+ * @property {number|null} author_id
+ * @property {string[]} mentions Project members mentioned in the body
+ * @property {boolean} resolved Discussions only
+ * @property {string|null} resolved_by
+ * @property {string|null} resolved_at
+ * @property {string} created_at
+ * @property {string|null} edited_at
+ */
+
+/** @returns {Promise<Comment[]>} Oldest first, replies included */
+export const getComments = (requirementId, options) =>
+  request('get', `/requirements/${requirementId}/comments`, options);
+
+/**
+ * Starts a discussion, or replies to one when `parent_id` is given.
+ * @param {{body: string, parent_id?: number}} comment
+ * @returns {Promise<Comment>}
+ */
+export const createComment = (requirementId, comment, options) =>
+  request('post', `/requirements/${requirementId}/comments`, { ...options, data: comment });
+
+/**
+ * Edits the body (own comments only) or resolves/reopens a discussion.
+ * @param {{body?: string, resolved?: boolean}} changes
+ * @returns {Promise<Comment>}
+ */
+export const updateComment = (commentId, changes, options) =>
+  request('patch', `/comments/${commentId}`, { ...options, data: changes });
+
+/** Deletes an own comment; deleting a discussion removes its replies too. */
+export const deleteComment = (commentId, options) =>
+  request('delete', `/comments/${commentId}`, options);
+
+// Source documents
+
+/**
+ * @typedef {Object} SourceDocument
+ * @property {number} id
+ * @property {number} project_id
+ * @property {string} file_name
+ * @property {number} size Bytes
+ * @property {number|null} pages Page count, PDFs only
+ * @property {string} created_at
+ * @property {number} requirement_count Requirements extracted from it
+ */
+
+/** @returns {Promise<SourceDocument[]>} */
+export const getProjectDocuments = (projectId, options) =>
+  request('get', `/projects/${projectId}/documents`, options);
+
+/** URL of the original file, for links and downloads */
+export const documentFileUrl = (documentId) =>
+  `${config.apiBaseUrl}/api/documents/${documentId}/file`;
+
+export const deleteDocument = (documentId, options) =>
+  request('delete', `/documents/${documentId}`, options);
+
+/**
+ * Passage a requirement was extracted from, with `context` characters around it.
+ * @returns {Promise<{requirement_id: string, document: SourceDocument, page: number|null, start: number,
+ *   end: number, before: string, passage: string, after: string, more_before: boolean, more_after: boolean}>}
+ */
+export const getRequirementSource = (requirementId, context, options) =>
+  request('get', `/requirements/${requirementId}/source`, { ...options, params: { context } });
+
+/**
+ * @typedef {Object} Revision
+ * @property {number} id
+ * @property {number} number 1-based position in the history
+ * @property {'original'|'created'|'edited'|'status'|'reverted'} change
+ * @property {string} actor
+ * @property {string|null} note
+ * @property {string} created_at
+ * @property {{requirement: string, categories: string, status: string, priority: string,
+ *   complexity: string, estimated_time: number, author: string}} snapshot
+ */
+
+/** @returns {Promise<Revision[]>} Oldest first */
+export const getRequirementRevisions = (requirementId, options) =>
+  request('get', `/requirements/${requirementId}/revisions`, options);
+
+/** @returns {Promise<Requirement>} The requirement after the revert */
+export const revertRequirement = (requirementId, revisionId, options) =>
+  request('post', `/requirements/${requirementId}/revisions/${revisionId}/revert`, options);
+
+/**
+ * Applies one action to many requirements; every item is saved on its own.
+ * @param {string[]} ids
+ * @param {'approve'|'reject'|'status'|'delete'|'priority'|'complexity'|'add_category'|'move'} action
+ * @param {string|number} [value] New status/priority/complexity, category name or target project ID
+ * @returns {Promise<{action: string, succeeded: number, failed: number,
+ *   results: {id: string, ok: boolean, status?: string, approvals?: Approvals, error?: string}[]}>}
+ *   `status` is the requirement's status after the action (approve/reject pick a state from the
+ *   project's workflow; approve may only add a vote)
+ */
+export const bulkUpdateRequirements = (ids, action, value, options) =>
+  request('post', '/requirements/bulk', { ...options, data: { ids, action, value } });
+
+export const getRequirementStats = (projectId, options) =>
+  request('get', '/requirements/stats', { ...options, params: { project: projectId } });
+
+/**
+ * @typedef {Object} BreakdownEntry
+ * @property {string} key Category, priority, complexity or status
+ * @property {number} count
+ * @property {number} hours
+ * @property {number} cost Hours times the project's hourly rate
+ */
+
+/**
+ * Chart data for the requirements matching `filters` (same as getRequirements,
+ * without paging). A requirement in several categories counts towards each.
+ * @param {Object} filters Plus an optional `interval`: 'day', 'week' or 'month'
+ * @returns {Promise<{breakdown: {category: BreakdownEntry[], priority: BreakdownEntry[],
+ *   complexity: BreakdownEntry[], status: BreakdownEntry[]},
+ *   timeline: {interval: string, points: {date: string, created: number, approved: number}[]}}>}
+ */
+export const getRequirementAnalytics = (filters, options) =>
+  request('get', '/requirements/analytics', { ...options, params: filters });
+
+/**
+ * @typedef {Object} Aggregate
+ * @property {number} total
+ * @property {number} approved
+ * @property {number} inReview
+ * @property {number} disapproved
+ * @property {number} hours
+ * @property {number} cost
+ * @property {{category: BreakdownEntry[], priority: BreakdownEntry[], complexity: BreakdownEntry[],
+ *   status: BreakdownEntry[]}} breakdown
+ */
+
+/**
+ * Totals over all matching requirements, not just a page: `overall` for the
+ * project and `filtered` for `filters` (same as getRequirements).
+ * @returns {Promise<{overall: Aggregate, filtered: Aggregate}>}
+ */
+export const getRequirementAggregates = (filters, options) =>
+  request('get', '/requirements/aggregates', { ...options, params: filters });
+
+/**
+ * @typedef {Object} BoardColumn
+ * @property {string} status
+ * @property {number} count All matching requirements in this status
+ * @property {number} hours
+ * @property {number} cost
+ * @property {Requirement[]} requirements At most the board's `limit`, in `sort` order
+ */
+
+/**
+ * The Kanban board of a project: one column per workflow state, then any status
+ * the workflow no longer has. `filters` are those of getRequirements plus `sort`.
+ * @returns {Promise<{columns: BoardColumn[], limit: number}>}
+ */
+export const getProjectBoard = (projectId, filters, options) =>
+  request('get', `/projects/${projectId}/board`, { ...options, params: filters });
+
+// Analysis & AI
+
+// Sending a large file can take longer than the configured timeout, so requests
+// that upload one wait for as long as it takes (0 disables axios' timeout)
+const UPLOAD_TIMEOUT = 0;
+
+export const uploadFile = (file, options) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  return request('post', '/upload', { timeout: UPLOAD_TIMEOUT, ...options, data: formData });
+};
+
+/**
+ * @typedef {Object} AnalysisJob
+ * @property {string} id
+ * @property {number} project_id
+ * @property {'analyze'|'batch'|'import'} kind
+ * @property {string|null} file_name
+ * @property {'queued'|'running'|'completed'|'failed'|'cancelled'} status
+ * @property {number} total Sentences/rows to process
+ * @property {number} processed
+ * @property {number} created Requirements saved so far
+ * @property {{item: number, error: string}[]} errors Items that were skipped
+ * @property {string|null} message Fatal error, if the job failed
+ * @property {Requirement[]} [requirements] Only on finished jobs fetched by ID
+ */
+
+/** Starts a background analysis job for a document. @returns {Promise<{job: AnalysisJob}>} */
+export const analyzeFile = (file, projectId, options) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  formData.append('project_id', projectId);
+  return request('post', '/analyze', { timeout: UPLOAD_TIMEOUT, ...options, data: formData });
+};
+
+/**
+ * @typedef {Object} Candidate
+ * @property {string} text Cleaned sentence
+ * @property {number} start Offset of the sentence in `source_text`
+ * @property {number} end End offset (exclusive) in `source_text`
+ */
+
+/**
+ * Extracts candidate requirements from a file without saving anything.
+ * The file is stored as a source document of the project; pass `document_id` on
+ * to commitRequirements so the saved requirements point back at it.
+ * @returns {Promise<{file_name: string, document_id: number|null, source_text: string,
+ *   metadata: {author: string, date: string}, candidates: Candidate[], total: number}>}
+ */
+export const previewFile = (file, projectId, options) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  formData.append('project_id', projectId);
+  return request('post', '/analyze/preview', { timeout: UPLOAD_TIMEOUT, ...options, data: formData });
+};
+
+/**
+ * Starts a job that classifies and saves reviewed requirement texts.
+ * @param {{requirements: {requirement: string, start?: number, end?: number}[], author?: string,
+ *   date?: string, file_name?: string, document_id?: number}} payload
+ * @returns {Promise<{job: AnalysisJob}>}
+ */
+export const commitRequirements = (projectId, payload, options) =>
+  request('post', `/projects/${projectId}/requirements/batch`, { ...options, data: payload });
+
+/**
+ * Parses a CSV/XLSX/JSON export and suggests a column mapping.
+ * Mapping values are a column name, '@ai' (let the classifier decide) or null.
+ * @returns {Promise<{file_name: string, columns: string[], rows: Object[], total: number,
+ *   suggested_mapping: Object<string, string|null>, fields: string[], ai_fields: string[]}>}
+ */
+export const previewImport = (file, options) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  return request('post', '/import/preview', { timeout: UPLOAD_TIMEOUT, ...options, data: formData });
+};
+
+/**
+ * Starts a job that creates requirements from mapped rows.
+ * @param {{rows: Object[], mapping: Object<string, string|null>, file_name?: string}} payload
+ * @returns {Promise<{job: AnalysisJob}>}
+ */
+export const importRequirements = (projectId, payload, options) =>
+  request('post', `/projects/${projectId}/requirements/import`, { ...options, data: payload });
+
+// Jobs
+
+/** @returns {Promise<AnalysisJob>} */
+export const getJob = (jobId, options) => request('get', `/jobs/${jobId}`, options);
+
+export const cancelJob = (jobId, options) => request('post', `/jobs/${jobId}/cancel`, options);
+
+/** Most recent jobs of a project, newest first. @returns {Promise<AnalysisJob[]>} */
+export const getProjectJobs = (projectId, options) => request('get', `/projects/${projectId}/jobs`, options);
+
+export const isJobFinished = (job) => ['completed', 'failed', 'cancelled'].includes(job.status);
+
+/**
+ * Polls a job until it finishes and resolves with the final job (including
+ * its requirements). Calls `onProgress` with every intermediate state.
+ * @returns {Promise<AnalysisJob>}
+ */
+export const pollJob = async (jobId, { onProgress, signal, interval = 1000 } = {}) => {
+  for (;;) {
+    const job = await getJob(jobId, { signal });
+    if (isJobFinished(job)) return job;
+    onProgress?.(job);
+    await wait(interval, signal);
+  }
+};
+
+/**
+ * @param {number} [projectId] Classifies into this project's categories instead of the default ones
+ * @returns {Promise<{categories: string[], priority: string, complexity: string}>}
+ */
+export const classifyText = (text, projectId, options) =>
+  request('post', '/classify', { ...options, data: { text, project_id: projectId } });
+
+export const sendChatMessage = (message, projectId, options) =>
+  request('post', '/chat', { ...options, data: { message, project_id: projectId } });
+
+// Jira
+
+export const connectJira = (settings, options) =>
+  request('post', '/jira/connect', { ...options, data: settings });
+
+export const pushToJira = (requirementId, options) =>
+  request('post', '/jira/push', { timeout: 30000, ...options, data: { requirementId } });
+
+export const getHealth = (options) => request('get', '/health', options);
@@ -0,0 +1,10 @@
+// src/pages/categories.js
+// Per-project requirement categories. DEFAULT_CATEGORIES mirrors the backend's,
+// for projects that never changed theirs.
+
+export const DEFAULT_CATEGORIES = ['Functional', 'Non-Functional', 'UI', 'Security', 'Performance']
+  .map(name => ({ name, description: '' }));
+
+export const projectCategories = (project) => project?.categories || DEFAULT_CATEGORIES;
+
+export const categoryNames = (project) => projectCategories(project).map(category => category.name);
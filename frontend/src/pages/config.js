@@ -1 +1,21 @@
-export const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:5000';
\ No newline at end of file
+// src/pages/config.js
+// Deployment settings for the frontend. Override per environment through
+// REACT_APP_* variables (e.g. in .env.staging / .env.production).
+
+const toNumber = (value, fallback) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+const config = {
+  // Backend origin, without the trailing /api
+  apiBaseUrl: (process.env.REACT_APP_API_BASE_URL || 'http://localhost:5000').replace(/\/+$/, ''),
+  // Default request timeout in milliseconds (0 disables it)
+  requestTimeout: toNumber(process.env.REACT_APP_API_TIMEOUT, 30000),
+  // How many times idempotent requests are retried on network/5xx errors
+  retries: toNumber(process.env.REACT_APP_API_RETRIES, 2),
+  // Base delay between retries in milliseconds, doubled on every attempt
+  retryDelay: toNumber(process.env.REACT_APP_API_RETRY_DELAY, 500),
+};
+
+export default config;
@@ -0,0 +1,38 @@
+// src/pages/customFields.js
+// Helpers for the extra fields a project defines for its requirements.
+// Values are keyed by the field's `key`, which stays the same when it is relabelled.
+
+export const CUSTOM_FIELD_TYPES = {
+  text: 'Text',
+  number: 'Number',
+  select: 'Select',
+  multi_select: 'Multi-select',
+  date: 'Date',
+  user: 'User',
+};
+
+export const hasOptions = (field) => field.type === 'select' || field.type === 'multi_select';
+
+// Number and date fields filter by range, the others by matching values
+export const isRangeField = (field) => field.type === 'number' || field.type === 'date';
+
+export const isEmptyValue = (value) =>
+  value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length);
+
+/** A value as shown on cards and in exports; `members` resolves user fields to names */
+export const formatCustomValue = (field, value, members = []) => {
+  if (isEmptyValue(value)) return '';
+  if (field.type === 'multi_select') return value.join(', ');
+  if (field.type === 'user') return members.find(member => member.id === value)?.display_name || `User #${value}`;
+  return String(value);
+};
+
+/** Query parameters of the requirements list for custom field filters, see api.getRequirements */
+export const customFilterParams = (fields, filters) => Object.fromEntries(fields.flatMap(field => {
+  const filter = filters[field.key];
+  if (!filter) return [];
+  if (isRangeField(field)) {
+    return [[`cf_${field.key}_min`, filter.min || undefined], [`cf_${field.key}_max`, filter.max || undefined]];
+  }
+  return [[`cf_${field.key}`, filter.length ? filter : undefined]];
+}));
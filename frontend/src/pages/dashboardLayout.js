@@ -0,0 +1,67 @@
+// src/pages/dashboardLayout.js
+// How someone likes the Dashboard's list laid out: cards, a table or the Kanban
+// board, the table's columns, the board's swimlanes, the sort and the page size.
+// Kept in the browser under the user's ID, so people sharing a computer each get their own.
+
+/** `sort` is the backend's sort key; columns without one don't sort */
+export const TABLE_COLUMNS = [
+  { key: 'id', label: 'ID', sort: 'id' },
+  { key: 'requirement', label: 'Requirement' },
+  { key: 'priority', label: 'Priority', sort: 'priority' },
+  { key: 'complexity', label: 'Complexity', sort: 'complexity' },
+  { key: 'status', label: 'Status', sort: 'status' },
+  { key: 'estimate', label: 'Estimate', sort: 'estimate' },
+  { key: 'cost', label: 'Cost', sort: 'cost' },
+  { key: 'author', label: 'Author', sort: 'author' },
+  { key: 'date', label: 'Date', sort: 'date' },
+  { key: 'categories', label: 'Categories' },
+];
+
+export const PAGE_SIZES = [10, 25, 50, 100];
+
+export const VIEWS = { cards: 'Cards', table: 'Table', board: 'Board' };
+
+/** What the board's swimlanes split requirements by; '' for none */
+export const SWIMLANES = { '': 'None', priority: 'Priority', category: 'Category' };
+
+export const DEFAULT_LAYOUT = {
+  view: 'cards',
+  columns: ['id', 'requirement', 'priority', 'status', 'estimate', 'cost', 'date'],
+  perPage: 10,
+  sort: '',
+  lanes: '',
+};
+
+const storageKey = (userId) => `dashboardLayout:${userId}`;
+const sortKeys = TABLE_COLUMNS.filter(column => column.sort).map(column => column.sort);
+
+/** The user's stored layout; anything missing or no longer valid falls back to the default */
+export const loadLayout = (userId) => {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(storageKey(userId))) || {};
+  } catch {
+    // A corrupted entry is as good as none
+  }
+  const columns = Array.isArray(stored.columns)
+    ? TABLE_COLUMNS.map(column => column.key).filter(key => stored.columns.includes(key))
+    : [];
+  return {
+    view: Object.hasOwn(VIEWS, String(stored.view)) ? stored.view : DEFAULT_LAYOUT.view,
+    columns: columns.length ? columns : DEFAULT_LAYOUT.columns,
+    perPage: PAGE_SIZES.includes(stored.perPage) ? stored.perPage : DEFAULT_LAYOUT.perPage,
+    sort: sortKeys.includes(String(stored.sort).replace(/^-/, '')) ? stored.sort : DEFAULT_LAYOUT.sort,
+    lanes: Object.hasOwn(SWIMLANES, String(stored.lanes)) ? stored.lanes : DEFAULT_LAYOUT.lanes,
+  };
+};
+
+export const storeLayout = (userId, layout) => {
+  localStorage.setItem(storageKey(userId), JSON.stringify(layout));
+};
+
+/** The sort after clicking a column header: ascending first, then descending, then unsorted */
+export const nextSort = (current, key) => {
+  if (current === key) return `-${key}`;
+  if (current === `-${key}`) return '';
+  return key;
+};
@@ -0,0 +1,50 @@
+// src/pages/dashboardState.js
+// The Dashboard's project, search, filters and page as a URL query string, so a
+// refresh, a pasted link or a saved view brings back exactly what was on screen.
+
+export const FILTER_TYPES = ['type', 'status', 'complexity', 'priority', 'quality'];
+
+const isEmptyFilter = (value) => {
+  if (Array.isArray(value)) return !value.length;
+  if (value && typeof value === 'object') return !value.min && !value.max;
+  return !String(value ?? '').trim();
+};
+
+/**
+ * @param {URLSearchParams} params
+ * @returns {{project: number|null, search: string, filters: Object<string, string[]>,
+ *   customFilters: Object, openDiscussionOnly: boolean, page: number}}
+ */
+export const readDashboardState = (params) => {
+  const project = parseInt(params.get('project'), 10);
+  const page = parseInt(params.get('page'), 10);
+  let customFilters = {};
+  try {
+    const parsed = JSON.parse(params.get('cf') || '{}');
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) customFilters = parsed;
+  } catch {
+    // A hand-edited link with broken custom filters still opens, just without them
+  }
+  return {
+    project: project > 0 ? project : null,
+    search: params.get('q') || '',
+    filters: Object.fromEntries(FILTER_TYPES.map(type => [type, params.getAll(type)])),
+    customFilters,
+    openDiscussionOnly: params.get('open') === '1',
+    page: page > 0 ? page : 1,
+  };
+};
+
+/** Query string of a Dashboard state; empty filters and page 1 are left out */
+export const dashboardSearch = ({ project, search, filters, customFilters, openDiscussionOnly, page }) => {
+  const params = new URLSearchParams();
+  if (project) params.set('project', project);
+  if (search) params.set('q', search);
+  FILTER_TYPES.forEach(type => (filters[type] || []).forEach(value => params.append(type, value)));
+  // Custom fields differ per project, so their filters travel as one JSON value
+  const custom = Object.fromEntries(Object.entries(customFilters).filter(([, value]) => !isEmptyFilter(value)));
+  if (Object.keys(custom).length) params.set('cf', JSON.stringify(custom));
+  if (openDiscussionOnly) params.set('open', '1');
+  if (page > 1) params.set('page', page);
+  return params.toString();
+};
@@ -0,0 +1,45 @@
+// src/pages/diff.js
+// Word-level text diff used by the revision history.
+
+const tokenize = (text) => (text || '').split(/(\s+)/).filter(Boolean);
+
+/**
+ * Diffs two strings word by word (longest common subsequence); whitespace is
+ * kept so the parts join back into the original texts.
+ * @returns {{type: 'same'|'added'|'removed', text: string}[]}
+ */
+export const diffWords = (before, after) => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.text += text;
+    else parts.push({ type, text });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('same', a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+  return parts;
+};
@@ -0,0 +1,31 @@
+import { diffWords } from './diff';
+
+const joined = (parts, skip) => parts.filter(part => part.type !== skip).map(part => part.text).join('');
+
+test('identical texts are one unchanged part', () => {
+  expect(diffWords('The system shall log in', 'The system shall log in')).toEqual([
+    { type: 'same', text: 'The system shall log in' },
+  ]);
+});
+
+test('a replaced word shows as removed then added', () => {
+  expect(diffWords('The system shall respond quickly', 'The system shall respond within 2 seconds')).toEqual([
+    { type: 'same', text: 'The system shall respond ' },
+    { type: 'removed', text: 'quickly' },
+    { type: 'added', text: 'within 2 seconds' },
+  ]);
+});
+
+test('the parts join back into both texts', () => {
+  const before = 'Users  must reset\ntheir password every 90 days.';
+  const after = 'Admins must reset their password every 30 days, users every 90.';
+  const parts = diffWords(before, after);
+  expect(joined(parts, 'added')).toBe(before);
+  expect(joined(parts, 'removed')).toBe(after);
+});
+
+test('missing texts diff as empty', () => {
+  expect(diffWords(null, 'New text')).toEqual([{ type: 'added', text: 'New text' }]);
+  expect(diffWords('Old text', undefined)).toEqual([{ type: 'removed', text: 'Old text' }]);
+  expect(diffWords('', '')).toEqual([]);
+});
@@ -0,0 +1,16 @@
+// src/pages/permissions.js
+// Per-project roles, mirroring the backend: each role includes the ones before it.
+// The UI only hides what a role can't do; the server enforces it on every route.
+
+export const ROLES = {
+  viewer: 'Viewer',
+  contributor: 'Contributor',
+  reviewer: 'Reviewer',
+  admin: 'Admin',
+};
+
+const ORDER = Object.keys(ROLES);
+
+/** Whether `role` (the user's role in a project, possibly undefined) includes `required` */
+export const hasRole = (role, required) =>
+  ORDER.includes(role) && ORDER.indexOf(role) >= ORDER.indexOf(required);
@@ -0,0 +1,34 @@
+// src/pages/quality.js
+// Helpers for requirement quality scores. The bands mirror the backend's
+// QUALITY_BANDS, which the Dashboard's quality filter sends by name.
+
+export const QUALITY_BANDS = {
+  good: { label: 'Good (80+)', min: 80 },
+  fair: { label: 'Fair (50-79)', min: 50 },
+  poor: { label: 'Poor (< 50)', min: 0 },
+};
+
+export const qualityBand = (score) =>
+  Object.keys(QUALITY_BANDS).find(band => score >= QUALITY_BANDS[band].min);
+
+/** The text split into plain and flagged parts; overlapping findings extend the part already flagged */
+export const highlightSegments = (text, issues) => {
+  const segments = [];
+  let position = 0;
+  issues.forEach(issue => {
+    const last = segments[segments.length - 1];
+    if (issue.start < position) {
+      if (last?.issues && issue.end > position) {
+        last.text += text.slice(position, issue.end);
+        position = issue.end;
+      }
+      if (last?.issues) last.issues.push(issue);
+      return;
+    }
+    if (issue.start > position) segments.push({ text: text.slice(position, issue.start) });
+    segments.push({ text: text.slice(issue.start, issue.end), issues: [issue] });
+    position = issue.end;
+  });
+  if (position < text.length) segments.push({ text: text.slice(position) });
+  return segments;
+};
@@ -0,0 +1,211 @@
+// src/pages/searchQuery.js
+// The Dashboard search language, e.g.
+//   status:Approved priority:High category:Security author:alice "single sign-on" -draft est:>8
+// This mirrors the backend's parse_search so mistakes show while typing instead
+// of as a failed request; the backend still checks every query it runs.
+
+import { QUALITY_BANDS } from './quality';
+
+export const SEARCH_FIELDS = {
+  status: 'status', priority: 'priority', complexity: 'complexity',
+  category: 'category', cat: 'category', type: 'category',
+  author: 'author', id: 'id', quality: 'quality', created: 'created',
+  est: 'estimate', estimate: 'estimate', hours: 'estimate',
+};
+const COMPARABLE = ['estimate', 'quality', 'created'];
+const LEVELS = ['Low', 'Medium', 'High'];
+const COMPLEXITIES = ['Low', 'Moderate', 'High'];
+const MAX_LENGTH = 500;
+const MAX_DEPTH = 20;
+const TOKEN_RE = new RegExp([
+  '(?<space>\\s+)',
+  '(?<lparen>\\()',
+  '(?<rparen>\\))',
+  '(?<minus>-(?=\\())',
+  '(?<unclosed>-?(?:[A-Za-z_]+:(?:>=|<=|>|<|=)?)?"[^"]*$)',
+  '(?<negated>-)?(?:(?<field>[A-Za-z_]+):(?<op>>=|<=|>|<|=)?)?(?:"(?<quoted>(?:[^"\\\\]|\\\\.)*)"|(?<word>[^\\s()"]+))?',
+].join('|'), 'y');
+
+/** A query that doesn't parse; `start`/`end` delimit the offending part of the text */
+export class SearchSyntaxError extends Error {
+  constructor(message, start, end = start + 1) {
+    super(message);
+    this.start = start;
+    this.end = end;
+  }
+}
+
+const tokenize = (text) => {
+  const tokens = [];
+  let position = 0;
+  while (position < text.length) {
+    TOKEN_RE.lastIndex = position;
+    const match = TOKEN_RE.exec(text);
+    if (!match || TOKEN_RE.lastIndex === position) throw new SearchSyntaxError('Unexpected character', position);
+    const { groups } = match;
+    const end = TOKEN_RE.lastIndex;
+    if (groups.unclosed) throw new SearchSyntaxError('Missing closing quote', position, end);
+    if (groups.lparen || groups.rparen) {
+      tokens.push({ kind: groups.lparen ? 'lparen' : 'rparen', start: position, end });
+    } else if (groups.minus) {
+      tokens.push({ kind: 'NOT', start: position, end });
+    } else if (!groups.space) {
+      const { negated, field, op, quoted, word } = groups;
+      if (['AND', 'OR', 'NOT'].includes(word) && !field && !negated) {
+        tokens.push({ kind: word, start: position, end });
+      } else {
+        if (field && !SEARCH_FIELDS[field.toLowerCase()]) {
+          throw new SearchSyntaxError(`Unknown field "${field}"`, position, end);
+        }
+        tokens.push({
+          kind: 'term',
+          start: position,
+          end,
+          negated: Boolean(negated),
+          term: {
+            field: field ? SEARCH_FIELDS[field.toLowerCase()] : null,
+            op: op || '=',
+            value: quoted !== undefined ? quoted.replace(/\\(.)/g, '$1') : word || '',
+          },
+        });
+      }
+    }
+    position = end;
+  }
+  return tokens;
+};
+
+// The same value checks the backend makes when it turns a term into SQL
+const checkTerm = ({ field, op, value }, start, end) => {
+  const fail = (message) => { throw new SearchSyntaxError(message, start, end); };
+  if (op !== '=' && !COMPARABLE.includes(field)) fail(`${field || 'Text'} can't be compared with ${op}`);
+  if (value === '') fail(`${field || 'Search term'} needs a value`);
+  const lower = value.toLowerCase();
+  if (field === 'priority' && !LEVELS.some(level => level.toLowerCase() === lower)) {
+    fail(`priority is one of ${LEVELS.join(', ')}`);
+  }
+  if (field === 'complexity' && !COMPLEXITIES.some(level => level.toLowerCase() === lower)) {
+    fail(`complexity is one of ${COMPLEXITIES.join(', ')}`);
+  }
+  if (field === 'quality' && QUALITY_BANDS[lower]) {
+    if (op !== '=') fail('Compare quality with a score, e.g. quality:<50');
+    return;
+  }
+  if (field === 'created' && !/^\d{4}-\d{2}-\d{2}$/.test(value)) fail('Dates are written YYYY-MM-DD');
+  if ((field === 'estimate' || field === 'quality') && !/^[+-]?\d+$/.test(value)) fail(`${field} needs a whole number`);
+};
+
+/**
+ * Syntax tree of a search query, shaped like the backend's: {kind: 'and'|'or', nodes},
+ * {kind: 'not', node} or {kind: 'term', term}; null for an empty query.
+ * @throws {SearchSyntaxError}
+ */
+export const parseSearch = (text) => {
+  if (text.length > MAX_LENGTH) {
+    throw new SearchSyntaxError(`Searches can be at most ${MAX_LENGTH} characters`, MAX_LENGTH, text.length);
+  }
+  const tokens = tokenize(text);
+  let index = 0;
+  const peek = () => tokens[index] || { kind: null, start: text.length, end: text.length };
+
+  const parseOr = (depth) => {
+    const nodes = [parseAnd(depth)];
+    while (peek().kind === 'OR') {
+      index += 1;
+      nodes.push(parseAnd(depth));
+    }
+    return nodes.length === 1 ? nodes[0] : { kind: 'or', nodes };
+  };
+
+  const parseAnd = (depth) => {
+    const nodes = [parseUnary(depth)];
+    while (![null, 'OR', 'rparen'].includes(peek().kind)) {
+      if (peek().kind === 'AND') index += 1;
+      nodes.push(parseUnary(depth));
+    }
+    return nodes.length === 1 ? nodes[0] : { kind: 'and', nodes };
+  };
+
+  const parseUnary = (depth) => {
+    const token = peek();
+    if (depth > MAX_DEPTH) throw new SearchSyntaxError('Search is nested too deeply', token.start, token.end);
+    if (token.kind === 'NOT') {
+      index += 1;
+      return { kind: 'not', node: parseUnary(depth + 1) };
+    }
+    if (token.kind === 'lparen') {
+      index += 1;
+      if (peek().kind === 'rparen') throw new SearchSyntaxError('Empty parentheses', token.start, peek().end);
+      const node = parseOr(depth + 1);
+      if (peek().kind !== 'rparen') throw new SearchSyntaxError('Missing closing parenthesis', token.start);
+      index += 1;
+      return node;
+    }
+    if (token.kind === 'term') {
+      index += 1;
+      checkTerm(token.term, token.start, token.end);
+      const node = { kind: 'term', term: token.term };
+      return token.negated ? { kind: 'not', node } : node;
+    }
+    if (token.kind === null) throw new SearchSyntaxError('Search ends too early', Math.max(text.length - 1, 0));
+    throw new SearchSyntaxError(`Unexpected ${token.kind === 'rparen' ? '")"' : token.kind}`, token.start, token.end);
+  };
+
+  if (!tokens.length) return null;
+  const tree = parseOr(0);
+  if (peek().kind !== null) throw new SearchSyntaxError('Unexpected ")"', peek().start, peek().end);
+  return tree;
+};
+
+/** The error of a query that doesn't parse, or null */
+export const searchSyntaxError = (text) => {
+  try {
+    parseSearch(text);
+    return null;
+  } catch (error) {
+    if (error instanceof SearchSyntaxError) return error;
+    throw error;
+  }
+};
+
+const quoteValue = (value) => (/[\s()"]/.test(value) ? `"${value.replace(/(["\\])/g, '\\$1')}"` : value);
+
+/**
+ * Completions for the word at `cursor`: field names, then the values of the field
+ * being typed. Each replaces text[start, end) with `text`.
+ * @param {{statuses: string[], categories: string[], authors: string[]}} options
+ * @returns {{label: string, start: number, end: number, text: string}[]}
+ */
+export const searchSuggestions = (text, cursor, { statuses, categories, authors }) => {
+  const before = text.slice(0, cursor);
+  // A quoted value being typed, e.g. status:"In re, counts as one word
+  const match = /(-?)(?:([A-Za-z_]+):(>=|<=|>|<|=)?)?("[^"]*|[^\s()"]*)$/.exec(before);
+  const [, negated, field, op = '', partial] = match;
+  const wordStart = cursor - match[0].length + negated.length;
+  const wordEnd = cursor + (/^[^\s()]*/.exec(text.slice(cursor))[0].length);
+  const prefix = partial.replace(/^"/, '').toLowerCase();
+
+  if (!field) {
+    if (!prefix || partial.startsWith('"')) return [];
+    return Object.keys(SEARCH_FIELDS)
+      .filter(name => name.startsWith(prefix) && name !== prefix)
+      .map(name => ({ label: `${name}:`, start: wordStart, end: wordEnd, text: `${name}:` }));
+  }
+
+  const values = {
+    status: statuses,
+    priority: LEVELS,
+    complexity: COMPLEXITIES,
+    category: categories,
+    author: authors,
+    quality: Object.keys(QUALITY_BANDS),
+  }[SEARCH_FIELDS[field.toLowerCase()]] || [];
+  return values
+    .filter(value => value.toLowerCase().startsWith(prefix) && value.toLowerCase() !== prefix)
+    .map(value => ({
+      label: value,
+      start: wordStart,
+      end: wordEnd,
+      text: `${field}:${op}${quoteValue(value)} `,
+    }));
+};
@@ -0,0 +1,96 @@
+import { parseSearch, searchSyntaxError, SearchSyntaxError } from './searchQuery';
+
+const term = (value, field = null, op = '=') => ({ kind: 'term', term: { field, op, value } });
+
+test('empty search parses to nothing', () => {
+  expect(parseSearch('')).toBeNull();
+  expect(parseSearch('   ')).toBeNull();
+});
+
+test('fields take their canonical name and operator', () => {
+  expect(parseSearch('cat:Security est:>=8')).toEqual({
+    kind: 'and',
+    nodes: [term('Security', 'category'), term('8', 'estimate', '>=')],
+  });
+});
+
+test('AND binds tighter than OR', () => {
+  expect(parseSearch('a b OR c AND d')).toEqual({
+    kind: 'or',
+    nodes: [
+      { kind: 'and', nodes: [term('a'), term('b')] },
+      { kind: 'and', nodes: [term('c'), term('d')] },
+    ],
+  });
+});
+
+test('parentheses group before AND', () => {
+  expect(parseSearch('a (b OR c)')).toEqual({
+    kind: 'and',
+    nodes: [term('a'), { kind: 'or', nodes: [term('b'), term('c')] }],
+  });
+});
+
+test('NOT and - negate the next term or group', () => {
+  expect(parseSearch('NOT draft')).toEqual({ kind: 'not', node: term('draft') });
+  expect(parseSearch('-status:Draft')).toEqual({ kind: 'not', node: term('Draft', 'status') });
+  expect(parseSearch('-(a OR b)')).toEqual({ kind: 'not', node: { kind: 'or', nodes: [term('a'), term('b')] } });
+});
+
+test('quoted values keep spaces and escaped quotes', () => {
+  expect(parseSearch('"single sign-on" author:"Jo \\"J\\" Doe"')).toEqual({
+    kind: 'and',
+    nodes: [term('single sign-on'), term('Jo "J" Doe', 'author')],
+  });
+});
+
+test('lowercase and/or/not are search words', () => {
+  expect(parseSearch('login or logout')).toEqual({
+    kind: 'and',
+    nodes: [term('login'), term('or'), term('logout')],
+  });
+});
+
+test('an unclosed quote is reported from the quote on', () => {
+  const error = searchSyntaxError('login status:"In re');
+  expect(error).toBeInstanceOf(SearchSyntaxError);
+  expect(error.message).toBe('Missing closing quote');
+  expect([error.start, error.end]).toEqual([6, 19]);
+});
+
+test('an unknown field is reported where it is written', () => {
+  const error = searchSyntaxError('login colour:red');
+  expect(error.message).toBe('Unknown field "colour"');
+  expect([error.start, error.end]).toEqual([6, 16]);
+});
+
+test('values are checked per field', () => {
+  expect(searchSyntaxError('priority:Urgent').message).toBe('priority is one of Low, Medium, High');
+  expect(searchSyntaxError('status:>Draft').message).toBe("status can't be compared with >");
+  expect(searchSyntaxError('est:many').message).toBe('estimate needs a whole number');
+  expect(searchSyntaxError('created:yesterday').message).toBe('Dates are written YYYY-MM-DD');
+  expect(searchSyntaxError('quality:good est:<8 created:>=2024-01-31')).toBeNull();
+});
+
+test('unbalanced parentheses are errors', () => {
+  const unclosed = searchSyntaxError('a (b OR c');
+  expect(unclosed.message).toBe('Missing closing parenthesis');
+  expect(unclosed.start).toBe(2);
+
+  const stray = searchSyntaxError('a b)');
+  expect(stray.message).toBe('Unexpected ")"');
+  expect(stray.start).toBe(3);
+
+  expect(searchSyntaxError('a ()').message).toBe('Empty parentheses');
+  expect(searchSyntaxError('a OR').message).toBe('Search ends too early');
+});
+
+test('nesting is limited', () => {
+  expect(searchSyntaxError(`${'('.repeat(20)}a${')'.repeat(20)}`)).toBeNull();
+  expect(searchSyntaxError(`${'('.repeat(21)}a${')'.repeat(21)}`).message).toBe('Search is nested too deeply');
+  expect(searchSyntaxError(`${'NOT '.repeat(21)}a`).message).toBe('Search is nested too deeply');
+});
+
+test('long searches are refused', () => {
+  expect(searchSyntaxError('a'.repeat(501)).message).toBe('Searches can be at most 500 characters');
+});
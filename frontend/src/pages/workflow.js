@@ -0,0 +1,53 @@
+// src/pages/workflow.js
+// Helpers for per-project workflows (states, colors and allowed transitions).
+// DEFAULT_WORKFLOW mirrors the backend's, for projects that never changed theirs.
+import { hasRole } from './permissions';
+
+export const WORKFLOW_KINDS = {
+  draft: 'Draft',
+  review: 'In review',
+  approved: 'Approved',
+  rejected: 'Rejected',
+};
+
+const DEFAULT_STATES = [
+  { name: 'Draft', color: '#607d8b', kind: 'draft' },
+  { name: 'Review', color: '#ff9800', kind: 'review' },
+  { name: 'Approved', color: '#4CAF50', kind: 'approved' },
+  { name: 'Disapproved', color: '#f44336', kind: 'rejected' },
+];
+
+export const DEFAULT_WORKFLOW = {
+  initial: 'Review',
+  states: DEFAULT_STATES,
+  transitions: DEFAULT_STATES.flatMap(from => DEFAULT_STATES
+    .filter(to => to !== from)
+    .map(to => ({ from: from.name, to: to.name }))),
+};
+
+const UNKNOWN_COLOR = '#90a4ae';
+
+export const getState = (workflow, name) => workflow.states.find(state => state.name === name);
+
+export const statusColor = (workflow, name) => getState(workflow, name)?.color || UNKNOWN_COLOR;
+
+export const statesOfKind = (workflow, kind) =>
+  workflow.states.filter(state => state.kind === kind).map(state => state.name);
+
+// Same rule as the backend: a status the workflow no longer knows may move anywhere
+export const canTransition = (workflow, from, to) =>
+  from !== to && Boolean(getState(workflow, to)) && (
+    !getState(workflow, from) ||
+    workflow.transitions.some(t => t.from === from && t.to === to)
+  );
+
+// Moving into an approved or rejected state is a review decision
+const REVIEW_KINDS = ['approved', 'rejected'];
+
+export const transitionRole = (workflow, to) =>
+  (REVIEW_KINDS.includes(getState(workflow, to)?.kind) ? 'reviewer' : 'contributor');
+
+/** States reachable from `from`; with a `role`, only those that role may move to */
+export const nextStates = (workflow, from, role) =>
+  workflow.states.filter(state => canTransition(workflow, from, state.name) &&
+    (role === undefined || hasRole(role, transitionRole(workflow, state.name))));